@@ -22,6 +22,7 @@ const AppStateService = require('./services/app-state');
 // Shared utilities
 const ScormErrorHandler = require('./services/scorm/rte/error-handler');
 const getLogger = require('../shared/utils/logger');
+const PathUtils = require('../shared/utils/path-utils');
 const { SERVICE_EVENTS, SERVICE_DEFAULTS } = require('../shared/constants/main-process-constants');
 const { MAIN_PROCESS_ERRORS } = require('../shared/constants/error-codes');
 
@@ -177,7 +178,9 @@ class MainProcess {
     this.services.set('recentCoursesService', recentCoursesService);
 
     // AppState service (centralized UI settings, etc.)
-    const appState = new AppStateService(this.errorHandler, this.logger);
+    const appState = new AppStateService(this.errorHandler, this.logger, {
+      settingsPath: PathUtils.join(app.getPath('userData'), 'ui-settings.json')
+    });
     if (!await appState.initialize(new Map())) {
       throw new Error('AppStateService initialization failed');
     }
@@ -296,7 +299,7 @@ class MainProcess {
     }
 
     try {
-      const shutdownOrder = ['ipcHandler', 'scormService', 'recentCoursesService', 'fileManager', 'windowManager'];
+      const shutdownOrder = ['ipcHandler', 'scormService', 'appState', 'recentCoursesService', 'fileManager', 'windowManager'];
 
       for (const serviceName of shutdownOrder) {
         const service = this.services.get(serviceName);
@@ -1,4 +1,6 @@
+const fs = require('fs');
 const BaseService = require('./base-service');
+const { normalizeLaunchOptions } = require('../../shared/utils/launch-options');
 
 // Allowed theme values
 const THEME_VALUES = new Set(['default', 'dark', 'system']);
@@ -14,20 +16,49 @@ class AppStateService extends BaseService {
         debugPanelVisible: false,
         devModeEnabled: false
       },
+      // Launch configuration per course (manifest identifier -> launch options)
+      launchPresets: {}
     };
+    // Launch presets are written here when set; UI flags stay in memory
+    this.settingsPath = options.settingsPath || null;
+    // Settings file writes run one after another so an older write never lands last
+    this.persistQueue = Promise.resolve();
   }
 
   async doInitialize() {
-    // In a future iteration we may hydrate from disk. For now keep in-memory only.
+    if (this.settingsPath && fs.existsSync(this.settingsPath)) {
+      try {
+        const saved = JSON.parse(await fs.promises.readFile(this.settingsPath, 'utf8'));
+        if (saved?.launchPresets && typeof saved.launchPresets === 'object') {
+          this.appState.launchPresets = saved.launchPresets;
+        }
+      } catch (e) {
+        this.logger?.warn('AppStateService: Failed to read saved settings', e?.message || e);
+      }
+    }
     this.logger?.info('AppStateService initialized');
   }
 
+  async doShutdown() {
+    await this.persistQueue;
+  }
+
   getSettings() {
     // Return a shallow clone to avoid external mutation
-    return { success: true, settings: { ui: { ...this.appState.ui } } };
+    return { success: true, settings: this._snapshot() };
   }
 
-  setSettings(partial) {
+  /**
+   * Get the launch preset saved for a course
+   * @param {string} courseId - Manifest identifier
+   * @returns {Object|null} Launch options, or null when none are saved
+   */
+  getLaunchPreset(courseId) {
+    const preset = courseId ? this.appState.launchPresets[courseId] : null;
+    return preset ? { ...preset } : null;
+  }
+
+  async setSettings(partial) {
     try {
       if (!partial || typeof partial !== 'object') {
         return { success: false, error: 'invalid_settings' };
@@ -55,12 +86,57 @@ class AppStateService extends BaseService {
         }
       }
 
-      return { success: true, settings: { ui: { ...this.appState.ui } } };
+      // { courseId: launchOptions } saves a preset, { courseId: null } removes it
+      if (partial.launchPresets && typeof partial.launchPresets === 'object') {
+        const updates = {};
+        for (const [courseId, preset] of Object.entries(partial.launchPresets)) {
+          try {
+            updates[courseId] = preset === null ? null : normalizeLaunchOptions(preset);
+          } catch (e) {
+            return { success: false, error: 'invalid_launch_preset', message: `${courseId}: ${e.message}` };
+          }
+        }
+        for (const [courseId, preset] of Object.entries(updates)) {
+          if (preset === null || Object.keys(preset).length === 0) {
+            delete this.appState.launchPresets[courseId];
+          } else {
+            this.appState.launchPresets[courseId] = preset;
+          }
+        }
+        await this._persist();
+      }
+
+      return { success: true, settings: this._snapshot() };
     } catch (e) {
       this.logger?.error('AppStateService.setSettings failed:', e?.message || e);
       return { success: false, error: e?.message || String(e) };
     }
   }
+
+  /**
+   * Copy the settings for callers
+   * @private
+   * @returns {{ui: Object, launchPresets: Object}} Settings
+   */
+  _snapshot() {
+    return { ui: { ...this.appState.ui }, launchPresets: { ...this.appState.launchPresets } };
+  }
+
+  /**
+   * Queue a write of the launch presets to the settings file (best effort)
+   * @private
+   * @returns {Promise<void>} Resolves once this write has finished
+   */
+  _persist() {
+    if (!this.settingsPath) return this.persistQueue;
+    const contents = JSON.stringify({ launchPresets: this.appState.launchPresets }, null, 2);
+    this.persistQueue = this.persistQueue
+      .then(() => fs.promises.writeFile(this.settingsPath, contents, 'utf8'))
+      .catch(e => {
+        this.logger?.warn('AppStateService: Failed to save settings', e?.message || e);
+      });
+    return this.persistQueue;
+  }
 }
 
 module.exports = AppStateService;
@@ -240,6 +240,98 @@ class FileManager extends BaseService {
     }
   }
 
+  /**
+   * Ask for a destination and write data there as JSON
+   * @param {Object} data - Data to write
+   * @param {Object} [options]
+   * @param {string} [options.title] - Dialog title
+   * @param {string} [options.defaultFileName] - Suggested file name
+   * @returns {Promise<Object>} Result object with success and filePath properties
+   */
+  async saveJsonFile(data, options = {}) {
+    try {
+      const result = await dialog.showSaveDialog({
+        title: options.title || 'Save File',
+        defaultPath: this.sanitizeFilename(options.defaultFileName || 'export.json') || 'export.json',
+        filters: [
+          { name: 'JSON Files', extensions: ['json'] },
+          { name: 'All Files', extensions: ['*'] }
+        ]
+      });
+
+      if (result.canceled || !result.filePath) {
+        this.logger?.info('FileManager: Save dialog cancelled');
+        this.recordOperation('saveJsonFile', true);
+        return { success: false, cancelled: true };
+      }
+
+      await fs.promises.writeFile(result.filePath, JSON.stringify(data, null, 2), 'utf8');
+
+      this.logger?.info(`FileManager: Saved ${path.basename(result.filePath)}`);
+      this.recordOperation('saveJsonFile', true);
+      return { success: true, filePath: result.filePath };
+
+    } catch (error) {
+      this.errorHandler?.setError(
+        MAIN_PROCESS_ERRORS.FILE_SYSTEM_OPERATION_FAILED,
+        `Save file failed: ${error.message}`,
+        'FileManager.saveJsonFile'
+      );
+      this.logger?.error('FileManager: Save file failed:', error);
+      this.recordOperation('saveJsonFile', false);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Ask for a JSON file and read it
+   * @param {Object} [options]
+   * @param {string} [options.title] - Dialog title
+   * @returns {Promise<Object>} Result object with success, filePath and the parsed data
+   */
+  async openJsonFile(options = {}) {
+    try {
+      const result = await dialog.showOpenDialog({
+        title: options.title || 'Open File',
+        properties: ['openFile'],
+        filters: [
+          { name: 'JSON Files', extensions: ['json'] },
+          { name: 'All Files', extensions: ['*'] }
+        ]
+      });
+
+      if (result.canceled || result.filePaths.length === 0) {
+        this.logger?.info('FileManager: Open dialog cancelled');
+        this.recordOperation('openJsonFile', true);
+        return { success: false, cancelled: true };
+      }
+
+      const filePath = result.filePaths[0];
+      const text = await fs.promises.readFile(filePath, 'utf8');
+      let data;
+      try {
+        data = JSON.parse(text);
+      } catch (parseError) {
+        this.recordOperation('openJsonFile', false);
+        return { success: false, error: `${path.basename(filePath)} is not valid JSON: ${parseError.message}` };
+      }
+
+      this.logger?.info(`FileManager: Read ${path.basename(filePath)}`);
+      this.recordOperation('openJsonFile', true);
+      return { success: true, filePath, data };
+
+    } catch (error) {
+      this.errorHandler?.setError(
+        MAIN_PROCESS_ERRORS.FILE_SYSTEM_OPERATION_FAILED,
+        `Open file failed: ${error.message}`,
+        'FileManager.openJsonFile'
+      );
+      this.logger?.error('FileManager: Open file failed:', error);
+      this.recordOperation('openJsonFile', false);
+      return { success: false, error: error.message };
+    }
+  }
+
   /**
    * Extract SCORM package
    * @param {string} zipPath - Path to ZIP file
@@ -17,6 +17,7 @@ const {
   SERVICE_EVENTS
 } = require('../../shared/constants/main-process-constants');
 const { MAIN_PROCESS_ERRORS } = require('../../shared/constants/error-codes');
+const SCORM_CONSTANTS = require('../../shared/constants/scorm-constants');
 const PathUtils = require('../../shared/utils/path-utils'); // Added PathUtils
 const IPC_ROUTES = (() => {
   try {
@@ -332,7 +333,17 @@ class IpcHandler extends BaseService {
       // LMS and testing handlers
       this.registerHandler('apply-lms-profile', this.handleApplyLmsProfile.bind(this));
       this.registerHandler('get-lms-profiles', this.handleGetLmsProfiles.bind(this));
+      this.registerHandler('import-lms-profiles', this.handleImportLmsProfiles.bind(this));
       this.registerHandler('run-test-scenario', this.handleRunTestScenario.bind(this));
+      this.registerHandler('scorm:simulate-lms', this.handleSimulateLms.bind(this));
+      this.registerHandler('session:export', this.handleSessionExport.bind(this));
+      this.registerHandler('session:import', this.handleSessionImport.bind(this));
+
+      // Learner profile and attempt history handlers
+      this.registerHandler('learner:list', this.handleLearnerList.bind(this));
+      this.registerHandler('learner:save', this.handleLearnerSave.bind(this));
+      this.registerHandler('learner:set-active', this.handleLearnerSetActive.bind(this));
+      this.registerHandler('attempt:list', this.handleAttemptList.bind(this));
 
       // Utility handlers
       this.registerHandler('open-external', this.handleOpenExternal.bind(this));
@@ -592,6 +603,13 @@ class IpcHandler extends BaseService {
     if (!sessionId) {
       return { success: false, reason: 'Session ID is required' };
     }
+    // Launches use the course's saved launch configuration unless the caller passes one
+    if (!options.launchOptions) {
+      const preset = this.getDependency('appState')?.getLaunchPreset(scormService.getLoadedCourseId());
+      if (preset) {
+        options.launchOptions = preset;
+      }
+    }
     return await scormService.initializeSession(sessionId, options);
   }
 
@@ -936,9 +954,9 @@ class IpcHandler extends BaseService {
   }
 
   // LMS profile handlers
-  async handleApplyLmsProfile(event, sessionId, profileName) {
+  async handleApplyLmsProfile(_event, payload = {}) {
     const scormService = this.getDependency('scormService');
-    return await scormService.applyLmsProfile(sessionId, profileName);
+    return await scormService.applyLmsProfile(payload.sessionId, payload.profileId);
   }
 
   async handleGetLmsProfiles(_event) {
@@ -946,12 +964,74 @@ class IpcHandler extends BaseService {
     return await scormService.getLmsProfiles();
   }
 
+  async handleImportLmsProfiles(_event) {
+    // The file is picked here, never taken from the renderer
+    const fileManager = this.getDependency('fileManager');
+    const opened = await fileManager.openJsonFile({ title: 'Import LMS Profiles' });
+    if (!opened.success) {
+      return opened;
+    }
+    const scormService = this.getDependency('scormService');
+    return await scormService.importLmsProfiles(opened.filePath);
+  }
+
+  // Learner profile and attempt history handlers
+  async handleLearnerList(_event) {
+    const scormService = this.getDependency('scormService');
+    return await scormService.getLearners();
+  }
+
+  async handleLearnerSave(_event, profile) {
+    const scormService = this.getDependency('scormService');
+    return await scormService.saveLearner(profile);
+  }
+
+  async handleLearnerSetActive(_event, payload = {}) {
+    const scormService = this.getDependency('scormService');
+    return await scormService.setActiveLearner(payload.learnerId);
+  }
+
+  async handleAttemptList(_event, payload = {}) {
+    const scormService = this.getDependency('scormService');
+    return await scormService.getAttempts(payload.courseId || null);
+  }
+
   // Testing handlers
   async handleRunTestScenario(event, sessionId, scenarioType) {
     const scormService = this.getDependency('scormService');
     return await scormService.runTestScenario(sessionId, scenarioType);
   }
 
+  async handleSimulateLms(_event, payload = {}) {
+    const scormService = this.getDependency('scormService');
+    return await scormService.simulateLmsBehavior(payload.behavior, payload.sessionId || null);
+  }
+
+  async handleSessionExport(_event, payload = {}) {
+    const scormService = this.getDependency('scormService');
+    const exported = scormService.exportSessionData(payload.sessionId || null);
+    if (!exported.success) {
+      return exported;
+    }
+    const { bundle } = exported;
+    const fileManager = this.getDependency('fileManager');
+    return await fileManager.saveJsonFile(bundle, {
+      title: 'Export Session Data',
+      defaultFileName: `session_${bundle.course.courseId}_${bundle.exportedAt.replace(/[:.]/g, '-')}.json`
+    });
+  }
+
+  async handleSessionImport(_event) {
+    const fileManager = this.getDependency('fileManager');
+    const opened = await fileManager.openJsonFile({ title: 'Import Session State' });
+    if (!opened.success) {
+      return opened;
+    }
+    const scormService = this.getDependency('scormService');
+    const result = await scormService.importSessionState(opened.data);
+    return result.success ? { ...result, filePath: opened.filePath } : result;
+  }
+
   // Utility handlers
   async handleOpenExternal(event, url) {
     return await shell.openExternal(url);
@@ -1609,14 +1689,15 @@ class IpcHandler extends BaseService {
         return { success: false, error: 'SCORM Service not available', data: [] };
       }
 
-      // Get SSP data from RTE service
+      // Get SSP data from RTE service; adl.data buckets outlive sessions
       const rteInstances = scormService.rteInstances;
-      if (!rteInstances || rteInstances.size === 0) {
+      const sharedDataStore = scormService.sharedDataStore;
+      if ((!rteInstances || rteInstances.size === 0) && !sharedDataStore) {
         return { success: true, data: [] }; // No SSP data yet
       }
 
-      // Extract SSP buckets from all active sessions
-      const sspData = this.extractSSPBuckets(rteInstances);
+      // Extract SSP buckets from all active sessions plus shared data stores
+      const sspData = this.extractSSPBuckets(rteInstances || new Map(), sharedDataStore);
 
       return { success: true, data: sspData };
     } catch (error) {
@@ -1770,6 +1851,8 @@ class IpcHandler extends BaseService {
             progressMeasure: node.progressMeasure || 0,
             attempted: node.attemptCount > 0,
             attemptCount: node.attemptCount,
+            attemptDuration: node.attemptDuration || 0,
+            activityDuration: node.activityDuration || 0,
             suspended: node.suspended,
             objectives: Array.from(node.objectives?.values() || []).map(obj => ({
               id: obj.id,
@@ -1810,6 +1893,9 @@ class IpcHandler extends BaseService {
           // Pre-condition rule evaluation
           preConditionResult: sequencingEngine ? this.evaluatePreConditionForNode(node, sequencingEngine) : null,
 
+          // Choice traversal constraint (constrainChoice, preventActivation, ...) blocking a choice of this node
+          choiceConstraint: sequencingEngine ? this.evaluateChoiceConstraintForNode(node, sequencingEngine) : null,
+
           // Objectives
           objectives: Array.from(node.objectives?.values() || []).map(obj => ({
             id: obj.id,
@@ -1870,6 +1956,24 @@ class IpcHandler extends BaseService {
     }
   }
 
+  /**
+   * Get the traversal constraint that would refuse a choice of a node, if any
+   */
+  evaluateChoiceConstraintForNode(node, sequencingEngine) {
+    try {
+      if (typeof sequencingEngine.evaluateChoiceTraversal !== 'function') return null;
+      const result = sequencingEngine.evaluateChoiceTraversal(node);
+      return result.valid ? null : {
+        constraint: result.constraint,
+        activityId: result.activityId,
+        reason: result.reason
+      };
+    } catch (error) {
+      this.logger?.error(`Error evaluating choice traversal for node ${node.identifier}:`, error);
+      return null;
+    }
+  }
+
   /**
    * Check if attempt limit is exceeded for a node
    */
@@ -1938,7 +2042,7 @@ class IpcHandler extends BaseService {
   /**
    * Extract SSP buckets from RTE instances
    */
-  extractSSPBuckets(rteInstances) {
+  extractSSPBuckets(rteInstances, sharedDataStore = null) {
     const sspBuckets = [];
 
     for (const [sessionId, rteInstance] of rteInstances.entries()) {
@@ -1955,6 +2059,17 @@ class IpcHandler extends BaseService {
       }
     }
 
+    const maxStoreSize = SCORM_CONSTANTS.DATA_MODEL.LIMITS.SHARED_DATA_STORE;
+    for (const bucket of sharedDataStore?.list?.() || []) {
+      sspBuckets.push({
+        id: bucket.id,
+        used: bucket.store === null ? 0 : bucket.store.length,
+        size: maxStoreSize,
+        persistence: bucket.persistence,
+        data: bucket.store
+      });
+    }
+
     return sspBuckets;
   }
 
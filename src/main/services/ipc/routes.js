@@ -296,6 +296,41 @@ module.exports = [
       rateLimitProfile: 'default'
     }
   },
+  {
+    channel: 'import-lms-profiles',
+    handlerName: 'handleImportLmsProfiles',
+    options: {
+      rateLimitProfile: 'default'
+    }
+  },
+  {
+    channel: 'learner:list',
+    handlerName: 'handleLearnerList',
+    options: {
+      rateLimitProfile: 'default'
+    }
+  },
+  {
+    channel: 'learner:save',
+    handlerName: 'handleLearnerSave',
+    options: {
+      rateLimitProfile: 'default'
+    }
+  },
+  {
+    channel: 'learner:set-active',
+    handlerName: 'handleLearnerSetActive',
+    options: {
+      rateLimitProfile: 'default'
+    }
+  },
+  {
+    channel: 'attempt:list',
+    handlerName: 'handleAttemptList',
+    options: {
+      rateLimitProfile: 'default'
+    }
+  },
   {
     channel: 'run-test-scenario',
     handlerName: 'handleRunTestScenario',
@@ -303,6 +338,27 @@ module.exports = [
       rateLimitProfile: 'default'
     }
   },
+  {
+    channel: 'scorm:simulate-lms',
+    handlerName: 'handleSimulateLms',
+    options: {
+      rateLimitProfile: 'default'
+    }
+  },
+  {
+    channel: 'session:export',
+    handlerName: 'handleSessionExport',
+    options: {
+      rateLimitProfile: 'default'
+    }
+  },
+  {
+    channel: 'session:import',
+    handlerName: 'handleSessionImport',
+    options: {
+      rateLimitProfile: 'default'
+    }
+  },
   {
     channel: 'open-external',
     handlerName: 'handleOpenExternal',
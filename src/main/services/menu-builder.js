@@ -44,6 +44,10 @@ class MenuBuilder {
             label: 'Export Session Data...',
             click: () => this.sendMenuAction('menu-export-session')
           },
+          {
+            label: 'Import Session State...',
+            click: () => this.sendMenuAction('menu-import-session')
+          },
           { type: 'separator' },
           {
            label: 'Exit',
@@ -89,6 +93,33 @@ class MenuBuilder {
               {
                 label: 'Connection Lost',
                 click: () => this.sendMenuAction('menu-simulate', 'disconnect')
+              },
+              { type: 'separator' },
+              {
+                label: 'Fault Injection',
+                submenu: [
+                  {
+                    label: 'Fail Commits (391)',
+                    click: () => this.sendMenuAction('menu-fault-injection', 'commit-failure')
+                  },
+                  {
+                    label: 'Slow LMS (2s Latency)',
+                    click: () => this.sendMenuAction('menu-fault-injection', 'slow-lms')
+                  },
+                  {
+                    label: 'Fail 3rd SetValue',
+                    click: () => this.sendMenuAction('menu-fault-injection', 'fail-third-set-value')
+                  },
+                  {
+                    label: 'Drop Persistence',
+                    click: () => this.sendMenuAction('menu-fault-injection', 'drop-persistence')
+                  },
+                  { type: 'separator' },
+                  {
+                    label: 'Clear Faults',
+                    click: () => this.sendMenuAction('menu-fault-injection', null)
+                  }
+                ]
               }
             ]
           },
@@ -250,6 +281,24 @@ class MenuBuilder {
       return;
     }
 
+    // Fault injection is applied to the runtime in the main process
+    if (action === 'menu-fault-injection') {
+      const scormService = this.windowManager.scormService;
+      if (!scormService) {
+        this.logger?.warn('MenuBuilder: ScormService not available for fault injection');
+        return;
+      }
+      const result = scormService.setFaultInjection(data);
+      this.windowManager.broadcastToAllWindows?.('scorm:diagnostic-notification', {
+        type: result.success ? 'warning' : 'error',
+        message: result.success
+          ? (data ? `LMS fault injection enabled: ${data}` : 'LMS fault injection cleared')
+          : `Fault injection failed: ${result.error}`,
+        duration: 5000
+      });
+      return;
+    }
+
     if (mainWindow && !mainWindow.isDestroyed()) {
       // New: also emit a unified 'menu-event' so renderer can handle via a single path
       try { mainWindow.webContents.send('menu-event', { action, data }); } catch (_) { /* intentionally empty */ }
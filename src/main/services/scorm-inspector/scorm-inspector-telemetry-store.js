@@ -39,6 +39,9 @@ class ScormInspectorTelemetryStore {
     
     // Window manager reference for broadcasting
     this.windowManager = null;
+
+    // In-process listeners notified of every recorded change (see onChange)
+    this.changeListeners = new Set();
     
     // Performance tracking
     this.performanceStats = {
@@ -91,6 +94,7 @@ class ScormInspectorTelemetryStore {
       
       // Immediately broadcast to all windows
       this.broadcastToAllWindows('scorm-inspector-data-updated', entry);
+      this.notifyChange('api-call', entry);
 
       // Update performance stats
       const endTime = performance.now();
@@ -175,6 +179,7 @@ class ScormInspectorTelemetryStore {
       if (this.config.enableBroadcast) {
         this.broadcastToAllWindows('scorm-data-model-change', entry);
       }
+      this.notifyChange('data-model-change', entry);
 
       const endTime = performance.now();
       this.performanceStats.totalStoreTime += (endTime - startTime);
@@ -197,7 +202,7 @@ class ScormInspectorTelemetryStore {
    */
   getHistory(options = {}) {
     try {
-      const { limit = 1000, offset = 0, sinceTs = null, methodFilter = null } = options || {};
+      const { limit = 1000, offset = 0, sinceTs = null, methodFilter = null, sessionId = null } = options || {};
       
       this.logger?.debug && this.logger.debug(`[ScormInspectorTelemetryStore] getHistory called. Current history size: ${this.scormApiHistory.length}, options: ${JSON.stringify(options)}`);
       
@@ -215,6 +220,11 @@ class ScormInspectorTelemetryStore {
         filteredHistory = filteredHistory.filter(entry => methods.includes(entry.method));
         this.logger?.debug && this.logger.debug(`[ScormInspectorTelemetryStore] getHistory after methodFilter: ${filteredHistory.length} entries`);
       }
+
+      if (sessionId) {
+        const sid = String(sessionId);
+        filteredHistory = filteredHistory.filter(entry => String(entry.sessionId || '') === sid);
+      }
       
       // Sort newest first, then apply pagination
       filteredHistory.sort((a, b) => (b.timestampMs || b.timestamp || 0) - (a.timestampMs || a.timestamp || 0));
@@ -228,7 +238,7 @@ class ScormInspectorTelemetryStore {
         filteredHistory = filteredHistory.slice(off);
       }
 
-  const dataModelResponse = this.getDataModelHistory({ sinceTs, limit, offset });
+  const dataModelResponse = this.getDataModelHistory({ sinceTs, limit, offset, sessionId });
       
       this.logger?.debug && this.logger.debug(`[ScormInspectorTelemetryStore] getHistory returning ${filteredHistory.length} entries`);
       
@@ -389,6 +399,37 @@ class ScormInspectorTelemetryStore {
     }
   }
 
+  /**
+   * Register a listener for recorded changes. Listeners run synchronously with
+   * (type, entry), where type is 'api-call', 'data-model-change',
+   * 'data-model-cleared' or 'cleared' (entry is omitted for the last two).
+   * @param {Function} listener - Change listener
+   * @returns {Function} Unsubscribe function
+   */
+  onChange(listener) {
+    if (typeof listener !== 'function') return () => {};
+    this.changeListeners.add(listener);
+    return () => this.changeListeners.delete(listener);
+  }
+
+  /**
+   * Notify change listeners; a failing listener never affects recording
+   * @private
+   * @param {string} type - Change type
+   * @param {Object} [entry] - Recorded entry
+   */
+  notifyChange(type, entry) {
+    for (const listener of this.changeListeners) {
+      try {
+        listener(type, entry);
+      } catch (e) {
+        try {
+          this.logger?.warn && this.logger.warn('[ScormInspectorTelemetryStore] Change listener failed', e?.message || e);
+        } catch (_) { /* intentionally empty */ }
+      }
+    }
+  }
+
   /**
    * Set window manager reference for broadcasting
    * @param {Object} windowManager - WindowManager instance
@@ -550,6 +591,7 @@ class ScormInspectorTelemetryStore {
       memoryUsage: 0
     };
     
+    this.notifyChange('cleared');
     this.logger?.info && this.logger.info(`[ScormInspectorTelemetryStore] Cleared ${clearedApiCalls} API calls and ${clearedErrors} errors`);
   }
 
@@ -562,6 +604,7 @@ class ScormInspectorTelemetryStore {
         clearedCount
       });
     }
+    this.notifyChange('data-model-cleared');
     this.logger?.info && this.logger.info(`[ScormInspectorTelemetryStore] Cleared ${clearedCount} data model changes`);
   }
 
@@ -11,8 +11,16 @@
  */
 
 const EventEmitter = require('events');
+const path = require('path');
 const BaseService = require('./base-service');
 const SessionStore = require('./session-store');
+const SharedDataStore = require('./scorm/rte/shared-data-store');
+const {
+  getBuiltInLmsProfiles,
+  loadLmsProfileFile,
+  loadLmsProfilesFromDirectory
+} = require('./scorm/rte/lms-profiles');
+const { FaultInjector } = require('./scorm/rte/fault-injector');
 const { ScormSNService } = require('./scorm/sn/index');
 const { ScormCAMService } = require('./scorm/cam/index'); // Added ScormCAMService
 const BrowseModeService = require('./browse-mode-service');
@@ -21,6 +29,12 @@ const {
   SERVICE_DEFAULTS
 } = require('../../shared/constants/main-process-constants');
 const { MAIN_PROCESS_ERRORS } = require('../../shared/constants/error-codes');
+const {
+  SESSION_EXPORT_FORMAT,
+  SESSION_EXPORT_VERSION,
+  normalizeSessionImport
+} = require('./session-bundle');
+const { normalizeLaunchOptions } = require('../../shared/utils/launch-options');
 
 /**
  * SCORM Service Integration Class
@@ -53,6 +67,13 @@ class ScormService extends BaseService {
     
     // LMS profiles
     this.lmsProfiles = this.initializeLmsProfiles();
+
+    // Faults injected into every session started while set (GUI menu)
+    this.defaultFaults = null;
+
+    // Attempt last used per course and learner ("courseId|learnerId" -> attempt), so
+    // later SCO launches and reloads stay on an attempt chosen explicitly
+    this.learnerAttempts = new Map();
     
     // Active workflows
     this.activeWorkflows = new Map();
@@ -144,13 +165,25 @@ class ScormService extends BaseService {
    * Initialize SCORM session
    * @param {string} sessionId - Session identifier
    * @param {Object} options - Session options
-   * @param {string} options.launchMode - Launch mode ('normal', 'browse', 'review')
-   * @param {boolean} options.forceNew - Force new session (skip resume)
+   * @param {string} options.launchMode - Launch mode ('normal', 'browse', 'review'); review replays the
+   *   learner's last completed attempt with cmi.credit='no-credit' and never persists or rolls up
+   * @param {boolean} options.forceNew - Force new session (skip resume; ignored in review mode)
    * @param {boolean} options.memoryOnlyStorage - Use memory-only storage
+   * @param {string} [options.scormVersion] - Force '1.2' or '2004' runtime
+   * @param {string} [options.schemaVersion] - Manifest schemaversion (defaults to the SN manifest's)
+   * @param {string} [options.lmsProfile] - Id of the LMS profile to emulate from the start
+   * @param {string} [options.learnerId] - Learner to run as (defaults to the namespace's selected learner)
+   * @param {number|string} [options.attempt] - Attempt number to resume, or 'new' to start another attempt
+   *   (defaults to the attempt last used for the learner, then the latest one)
+   * @param {Object} [options.launchOptions] - Learner identity, preferences, launch data and mode
+   *   reported to the content (see shared/utils/launch-options.js); mode overrides launchMode
    * @returns {Promise<Object>} Initialization result
    */
   async initializeSession(sessionId, options = {}) {
     try {
+      const launchOptions = normalizeLaunchOptions(options.launchOptions);
+      const launchMode = launchOptions.mode || options.launchMode || 'normal';
+
       this.logger?.info(`ScormService: Initializing SCORM session: ${sessionId}`, {
         forceNew: options.forceNew || false
       });
@@ -169,16 +202,47 @@ class ScormService extends BaseService {
           reason: 'Maximum sessions exceeded'
         };
       }
+
+      if (options.lmsProfile && !Object.prototype.hasOwnProperty.call(this.lmsProfiles, options.lmsProfile)) {
+        return {
+          success: false,
+          errorCode: '101',
+          reason: `Unknown LMS profile: ${options.lmsProfile}`
+        };
+      }
       
+      // Resolve which learner and attempt this session reads from and saves to
+      // Priority: options.courseId (from MCP) > SN manifest > unknown_course
+      const courseId = options.courseId || this.snService?.sequencingSession?.manifest?.identifier || 'unknown_course';
+      const namespace = this.config.sessionNamespace;
+      const learner = await this.resolveLearner(options.learnerId);
+      const isReview = launchMode === 'review';
+      let reviewAttempt = null;
+      if (isReview) {
+        // Nothing to review is reported to the caller rather than routed as a runtime fault
+        try {
+          reviewAttempt = await this.resolveReviewAttempt(courseId, learner.id, options.attempt);
+        } catch (error) {
+          return { success: false, errorCode: '101', reason: error.message, launchMode };
+        }
+      }
+      const { attempt, isNew: isNewAttempt } = isReview
+        ? { attempt: reviewAttempt, isNew: false }
+        : await this.resolveAttempt(courseId, learner.id, options.attempt);
+
       // Create session metadata
       const session = {
         id: sessionId,
         startTime: new Date(),
         state: 'initialized',
-        lmsProfile: null,
+        lmsProfile: options.lmsProfile ? this.lmsProfiles[options.lmsProfile] : null,
         lastActivity: Date.now(),
-        launchMode: options.launchMode || 'normal',
-        courseId: options.courseId || null // Store courseId for JSON persistence
+        launchMode,
+        courseId: options.courseId || null, // Store courseId for JSON persistence
+        learnerId: learner.id,
+        learner,
+        attempt,
+        launchOptions
       };
       
       this.sessions.set(sessionId, session);
@@ -203,7 +267,8 @@ class ScormService extends BaseService {
             return true;
           },
           getLearnerInfo: () => {
-            return { id: session.lmsProfile?.learnerId || 'unknown', name: session.lmsProfile?.learnerName || 'Learner' };
+            const settings = session.lmsProfile?.settings;
+            return { id: settings?.learnerId || 'unknown', name: settings?.learnerName || 'Learner' };
           }
         };
         
@@ -212,35 +277,60 @@ class ScormService extends BaseService {
         // Configure RTE options with browse mode support
         const rteOptions = {
           strictMode: this.config.strictRteMode,
-          launchMode: options.launchMode || 'normal',
+          launchMode,
           memoryOnlyStorage: options.memoryOnlyStorage || false,
-          browseModeService: this.browseModeService // Pass browse mode service reference
+          browseModeService: this.browseModeService, // Pass browse mode service reference
+          scormVersion: options.scormVersion,
+          schemaVersion: options.schemaVersion || this.snService?.sequencingSession?.manifest?.metadata?.schemaversion,
+          lmsProfile: session.lmsProfile
         };
 
         const rte = new ScormApiHandler(sessionManager, this.logger, rteOptions, telemetryStore, this);
+        session.scormVersion = rte.scormVersion;
+        if (this.defaultFaults) {
+          rte.setFaultInjection(this.defaultFaults);
+        }
 
         // Set sessionId BEFORE Initialize() so registerSession uses the correct ID
         rte.sessionId = sessionId;
 
         // --- HYDRATION: Load JSON if exists, restore only if exit=suspend ---
-        // Priority: options.courseId (from MCP) > SN manifest > unknown_course
-        const courseId = options.courseId || this.snService?.sequencingSession?.manifest?.identifier || 'unknown_course';
-        const namespace = this.config.sessionNamespace;
+        let resumed = false;
 
-        // Skip loading entirely if forceNew flag is set (hard reset)
-        if (!options.forceNew) {
-          const savedData = await this.sessionStore.loadSession(courseId, namespace);
+        // Skip loading entirely if forceNew flag is set (hard reset) or the attempt has just been started;
+        // a review session always loads the attempt it reviews
+        if (isReview || (!options.forceNew && !isNewAttempt)) {
+          const savedData = await this.sessionStore.loadSession(courseId, namespace, { learnerId: learner.id, attempt });
           
-          this.logger?.debug(`ScormService: Loaded saved data for ${courseId}:`, {
+          this.logger?.debug(`ScormService: Loaded saved data for ${courseId} (learner ${learner.id}, attempt ${attempt}):`, {
             hasData: !!savedData,
             hasCoreData: !!savedData?.coreData,
             exit: savedData?.coreData?.['cmi.exit'] || savedData?.coreData?.['cmi.core.exit']
           });
           
           if (savedData && savedData.coreData && rte.dataModel) {
+            const restore = () => {
+              // Restore complete data snapshot - no manipulation, straight restore
+              rte.dataModel.restoreData(savedData);
+              resumed = true;
+              if (savedData.activityOrder && this.snService) {
+                this.snService.restoreActivityOrderState(savedData.activityOrder);
+              }
+              if (savedData.globalObjectives && this.snService) {
+                this.snService.restoreGlobalObjectivesState(savedData.globalObjectives);
+              }
+              if (savedData.activityTree && this.snService?.restoreActivityTreeState) {
+                this.snService.restoreActivityTreeState(savedData.activityTree);
+              }
+            };
+
             // Check exit status from saved data - only resume if suspended
             const exit = savedData.coreData['cmi.exit'] || savedData.coreData['cmi.core.exit'];
-            if (exit === 'suspend') {
+            if (isReview) {
+              // Review shows the attempt as it ended, whatever its exit
+              restore();
+              this.logger?.info(`ScormService: Reviewing attempt ${attempt} of ${courseId} (learner ${learner.id})`);
+            } else if (exit === 'suspend') {
               // BUG FIX: Some courses crash if cmi.entry is 'resume' but cmi.location is empty.
               // If location is missing, we downgrade to ab-initio (by not restoring) to prevent crash.
               // This assumes that if a course suspended, it should have saved a location if it needs one.
@@ -249,10 +339,10 @@ class ScormService extends BaseService {
               
               // We also check suspend_data. If we have suspend_data but no location, it's ambiguous.
               // However, to fix the reported crash, we prioritize safety. 
-              // We allow overriding this safety check via config if needed.
-              if (hasLocation || this.config.allowResumeWithoutLocation) {
-                 // Restore complete data snapshot - no manipulation, straight restore
-                 rte.dataModel.restoreData(savedData);
+              // We allow overriding this safety check via config if needed. Imported
+              // session state was resumed on purpose, so it is exempt.
+              if (hasLocation || this.config.allowResumeWithoutLocation || savedData.imported) {
+                 restore();
                  this.logger?.info(`ScormService: Restored data model from saved session (courseId=${courseId})`);
               } else {
                  this.logger?.warn(`ScormService: Not resuming - exit was 'suspend' but cmi.location is empty (preventing course crash)`);
@@ -274,6 +364,8 @@ class ScormService extends BaseService {
 
         // Initialize RTE session (data model already hydrated if needed)
         try { rte.Initialize(''); } catch (_) { /* intentionally empty */ }
+        this.applyLearnerProfile(rte, learner, !resumed);
+        this.applyLaunchOptions(rte, launchOptions);
         // Subscribe to scorm-api-call-logged events from this RTE instance
         rte.eventEmitter.on('scorm-api-call-logged', (payload) => {
           this.eventEmitter.emit('scorm-api-call-logged', payload);
@@ -297,12 +389,17 @@ class ScormService extends BaseService {
           }
         }
       }
-      
-      
+
+      // Attach mapped objectives and adl.data buckets once the current activity is known
+      await this.attachMappedObjectives(session);
+      await this.attachSharedDataBuckets(session);
+      this.applyDeliverySettings(session);
       
       this.logger?.info(`ScormService: Session ${sessionId} initialized successfully`, {
-        launchMode: options.launchMode || 'normal',
-        browseMode: options.launchMode === 'browse'
+        launchMode,
+        browseMode: launchMode === 'browse',
+        learnerId: learner.id,
+        attempt
       });
       this.recordOperation('initializeSession', true);
 
@@ -323,8 +420,11 @@ class ScormService extends BaseService {
         success: true,
         errorCode: '0',
         sessionId: sessionId,
-        launchMode: options.launchMode || 'normal',
-        browseMode: options.launchMode === 'browse',
+        launchMode,
+        browseMode: launchMode === 'browse',
+        scormVersion: session.scormVersion || '2004',
+        learnerId: learner.id,
+        attempt,
         initialData
       };
       
@@ -367,6 +467,7 @@ class ScormService extends BaseService {
       const rte = this.rteInstances.get(sessionId);
       let value = '';
       let errorCode = '0';
+      await this.delayApiResponse(session, rte, 'GetValue');
       try {
         if (rte && typeof rte.GetValue === 'function') {
           // Delegate to RTE and use its error state
@@ -429,6 +530,7 @@ class ScormService extends BaseService {
       const rte = this.rteInstances.get(sessionId);
       let success = false;
       let errorCode = '0';
+      await this.delayApiResponse(session, rte, 'SetValue');
       try {
         if (rte && typeof rte.SetValue === 'function') {
           const res = rte.SetValue(element, String(value));
@@ -456,6 +558,11 @@ class ScormService extends BaseService {
       
       // Process special elements (ensure SN updates still happen)
       await this.processSpecialElement(session, element, value);
+
+      // The RTE already auto-committed; mirror a Commit's persistence
+      if (success && rte?.lmsProfile?.settings.commitOnEverySet) {
+        await this.persistSessionState(session, rte);
+      }
       
       this.recordOperation('setValue', success);
       return { success, errorCode };
@@ -493,6 +600,9 @@ class ScormService extends BaseService {
       const rte = this.rteInstances.get(sessionId);
       let success = true;
       let errorCode = '0';
+
+      await this.delayApiResponse(session, rte, 'Commit');
+
       try {
         if (rte && typeof rte.Commit === 'function') {
           const res = rte.Commit('');
@@ -516,22 +626,9 @@ class ScormService extends BaseService {
       // Log API call with authoritative error
       this.logApiCall(session, 'Commit', '', '', errorCode);
 
-      // --- PERSISTENCE LOGIC START ---
       if (success) {
-          const courseId = this.snService?.sequencingSession?.manifest?.identifier || 'unknown_course';
-          const namespace = this.config.sessionNamespace;
-          let data = {};
-          if (rte && rte.dataModel && typeof rte.dataModel.getAllData === 'function') {
-              const allData = rte.dataModel.getAllData();
-              // Save the complete data structure (coreData + collections) for proper restoration
-              data = allData;
-          }
-          // Save session data - await to prevent race conditions with terminate()
-          await this.sessionStore.saveSession(courseId, data, namespace).catch(err => {
-              this.logger?.error(`ScormService: Failed to persist session data for ${courseId} (namespace: ${namespace}):`, err);
-          });
+        await this.persistSessionState(session, rte);
       }
-      // --- PERSISTENCE LOGIC END ---
       
       this.recordOperation('commit', success);
       return { success, errorCode };
@@ -576,6 +673,7 @@ class ScormService extends BaseService {
 
       // Get RTE reference BEFORE calling Terminate (which will unregister it)
       const rte = this.rteInstances.get(sessionId);
+      await this.delayApiResponse(session, rte, 'Terminate');
 
       // Perform RTE termination if present
       let rteSuccess = true;
@@ -588,15 +686,24 @@ class ScormService extends BaseService {
         this.logger?.warn(`ScormService: RTE Terminate failed for session ${sessionId}: ${e?.message || e}`);
         rteSuccess = false;
       }
+      if (rteSuccess) {
+        this.reportFinalStatusToSN(rte);
+      }
 
       // Always save complete data model state to disk (resume logic checks cmi.exit on next init)
       // Priority: session.courseId (from MCP) > SN manifest > unknown_course
       const courseId = session.courseId || this.snService?.sequencingSession?.manifest?.identifier || 'unknown_course';
       const namespace = this.config.sessionNamespace;
       
-      if (rte?.dataModel) {
-        const allData = rte.dataModel.getAllData();
-        await this.sessionStore.saveSession(courseId, allData, namespace);
+      if (rte?.faultInjector?.shouldDropPersistence()) {
+        this.logger?.warn(`ScormService: Session ${sessionId} terminated - persistence dropped by fault injection`);
+      } else if (session.launchMode === 'review') {
+        this.logger?.info(`ScormService: Session ${sessionId} terminated - review session, reviewed attempt left unchanged`);
+      } else if (rte?.dataModel) {
+        await this.writeMappedObjectives(session, rte);
+        const allData = this.buildPersistedSessionData(rte);
+        await this.sessionStore.saveSession(courseId, allData, namespace, this.getSessionStoreScope(session));
+        await this.saveSharedDataBuckets(session, rte);
         this.logger?.info(`ScormService: Session ${sessionId} terminated - data model saved to disk`);
       }
 
@@ -794,6 +901,432 @@ class ScormService extends BaseService {
      return this.sessions.get(sessionId) || null;
    }
 
+  /**
+   * Hold an API response back to emulate a slow LMS: injected fault latency
+   * applies to every call, the profile's commit latency to Commit only
+   * @private
+   * @param {Object} session - Session object
+   * @param {ScormApiHandler} rte - Session RTE handler
+   * @param {string} method - SCORM API method being answered
+   */
+  async delayApiResponse(session, rte, method) {
+    let delayMs = rte?.getFaultLatencyMs?.() || 0;
+    if (method === 'Commit') {
+      delayMs += session.lmsProfile?.settings.commitLatencyMs || 0;
+    }
+    if (delayMs > 0) {
+      await new Promise(resolve => setTimeout(resolve, delayMs));
+    }
+  }
+
+  /**
+   * Configure simulated LMS faults
+   * @param {Object|string|null} faults - Fault settings, a preset name, or null to clear
+   * @param {string} [sessionId] - Only this session; otherwise every open session and those started later
+   * @returns {Object} Result with the fault state per session
+   */
+  setFaultInjection(faults, sessionId = null) {
+    try {
+      const targets = sessionId ? [sessionId] : Array.from(this.rteInstances.keys());
+      if (sessionId && !this.rteInstances.has(sessionId)) {
+        return { success: false, error: 'Session not found' };
+      }
+
+      // Normalizing first also rejects unknown presets when no session is open
+      const normalized = new FaultInjector().configure(faults || {});
+      const states = {};
+      for (const id of targets) {
+        states[id] = this.rteInstances.get(id).setFaultInjection(faults || {});
+      }
+      if (!sessionId) {
+        this.defaultFaults = faults || null;
+      }
+
+      // The GUI's SCORM API answers the content synchronously in the renderer, so it mirrors the faults
+      const windowManager = this.getDependency('windowManager');
+      windowManager?.broadcastToAllWindows?.('scorm:fault-injection', {
+        sessionId,
+        faults: normalized.active ? normalized : null
+      });
+
+      this.logger?.info(`ScormService: Fault injection ${faults ? 'configured' : 'cleared'} for ${sessionId || 'all sessions'}`);
+      this.recordOperation('setFaultInjection', true);
+      return { success: true, faults: states };
+    } catch (error) {
+      this.logger?.error('ScormService: Set fault injection failed:', error);
+      this.recordOperation('setFaultInjection', false);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Get the simulated LMS faults per session
+   * @param {string} [sessionId] - Only this session
+   * @returns {Object} Fault state per session and the default for new sessions
+   */
+  getFaultInjection(sessionId = null) {
+    const faults = {};
+    for (const [id, rte] of this.rteInstances) {
+      if (!sessionId || id === sessionId) {
+        faults[id] = rte.getFaultInjection();
+      }
+    }
+    return { success: true, faults, defaultFaults: this.defaultFaults };
+  }
+
+  /**
+   * Persist a committed session: mapped objectives, the session JSON and
+   * shared data buckets
+   * @private
+   * @param {Object} session - Session object
+   * @param {ScormApiHandler} rte - Session RTE handler
+   */
+  async persistSessionState(session, rte) {
+    if (rte?.faultInjector?.shouldDropPersistence()) {
+      this.logger?.warn(`ScormService: Commit for session ${session.id} not persisted (fault injection)`);
+      return;
+    }
+    if (session.launchMode === 'review') {
+      this.logger?.debug(`ScormService: Commit for review session ${session.id} not persisted`);
+      return;
+    }
+    await this.writeMappedObjectives(session, rte);
+    // Same key initializeSession loads from and terminate saves to
+    const courseId = session.courseId || this.snService?.sequencingSession?.manifest?.identifier || 'unknown_course';
+    const namespace = this.config.sessionNamespace;
+    let data = {};
+    if (rte && rte.dataModel && typeof rte.dataModel.getAllData === 'function') {
+      // Save the complete data structure (coreData + collections) for proper restoration
+      data = this.buildPersistedSessionData(rte);
+    }
+    // Save session data - await to prevent race conditions with terminate()
+    await this.sessionStore.saveSession(courseId, data, namespace, this.getSessionStoreScope(session)).catch(err => {
+      this.logger?.error(`ScormService: Failed to persist session data for ${courseId} (namespace: ${namespace}):`, err);
+    });
+    await this.saveSharedDataBuckets(session, rte);
+  }
+
+  /**
+   * Build the JSON persisted for a session: the RTE data model plus the
+   * SN child order chosen by selection/randomization controls
+   * @param {ScormApiHandler} rte - Session RTE handler
+   * @returns {Object} Data to hand to the session store
+   */
+  buildPersistedSessionData(rte) {
+    const data = rte.dataModel.getAllData();
+    const activityOrder = this.snService?.getActivityOrderState?.();
+    if (activityOrder && Object.keys(activityOrder).length > 0) {
+      data.activityOrder = activityOrder;
+    }
+    const globalObjectives = this.snService?.getGlobalObjectivesState?.();
+    if (globalObjectives && Object.keys(globalObjectives).length > 0) {
+      data.globalObjectives = globalObjectives;
+    }
+    return data;
+  }
+
+  /**
+   * Get the SessionStore key for the learner's system-wide global objectives
+   * @private
+   * @param {Object} session - Session object
+   * @returns {string} Store key
+   */
+  getGlobalObjectivesKey(session) {
+    const learnerId = this.getProfileLearnerId(session) || session?.lmsProfile?.settings.learnerId;
+    return `global-objectives_${learnerId ? SessionStore.encodeLearnerId(learnerId) : 'unknown'}`;
+  }
+
+  /**
+   * Get the learner profile id a session runs as, unless it is the default learner
+   * @private
+   * @param {Object} session - Session object
+   * @returns {string|null} Learner id, or null for the default learner
+   */
+  getProfileLearnerId(session) {
+    return session?.learnerId && session.learnerId !== SessionStore.DEFAULT_LEARNER_ID ? session.learnerId : null;
+  }
+
+  /**
+   * Get the SessionStore scope (learner and attempt) a session persists to
+   * @private
+   * @param {Object} session - Session object
+   * @returns {{learnerId: string, attempt: number}} Store scope
+   */
+  getSessionStoreScope(session) {
+    return { learnerId: session?.learnerId || SessionStore.DEFAULT_LEARNER_ID, attempt: session?.attempt || 1 };
+  }
+
+  /**
+   * Resolve the learner profile for a new session. Unknown ids run as an
+   * unsaved profile named after the id.
+   * @private
+   * @param {string} [learnerId] - Requested learner (defaults to the namespace's selected learner)
+   * @returns {Promise<Object>} Learner profile
+   */
+  async resolveLearner(learnerId) {
+    const id = learnerId || await this.sessionStore.getActiveLearnerId(this.config.sessionNamespace);
+    return await this.sessionStore.getLearner(id) || { id, name: id, preferences: {} };
+  }
+
+  /**
+   * Resolve the attempt a new session uses
+   * @private
+   * @param {string} courseId - Course identifier
+   * @param {string} learnerId - Learner identifier
+   * @param {number|string} [requested] - Attempt number, 'new', or undefined for the current attempt
+   * @returns {Promise<{attempt: number, isNew: boolean}>} Attempt and whether it has no saved data yet
+   */
+  async resolveAttempt(courseId, learnerId, requested) {
+    const key = `${courseId}|${learnerId}`;
+    const latest = await this.sessionStore.getLatestAttempt(courseId, this.config.sessionNamespace, learnerId);
+    let attempt;
+    if (requested === 'new') {
+      attempt = latest + 1;
+    } else if (requested === undefined || requested === null) {
+      // Ignore a remembered attempt whose saved data has since been deleted
+      const remembered = this.learnerAttempts.get(key);
+      attempt = remembered && remembered <= latest + 1 ? remembered : (latest || 1);
+    } else {
+      attempt = Number(requested);
+      if (!Number.isInteger(attempt) || attempt < 1 || attempt > Math.max(latest, 1)) {
+        throw new Error(`Attempt ${requested} does not exist for learner ${learnerId} (latest attempt: ${latest})`);
+      }
+    }
+
+    this.learnerAttempts.set(key, attempt);
+    return { attempt, isNew: attempt > latest };
+  }
+
+  /**
+   * Resolve the attempt a review session replays: the requested attempt, or
+   * the learner's last completed one. An attempt counts as completed when it
+   * saved a completed (or SCORM 1.2 passed/failed) status or a passed/failed
+   * success status. Unlike resolveAttempt this never changes the attempt
+   * later launches use.
+   * @private
+   * @param {string} courseId - Course identifier
+   * @param {string} learnerId - Learner identifier
+   * @param {number|string} [requested] - Attempt number, or undefined for the last completed attempt
+   * @returns {Promise<number>} Attempt to review
+   * @throws {Error} When there is no such attempt
+   */
+  async resolveReviewAttempt(courseId, learnerId, requested) {
+    const attempts = await this.sessionStore.listAttempts(courseId, this.config.sessionNamespace, learnerId);
+    if (requested !== undefined && requested !== null) {
+      const match = attempts.find(entry => entry.attempt === Number(requested));
+      if (!match) {
+        throw new Error(`Attempt ${requested} does not exist for learner ${learnerId} and cannot be reviewed`);
+      }
+      return match.attempt;
+    }
+
+    // SCORM 1.2 reports completion through lesson_status; a SCORM 2004 SCO
+    // may record only whether the learner passed
+    const completed = attempts.filter(entry => ['completed', 'passed', 'failed'].includes(entry.completionStatus)
+      || ['passed', 'failed'].includes(entry.successStatus));
+    if (completed.length === 0) {
+      throw new Error(`No completed attempt to review for learner ${learnerId}`);
+    }
+    return completed[completed.length - 1].attempt;
+  }
+
+  /**
+   * Report the session's learner through the data model. Preferences only
+   * seed new attempts; a resumed attempt keeps the preferences it saved.
+   * @private
+   * @param {ScormApiHandler} rte - Session RTE handler
+   * @param {Object} learner - Learner profile
+   * @param {boolean} seedPreferences - Whether to apply the profile's preferences
+   */
+  applyLearnerProfile(rte, learner, seedPreferences) {
+    if (!rte?.dataModel) {
+      return;
+    }
+    if (learner.id !== SessionStore.DEFAULT_LEARNER_ID) {
+      rte.dataModel.setLearnerInfo({ id: learner.id, name: learner.name });
+    }
+    if (seedPreferences && typeof rte.dataModel.setLearnerPreferences === 'function') {
+      rte.dataModel.setLearnerPreferences(learner.preferences);
+    }
+  }
+
+  /**
+   * Report the launch options chosen for the session. Unlike profile
+   * preferences they are applied on resume too, so a launch can be repeated
+   * with another language or audio setting.
+   * @private
+   * @param {ScormApiHandler} rte - Session RTE handler
+   * @param {Object} launchOptions - Normalized launch options
+   */
+  applyLaunchOptions(rte, launchOptions) {
+    if (!rte?.dataModel) {
+      return;
+    }
+    if (launchOptions.learnerId || launchOptions.learnerName) {
+      rte.dataModel.setLearnerInfo({ id: launchOptions.learnerId, name: launchOptions.learnerName });
+    }
+    if (launchOptions.preferences) {
+      rte.dataModel.setLearnerPreferences(launchOptions.preferences);
+    }
+    if (launchOptions.launchData !== undefined) {
+      rte.dataModel.setLaunchData(launchOptions.launchData);
+    }
+  }
+
+  /**
+   * Initialize the SCO's cmi.objectives from the global objectives its
+   * activity reads (mapInfo), loading the learner's system-wide objectives first
+   * @private
+   * @param {Object} session - Session object
+   */
+  async attachMappedObjectives(session) {
+    const rte = this.rteInstances.get(session.id);
+    if (!rte?.dataModel?.seedObjectives || session.scormVersion === '1.2' || !this.snService?.readMappedObjectives) {
+      return;
+    }
+
+    try {
+      if (this.snService.isObjectivesGlobalToSystem()) {
+        const saved = await this.sessionStore.loadSession(this.getGlobalObjectivesKey(session), this.config.sessionNamespace);
+        if (saved?.objectives) {
+          this.snService.restoreGlobalObjectivesState(saved.objectives);
+        }
+      }
+
+      const { activityId, objectives } = this.snService.readMappedObjectives();
+      if (objectives.length > 0) {
+        rte.dataModel.seedObjectives(objectives);
+        this.logger?.debug(`ScormService: Initialized ${objectives.length} objective(s) for ${activityId} from global objectives`);
+      }
+    } catch (error) {
+      this.logger?.warn(`ScormService: Failed to read mapped objectives: ${error?.message || error}`);
+    }
+  }
+
+  /**
+   * Hand the current activity's delivery controls, completion threshold and
+   * scaled passing score to the session's RTE
+   * @private
+   * @param {Object} session - Session object
+   */
+  applyDeliverySettings(session) {
+    const rte = this.rteInstances.get(session.id);
+    if (!rte?.applyDeliverySettings || !this.snService?.getActivityDeliverySettings) {
+      return;
+    }
+
+    try {
+      const settings = this.snService.getActivityDeliverySettings();
+      if (settings) {
+        rte.applyDeliverySettings(settings);
+        this.logger?.debug(`ScormService: Applied delivery settings of ${settings.activityId}`, settings);
+      }
+    } catch (error) {
+      this.logger?.warn(`ScormService: Failed to apply delivery settings: ${error?.message || error}`);
+    }
+  }
+
+  /**
+   * Report the statuses settled by the RTE on Terminate, and the session time, to the sequencer
+   * @private
+   * @param {Object} rte - Terminated RTE handler
+   */
+  reportFinalStatusToSN(rte) {
+    const activityId = rte?.deliverySettings?.activityId;
+    if (!activityId || !rte.isTracked() || rte.isScorm12() || rte.isReviewMode() || !this.snService) {
+      return;
+    }
+
+    const success = rte.dataModel.getSuccessStatus();
+    const progressData = {
+      completed: rte.dataModel.getCompletionStatus() === 'completed',
+      sessionTime: rte.dataModel.getProgressSnapshot().sessionTime
+    };
+    if (success === 'passed' || success === 'failed') {
+      progressData.satisfied = success === 'passed';
+    }
+    const result = this.snService.updateActivityProgress(activityId, progressData);
+    if (!result.success) {
+      this.logger?.warn(`ScormService: SN final status update failed: ${result.reason}`);
+    }
+  }
+
+  /**
+   * Write the SCO's objective values to mapped global objectives and persist
+   * them for the learner when objectives are global to the system
+   * @private
+   * @param {Object} session - Session object
+   * @param {Object} rte - RTE handler for the session
+   */
+  async writeMappedObjectives(session, rte) {
+    if (!rte?.dataModel?.getObjectivesData || session?.scormVersion === '1.2' || !this.snService?.writeMappedObjectives) {
+      return;
+    }
+
+    try {
+      const { written } = this.snService.writeMappedObjectives(null, {
+        successStatus: rte.dataModel.getSuccessStatus(),
+        scaled: rte.dataModel.getScoreInfo().scaled,
+        objectives: rte.dataModel.getObjectivesData()
+      });
+
+      if (written > 0 && this.snService.isObjectivesGlobalToSystem()) {
+        await this.sessionStore.saveSession(this.getGlobalObjectivesKey(session), {
+          objectives: this.snService.getGlobalObjectivesState()
+        }, this.config.sessionNamespace);
+      }
+    } catch (error) {
+      this.logger?.warn(`ScormService: Failed to write mapped objectives: ${error?.message || error}`);
+    }
+  }
+
+  /**
+   * Load the learner's shared data buckets for the current SCO's data maps
+   * and expose them through the session's adl.data collection
+   * @private
+   * @param {Object} session - Session object
+   */
+  async attachSharedDataBuckets(session) {
+    const rte = this.rteInstances.get(session.id);
+    if (!rte?.dataModel?.setSharedData || session.scormVersion === '1.2' || !this.snService) {
+      return;
+    }
+
+    try {
+      const context = this.snService.getSharedDataContext();
+      if (!context.maps.length) {
+        return;
+      }
+
+      const courseId = session.courseId || this.snService.sequencingSession?.manifest?.identifier;
+      const learnerId = this.getProfileLearnerId(session);
+      const scope = SharedDataStore.getScopeKey(courseId, context.globalToSystem, learnerId && SessionStore.encodeLearnerId(learnerId));
+      await this.sharedDataStore.load(scope, this.config.sessionNamespace);
+      rte.dataModel.setSharedData(this.sharedDataStore.getBuckets(scope, context.maps));
+      session.sharedDataScope = scope;
+
+      this.logger?.debug(`ScormService: Attached ${context.maps.length} shared data bucket(s) to ${context.activityId} (${scope})`);
+    } catch (error) {
+      this.logger?.warn(`ScormService: Failed to attach shared data buckets: ${error?.message || error}`);
+    }
+  }
+
+  /**
+   * Write back shared data buckets modified by the SCO
+   * @private
+   * @param {Object} session - Session object
+   * @param {Object} rte - RTE handler for the session
+   */
+  async saveSharedDataBuckets(session, rte) {
+    if (!session?.sharedDataScope || !rte?.dataModel?.getSharedData) {
+      return;
+    }
+
+    if (this.sharedDataStore.update(session.sharedDataScope, rte.dataModel.getSharedData())) {
+      await this.sharedDataStore.persist(session.sharedDataScope, this.config.sessionNamespace);
+    }
+  }
+
   /**
    * Reset session
    * @param {string} sessionId - Session identifier
@@ -836,24 +1369,18 @@ class ScormService extends BaseService {
       }
       
       const profile = this.lmsProfiles[profileName] || this.lmsProfiles.generic;
-      
-      // Apply profile settings
-      const dataSettings = Object.keys(profile.settings)
-        .filter(key => !['strictValidation', 'maxSuspendDataLength', 'commitOnEverySet'].includes(key))
-        .reduce((obj, key) => {
-          obj[key] = profile.settings[key];
-          return obj;
-        }, {});
-      
-      Object.assign(session.data, dataSettings);
       session.lmsProfile = profile;
-      
-      
-      
+
+      // Switch the live runtime over; learner details are injected immediately
+      const rte = this.rteInstances.get(sessionId);
+      if (rte && typeof rte.applyLmsProfile === 'function') {
+        rte.applyLmsProfile(profile);
+      }
+
       this.logger?.info(`ScormService: Applied LMS profile ${profile.name} to session ${sessionId}`);
       this.recordOperation('applyLmsProfile', true);
       
-      return { success: true, profile: profile.name };
+      return { success: true, profile: profile.name, profileId: profile.id };
       
     } catch (error) {
       this.logger?.error('ScormService: Apply LMS profile failed:', error);
@@ -870,6 +1397,8 @@ class ScormService extends BaseService {
     return Object.keys(this.lmsProfiles).map(key => ({
       id: key,
       name: this.lmsProfiles[key].name,
+      description: this.lmsProfiles[key].description,
+      source: this.lmsProfiles[key].source,
       settings: this.lmsProfiles[key].settings
     }));
   }
@@ -935,6 +1464,8 @@ class ScormService extends BaseService {
     // Initialize SessionStore
     this.sessionStore = new SessionStore(this.errorHandler, this.logger);
     await this.sessionStore.initialize();
+    this.sharedDataStore = new SharedDataStore(this.sessionStore, this.logger);
+    this.loadUserLmsProfiles();
 
     // Initialize CAM service
     this.camService = new ScormCAMService(this.errorHandler, this.logger);
@@ -950,7 +1481,8 @@ class ScormService extends BaseService {
     this.snService = new ScormSNService(this.errorHandler, this.logger, {
       enableGlobalObjectives: this.config.enableGlobalObjectives,
       enableRollupProcessing: this.config.enableRollupProcessing,
-      maxSequencingDepth: this.config.maxSequencingDepth
+      maxSequencingDepth: this.config.maxSequencingDepth,
+      randomSeed: this.config.randomSeed
     }, this.browseModeService, this); // Pass reference to ScormService for IPC access
 
     // Set up browse mode event handlers
@@ -970,59 +1502,288 @@ class ScormService extends BaseService {
   /**
    * Initialize LMS profiles
    * @private
-   * @returns {Object} LMS profiles configuration
+   * @returns {Object} Built-in LMS profiles keyed by id
    */
   initializeLmsProfiles() {
-    return {
-      litmos: {
-        name: 'Litmos LMS',
-        settings: {
-          'cmi.core.student_name': 'Test Learner',
-          'cmi.core.student_id': 'learner123',
-          'cmi.launch_data': '',
-          'cmi.core.lesson_mode': 'normal',
-          strictValidation: true,
-          maxSuspendDataLength: 4096,
-          commitOnEverySet: true
-        }
-      },
-      moodle: {
-        name: 'Moodle',
-        settings: {
-          'cmi.core.student_name': 'Test User',
-          'cmi.core.student_id': 'user123',
-          'cmi.launch_data': '',
-          'cmi.core.lesson_mode': 'normal',
-          strictValidation: false,
-          maxSuspendDataLength: 65536,
-          commitOnEverySet: false
-        }
-      },
-      scormcloud: {
-        name: 'SCORM Cloud',
-        settings: {
-          'cmi.core.student_name': 'Test Student',
-          'cmi.core.student_id': 'student_001',
-          'cmi.launch_data': '',
-          'cmi.core.lesson_mode': 'normal',
-          strictValidation: true,
-          maxSuspendDataLength: 65536,
-          commitOnEverySet: false
+    return getBuiltInLmsProfiles();
+  }
+
+  /**
+   * Load user-defined LMS profiles from the profiles directory
+   * (config.lmsProfilesDir, defaulting to "lms-profiles" next to the session store)
+   * @private
+   * @returns {Array<{file: string, error: string}>} Files that could not be loaded
+   */
+  loadUserLmsProfiles() {
+    const dir = this.config.lmsProfilesDir
+      || (this.sessionStore?.storePath ? path.join(path.dirname(this.sessionStore.storePath), 'lms-profiles') : null);
+    const { profiles, errors } = loadLmsProfilesFromDirectory(dir, this.logger);
+    for (const profile of profiles) {
+      this.lmsProfiles[profile.id] = profile;
+    }
+    if (profiles.length > 0) {
+      this.logger?.info(`ScormService: Loaded ${profiles.length} user LMS profile(s) from ${dir}`);
+    }
+    return errors;
+  }
+
+  /**
+   * Import LMS profiles from a user-defined JSON file
+   * @param {string} filePath - Profile JSON file (one profile or an array)
+   * @returns {Object} Import result with the imported profile ids
+   */
+  importLmsProfiles(filePath) {
+    try {
+      const profiles = loadLmsProfileFile(filePath);
+      for (const profile of profiles) {
+        this.lmsProfiles[profile.id] = profile;
+      }
+      this.logger?.info(`ScormService: Imported LMS profile(s) ${profiles.map(p => p.id).join(', ')} from ${filePath}`);
+      this.recordOperation('importLmsProfiles', true);
+      return { success: true, profiles: profiles.map(p => p.id) };
+    } catch (error) {
+      this.logger?.error(`ScormService: Import LMS profiles failed for ${filePath}:`, error);
+      this.recordOperation('importLmsProfiles', false);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Get the identifier of the course loaded for sequencing
+   * @returns {string|null} Manifest identifier, or null when no course is loaded
+   */
+  getLoadedCourseId() {
+    return this.snService?.sequencingSession?.manifest?.identifier || null;
+  }
+
+  /**
+   * List learner profiles and the learner new sessions run as
+   * @returns {Promise<Object>} Result with learners and activeLearnerId
+   */
+  async getLearners() {
+    try {
+      const learners = await this.sessionStore.listLearners();
+      const activeLearnerId = await this.sessionStore.getActiveLearnerId(this.config.sessionNamespace);
+      return { success: true, learners, activeLearnerId };
+    } catch (error) {
+      this.logger?.error('ScormService: Failed to list learners:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Create or update a learner profile
+   * @param {Object} profile - Learner profile ({ id, name, preferences })
+   * @returns {Promise<Object>} Result with the saved learner
+   */
+  async saveLearner(profile) {
+    try {
+      const learner = await this.sessionStore.saveLearner(profile);
+      this.recordOperation('saveLearner', true);
+      return { success: true, learner };
+    } catch (error) {
+      this.logger?.error('ScormService: Failed to save learner:', error);
+      this.recordOperation('saveLearner', false);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Select the learner that new sessions run as. The running session keeps
+   * its learner until the course is reloaded.
+   * @param {string} learnerId - Learner identifier
+   * @returns {Promise<Object>} Result with the selected learner
+   */
+  async setActiveLearner(learnerId) {
+    try {
+      const learner = await this.sessionStore.setActiveLearner(learnerId, this.config.sessionNamespace);
+      this.logger?.info(`ScormService: Active learner set to ${learner.id}`);
+      return { success: true, learner };
+    } catch (error) {
+      this.logger?.error('ScormService: Failed to set active learner:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * List the stored attempts of the current course for the learner of the
+   * running session (or the selected learner when no session is running)
+   * @param {string} [courseId] - Course identifier (defaults to the loaded course)
+   * @returns {Promise<Object>} Result with learnerId, attempts and currentAttempt
+   */
+  async getAttempts(courseId = null) {
+    try {
+      const session = Array.from(this.sessions.values()).pop() || null;
+      const id = courseId || session?.courseId || this.snService?.sequencingSession?.manifest?.identifier;
+      if (!id) {
+        return { success: false, error: 'No course loaded' };
+      }
+      const learnerId = session?.learnerId || await this.sessionStore.getActiveLearnerId(this.config.sessionNamespace);
+      const attempts = await this.sessionStore.listAttempts(id, this.config.sessionNamespace, learnerId);
+      return { success: true, courseId: id, learnerId, attempts, currentAttempt: session?.attempt || null };
+    } catch (error) {
+      this.logger?.error('ScormService: Failed to list attempts:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Build a session export bundle: the full data model, the API call
+   * timeline, the activity tree tracking state and the global objectives
+   * @param {string} [sessionId] - Session to export (defaults to the most recent session)
+   * @returns {Object} Result with the bundle
+   */
+  exportSessionData(sessionId = null) {
+    try {
+      const session = sessionId ? this.sessions.get(sessionId) : Array.from(this.sessions.values()).pop();
+      const rte = session ? this.rteInstances.get(session.id) : null;
+      if (!rte?.dataModel) {
+        return { success: false, error: sessionId ? 'Session not found' : 'No active session to export' };
+      }
+
+      // Telemetry holds every session, newest first; the bundle reads as this session's timeline
+      const telemetryStore = this.getDependency && this.getDependency('telemetryStore');
+      const history = telemetryStore?.getHistory?.({ limit: null, sessionId: session.id }) || {};
+      const chronological = (entries) => (entries || []).slice().sort((a, b) => (a.timestampMs || 0) - (b.timestampMs || 0));
+
+      const bundle = {
+        format: SESSION_EXPORT_FORMAT,
+        version: SESSION_EXPORT_VERSION,
+        exportedAt: new Date().toISOString(),
+        course: {
+          courseId: session.courseId || this.snService?.sequencingSession?.manifest?.identifier || 'unknown_course'
+        },
+        session: {
+          id: session.id,
+          scormVersion: session.scormVersion,
+          learnerId: session.learnerId,
+          attempt: session.attempt,
+          launchMode: session.launchMode,
+          startTime: session.startTime
+        },
+        dataModel: rte.dataModel.getAllData(),
+        apiTimeline: chronological(history.history),
+        dataModelChanges: chronological(history.dataModelChanges),
+        activityTree: this.snService?.getActivityTreeState?.() || null,
+        globalObjectives: this.snService?.getGlobalObjectivesState?.() || {}
+      };
+
+      this.recordOperation('exportSessionData', true);
+      return { success: true, bundle };
+    } catch (error) {
+      this.logger?.error('ScormService: Session export failed:', error);
+      this.recordOperation('exportSessionData', false);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Save imported session state as a new attempt of the course and make it
+   * the attempt the next launch uses, so the course starts with cmi.entry=resume
+   * @param {string|Object} input - Export bundle, saved session or cmi.* map (see session-bundle.js)
+   * @param {Object} [options]
+   * @param {string} [options.courseId] - Course identifier (defaults to the loaded course)
+   * @param {string} [options.learnerId] - Learner the attempt belongs to (defaults to the active learner)
+   * @returns {Promise<Object>} Result with the course, learner and attempt written
+   */
+  async importSessionState(input, options = {}) {
+    try {
+      const courseId = options.courseId || this.snService?.sequencingSession?.manifest?.identifier;
+      if (!courseId) {
+        return { success: false, error: 'No course loaded to import session state into' };
+      }
+
+      const running = Array.from(this.sessions.values()).filter(s => !options.courseId || s.courseId === courseId).pop();
+      const { data, scormVersion, rejected } = normalizeSessionImport(input, {
+        scormVersion: running?.scormVersion,
+        logger: this.logger
+      });
+
+      const namespace = this.config.sessionNamespace;
+      const learner = await this.resolveLearner(options.learnerId);
+      const attempt = await this.sessionStore.getLatestAttempt(courseId, namespace, learner.id) + 1;
+      const saved = await this.sessionStore.saveSession(courseId, data, namespace, { learnerId: learner.id, attempt });
+      if (!saved) {
+        return { success: false, error: 'Failed to save the imported session state' };
+      }
+      this.learnerAttempts.set(`${courseId}|${learner.id}`, attempt);
+
+      if (rejected.length > 0) {
+        this.logger?.warn(`ScormService: Import skipped ${rejected.length} value(s) the data model rejected`, rejected.map(r => r.element));
+      }
+      this.logger?.info(`ScormService: Imported session state for ${courseId} as attempt ${attempt} of learner ${learner.id}`);
+      this.recordOperation('importSessionState', true);
+      return { success: true, courseId, learnerId: learner.id, attempt, scormVersion, rejected };
+    } catch (error) {
+      this.logger?.error('ScormService: Session import failed:', error);
+      this.recordOperation('importSessionState', false);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Perform an LMS-side transition on a running session and record it in
+   * the API timeline:
+   * - suspend: cmi.exit becomes 'suspend' and the session terminates, so the next launch resumes
+   * - complete: the SCO is recorded as completed and the data committed
+   * - disconnect: the LMS connection drops; commits fail and nothing more is persisted
+   * @param {string} behavior - 'suspend', 'complete' or 'disconnect'
+   * @param {string} [sessionId] - Session (defaults to the most recent session)
+   * @returns {Promise<Object>} Result with a description of what happened
+   */
+  async simulateLmsBehavior(behavior, sessionId = null) {
+    try {
+      const session = sessionId ? this.sessions.get(sessionId) : Array.from(this.sessions.values()).pop();
+      const rte = session ? this.rteInstances.get(session.id) : null;
+      if (!rte?.dataModel) {
+        return { success: false, error: sessionId ? 'Session not found' : 'No active session' };
+      }
+
+      const isScorm12 = session.scormVersion === '1.2';
+      const setByLms = async (element, value) => {
+        rte.dataModel._setInternalValue(element, value);
+        await this.processSpecialElement(session, element, value);
+      };
+
+      let message;
+      switch (behavior) {
+        case 'suspend': {
+          await setByLms(isScorm12 ? 'cmi.core.exit' : 'cmi.exit', 'suspend');
+          message = 'Session suspended; relaunch the course to resume';
+          this.logApiCall(session, 'Simulate', behavior, message, '0');
+          const result = await this.terminate(session.id);
+          if (!result.success) {
+            return { success: false, error: result.reason || 'Terminate failed' };
+          }
+          break;
         }
-      },
-      generic: {
-        name: 'Generic LMS',
-        settings: {
-          'cmi.core.student_name': 'Test User',
-          'cmi.core.student_id': 'test_001',
-          'cmi.launch_data': '',
-          'cmi.core.lesson_mode': 'normal',
-          strictValidation: true,
-          maxSuspendDataLength: 4096,
-          commitOnEverySet: false
+        case 'complete':
+          await setByLms(isScorm12 ? 'cmi.core.lesson_status' : 'cmi.completion_status', 'completed');
+          await this.persistSessionState(session, rte);
+          message = 'SCO marked completed';
+          this.logApiCall(session, 'Simulate', behavior, message, '0');
+          break;
+        case 'disconnect': {
+          const result = this.setFaultInjection('connection-lost', session.id);
+          if (!result.success) {
+            return result;
+          }
+          message = 'LMS connection lost; commits now fail and data is no longer saved';
+          this.logApiCall(session, 'Simulate', behavior, message, '0');
+          break;
         }
+        default:
+          return { success: false, error: `Unknown LMS behavior: ${behavior}` };
       }
-    };
+
+      this.logger?.info(`ScormService: Simulated LMS ${behavior} on session ${session.id}`);
+      this.recordOperation('simulateLmsBehavior', true);
+      return { success: true, behavior, sessionId: session.id, message };
+    } catch (error) {
+      this.logger?.error('ScormService: LMS simulation failed:', error);
+      this.recordOperation('simulateLmsBehavior', false);
+      return { success: false, error: error.message };
+    }
   }
 
   /**
@@ -1070,20 +1831,36 @@ class ScormService extends BaseService {
    * @param {string} value - Element value
    */
   async processSpecialElement(session, element, value) {
+    // Writes while reviewing are accepted but must not reach the activity tree
+    if (session.launchMode === 'review') {
+      return;
+    }
     // Handle special elements like completion status, score, etc.
     if (this.snService) {
       const currentActivityId = this.snService.getSequencingState().currentActivity?.identifier;
+      // Statuses as the RTE reports them, i.e. evaluated against the manifest thresholds
+      const dataModel = this.rteInstances.get(session.id)?.dataModel;
 
       if (currentActivityId) {
         const progressData = {};
         switch (element) {
           case 'cmi.completion_status':
-            progressData.completed = (value === 'completed');
+            progressData.completed = ((dataModel?.getCompletionStatus?.() ?? value) === 'completed');
             break;
           case 'cmi.success_status':
-            progressData.satisfied = (value === 'passed');
+            progressData.satisfied = ((dataModel?.getSuccessStatus?.() ?? value) === 'passed');
+            break;
+          case 'cmi.core.lesson_status':
+            // SCORM 1.2 folds completion and success into a single element
+            progressData.completed = ['completed', 'passed', 'failed'].includes(value);
+            if (value === 'passed' || value === 'failed') {
+              progressData.satisfied = (value === 'passed');
+            }
             break;
           case 'cmi.progress_measure':
+            progressData.progressMeasure = parseFloat(value);
+            break;
+          case 'cmi.score.scaled':
             progressData.measure = parseFloat(value);
             break;
           case 'cmi.score.raw':
@@ -1091,10 +1868,12 @@ class ScormService extends BaseService {
             // For now, just report, more complex logic would be in SN's rollup
             break;
           case 'cmi.location':
+          case 'cmi.core.lesson_location':
             // Update activity location in SN service
             this.snService.updateActivityLocation(currentActivityId, value);
             break;
           case 'cmi.exit':
+          case 'cmi.core.exit':
             // Handle activity exit in SN service
             this.snService.handleActivityExit(currentActivityId, value);
             break;
@@ -1387,30 +2166,30 @@ class ScormService extends BaseService {
         }
 
         case 'exit':
-          // Exit current activity (for single SCO, this is equivalent to exitAll)
-          this.logger?.info(`ScormService: Processing exit navigation request for session ${sessionId}`);
-          return this.snService.terminateSequencing();
-
         case 'exitAll':
-          // Exit the entire course
-          this.logger?.info(`ScormService: Processing exitAll navigation request for session ${sessionId}`);
-          return this.snService.terminateSequencing();
-
         case 'suspendAll':
-          // Suspend all activities
-          this.logger?.info(`ScormService: Processing suspendAll navigation request for session ${sessionId}`);
-          // For single SCO courses, suspend is handled by the SCO setting cmi.exit = 'suspend'
-          // The LMS should preserve the session state for resumption
-          return {
-            success: true,
-            reason: 'SuspendAll processed (session state preserved for single SCO course)'
-          };
-
         case 'abandon':
-        case 'abandonAll':
-          // Abandon the course/session
+        case 'abandonAll': {
+          // Run the SN termination request process: post-condition rules may deliver
+          // another activity (retry/continue) or exit the root and end the session
           this.logger?.info(`ScormService: Processing ${navRequest} navigation request for session ${sessionId}`);
-          return this.snService.terminateSequencing();
+          const terminationResult = await this.snService.processNavigation(navRequest);
+          if (!terminationResult.success) {
+            this.logger?.warn(`ScormService: ${navRequest} termination failed (${terminationResult.reason}); ending sequencing session`);
+            return this.snService.terminateSequencing();
+          }
+          if (terminationResult.targetActivity) {
+            const windowManager = this.getDependency('windowManager');
+            if (windowManager?.broadcastToAllWindows) {
+              windowManager.broadcastToAllWindows('navigation:completed', {
+                activityId: terminationResult.targetActivity.identifier,
+                navigationRequest: navRequest,
+                result: terminationResult
+              });
+            }
+          }
+          return terminationResult;
+        }
 
         default:
           return {
@@ -187,6 +187,26 @@ class ManifestParser {
         subManifests = [];
       }
 
+      // Sub-manifest resources join the package-wide resource list so every
+      // consumer (activity tree, validators, outline) can resolve them
+      const subManifestMap = new Map();
+      this._indexSubManifests(subManifests, subManifestMap);
+      for (const sub of subManifestMap.values()) {
+        for (const r of sub.resources) {
+          if (resourceMap.has(r.identifier)) {
+            logger.warn('ManifestParser: sub-manifest resource shadowed by an earlier resource', { phase: 'CAM_PARSE', resourceId: r.identifier, subManifest: sub.identifier });
+            continue;
+          }
+          resourceMap.set(r.identifier, r);
+          parsedResourcesArray.push(r);
+        }
+      }
+
+      // Items referencing a sub-manifest aggregate its default organization
+      for (const org of organizations.organization || []) {
+        this._expandSubManifestItems(org.items || [], subManifestMap, resourceMap, []);
+      }
+
       // Validate identifierref across all items in all organizations
       const allItems = [];
       for (const org of organizations.organization || []) {
@@ -344,8 +364,9 @@ class ManifestParser {
       identifier: this.getAttribute(orgElement, 'identifier'),
       title: this.getElementText(orgElement, 'title'),
       structure: this.getAttribute(orgElement, 'structure') || 'hierarchical',
-      objectivesGlobalToSystem: this.getAttribute(orgElement, 'adlseq:objectivesGlobalToSystem') === 'true',
-      sharedDataGlobalToSystem: this.getAttribute(orgElement, 'adlcp:sharedDataGlobalToSystem') === 'true',
+      // Both default to true per the ADL schemas
+      objectivesGlobalToSystem: this.getAttribute(orgElement, 'adlseq:objectivesGlobalToSystem') !== 'false',
+      sharedDataGlobalToSystem: this.getAttribute(orgElement, 'adlcp:sharedDataGlobalToSystem') !== 'false',
       items: this.parseItems(orgElement, basePath),
       sequencing: this.parseSequencing(orgElement),
       metadata: this.parseMetadata(orgElement, basePath)
@@ -416,7 +437,10 @@ class ManifestParser {
     const xmlBase = getAttr(resourceElement, 'xml:base', nsMap) || '';
     const resolvedBase = PathUtils.join(basePath, xmlBase);
 
-    const scormTypeAttr = getAttr(resourceElement, 'adlcp:scormType', nsMap) || getAttr(resourceElement, 'scormType', nsMap);
+    // SCORM 1.2 manifests spell the attribute adlcp:scormtype (adlcp_rootv1p2)
+    const scormTypeAttr = getAttr(resourceElement, 'adlcp:scormType', nsMap)
+      || getAttr(resourceElement, 'adlcp:scormtype', nsMap)
+      || getAttr(resourceElement, 'scormType', nsMap);
     const hrefAttr = getAttr(resourceElement, 'href', nsMap);
     const identifier = getAttr(resourceElement, 'identifier', nsMap);
 
@@ -457,11 +481,12 @@ class ManifestParser {
 
   /**
    * Helper method to get attribute value
-   * @param {Element} element - DOM element
+   * @param {Element|null} element - DOM element
    * @param {string} attributeName - Attribute name
    * @returns {string|null} Attribute value
    */
   getAttribute(element, attributeName) {
+    if (!element) return null;
     return element.getAttribute(attributeName) || null;
   }
 
@@ -602,6 +627,8 @@ class ManifestParser {
         children: this.parseItems(itemElement, basePath),
         sequencing: this.parseSequencing(itemElement),
         presentation: this.parsePresentation(itemElement),
+        dataMaps: this.parseDataMaps(itemElement),
+        completionThreshold: this.parseCompletionThreshold(itemElement),
         metadata: this.parseMetadata(itemElement, basePath)
       });
     }
@@ -622,6 +649,7 @@ class ManifestParser {
 
     return {
       controlMode: this.parseControlMode(sequencingElement),
+      constrainedChoiceConsiderations: this.parseConstrainedChoiceConsiderations(sequencingElement),
       sequencingRules: this.parseSequencingRules(sequencingElement),
       limitConditions: this.parseLimitConditions(sequencingElement),
       rollupRules: this.parseRollupRules(sequencingElement),
@@ -631,6 +659,31 @@ class ManifestParser {
     };
   }
 
+  /**
+   * Parse adlcp:data shared data maps of an item
+   * @param {Element} itemElement - Item element
+   * @returns {Array<{targetID: string, readSharedData: boolean, writeSharedData: boolean}>} Data maps
+   */
+  parseDataMaps(itemElement) {
+    const dataElement = this.getChildElement(itemElement, 'adlcp:data')
+      || this.getChildElement(itemElement, 'data');
+    if (!dataElement) return [];
+
+    const maps = [];
+    const seen = new Set();
+    for (const mapElement of this.selectChildrenNS(dataElement, ['adlcp:map', 'map'])) {
+      const targetID = this.getAttribute(mapElement, 'targetID');
+      if (!targetID || seen.has(targetID)) continue;
+      seen.add(targetID);
+      maps.push({
+        targetID,
+        readSharedData: this.getAttribute(mapElement, 'readSharedData') !== 'false',
+        writeSharedData: this.getAttribute(mapElement, 'writeSharedData') !== 'false'
+      });
+    }
+    return maps;
+  }
+
   /**
    * Parse presentation information (ADL Navigation)
    * @param {Element} element - Parent element (item)
@@ -749,16 +802,65 @@ class ManifestParser {
   }
 
   /**
-   * Parse sub-manifests (organizations within organizations)
-   * @param {Element} manifestElement - Manifest root element
+   * Parse sub-manifests: <manifest> elements nested in a manifest (IMS CP).
+   * Items elsewhere in the package reference a sub-manifest by identifier.
+   * Resource xmlBase values are rewritten relative to the package root and
+   * tagged with the owning sub-manifest.
+   * @param {Element} manifestElement - Manifest element containing the sub-manifests
    * @param {string} basePath - Base path for resolving URLs
+   * @param {string} [parentXmlBase=''] - Package-relative xml:base of the containing sub-manifest
    * @returns {Array} Array of sub-manifest objects
    */
-  parseSubManifests(_manifestElement, _basePath) {
-    // This method would handle <manifest> elements nested within other <manifest> elements
-    // which is not common in SCORM but allowed by IMS CP.
-    // For SCORM, organizations are typically top-level within the main manifest.
-    return [];
+  parseSubManifests(manifestElement, basePath, parentXmlBase = '') {
+    const subManifests = [];
+    const manifestElements = this.selectChildrenNS(manifestElement, ['imscp:manifest', 'manifest']);
+
+    for (const subElement of manifestElements) {
+      const identifier = this.getAttribute(subElement, 'identifier');
+      if (!identifier) {
+        throw new ParserError({
+          code: ParserErrorCode.PARSE_VALIDATION_ERROR,
+          message: 'Sub-manifest missing required identifier attribute'
+        });
+      }
+
+      const ownXmlBase = this.getAttribute(subElement, 'xml:base') || '';
+      const xmlBase = this._joinXmlBase(parentXmlBase, ownXmlBase);
+      const resolvedBase = PathUtils.join(basePath, ownXmlBase);
+
+      // organizations and resources may legitimately be empty in a sub-manifest
+      const organizationsElement = this.selectFirstNS(subElement, ['imscp:organizations', 'organizations']);
+      const orgElements = organizationsElement
+        ? this.selectChildrenNS(organizationsElement, ['imscp:organization', 'organization'])
+        : [];
+      const organization = orgElements.map(orgElement => this.parseOrganization(orgElement, resolvedBase));
+      const defaultOrg = organizationsElement ? this.getAttribute(organizationsElement, 'default') : null;
+
+      const resources = this.selectFirstNS(subElement, ['imscp:resources', 'resources'])
+        ? this.parseResources(subElement, resolvedBase)
+        : [];
+      for (const r of resources) {
+        r.xmlBase = this._joinXmlBase(xmlBase, r.xmlBase);
+        r.subManifest = identifier;
+      }
+
+      subManifests.push({
+        identifier,
+        version: this.getAttribute(subElement, 'version') || '1.0',
+        xmlBase,
+        resolvedBase,
+        metadata: this.parseMetadata(subElement, resolvedBase),
+        organizations: {
+          default: defaultOrg || organization[0]?.identifier || null,
+          organization,
+          organizations: organization
+        },
+        resources,
+        manifest: this.parseSubManifests(subElement, resolvedBase, xmlBase)
+      });
+    }
+
+    return subManifests;
   }
 
   /**
@@ -855,6 +957,22 @@ class ManifestParser {
     };
   }
 
+  /**
+   * Parse adlseq:constrainedChoiceConsiderations element
+   * Both attributes default to false.
+   * @param {Element} sequencingElement - Sequencing element
+   * @returns {{preventActivation: boolean, constrainChoice: boolean}|null} Constrained choice information
+   */
+  parseConstrainedChoiceConsiderations(sequencingElement) {
+    const considerationsElement = this.getChildElement(sequencingElement, 'adlseq:constrainedChoiceConsiderations');
+    if (!considerationsElement) return null;
+
+    return {
+      preventActivation: this.getAttribute(considerationsElement, 'preventActivation') === 'true',
+      constrainChoice: this.getAttribute(considerationsElement, 'constrainChoice') === 'true'
+    };
+  }
+
   /**
    * Parse limitConditions element
    * @param {Element} sequencingElement - Sequencing element
@@ -867,48 +985,92 @@ class ManifestParser {
     return {
       attemptLimit: this.getAttribute(limitConditionsElement, 'attemptLimit'),
       attemptAbsoluteDurationLimit: this.getAttribute(limitConditionsElement, 'attemptAbsoluteDurationLimit'),
-      attemptExperiencedDurationLimit: this.getAttribute(limitConditionsElement, 'attemptExperiencedDurationLimit')
+      attemptExperiencedDurationLimit: this.getAttribute(limitConditionsElement, 'attemptExperiencedDurationLimit'),
+      activityAbsoluteDurationLimit: this.getAttribute(limitConditionsElement, 'activityAbsoluteDurationLimit'),
+      activityExperiencedDurationLimit: this.getAttribute(limitConditionsElement, 'activityExperiencedDurationLimit')
     };
   }
 
   /**
    * Parse rollupRules element
+   * Attribute defaults follow the IMS SS schema (rollupObjectiveSatisfied and
+   * rollupProgressCompletion default to true, objectiveMeasureWeight to 1.0).
    * @param {Element} sequencingElement - Sequencing element
    * @returns {Object|null} Rollup rules information
    */
   parseRollupRules(sequencingElement) {
     const rollupRulesElement = this.getChildElement(sequencingElement, 'imsss:rollupRules')
       || this.getChildElement(sequencingElement, 'rollupRules');
-    if (!rollupRulesElement) return null;
+    const rollupConsiderations = this.parseRollupConsiderations(sequencingElement, rollupRulesElement);
+    if (!rollupRulesElement && !rollupConsiderations) return null;
+
+    const weight = parseFloat(this.getAttribute(rollupRulesElement, 'objectiveMeasureWeight'));
 
     return {
-      rollupObjectiveSatisfied: this.getAttribute(rollupRulesElement, 'rollupObjectiveSatisfied') === 'true',
-      rollupProgressCompletion: this.getAttribute(rollupRulesElement, 'rollupProgressCompletion') === 'true',
-      rollupTrackingAttempts: this.getAttribute(rollupRulesElement, 'rollupTrackingAttempts') === 'true',
-      rollupSuccess: this.getAttribute(rollupRulesElement, 'rollupSuccess'),
-      rollupProgress: this.getAttribute(rollupRulesElement, 'rollupProgress'),
-      rollupConsiderations: this.parseRollupConsiderations(rollupRulesElement),
-      rollupRules: this.parseRules(rollupRulesElement, 'imsss:rollupRule')
+      rollupObjectiveSatisfied: this.getAttribute(rollupRulesElement, 'rollupObjectiveSatisfied') !== 'false',
+      rollupProgressCompletion: this.getAttribute(rollupRulesElement, 'rollupProgressCompletion') !== 'false',
+      objectiveMeasureWeight: Number.isFinite(weight) ? weight : 1.0,
+      rollupConsiderations,
+      rollupRules: this.parseRollupRuleList(rollupRulesElement)
     };
   }
 
+  /**
+   * Parse rollupRule elements
+   * @param {Element|null} rollupRulesElement - Rollup rules element
+   * @returns {Array} Array of rollup rule objects
+   */
+  parseRollupRuleList(rollupRulesElement) {
+    if (!rollupRulesElement) return [];
+
+    const ruleElements = this.selectChildrenNS(rollupRulesElement, ['imsss:rollupRule', 'rollupRule']);
+
+    return ruleElements.map(ruleElement => {
+      const conditionsElement = this.getChildElement(ruleElement, 'imsss:rollupConditions')
+        || this.getChildElement(ruleElement, 'rollupConditions');
+      const actionElement = this.getChildElement(ruleElement, 'imsss:rollupAction')
+        || this.getChildElement(ruleElement, 'rollupAction');
+      const conditionElements = this.selectChildrenNS(conditionsElement, ['imsss:rollupCondition', 'rollupCondition']);
+      const minimumCount = parseInt(this.getAttribute(ruleElement, 'minimumCount'), 10);
+      const minimumPercent = parseFloat(this.getAttribute(ruleElement, 'minimumPercent'));
+
+      return {
+        childActivitySet: this.getAttribute(ruleElement, 'childActivitySet') || 'all',
+        minimumCount: Number.isFinite(minimumCount) ? minimumCount : 0,
+        minimumPercent: Number.isFinite(minimumPercent) ? minimumPercent : 0,
+        conditions: {
+          conditionCombination: this.getAttribute(conditionsElement, 'conditionCombination') || 'any',
+          conditions: conditionElements.map(conditionElement => ({
+            condition: this.getAttribute(conditionElement, 'condition'),
+            operator: this.getAttribute(conditionElement, 'operator') || 'noOp'
+          }))
+        },
+        action: this.getAttribute(actionElement, 'action')
+      };
+    });
+  }
+
   /**
    * Parse rollupConsiderations element
-   * @param {Element} rollupRulesElement - Rollup rules element
+   * The schema places adlseq:rollupConsiderations directly under sequencing;
+   * older packages that nest it inside rollupRules are still accepted.
+   * @param {Element} sequencingElement - Sequencing element
+   * @param {Element|null} rollupRulesElement - Rollup rules element
    * @returns {Object|null} Rollup considerations information
    */
-  parseRollupConsiderations(rollupRulesElement) {
-    const rollupConsiderationsElement = this.getChildElement(rollupRulesElement, 'imsss:rollupConsiderations')
+  parseRollupConsiderations(sequencingElement, rollupRulesElement = null) {
+    const rollupConsiderationsElement = this.getChildElement(sequencingElement, 'adlseq:rollupConsiderations')
+      || this.getChildElement(rollupRulesElement, 'imsss:rollupConsiderations')
       || this.getChildElement(rollupRulesElement, 'rollupConsiderations');
     if (!rollupConsiderationsElement) return null;
 
     return {
-      measureSatisfactionIfActive: this.getAttribute(rollupConsiderationsElement, 'measureSatisfactionIfActive') === 'true',
+      measureSatisfactionIfActive: this.getAttribute(rollupConsiderationsElement, 'measureSatisfactionIfActive') !== 'false',
       contributeToRollup: this.getAttribute(rollupConsiderationsElement, 'contributeToRollup'),
-      requiredForSatisfied: this.getAttribute(rollupConsiderationsElement, 'requiredForSatisfied'),
-      requiredForNotSatisfied: this.getAttribute(rollupConsiderationsElement, 'requiredForNotSatisfied'),
-      requiredForCompleted: this.getAttribute(rollupConsiderationsElement, 'requiredForCompleted'),
-      requiredForIncomplete: this.getAttribute(rollupConsiderationsElement, 'requiredForIncomplete')
+      requiredForSatisfied: this.getAttribute(rollupConsiderationsElement, 'requiredForSatisfied') || 'always',
+      requiredForNotSatisfied: this.getAttribute(rollupConsiderationsElement, 'requiredForNotSatisfied') || 'always',
+      requiredForCompleted: this.getAttribute(rollupConsiderationsElement, 'requiredForCompleted') || 'always',
+      requiredForIncomplete: this.getAttribute(rollupConsiderationsElement, 'requiredForIncomplete') || 'always'
     };
   }
 
@@ -957,10 +1119,11 @@ class ManifestParser {
       || this.getChildElement(objectiveElement, 'mapInfo');
     if (!mapInfoElement) return null;
 
+    // Reads default to true and writes to false (IMS SS mapInfo schema)
     return {
       targetObjectiveID: this.getAttribute(mapInfoElement, 'targetObjectiveID'),
-      readSatisfiedStatus: this.getAttribute(mapInfoElement, 'readSatisfiedStatus') === 'true',
-      readNormalizedMeasure: this.getAttribute(mapInfoElement, 'readNormalizedMeasure') === 'true',
+      readSatisfiedStatus: this.getAttribute(mapInfoElement, 'readSatisfiedStatus') !== 'false',
+      readNormalizedMeasure: this.getAttribute(mapInfoElement, 'readNormalizedMeasure') !== 'false',
       writeSatisfiedStatus: this.getAttribute(mapInfoElement, 'writeSatisfiedStatus') === 'true',
       writeNormalizedMeasure: this.getAttribute(mapInfoElement, 'writeNormalizedMeasure') === 'true'
     };
@@ -976,11 +1139,43 @@ class ManifestParser {
       || this.getChildElement(sequencingElement, 'randomizationControls');
     if (!randomizationControlsElement) return null;
 
+    // The IMS SS attribute is selectCount; selectionCount is accepted for older packages
+    const selectCount = parseInt(this.getAttribute(randomizationControlsElement, 'selectCount')
+      || this.getAttribute(randomizationControlsElement, 'selectionCount'), 10);
+
     return {
-      randomizationTiming: this.getAttribute(randomizationControlsElement, 'randomizationTiming'),
+      randomizationTiming: this.getAttribute(randomizationControlsElement, 'randomizationTiming') || 'never',
       reorderChildren: this.getAttribute(randomizationControlsElement, 'reorderChildren') === 'true',
-      selectionCount: this.getAttribute(randomizationControlsElement, 'selectionCount'),
-      selectionTiming: this.getAttribute(randomizationControlsElement, 'selectionTiming')
+      selectCount: Number.isFinite(selectCount) ? selectCount : null,
+      selectionTiming: this.getAttribute(randomizationControlsElement, 'selectionTiming') || 'never'
+    };
+  }
+
+  /**
+   * Parse adlcp:completionThreshold on an item. SCORM 2004 4th Edition uses the
+   * completedByMeasure/minProgressMeasure/progressWeight attributes; 3rd Edition
+   * packages carry the threshold as element text, which implies completedByMeasure.
+   * @param {Element} itemElement - Item element
+   * @returns {Object|null} Completion threshold ({ completedByMeasure, minProgressMeasure, progressWeight })
+   */
+  parseCompletionThreshold(itemElement) {
+    const thresholdElement = this.getChildElement(itemElement, 'adlcp:completionThreshold')
+      || this.getChildElement(itemElement, 'completionThreshold');
+    if (!thresholdElement) return null;
+
+    const toNumber = (value, fallback) => {
+      const n = parseFloat(value);
+      return Number.isFinite(n) ? n : fallback;
+    };
+    const legacyValue = String(thresholdElement.textContent || '').trim();
+    const minAttr = this.getAttribute(thresholdElement, 'minProgressMeasure');
+
+    return {
+      completedByMeasure: minAttr === null && legacyValue !== ''
+        ? true
+        : this.getAttribute(thresholdElement, 'completedByMeasure') === 'true',
+      minProgressMeasure: toNumber(minAttr !== null ? minAttr : legacyValue, 1.0),
+      progressWeight: toNumber(this.getAttribute(thresholdElement, 'progressWeight'), 1.0)
     };
   }
 
@@ -994,8 +1189,9 @@ class ManifestParser {
       || this.getChildElement(sequencingElement, 'deliveryControls');
     if (!deliveryControlsElement) return null;
 
+    // tracked defaults to true; the *SetByContent attributes default to false
     return {
-      tracked: this.getAttribute(deliveryControlsElement, 'tracked') === 'true',
+      tracked: this.getAttribute(deliveryControlsElement, 'tracked') !== 'false',
       completionSetByContent: this.getAttribute(deliveryControlsElement, 'completionSetByContent') === 'true',
       objectiveSetByContent: this.getAttribute(deliveryControlsElement, 'objectiveSetByContent') === 'true'
     };
@@ -1271,6 +1467,110 @@ class ManifestParser {
 
   // Placeholder for LOM parsing methods
 
+  /**
+   * Flatten nested sub-manifests into a map keyed by identifier.
+   * @param {Array} subManifests
+   * @param {Map<string, Object>} out
+   */
+  _indexSubManifests(subManifests, out) {
+    for (const sub of subManifests || []) {
+      if (out.has(sub.identifier)) {
+        throw new ParserError({
+          code: ParserErrorCode.PARSE_VALIDATION_ERROR,
+          message: `Duplicate sub-manifest identifier: ${sub.identifier}`
+        });
+      }
+      out.set(sub.identifier, sub);
+      this._indexSubManifests(sub.manifest, out);
+    }
+  }
+
+  /**
+   * Replace references to sub-manifests with the items of the sub-manifest's
+   * default organization, appended as children of the referencing item. The
+   * item keeps its own title and gains the organization's sequencing when it
+   * has none; `subManifest` records where the children came from.
+   * A sub-manifest aggregated again in the same organization keeps item
+   * identifiers unique: that copy's identifiers are qualified with the
+   * referencing item's identifier (`MODULE-2/LESSON-1`).
+   * @param {Array} items - Items to expand in place
+   * @param {Map<string, Object>} subManifestMap - Sub-manifests by identifier
+   * @param {Map<string, Object>} resourceMap - Resources by identifier
+   * @param {Array<string>} chain - Sub-manifests being expanded (cycle guard)
+   * @param {Set<string>} [expanded] - Sub-manifests already aggregated in this organization
+   */
+  _expandSubManifestItems(items, subManifestMap, resourceMap, chain, expanded = new Set()) {
+    for (const it of items) {
+      const ref = it?.identifierref;
+      if (ref && !resourceMap.has(ref) && subManifestMap.has(ref)) {
+        if (chain.includes(ref)) {
+          throw new ParserError({
+            code: ParserErrorCode.PARSE_VALIDATION_ERROR,
+            message: `Circular sub-manifest reference: ${[...chain, ref].join(' -> ')}`,
+            detail: { itemId: it.identifier, identifierref: ref }
+          });
+        }
+
+        const sub = subManifestMap.get(ref);
+        const orgs = sub.organizations.organization;
+        const org = orgs.find(o => o.identifier === sub.organizations.default) || orgs[0];
+        if (!org || !Array.isArray(org.items) || org.items.length === 0) {
+          throw new ParserError({
+            code: ParserErrorCode.PARSE_VALIDATION_ERROR,
+            message: `Item references sub-manifest without items to aggregate: ${ref}`,
+            detail: { itemId: it.identifier, identifierref: ref }
+          });
+        }
+
+        // Copy so a sub-manifest referenced twice yields independent subtrees
+        const aggregated = structuredClone(org.items);
+        this._expandSubManifestItems(aggregated, subManifestMap, resourceMap, [...chain, ref], expanded);
+        if (expanded.has(ref)) {
+          this._qualifyItemIdentifiers(aggregated, it.identifier);
+        }
+        expanded.add(ref);
+
+        it.identifierref = null;
+        it.subManifest = ref;
+        it.children = [...(it.children || []), ...aggregated];
+        if (!it.sequencing && org.sequencing) {
+          it.sequencing = org.sequencing;
+        }
+        continue;
+      }
+
+      if (Array.isArray(it?.children) && it.children.length > 0) {
+        this._expandSubManifestItems(it.children, subManifestMap, resourceMap, chain, expanded);
+      }
+    }
+  }
+
+  /**
+   * Prefix the identifiers of items and their descendants.
+   * @param {Array} items
+   * @param {string} prefix
+   */
+  _qualifyItemIdentifiers(items, prefix) {
+    for (const it of items) {
+      it.identifier = `${prefix}/${it.identifier}`;
+      if (Array.isArray(it.children)) {
+        this._qualifyItemIdentifiers(it.children, prefix);
+      }
+    }
+  }
+
+  /**
+   * Join two xml:base fragments (either may be empty).
+   * @param {string} parent
+   * @param {string} child
+   * @returns {string}
+   */
+  _joinXmlBase(parent, child) {
+    if (!parent) return child || '';
+    if (!child) return parent;
+    return `${parent.replace(/\/+$/, '')}/${child.replace(/^\/+/, '')}`;
+  }
+
   /**
    * Depth-first collect all items from a starting items array into out array.
    * @param {Array} items
@@ -1,5 +1,5 @@
 /**
- * SCORM 2004 4th Edition API Handler
+ * SCORM 2004 4th Edition / SCORM 1.2 API Handler
  * 
  * Implements all 8 required SCORM API functions:
  * 1. Initialize("")
@@ -12,17 +12,41 @@
  * 8. GetDiagnostic(errorCode)
  * 
  * Based on SCORM 2004 4th Edition RTE specification and
- * IEEE 1484.11.2 standard for API implementation.
+ * IEEE 1484.11.2 standard for API implementation. SCORM 1.2 packages
+ * (manifest schemaversion 1.2) get the cmi.core data model and the 1.2
+ * error vocabulary; the LMS* names map onto the same functions.
  * 
  * @fileoverview SCORM 2004 4th Edition compliant API handler
  */
 
 const ScormDataModel = require('./data-model');
+const Scorm12DataModel = require('./scorm12-data-model');
 const ScormErrorHandler = require('./error-handler');
+const { FaultInjector } = require('./fault-injector');
 const SCORM_CONSTANTS = require('../../../../shared/constants/scorm-constants');
-const { COMMON_ERRORS } = require('../../../../shared/constants/error-codes');
+const { COMMON_ERRORS, SCORM12_ERRORS } = require('../../../../shared/constants/error-codes');
 const EventEmitter = require('events');
 
+/**
+ * Data model elements the RTE manages itself, per SCORM version
+ */
+const RTE_ELEMENTS = Object.freeze({
+  '2004': Object.freeze({
+    entry: 'cmi.entry',
+    credit: 'cmi.credit',
+    mode: 'cmi.mode',
+    sessionTime: 'cmi.session_time',
+    suspendData: 'cmi.suspend_data'
+  }),
+  '1.2': Object.freeze({
+    entry: 'cmi.core.entry',
+    credit: 'cmi.core.credit',
+    mode: 'cmi.core.lesson_mode',
+    sessionTime: 'cmi.core.session_time',
+    suspendData: 'cmi.suspend_data'
+  })
+});
+
 /**
  * SCORM API Handler Class
  * 
@@ -37,6 +61,9 @@ class ScormApiHandler {
    * @param {Object} options - Configuration options
    * @param {string} options.launchMode - Launch mode ('normal', 'browse', 'review')
    * @param {boolean} options.memoryOnlyStorage - Use memory-only storage (for browse mode)
+   * @param {string} [options.scormVersion] - '1.2' or '2004' (default)
+   * @param {string} [options.schemaVersion] - Manifest <schemaversion>, used when scormVersion is not given
+   * @param {Object} [options.lmsProfile] - Normalized LMS profile whose behaviour to emulate
    * @param {Object} telemetryStore - SCORM Inspector telemetry store instance
    */
   constructor(sessionManager, logger, options = {}, telemetryStore = null, scormService = null) {
@@ -53,8 +80,13 @@ class ScormApiHandler {
       ...options
     };
 
+    this.scormVersion = this.options.scormVersion === '1.2' || this.options.scormVersion === '2004'
+      ? this.options.scormVersion
+      : ScormApiHandler.resolveScormVersion(this.options.schemaVersion);
+    this.elements = RTE_ELEMENTS[this.scormVersion];
+
     // Initialize core components
-    this.errorHandler = new ScormErrorHandler(logger);
+    this.errorHandler = new ScormErrorHandler(logger, { scormVersion: this.scormVersion });
 
     // Initialize data model with browse mode support
     const dataModelOptions = {
@@ -64,9 +96,22 @@ class ScormApiHandler {
       changeContextProvider: () => ({ sessionId: this.sessionId }),
       maxChangeValueLength: this.options.maxChangeValueLength || 4096
     };
-    this.dataModel = new ScormDataModel(this.errorHandler, logger, dataModelOptions);
+    const DataModelClass = this.isScorm12() ? Scorm12DataModel : ScormDataModel;
+    this.dataModel = new DataModelClass(this.errorHandler, logger, dataModelOptions);
     this.eventEmitter = new EventEmitter();
 
+    // Simulated LMS faults (failed commits, latency, dropped persistence)
+    this.faultInjector = new FaultInjector(logger);
+
+    // Delivery settings of the launched activity (tracked, *SetByContent, thresholds)
+    this.deliverySettings = null;
+
+    // LMS profile being emulated (suspend data limit, validation, auto-commit)
+    this.lmsProfile = null;
+    if (this.options.lmsProfile) {
+      this.applyLmsProfile(this.options.lmsProfile);
+    }
+
     // API state tracking
     this.isInitialized = false;
     this.isTerminated = false;
@@ -78,11 +123,153 @@ class ScormApiHandler {
     this.startTime = null;
 
     this.logger?.debug('ScormApiHandler initialized', {
+      scormVersion: this.scormVersion,
       launchMode: this.options.launchMode,
       memoryOnlyStorage: this.options.memoryOnlyStorage
     });
   }
 
+  /**
+   * Resolve the runtime version from a manifest <schemaversion> value.
+   * Only an explicit 1.2 schema version selects the SCORM 1.2 runtime;
+   * "CAM 1.3", "2004 3rd Edition", missing values etc. are SCORM 2004.
+   * @param {string} schemaVersion - Manifest schemaversion
+   * @returns {string} '1.2' or '2004'
+   */
+  static resolveScormVersion(schemaVersion) {
+    return /^\s*1\.2\s*$/.test(String(schemaVersion || '')) ? '1.2' : '2004';
+  }
+
+  /**
+   * @returns {boolean} True when running the SCORM 1.2 data model
+   */
+  isScorm12() {
+    return this.scormVersion === '1.2';
+  }
+
+  /**
+   * Error code for a malformed API argument ("" parameter, non-string element)
+   * @private
+   * @returns {string} Error code
+   */
+  _argumentErrorCode() {
+    return this.isScorm12() ? SCORM12_ERRORS.INVALID_ARGUMENT : COMMON_ERRORS.GENERAL_EXCEPTION;
+  }
+
+  /**
+   * Apply the launched activity's delivery settings from the manifest.
+   * SCORM 2004 sessions get cmi.completion_threshold and
+   * cmi.scaled_passing_score; the delivery controls drive Terminate.
+   * @param {Object|null} settings - Result of ScormSNService.getActivityDeliverySettings()
+   */
+  applyDeliverySettings(settings) {
+    this.deliverySettings = settings || null;
+    if (this.isScorm12()) {
+      return;
+    }
+
+    this.dataModel.setCompletionThreshold(settings?.completionThreshold ?? null);
+    if (typeof settings?.scaledPassingScore === 'number') {
+      this.dataModel.setMasteryScore(settings.scaledPassingScore);
+    }
+  }
+
+  /**
+   * @returns {boolean} False when the launched activity is tracked="false"
+   */
+  isTracked() {
+    return this.deliverySettings?.tracked !== false;
+  }
+
+  /**
+   * Emulate an LMS profile. Takes effect immediately; learner details are
+   * injected straight away when the session is already running.
+   * @param {Object|null} profile - Normalized LMS profile, or null for defaults
+   */
+  applyLmsProfile(profile) {
+    this.lmsProfile = profile && profile.settings ? profile : null;
+    this.dataModel.setStrictValidation(this.lmsProfile?.settings.strictValidation !== false);
+
+    if (this.isInitialized && !this.isTerminated) {
+      this._injectProfileLearnerInfo();
+    }
+
+    this.logger?.debug('ScormApiHandler: LMS profile applied', {
+      sessionId: this.sessionId,
+      profile: this.lmsProfile?.id || null
+    });
+  }
+
+  /**
+   * Overwrite learner id/name with the values configured on the LMS profile
+   * @private
+   */
+  _injectProfileLearnerInfo() {
+    const settings = this.lmsProfile?.settings;
+    if (settings && (settings.learnerId || settings.learnerName)) {
+      this.dataModel.setLearnerInfo({ id: settings.learnerId, name: settings.learnerName });
+    }
+  }
+
+  /**
+   * Apply the profile's suspend data limit to a SetValue value
+   * @private
+   * @param {string} value - Value the SCO tried to store
+   * @returns {string|null} Value to store, or null when the LMS rejects it
+   */
+  _limitSuspendData(value) {
+    const settings = this.lmsProfile?.settings;
+    if (!settings || value.length <= settings.maxSuspendDataLength) {
+      return value;
+    }
+
+    if (settings.suspendDataOverflow === 'truncate') {
+      this.logger?.warn(`ScormApiHandler: ${this.elements.suspendData} truncated from ${value.length} to ${settings.maxSuspendDataLength} characters (${this.lmsProfile.name})`);
+      return value.substring(0, settings.maxSuspendDataLength);
+    }
+
+    this.errorHandler.setError(
+      this.isScorm12() ? SCORM12_ERRORS.GENERAL_EXCEPTION : COMMON_ERRORS.GENERAL_SET_FAILURE,
+      `${this.elements.suspendData} exceeds ${settings.maxSuspendDataLength} characters allowed by ${this.lmsProfile.name}`,
+      'SetValue');
+    return null;
+  }
+
+  /**
+   * Configure simulated LMS faults for this session
+   * @param {Object|string} faults - Fault settings or a FAULT_PRESETS name
+   * @returns {Object} Active fault state
+   */
+  setFaultInjection(faults) {
+    return this.faultInjector.configure(faults);
+  }
+
+  /**
+   * @returns {Object} Active fault state
+   */
+  getFaultInjection() {
+    return this.faultInjector.getState();
+  }
+
+  /**
+   * Delay callers should add before answering an API call. The API itself
+   * stays synchronous; the async transports (IPC, MCP) apply the wait.
+   * @returns {number} Latency in milliseconds
+   */
+  getFaultLatencyMs() {
+    return this.faultInjector.getLatencyMs();
+  }
+
+  /**
+   * Version-appropriate error code for an injected failure
+   * @private
+   * @param {string} code - SCORM 2004 error code
+   * @returns {string} Error code
+   */
+  _injectedErrorCode(code) {
+    return this.isScorm12() ? SCORM12_ERRORS.GENERAL_EXCEPTION : code;
+  }
+
   _withDataModelContext(context, action) {
     if (this.dataModel && typeof this.dataModel.withChangeContext === 'function') {
       return this.dataModel.withChangeContext(context, action);
@@ -146,8 +333,9 @@ class ScormApiHandler {
     try {
       // Validate parameter (must be empty string)
       if (parameter !== "") {
-        this.errorHandler.setError(COMMON_ERRORS.GENERAL_EXCEPTION,
+        this.errorHandler.setError(this._argumentErrorCode(),
           'Initialize parameter must be empty string', 'Initialize');
+        errorCode = this.errorHandler.getLastError();
         errorMessage = this.errorHandler.getErrorString(errorCode);
         return result;
       }
@@ -180,7 +368,7 @@ class ScormApiHandler {
         const lastLocation = this.options.browseModeService.getLastLocation();
         if (lastLocation && lastLocation.activityId) {
           // Update entry mode to resume since we have a saved location
-          this._setInternalDataModelValue('cmi.entry', 'resume', {
+          this._setInternalDataModelValue(this.elements.entry, 'resume', {
             source: 'internal:browse-resume',
             reason: 'browse-mode-resume'
           });
@@ -237,8 +425,9 @@ class ScormApiHandler {
 
       // Validate parameter (must be empty string)
       if (parameter !== "") {
-        this.errorHandler.setError(COMMON_ERRORS.GENERAL_EXCEPTION,
+        this.errorHandler.setError(this._argumentErrorCode(),
           'Terminate parameter must be empty string', 'Terminate');
+        errorCode = this.errorHandler.getLastError();
         errorMessage = this.errorHandler.getErrorString(errorCode);
         return result;
       }
@@ -268,9 +457,22 @@ class ScormApiHandler {
 
       // Calculate session time
       this.calculateSessionTime();
+
+      // SCORM 1.2 leaves total_time and mastery-based status to the LMS
+      if (this.isScorm12()) {
+        this._withDataModelContext({ sessionId: this.sessionId, source: 'internal:terminate' }, () => {
+          this.dataModel.accumulateTotalTime();
+          this.dataModel.finalizeLessonStatus();
+        });
+      } else if (this.deliverySettings && this.isTracked()) {
+        // Statuses the content is not required to report are set by the LMS
+        this._withDataModelContext({ sessionId: this.sessionId, source: 'internal:terminate' }, () => {
+          this.dataModel.finalizeAttemptStatus(this.deliverySettings);
+        });
+      }
       
-      // Clear cmi.entry as per SCORM 2004 spec (RTE sets it on next Initialize)
-      this._setInternalDataModelValue('cmi.entry', '', { source: 'internal:terminate' });
+      // Clear entry as per spec (RTE sets it on next Initialize)
+      this._setInternalDataModelValue(this.elements.entry, '', { source: 'internal:terminate' });
 
       // Update session state
       this.isTerminated = true;
@@ -323,8 +525,9 @@ class ScormApiHandler {
 
       // Validate element parameter
       if (typeof element !== 'string') {
-        this.errorHandler.setError(COMMON_ERRORS.GENERAL_EXCEPTION,
+        this.errorHandler.setError(this._argumentErrorCode(),
           'GetValue element must be a string', 'GetValue');
+        errorCode = this.errorHandler.getLastError();
         errorMessage = this.errorHandler.getErrorString(errorCode);
         return result;
       }
@@ -385,19 +588,39 @@ class ScormApiHandler {
 
       // Validate parameters
       if (typeof element !== 'string') {
-        this.errorHandler.setError(COMMON_ERRORS.GENERAL_EXCEPTION,
+        this.errorHandler.setError(this._argumentErrorCode(),
           'SetValue element must be a string', 'SetValue');
+        errorCode = this.errorHandler.getLastError();
         errorMessage = this.errorHandler.getErrorString(errorCode);
         return result;
       }
 
       if (typeof value !== 'string') {
-        this.errorHandler.setError(COMMON_ERRORS.GENERAL_EXCEPTION,
+        this.errorHandler.setError(this._argumentErrorCode(),
           'SetValue value must be a string', 'SetValue');
+        errorCode = this.errorHandler.getLastError();
+        errorMessage = this.errorHandler.getErrorString(errorCode);
+        return result;
+      }
+
+      if (this.faultInjector.shouldFailSetValue()) {
+        this.errorHandler.setError(this._injectedErrorCode(COMMON_ERRORS.GENERAL_SET_FAILURE),
+          `Injected fault: SetValue #${this.faultInjector.setValueCount} failed`, 'SetValue');
+        errorCode = this.errorHandler.getLastError();
         errorMessage = this.errorHandler.getErrorString(errorCode);
         return result;
       }
 
+      let storedValue = value;
+      if (element === this.elements.suspendData) {
+        storedValue = this._limitSuspendData(value);
+        if (storedValue === null) {
+          errorCode = this.errorHandler.getLastError();
+          errorMessage = this.errorHandler.getErrorString(errorCode);
+          return result;
+        }
+      }
+
       const context = {
         sessionId: this.sessionId,
         source: 'api:SetValue',
@@ -405,7 +628,7 @@ class ScormApiHandler {
       };
 
       // Set value in data model
-      const success = this._withDataModelContext(context, () => this.dataModel.setValue(element, value));
+      const success = this._withDataModelContext(context, () => this.dataModel.setValue(element, storedValue));
 
       if (success) {
         result = "true";
@@ -415,14 +638,16 @@ class ScormApiHandler {
         this._broadcastDataModelUpdate();
         
         // Update activity tree state and emit progress events for course outline real-time sync
-        if (element === 'cmi.completion_status' || element === 'cmi.success_status') {
+        if (element === 'cmi.completion_status' || element === 'cmi.success_status' ||
+            element === 'cmi.core.lesson_status') {
           this._updateActivityTreeState(element, value);
           this._emitProgressUpdateEvent(element, value);
 
           // When completion or success status changes, trigger full course outline refresh
           // because completing an activity may unlock other activities via prerequisites
           if ((element === 'cmi.completion_status' && (value === 'completed' || value === 'incomplete')) ||
-              (element === 'cmi.success_status' && (value === 'passed' || value === 'failed'))) {
+              (element === 'cmi.success_status' && (value === 'passed' || value === 'failed')) ||
+              (element === 'cmi.core.lesson_status' && value !== 'browsed')) {
             this._emitCourseOutlineRefreshEvent();
             // CRITICAL FIX: Refresh navigation availability after completion/success status changes
             // This ensures the UI components (course outline and navigation controls) get updated
@@ -444,6 +669,12 @@ class ScormApiHandler {
             this._refreshNavigationAvailabilityAfterStateChange(activityId);
           }
         }
+
+        // Some LMSs persist after every SetValue instead of waiting for Commit
+        if (this.lmsProfile?.settings.commitOnEverySet && !this.performCommit()) {
+          this.logger?.warn(`ScormApiHandler: Auto-commit after SetValue(${element}) failed`);
+          this.errorHandler.clearError();
+        }
       } else {
         errorCode = this.errorHandler.getLastError();
         errorMessage = this.errorHandler.getErrorString(errorCode);
@@ -477,8 +708,9 @@ class ScormApiHandler {
     try {
       // Validate parameter (must be empty string)
       if (parameter !== "") {
-        this.errorHandler.setError(COMMON_ERRORS.GENERAL_EXCEPTION,
+        this.errorHandler.setError(this._argumentErrorCode(),
           'Commit parameter must be empty string', 'Commit');
+        errorCode = this.errorHandler.getLastError();
         errorMessage = this.errorHandler.getErrorString(errorCode);
         return result;
       }
@@ -491,6 +723,14 @@ class ScormApiHandler {
         return result;
       }
 
+      if (this.faultInjector.shouldFailCommit()) {
+        this.errorHandler.setError(this._injectedErrorCode(COMMON_ERRORS.GENERAL_COMMIT_FAILURE),
+          'Injected fault: LMS commit failed', 'Commit');
+        errorCode = this.errorHandler.getLastError();
+        errorMessage = this.errorHandler.getErrorString(errorCode);
+        return result;
+      }
+
       // Check commit frequency (prevent spam)
       if (this.options.strictMode && !this.canCommit()) {
         this.errorHandler.setError(COMMON_ERRORS.GENERAL_EXCEPTION,
@@ -593,24 +833,41 @@ class ScormApiHandler {
     }
   }
 
+  // ===== SCORM 1.2 API NAMES =====
+  // SCORM 1.2 content calls window.API.LMS*; the semantics are identical,
+  // version differences live in the data model and error handler.
+
+  LMSInitialize(parameter) { return this.Initialize(parameter); }
+  LMSFinish(parameter) { return this.Terminate(parameter); }
+  LMSGetValue(element) { return this.GetValue(element); }
+  LMSSetValue(element, value) { return this.SetValue(element, value); }
+  LMSCommit(parameter) { return this.Commit(parameter); }
+  LMSGetLastError() { return this.GetLastError(); }
+  LMSGetErrorString(errorCode) { return this.GetErrorString(errorCode); }
+  LMSGetDiagnostic(errorCode) { return this.GetDiagnostic(errorCode); }
+
   /**
    * Initialize session-specific data
    * @private
    */
   initializeSessionData() {
     // Set entry mode based on previous session state (but only if not already set by restoreData)
-    const currentEntry = this.dataModel.getValue('cmi.entry');
+    const currentEntry = this.dataModel._getInternalValue(this.elements.entry);
     let entryMode = currentEntry;
-    if (currentEntry !== 'resume') {
+    if (this.isReviewMode()) {
+      // A reviewed attempt is neither started over nor resumed (RTE 4.2.8: empty entry)
+      entryMode = '';
+      this._setInternalDataModelValue(this.elements.entry, entryMode, { source: 'internal:session-init' });
+    } else if (currentEntry !== 'resume') {
       entryMode = this.determineEntryMode();
-      this._setInternalDataModelValue('cmi.entry', entryMode, { source: 'internal:session-init' });
+      this._setInternalDataModelValue(this.elements.entry, entryMode, { source: 'internal:session-init' });
     }
 
-    // Set credit mode (could come from launch parameters)
-    this._setInternalDataModelValue('cmi.credit', 'credit', { source: 'internal:session-init' });
+    // Set credit mode; nothing done while reviewing counts towards the learner's record
+    this._setInternalDataModelValue(this.elements.credit, this.isReviewMode() ? 'no-credit' : 'credit', { source: 'internal:session-init' });
 
     // Set lesson mode using dynamic launch mode (SCORM-compliant)
-    this._setInternalDataModelValue('cmi.mode', this.options.launchMode, { source: 'internal:session-init' });
+    this._setInternalDataModelValue(this.elements.mode, this.options.launchMode, { source: 'internal:session-init' });
 
     // Create browse session if in browse mode
     if (this.options.launchMode === 'browse') {
@@ -624,6 +881,7 @@ class ScormApiHandler {
   this.dataModel.setLearnerInfo(learnerInfo);
       }
     }
+    this._injectProfileLearnerInfo();
 
     this.logger?.debug('Session data initialized', {
       launchMode: this.options.launchMode,
@@ -644,15 +902,15 @@ class ScormApiHandler {
     }
 
     // Check if entry mode was already set by restoreData (from LMS resume)
-    const currentEntry = this.dataModel.getValue('cmi.entry');
+    const currentEntry = this.dataModel._getInternalValue(this.elements.entry);
     if (currentEntry === 'resume') {
       this.logger?.info('Entry mode already set to "resume" by data restoration');
       return 'resume';
     }
 
     // Check if there's previous suspend data
-    const suspendData = this.dataModel.getValue('cmi.suspend_data');
-    const completionStatus = this.dataModel.getValue('cmi.completion_status');
+    const suspendData = this.dataModel._getInternalValue(this.elements.suspendData);
+    const completionStatus = this.dataModel.getCompletionStatus();
 
     this.logger?.debug('Determining entry mode:', {
       hasSuspendData: !!suspendData,
@@ -675,6 +933,18 @@ class ScormApiHandler {
     if (this.startTime) {
       const endTime = new Date();
       const sessionDuration = endTime - this.startTime;
+
+      // Content reports its own session time; only fill it in when it did not
+      if (this.dataModel.explicitlySet?.has(this.elements.sessionTime)) {
+        return;
+      }
+
+      if (this.isScorm12()) {
+        const sessionTime = Scorm12DataModel.secondsToTimespan(Math.floor(sessionDuration / 1000));
+        this._setInternalDataModelValue(this.elements.sessionTime, sessionTime, { source: 'internal:commit' });
+        this.logger?.debug('Session time calculated:', sessionTime);
+        return;
+      }
       
       // Convert to ISO 8601 duration format (PT[H]H[M]M[S]S)
       const hours = Math.floor(sessionDuration / (1000 * 60 * 60));
@@ -745,6 +1015,12 @@ class ScormApiHandler {
         return true; // Always succeed for browse mode
       }
 
+      // Simulated data loss: the LMS acknowledges the commit but keeps nothing
+      if (this.faultInjector.shouldDropPersistence()) {
+        this.logger?.warn('Injected fault: commit acknowledged but not persisted', { sessionId: this.sessionId });
+        return true;
+      }
+
       // Normal mode - persist via session manager
       if (this.sessionManager) {
         try {
@@ -796,12 +1072,16 @@ class ScormApiHandler {
   getApiState() {
     return {
       sessionId: this.sessionId,
+      scormVersion: this.scormVersion,
       isInitialized: this.isInitialized,
       isTerminated: this.isTerminated,
       sessionState: this.errorHandler.getSessionState(),
       errorState: this.errorHandler.getErrorState(),
       startTime: this.startTime,
-      commitCount: this.commitCount
+      commitCount: this.commitCount,
+      lmsProfile: this.lmsProfile?.id || null,
+      deliverySettings: this.deliverySettings,
+      faults: this.faultInjector.getState()
     };
   }
 
@@ -888,14 +1168,7 @@ class ScormApiHandler {
          activityId: this.getCurrentActivityId(),
          element,
          value,
-         completionStatus: this.dataModel.getValue('cmi.completion_status'),
-         successStatus: this.dataModel.getValue('cmi.success_status'),
-         scoreRaw: this.dataModel.getValue('cmi.score.raw'),
-         progressMeasure: this.dataModel.getValue('cmi.progress_measure'),
-         sessionTime: this.dataModel.getValue('cmi.session_time'),
-         totalTime: this.dataModel.getValue('cmi.total_time'),
-         location: this.dataModel.getValue('cmi.location'),
-         suspendData: this.dataModel.getValue('cmi.suspend_data'),
+         ...this.dataModel.getProgressSnapshot(),
          timestamp: Date.now()
        };
        this.telemetryStore.broadcastToAllWindows('activity:progress:updated', progressData);
@@ -1020,6 +1293,14 @@ class ScormApiHandler {
     return this.options.launchMode === 'browse';
   }
 
+  /**
+   * Check if the session reviews a completed attempt
+   * @returns {boolean} True if in review mode
+   */
+  isReviewMode() {
+    return this.options.launchMode === 'review';
+  }
+
   /**
    * Get current launch mode
    * @returns {string} Current launch mode
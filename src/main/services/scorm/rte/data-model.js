@@ -17,8 +17,17 @@
 const { DATA_MODEL_SCHEMA, ACCESS_TYPES, DATA_TYPES } = require('../../../../shared/constants/data-model-schema');
 const SCORM_CONSTANTS = require('../../../../shared/constants/scorm-constants');
 const { COMMON_ERRORS } = require('../../../../shared/constants/error-codes');
+const {
+  SINGLE_CORRECT_RESPONSE_TYPES,
+  parseCorrectResponse,
+  parseLearnerResponse
+} = require('../../../../shared/utils/interaction-responses');
 const { Buffer } = require('buffer');
 
+// cmi.interactions.n.objectives.n.id and cmi.interactions.n.correct_responses.n.pattern
+const INTERACTION_LIST_REGEX = /^(objectives|correct_responses)\.(?:(\d+)\.(id|pattern)|(_count))$/;
+const INTERACTION_RESPONSE_REGEX = /^cmi\.interactions\.(\d+)\.(?:correct_responses\.(\d+)\.pattern|learner_response)$/;
+
 /**
  * SCORM Data Model Handler Class
  * 
@@ -33,6 +42,7 @@ class ScormDataModel {
    * @param {Object} options - Configuration options
    * @param {string} options.launchMode - Launch mode ('normal', 'browse', 'review')
    * @param {boolean} options.memoryOnlyStorage - Use memory-only storage (for browse mode)
+   * @param {boolean} [options.strictValidation=true] - Reject values with the wrong type or vocabulary
    */
   constructor(errorHandler, logger, options = {}) {
     this.errorHandler = errorHandler;
@@ -43,6 +53,9 @@ class ScormDataModel {
     this.memoryOnlyStorage = options.memoryOnlyStorage || false;
     this.browseSession = null;
 
+    // Lenient LMSs store mistyped values instead of returning a type mismatch
+    this.strictValidation = options.strictValidation !== false;
+
     // Data model change logging configuration
     const {
       changeListener = null,
@@ -71,6 +84,10 @@ class ScormDataModel {
     this.commentsFromLearner = [];
     this.commentsFromLms = [];
 
+    // Shared data buckets (adl.data) mapped to this SCO; supplied by the LMS
+    // via setSharedData() and written back on Commit/Terminate
+    this.sharedData = [];
+
     // Initialize with default values (suppress change logging during bootstrap)
     this.suppressChangeEvents = true;
     try {
@@ -228,6 +245,16 @@ class ScormDataModel {
         return this.getCollectionValue(element);
       }
 
+      // Statuses are evaluated against the manifest thresholds (RTE 4.2.4.1, 4.2.22.1)
+      if (element === 'cmi.completion_status') {
+        this.errorHandler.clearError();
+        return this.getCompletionStatus();
+      }
+      if (element === 'cmi.success_status') {
+        this.errorHandler.clearError();
+        return this.getSuccessStatus();
+      }
+
       // Handle regular elements
       const value = this.data.get(element);
       
@@ -511,6 +538,11 @@ class ScormDataModel {
       return true;
     }
 
+    // Check shared data buckets
+    if (element.startsWith('adl.data.')) {
+      return true;
+    }
+
     return false;
   }
 
@@ -544,6 +576,21 @@ class ScormDataModel {
         }
 
         const interaction = this.interactions[index];
+        const list = element.slice(interactionMatch[0].length).match(INTERACTION_LIST_REGEX);
+        if (list) {
+          const [, listName, nestedIndex, field, count] = list;
+          const entries = interaction[listName] || [];
+          if (count) {
+            return String(entries.length);
+          }
+          const entry = entries[parseInt(nestedIndex, 10)];
+          if (!entry) {
+            this.errorHandler.setError(COMMON_ERRORS.UNDEFINED_ELEMENT,
+              `Interaction ${index} has no ${listName} entry ${nestedIndex}`, 'getCollectionValue');
+            return '';
+          }
+          return String(entry[field] || '');
+        }
         return String(interaction[property] || '');
       }
 
@@ -649,6 +696,48 @@ class ScormDataModel {
       return '';
     }
 
+    // Handle shared data buckets
+    if (element.startsWith('adl.data.')) {
+      if (element === 'adl.data._children') {
+        return String(DATA_MODEL_SCHEMA['adl.data._children'].defaultValue);
+      }
+      if (element === 'adl.data._count') {
+        return String(this.sharedData.length);
+      }
+
+      const match = element.match(/^adl\.data\.(\d+)\.(id|store)$/);
+      if (match) {
+        const index = parseInt(match[1], 10);
+        const property = match[2];
+
+        if (index >= this.sharedData.length) {
+          this.errorHandler.setError(COMMON_ERRORS.UNDEFINED_ELEMENT,
+            `Shared data bucket ${index} not found`, 'getCollectionValue');
+          return '';
+        }
+
+        const bucket = this.sharedData[index];
+        if (property === 'id') {
+          return bucket.id;
+        }
+        if (!bucket.readSharedData) {
+          this.errorHandler.setError(COMMON_ERRORS.WRITE_ONLY_ELEMENT,
+            `Shared data bucket is not readable by this SCO: ${bucket.id}`, 'getCollectionValue');
+          return '';
+        }
+        if (bucket.store === null || bucket.store === undefined) {
+          this.errorHandler.setError(COMMON_ERRORS.VALUE_NOT_INITIALIZED,
+            `Shared data bucket has not been written: ${bucket.id}`, 'getCollectionValue');
+          return '';
+        }
+        return String(bucket.store);
+      }
+
+      this.errorHandler.setError(COMMON_ERRORS.UNDEFINED_ELEMENT,
+        `Invalid shared data element format: ${element}`, 'getCollectionValue');
+      return '';
+    }
+
     this.errorHandler.setError(COMMON_ERRORS.UNDEFINED_ELEMENT,
       `Collection element not found: ${element}`, 'getCollectionValue');
     return '';
@@ -683,12 +772,31 @@ class ScormDataModel {
         }
 
         const interaction = this.interactions[index];
-        const previousValue = interaction[property];
-        interaction[property] = value;
+        const path = element.slice(interactionMatch[0].length);
+        const list = path.match(INTERACTION_LIST_REGEX);
+        let previousValue;
+        if (list && !list[4]) {
+          const [, listName, nestedIndexRaw, field] = list;
+          const entries = interaction[listName] || (interaction[listName] = []);
+          const nestedIndex = parseInt(nestedIndexRaw, 10);
+          if (nestedIndex > entries.length) {
+            this.errorHandler.setError(COMMON_ERRORS.GENERAL_SET_FAILURE,
+              `Collection index must be sequential: ${element}`, 'setCollectionValue');
+            return false;
+          }
+          if (nestedIndex === entries.length) {
+            entries.push({});
+          }
+          previousValue = entries[nestedIndex][field];
+          entries[nestedIndex][field] = value;
+        } else {
+          previousValue = interaction[property];
+          interaction[property] = value;
+        }
         this._emitChange(element, previousValue, value, {
           collection: 'interactions',
           collectionIndex: index,
-          collectionProperty: property
+          collectionProperty: list ? path : property
         });
 
         const newCount = String(this.interactions.length);
@@ -834,6 +942,50 @@ class ScormDataModel {
       return false;
     }
 
+    // Handle shared data buckets (buckets are defined by the manifest; content cannot add them)
+    if (element.startsWith('adl.data.')) {
+      const match = element.match(/^adl\.data\.(\d+)\.(id|store)$/);
+      if (!match) {
+        this.errorHandler.setError(COMMON_ERRORS.UNDEFINED_ELEMENT,
+          `Invalid shared data element format: ${element}`, 'setCollectionValue');
+        return false;
+      }
+
+      const index = parseInt(match[1], 10);
+      const property = match[2];
+      if (index >= this.sharedData.length) {
+        this.errorHandler.setError(COMMON_ERRORS.GENERAL_SET_FAILURE,
+          `Shared data bucket ${index} is not mapped to this SCO`, 'setCollectionValue');
+        return false;
+      }
+
+      const bucket = this.sharedData[index];
+      if (property === 'id' || !bucket.writeSharedData) {
+        this.errorHandler.setError(COMMON_ERRORS.READ_ONLY_ELEMENT,
+          property === 'id'
+            ? `Element is read-only: ${element}`
+            : `Shared data bucket is not writable by this SCO: ${bucket.id}`,
+          'setCollectionValue');
+        return false;
+      }
+
+      if (String(value).length > SCORM_CONSTANTS.DATA_MODEL.LIMITS.SHARED_DATA_STORE) {
+        this.errorHandler.setError(COMMON_ERRORS.VALUE_OUT_OF_RANGE,
+          `Value too long for ${element}`, 'setCollectionValue');
+        return false;
+      }
+
+      const previousValue = bucket.store;
+      bucket.store = value;
+      bucket.modified = true;
+      this._emitChange(element, previousValue, value, {
+        collection: 'adl.data',
+        collectionIndex: index,
+        collectionProperty: property
+      });
+      return true;
+    }
+
     this.errorHandler.setError(COMMON_ERRORS.UNDEFINED_ELEMENT,
       `Cannot set collection element: ${element}`, 'setCollectionValue');
     return false;
@@ -855,9 +1007,12 @@ class ScormDataModel {
 
     // Check vocabulary constraints
     if (schema.vocabulary && !schema.vocabulary.includes(value)) {
-      this.errorHandler.setError(COMMON_ERRORS.TYPE_MISMATCH,
-        `Invalid vocabulary value for ${element}: ${value}`, 'validateValue');
-      return false;
+      if (this.strictValidation) {
+        this.errorHandler.setError(COMMON_ERRORS.TYPE_MISMATCH,
+          `Invalid vocabulary value for ${element}: ${value}`, 'validateValue');
+        return false;
+      }
+      this._acceptTypeMismatch(element, value, 'Invalid vocabulary value');
     }
 
     // Check length constraints
@@ -879,6 +1034,9 @@ class ScormDataModel {
 
     // Check data type format
     if (!this.validateDataType(schema.type, value)) {
+      if (!this.strictValidation) {
+        return this._acceptTypeMismatch(element, value, 'Invalid data type');
+      }
       this.errorHandler.setError(COMMON_ERRORS.TYPE_MISMATCH,
         `Invalid data type for ${element}: ${value}`, 'validateValue');
       return false;
@@ -887,6 +1045,28 @@ class ScormDataModel {
     return true;
   }
 
+  /**
+   * Switch between strict and lenient value validation
+   * @param {boolean} strict - False to accept type and vocabulary mismatches
+   */
+  setStrictValidation(strict) {
+    this.strictValidation = strict !== false;
+  }
+
+  /**
+   * Accept a mistyped value in lenient mode. Length and range limits are
+   * still enforced by the caller; only the type check is waived.
+   * @private
+   * @param {string} element - Element name
+   * @param {string} value - Rejected value
+   * @param {string} reason - Why strict validation would have failed
+   * @returns {boolean} Always true
+   */
+  _acceptTypeMismatch(element, value, reason) {
+    this.logger?.warn(`Lenient validation: ${reason} for ${element} accepted: ${value}`);
+    return true;
+  }
+
   /**
    * Validate data type format
    * @private
@@ -933,8 +1113,17 @@ class ScormDataModel {
       return false;
     }
 
-    // Basic validation for collection elements
-    // More specific validation could be added based on element type
+    // Shared data permissions and limits are checked in setCollectionValue
+    if (element.startsWith('adl.data.')) {
+      return true;
+    }
+
+    // Interaction responses follow the characterstring grammar of the interaction type
+    const response = element.match(INTERACTION_RESPONSE_REGEX);
+    if (response) {
+      const patternIndex = response[2] === undefined ? null : parseInt(response[2], 10);
+      return this.validateInteractionResponse(element, value, parseInt(response[1], 10), patternIndex);
+    }
 
     if (element.includes('.id')) {
       // IDs should not be empty and within length limits
@@ -954,6 +1143,58 @@ class ScormDataModel {
     return true; // Default to valid for other collection elements
   }
 
+  /**
+   * Validate a correct response pattern or learner_response against the
+   * grammar of the interaction's type (RTE 4.2.9). The type must be set first;
+   * true-false, likert, numeric and other interactions take a single correct
+   * response, and no pattern may repeat another.
+   * @private
+   * @param {string} element - Element name
+   * @param {string} value - Value to validate
+   * @param {number} index - Interaction index
+   * @param {number|null} patternIndex - correct_responses index, or null for learner_response
+   * @returns {boolean} True if valid
+   */
+  validateInteractionResponse(element, value, index, patternIndex) {
+    const interaction = this.interactions[index];
+    const type = interaction?.type;
+    if (!type) {
+      if (!this.strictValidation) {
+        return this._acceptTypeMismatch(element, value, 'Interaction type not set');
+      }
+      this.errorHandler.setError(COMMON_ERRORS.DEPENDENCY_NOT_ESTABLISHED,
+        `cmi.interactions.${index}.type must be set before ${element}`, 'validateInteractionResponse');
+      return false;
+    }
+
+    const isPattern = patternIndex !== null;
+    const parsed = isPattern ? parseCorrectResponse(type, value) : parseLearnerResponse(type, value);
+    if (!parsed.valid) {
+      const what = isPattern ? 'correct response pattern' : 'learner_response';
+      if (!this.strictValidation) {
+        return this._acceptTypeMismatch(element, value, `Invalid ${type} ${what} (${parsed.reason})`);
+      }
+      this.errorHandler.setError(COMMON_ERRORS.TYPE_MISMATCH,
+        `Invalid ${type} ${what} for ${element}: ${parsed.reason}`, 'validateInteractionResponse');
+      return false;
+    }
+
+    if (isPattern) {
+      if (patternIndex > 0 && SINGLE_CORRECT_RESPONSE_TYPES.includes(type)) {
+        this.errorHandler.setError(COMMON_ERRORS.GENERAL_SET_FAILURE,
+          `${type} interactions take a single correct response: ${element}`, 'validateInteractionResponse');
+        return false;
+      }
+      const duplicate = (interaction.correct_responses || []).findIndex((entry, i) => i !== patternIndex && entry.pattern === value);
+      if (duplicate !== -1) {
+        this.errorHandler.setError(COMMON_ERRORS.GENERAL_SET_FAILURE,
+          `${element} repeats cmi.interactions.${index}.correct_responses.${duplicate}.pattern: ${value}`, 'validateInteractionResponse');
+        return false;
+      }
+    }
+    return true;
+  }
+
   /**
    * Get element schema
    * @private
@@ -1023,7 +1264,7 @@ class ScormDataModel {
 
       // Restore collections
       if (Array.isArray(savedData.interactions)) {
-        this.interactions = [...savedData.interactions];
+        this.interactions = savedData.interactions.map(interaction => this._migrateInteraction(interaction));
       }
       if (Array.isArray(savedData.objectives)) {
         this.objectives = [...savedData.objectives];
@@ -1045,6 +1286,91 @@ class ScormDataModel {
     }
   }
 
+  /**
+   * Bring an interaction saved before objectives and correct_responses were
+   * stored as nested lists into the current shape. Those snapshots kept each
+   * nested value under its last path segment, so only the most recent pattern
+   * survives (as `pattern`); dotted keys such as `correct_responses.0.pattern`
+   * are also folded into their lists.
+   * @private
+   * @param {Object} interaction - Saved interaction
+   * @returns {Object} Interaction with nested objectives/correct_responses
+   */
+  _migrateInteraction(interaction) {
+    if (!interaction || typeof interaction !== 'object') {
+      return interaction;
+    }
+
+    const migrated = { ...interaction };
+    for (const key of Object.keys(migrated)) {
+      const list = key.match(INTERACTION_LIST_REGEX);
+      if (!list) continue;
+      const [, listName, nestedIndex, field] = list;
+      if (nestedIndex !== undefined && !Array.isArray(interaction[listName])) {
+        const entries = migrated[listName] || (migrated[listName] = []);
+        entries[parseInt(nestedIndex, 10)] = { ...entries[parseInt(nestedIndex, 10)], [field]: migrated[key] };
+      }
+      delete migrated[key];
+    }
+    if (typeof migrated.pattern === 'string') {
+      if (!Array.isArray(migrated.correct_responses)) {
+        migrated.correct_responses = [{ pattern: migrated.pattern }];
+      }
+      delete migrated.pattern;
+    }
+    for (const listName of ['objectives', 'correct_responses']) {
+      if (Array.isArray(migrated[listName])) {
+        // Drop holes left by sparse dotted keys so _count matches the entries
+        migrated[listName] = migrated[listName].filter(Boolean);
+      }
+    }
+    return migrated;
+  }
+
+  /**
+   * Attach the shared data buckets mapped to this SCO
+   * @param {Array<{id: string, store: (string|null), readSharedData: boolean, writeSharedData: boolean}>} buckets
+   *   Buckets in manifest map order
+   */
+  setSharedData(buckets) {
+    this.sharedData = (Array.isArray(buckets) ? buckets : []).map(bucket => ({
+      id: String(bucket.id),
+      store: bucket.store ?? null,
+      readSharedData: bucket.readSharedData !== false,
+      writeSharedData: bucket.writeSharedData !== false,
+      modified: false
+    }));
+    this.data.set('adl.data._count', String(this.sharedData.length));
+  }
+
+  /**
+   * Initialize cmi.objectives entries from the activity's mapped global objectives
+   * Existing entries (e.g. restored from a suspended attempt) are matched by id and
+   * only the values read from the global objective are overwritten.
+   * @param {Array<{id: string, success_status?: string, scaled?: string}>} entries - Objective seeds
+   */
+  seedObjectives(entries) {
+    for (const entry of Array.isArray(entries) ? entries : []) {
+      if (!entry?.id) continue;
+      let objective = this.objectives.find(o => o.id === entry.id);
+      if (!objective) {
+        objective = { id: entry.id };
+        this.objectives.push(objective);
+      }
+      if (entry.success_status !== undefined) objective.success_status = entry.success_status;
+      if (entry.scaled !== undefined) objective.scaled = entry.scaled;
+    }
+    this.data.set('cmi.objectives._count', String(this.objectives.length));
+  }
+
+  /**
+   * Get the shared data buckets attached to this SCO
+   * @returns {Array<Object>} Copies of the bucket entries
+   */
+  getSharedData() {
+    return this.sharedData.map(bucket => ({ ...bucket }));
+  }
+
   /**
    * Get objectives data for event emission
    * @returns {Array} Array of objectives data
@@ -1063,6 +1389,7 @@ class ScormDataModel {
     this.objectives = [];
     this.commentsFromLearner = [];
     this.commentsFromLms = [];
+    this.sharedData = [];
 
     const previousSuppress = this.suppressChangeEvents;
     this.suppressChangeEvents = true;
@@ -1089,6 +1416,31 @@ class ScormDataModel {
     this.logger?.debug('Learner information set', learnerInfo);
   }
 
+  /**
+   * Seed learner preferences from the learner's profile (called during initialization)
+   * @param {Object} preferences - audio_level, language, delivery_speed and/or audio_captioning
+   */
+  setLearnerPreferences(preferences) {
+    for (const [key, value] of Object.entries(preferences || {})) {
+      const element = this.getLearnerPreferenceElement(key);
+      if (element && value !== undefined && value !== null && value !== '') {
+        this._setInternalValue(element, String(value));
+      }
+    }
+  }
+
+  /**
+   * Map a profile preference to its data model element
+   * @protected
+   * @param {string} key - Preference name (SCORM 2004 naming)
+   * @returns {string|null} Element, or null for unknown preferences
+   */
+  getLearnerPreferenceElement(key) {
+    return ['audio_level', 'language', 'delivery_speed', 'audio_captioning'].includes(key)
+      ? `cmi.learner_preference.${key}`
+      : null;
+  }
+
   /**
    * Set launch data from manifest
    * @param {string} launchData - Launch data string
@@ -1112,19 +1464,78 @@ class ScormDataModel {
   }
 
   /**
-   * Get completion status
+   * Set cmi.completion_threshold from the activity's adlcp:minProgressMeasure
+   * @param {number|null} threshold - Threshold (0-1), or null when completion is not by measure
+   */
+  setCompletionThreshold(threshold) {
+    if (typeof threshold === 'number' && threshold >= 0 && threshold <= 1) {
+      this.data.set('cmi.completion_threshold', String(threshold));
+      this.logger?.debug('Completion threshold set:', threshold);
+    } else {
+      this.data.delete('cmi.completion_threshold');
+    }
+  }
+
+  /**
+   * Get completion status. With a completion threshold and a progress measure
+   * the LMS decides completed/incomplete itself (RTE 4.2.4.1); otherwise the
+   * value set by the SCO is reported.
    * @returns {string} Current completion status
    */
   getCompletionStatus() {
-    return this.data.get('cmi.completion_status') || 'unknown';
+    const stored = this.data.get('cmi.completion_status') || 'unknown';
+    const threshold = parseFloat(this.data.get('cmi.completion_threshold'));
+    const measure = parseFloat(this.data.get('cmi.progress_measure'));
+    if (Number.isNaN(threshold) || Number.isNaN(measure)) {
+      return stored;
+    }
+    return measure >= threshold ? 'completed' : 'incomplete';
   }
 
   /**
-   * Get success status
+   * Get success status. With a scaled passing score the LMS decides
+   * passed/failed from cmi.score.scaled, and reports unknown while no scaled
+   * score is set (RTE 4.2.22.1).
    * @returns {string} Current success status
    */
   getSuccessStatus() {
-    return this.data.get('cmi.success_status') || 'unknown';
+    const stored = this.data.get('cmi.success_status') || 'unknown';
+    const passingScore = parseFloat(this.data.get('cmi.scaled_passing_score'));
+    if (Number.isNaN(passingScore)) {
+      return stored;
+    }
+    const scaled = parseFloat(this.data.get('cmi.score.scaled'));
+    if (Number.isNaN(scaled)) {
+      return 'unknown';
+    }
+    return scaled >= passingScore ? 'passed' : 'failed';
+  }
+
+  /**
+   * Close out the attempt's statuses on Terminate: store the evaluated
+   * statuses and, where the activity does not require the content to report
+   * them (completionSetByContent/objectiveSetByContent false), have the LMS
+   * mark an unknown status completed/passed.
+   * @param {Object} deliveryControls - Activity delivery controls
+   * @param {boolean} [deliveryControls.completionSetByContent=false]
+   * @param {boolean} [deliveryControls.objectiveSetByContent=false]
+   */
+  finalizeAttemptStatus({ completionSetByContent = false, objectiveSetByContent = false } = {}) {
+    let completion = this.getCompletionStatus();
+    if (completion === 'unknown' && !completionSetByContent) {
+      completion = 'completed';
+    }
+    let success = this.getSuccessStatus();
+    if (success === 'unknown' && !objectiveSetByContent) {
+      success = 'passed';
+    }
+
+    if (this.data.get('cmi.completion_status') !== completion) {
+      this._setInternalValue('cmi.completion_status', completion);
+    }
+    if (this.data.get('cmi.success_status') !== success) {
+      this._setInternalValue('cmi.success_status', success);
+    }
   }
 
   /**
@@ -1140,6 +1551,24 @@ class ScormDataModel {
     };
   }
 
+  /**
+   * Get progress snapshot for UI synchronization. Reads internally so that
+   * write-only elements (session_time) do not set an error on the API.
+   * @returns {Object} Progress values
+   */
+  getProgressSnapshot() {
+    return {
+      completionStatus: this.getCompletionStatus(),
+      successStatus: this.getSuccessStatus(),
+      scoreRaw: this._getInternalValue('cmi.score.raw'),
+      progressMeasure: this._getInternalValue('cmi.progress_measure'),
+      sessionTime: this._getInternalValue('cmi.session_time'),
+      totalTime: this._getInternalValue('cmi.total_time'),
+      location: this._getInternalValue('cmi.location'),
+      suspendData: this._getInternalValue('cmi.suspend_data')
+    };
+  }
+
   // ===== BROWSE MODE METHODS =====
 
   /**
@@ -1302,11 +1731,11 @@ class ScormDataModel {
   }
 
   /**
-   * Check if data should be persisted (false for browse mode)
+   * Check if data should be persisted (false for browse and review mode)
    * @returns {boolean} True if data should be persisted
    */
   shouldPersistData() {
-    return !this.memoryOnlyStorage && !this.isBrowseMode();
+    return !this.memoryOnlyStorage && !this.isBrowseMode() && this.launchMode !== 'review';
   }
 }
 
@@ -17,6 +17,7 @@ const {
   SCORM_ERROR_CODES,
   ERROR_CATEGORIES,
   COMMON_ERRORS,
+  SCORM12_ERRORS,
   getErrorCategory,
   isSuccess,
   isValidErrorCode,
@@ -35,9 +36,12 @@ class ScormErrorHandler {
   /**
    * Initialize the error handler
    * @param {Object} logger - Logger instance for error tracking
+   * @param {Object} [options] - Handler options
+   * @param {string} [options.scormVersion='2004'] - '1.2' selects the SCORM 1.2 error vocabulary
    */
-  constructor(logger) {
+  constructor(logger, options = {}) {
     this.logger = logger;
+    this.scormVersion = options.scormVersion === '1.2' ? '1.2' : '2004';
     
     // Current error state
     this.lastError = COMMON_ERRORS.NO_ERROR;
@@ -64,8 +68,11 @@ class ScormErrorHandler {
    * @private
    */
   initializeErrorCodes() {
-    // Adopt shared SCORM 2004 error codes to ensure consistency across app layers
-    this.scormErrorCodes = require('../../../../shared/constants/error-codes').SCORM_ERROR_CODES;
+    // Adopt shared error codes to ensure consistency across app layers
+    const sharedCodes = require('../../../../shared/constants/error-codes');
+    this.scormErrorCodes = this.scormVersion === '1.2'
+      ? sharedCodes.SCORM12_ERROR_CODES
+      : sharedCodes.SCORM_ERROR_CODES;
     this.logger?.debug('SCORM error codes initialized from shared constants:', Object.keys(this.scormErrorCodes).length);
   }
 
@@ -98,7 +105,7 @@ class ScormErrorHandler {
     
     // Log error (only log actual errors, not success)
     if (!isSuccess(errorCode)) {
-      const errorString = getErrorString(errorCode);
+      const errorString = getErrorString(errorCode, this.scormVersion);
       const category = getErrorCategory(errorCode);
       
       this.logger?.error(`SCORM Error [${category}]: ${errorCode} - ${errorString}`, {
@@ -131,7 +138,7 @@ class ScormErrorHandler {
       return '';
     }
     
-    return getErrorString(code);
+    return getErrorString(code, this.scormVersion);
   }
 
   /**
@@ -191,6 +198,10 @@ class ScormErrorHandler {
       return true;
     }
     
+    if (this.scormVersion === '1.2') {
+      return this.validateScorm12SessionState(currentState, operation);
+    }
+
     // Set appropriate error based on state mismatch
     if (operation === 'Initialize') {
       if (currentState === SCORM_CONSTANTS.SESSION_STATES.RUNNING) {
@@ -234,6 +245,43 @@ class ScormErrorHandler {
     return false;
   }
 
+  /**
+   * SCORM 1.2 session state errors. 1.2 has no dedicated codes for most
+   * lifecycle violations: anything before LMSInitialize is 301, anything
+   * after LMSFinish (or a second LMSInitialize) is a general exception.
+   * @private
+   * @param {string} currentState - Current session state
+   * @param {string} operation - Operation being attempted
+   * @returns {boolean} Always false (state did not match)
+   */
+  validateScorm12SessionState(currentState, operation) {
+    const { NOT_INITIALIZED, RUNNING, TERMINATED } = SCORM_CONSTANTS.SESSION_STATES;
+
+    if (operation === 'Initialize') {
+      const reason = currentState === RUNNING
+        ? 'LMSInitialize called when session already initialized'
+        : 'LMSInitialize called after LMSFinish';
+      this.setError(SCORM12_ERRORS.GENERAL_EXCEPTION, reason, 'validateSessionState');
+      return false;
+    }
+
+    if (currentState === NOT_INITIALIZED) {
+      this.setError(SCORM12_ERRORS.NOT_INITIALIZED,
+        `${operation} called before LMSInitialize`,
+        'validateSessionState');
+      return false;
+    }
+
+    if (currentState === TERMINATED) {
+      this.setError(SCORM12_ERRORS.GENERAL_EXCEPTION,
+        `${operation} called after LMSFinish`,
+        'validateSessionState');
+      return false;
+    }
+
+    return false;
+  }
+
   /**
    * Update session state
    * @param {string} newState - New session state
@@ -277,7 +325,7 @@ class ScormErrorHandler {
     const entry = {
       timestamp: new Date().toISOString(),
       errorCode: String(errorCode),
-      errorString: getErrorString(errorCode),
+      errorString: getErrorString(errorCode, this.scormVersion),
       diagnostic,
       context,
       sessionState: this.sessionState
@@ -306,7 +354,7 @@ class ScormErrorHandler {
   getErrorState() {
     return {
       lastError: this.lastError,
-      lastErrorString: getErrorString(this.lastError),
+      lastErrorString: getErrorString(this.lastError, this.scormVersion),
       lastDiagnostic: this.lastDiagnostic,
       sessionState: this.sessionState,
       hasError: this.hasError(),
@@ -0,0 +1,142 @@
+/**
+ * RTE Fault Injector
+ *
+ * Simulates an unreliable LMS so content authors can exercise their retry
+ * and error handling paths. Faults are configured per RTE instance:
+ * - commitFailure: Commit returns "false" with a general commit failure (391)
+ * - latencyMs: every API call is answered this much later
+ * - failSetValueAt: the Nth SetValue after configuring fails with 351 (once)
+ * - dropPersistence: commits report success but nothing is written to disk
+ *
+ * @fileoverview Configurable LMS fault injection for the SCORM runtime
+ */
+
+const DEFAULT_FAULTS = Object.freeze({
+  commitFailure: false,
+  latencyMs: 0,
+  failSetValueAt: null,
+  dropPersistence: false
+});
+
+/**
+ * Named fault combinations offered by the GUI menu and the MCP tool
+ */
+const FAULT_PRESETS = Object.freeze({
+  'connection-lost': Object.freeze({ commitFailure: true, dropPersistence: true }),
+  'commit-failure': Object.freeze({ commitFailure: true }),
+  'slow-lms': Object.freeze({ latencyMs: 2000 }),
+  'fail-third-set-value': Object.freeze({ failSetValueAt: 3 }),
+  'drop-persistence': Object.freeze({ dropPersistence: true })
+});
+
+/**
+ * Fault Injector Class
+ */
+class FaultInjector {
+  /**
+   * @param {Object} [logger] - Logger instance
+   */
+  constructor(logger = null) {
+    this.logger = logger;
+    this.reset();
+  }
+
+  /**
+   * Replace the active faults. Unknown keys are ignored and the SetValue
+   * counter restarts, so failSetValueAt counts from this call.
+   * @param {Object|string} faults - Fault settings or a FAULT_PRESETS name
+   * @returns {Object} Active fault state
+   */
+  configure(faults = {}) {
+    const input = typeof faults === 'string' ? FAULT_PRESETS[faults] : faults;
+    if (!input || typeof input !== 'object') {
+      throw new Error(`Unknown fault preset: ${faults}`);
+    }
+
+    const latency = Number(input.latencyMs);
+    const failAt = Number(input.failSetValueAt);
+
+    this.faults = {
+      commitFailure: input.commitFailure === true,
+      latencyMs: Number.isFinite(latency) && latency > 0 ? Math.round(latency) : 0,
+      failSetValueAt: Number.isInteger(failAt) && failAt > 0 ? failAt : null,
+      dropPersistence: input.dropPersistence === true
+    };
+    this.setValueCount = 0;
+    this.injectedCount = 0;
+
+    if (this.isActive()) {
+      this.logger?.warn('FaultInjector: LMS faults enabled', this.faults);
+    }
+    return this.getState();
+  }
+
+  /**
+   * Clear every fault
+   */
+  reset() {
+    this.faults = { ...DEFAULT_FAULTS };
+    this.setValueCount = 0;
+    this.injectedCount = 0;
+  }
+
+  /**
+   * @returns {boolean} True when any fault is configured
+   */
+  isActive() {
+    const f = this.faults;
+    return f.commitFailure || f.latencyMs > 0 || f.failSetValueAt !== null || f.dropPersistence;
+  }
+
+  /**
+   * @returns {Object} Active faults plus counters
+   */
+  getState() {
+    return {
+      ...this.faults,
+      active: this.isActive(),
+      setValueCount: this.setValueCount,
+      injectedCount: this.injectedCount
+    };
+  }
+
+  /**
+   * Count a SetValue and report whether it is the one that should fail
+   * @returns {boolean} True to fail this SetValue
+   */
+  shouldFailSetValue() {
+    this.setValueCount++;
+    if (this.faults.failSetValueAt !== null && this.setValueCount === this.faults.failSetValueAt) {
+      this.injectedCount++;
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * @returns {boolean} True to fail this Commit
+   */
+  shouldFailCommit() {
+    if (this.faults.commitFailure) {
+      this.injectedCount++;
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * @returns {boolean} True when persistence should be silently skipped
+   */
+  shouldDropPersistence() {
+    return this.faults.dropPersistence;
+  }
+
+  /**
+   * @returns {number} Delay to add before answering an API call
+   */
+  getLatencyMs() {
+    return this.faults.latencyMs;
+  }
+}
+
+module.exports = { FaultInjector, FAULT_PRESETS };
@@ -0,0 +1,203 @@
+/**
+ * LMS Profiles
+ *
+ * Describes how a particular LMS behaves at run-time so the tester can mimic
+ * it: who the learner is, how much cmi.suspend_data it keeps (and whether it
+ * truncates or rejects the rest), how forgiving it is about malformed values,
+ * whether it commits after every SetValue and how long a Commit takes.
+ *
+ * Profiles are plain JSON. Besides the built-in set, users can drop their own
+ * profile files into a directory; a user profile with the same id as a
+ * built-in one replaces it.
+ *
+ * @fileoverview LMS profile definitions, normalization and JSON loading
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SUSPEND_DATA_OVERFLOW = Object.freeze({
+  TRUNCATE: 'truncate',
+  REJECT: 'reject'
+});
+
+const DEFAULT_SETTINGS = Object.freeze({
+  learnerId: 'test_001',
+  learnerName: 'Test User',
+  maxSuspendDataLength: 64000,
+  suspendDataOverflow: SUSPEND_DATA_OVERFLOW.REJECT,
+  strictValidation: true,
+  commitOnEverySet: false,
+  commitLatencyMs: 0
+});
+
+/**
+ * Version-specific element names accepted as aliases for the neutral
+ * learner settings, so older profile files keep working
+ */
+const LEGACY_SETTING_KEYS = Object.freeze({
+  'cmi.core.student_id': 'learnerId',
+  'cmi.learner_id': 'learnerId',
+  'cmi.core.student_name': 'learnerName',
+  'cmi.learner_name': 'learnerName'
+});
+
+const BUILT_IN_LMS_PROFILES = Object.freeze({
+  litmos: {
+    name: 'Litmos LMS',
+    settings: {
+      learnerId: 'learner123',
+      learnerName: 'Test Learner',
+      maxSuspendDataLength: 4096,
+      suspendDataOverflow: SUSPEND_DATA_OVERFLOW.TRUNCATE,
+      strictValidation: true,
+      commitOnEverySet: true
+    }
+  },
+  moodle: {
+    name: 'Moodle',
+    settings: {
+      learnerId: 'user123',
+      learnerName: 'Test User',
+      maxSuspendDataLength: 65536,
+      strictValidation: false,
+      commitOnEverySet: false
+    }
+  },
+  scormcloud: {
+    name: 'SCORM Cloud',
+    settings: {
+      learnerId: 'student_001',
+      learnerName: 'Test Student',
+      maxSuspendDataLength: 65536,
+      strictValidation: true,
+      commitOnEverySet: false,
+      commitLatencyMs: 150
+    }
+  },
+  generic: {
+    name: 'Generic LMS',
+    settings: {
+      learnerId: 'test_001',
+      learnerName: 'Test User',
+      maxSuspendDataLength: 4096,
+      strictValidation: true,
+      commitOnEverySet: false
+    }
+  }
+});
+
+/**
+ * Coerce a raw profile definition into the shape the runtime expects
+ * @param {string} id - Profile identifier
+ * @param {Object} raw - Profile definition ({ name, description, settings })
+ * @param {string} [source='built-in'] - Where the profile came from
+ * @returns {Object} Normalized profile ({ id, name, description, source, settings })
+ */
+function normalizeLmsProfile(id, raw, source = 'built-in') {
+  if (!raw || typeof raw !== 'object') {
+    throw new Error(`LMS profile ${id} must be an object`);
+  }
+
+  const input = raw.settings && typeof raw.settings === 'object' ? raw.settings : {};
+  const settings = { ...DEFAULT_SETTINGS };
+
+  for (const [key, value] of Object.entries(input)) {
+    const target = LEGACY_SETTING_KEYS[key] || key;
+    if (Object.prototype.hasOwnProperty.call(DEFAULT_SETTINGS, target)) {
+      settings[target] = value;
+    }
+  }
+
+  settings.learnerId = String(settings.learnerId ?? '');
+  settings.learnerName = String(settings.learnerName ?? '');
+  settings.strictValidation = settings.strictValidation !== false;
+  settings.commitOnEverySet = settings.commitOnEverySet === true;
+
+  const maxLength = Number(settings.maxSuspendDataLength);
+  settings.maxSuspendDataLength = Number.isInteger(maxLength) && maxLength > 0
+    ? maxLength
+    : DEFAULT_SETTINGS.maxSuspendDataLength;
+
+  const latency = Number(settings.commitLatencyMs);
+  settings.commitLatencyMs = Number.isFinite(latency) && latency > 0 ? Math.round(latency) : 0;
+
+  if (!Object.values(SUSPEND_DATA_OVERFLOW).includes(settings.suspendDataOverflow)) {
+    settings.suspendDataOverflow = DEFAULT_SETTINGS.suspendDataOverflow;
+  }
+
+  return {
+    id,
+    name: typeof raw.name === 'string' && raw.name ? raw.name : id,
+    description: typeof raw.description === 'string' ? raw.description : '',
+    source,
+    settings
+  };
+}
+
+/**
+ * Build the normalized built-in profile map
+ * @returns {Object<string, Object>} Profiles keyed by id
+ */
+function getBuiltInLmsProfiles() {
+  const profiles = {};
+  for (const [id, raw] of Object.entries(BUILT_IN_LMS_PROFILES)) {
+    profiles[id] = normalizeLmsProfile(id, raw);
+  }
+  return profiles;
+}
+
+/**
+ * Read profiles from a JSON file. The file holds either a single profile
+ * object or an array of them; a profile without an "id" takes the file name.
+ * @param {string} filePath - Path to the JSON file
+ * @returns {Array<Object>} Normalized profiles
+ */
+function loadLmsProfileFile(filePath) {
+  const parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const entries = Array.isArray(parsed) ? parsed : [parsed];
+  const fallbackId = path.basename(filePath, path.extname(filePath));
+
+  return entries.map((entry, index) => {
+    const id = typeof entry?.id === 'string' && entry.id.trim()
+      ? entry.id.trim()
+      : (entries.length > 1 ? `${fallbackId}-${index + 1}` : fallbackId);
+    return normalizeLmsProfile(id, entry, filePath);
+  });
+}
+
+/**
+ * Read every *.json profile file in a directory. Unreadable or malformed
+ * files are reported in `errors` and skipped.
+ * @param {string} dirPath - Directory containing profile files
+ * @param {Object} [logger] - Logger instance
+ * @returns {{profiles: Array<Object>, errors: Array<{file: string, error: string}>}}
+ */
+function loadLmsProfilesFromDirectory(dirPath, logger = null) {
+  const result = { profiles: [], errors: [] };
+  if (!dirPath || !fs.existsSync(dirPath)) {
+    return result;
+  }
+
+  const files = fs.readdirSync(dirPath).filter(file => file.toLowerCase().endsWith('.json')).sort();
+  for (const file of files) {
+    const filePath = path.join(dirPath, file);
+    try {
+      result.profiles.push(...loadLmsProfileFile(filePath));
+    } catch (error) {
+      logger?.warn(`LmsProfiles: Skipping invalid profile file ${filePath}: ${error.message}`);
+      result.errors.push({ file: filePath, error: error.message });
+    }
+  }
+
+  return result;
+}
+
+module.exports = {
+  SUSPEND_DATA_OVERFLOW,
+  BUILT_IN_LMS_PROFILES,
+  normalizeLmsProfile,
+  getBuiltInLmsProfiles,
+  loadLmsProfileFile,
+  loadLmsProfilesFromDirectory
+};
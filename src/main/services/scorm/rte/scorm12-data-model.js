@@ -0,0 +1,654 @@
+/**
+ * SCORM 1.2 Data Model Implementation
+ *
+ * Implements the SCORM 1.2 (cmi.core.*) run-time data model on top of the
+ * shared ScormDataModel infrastructure (change logging, browse mode,
+ * persistence shape). Only the schema-dependent behaviour is overridden:
+ * - Element lookup against the SCORM 1.2 schema
+ * - SCORM 1.2 error codes (201-405)
+ * - cmi.objectives.n.* and cmi.interactions.n.* collections
+ * - LMS-managed fields (total_time accumulation, mastery score evaluation)
+ *
+ * @fileoverview SCORM 1.2 compliant data model
+ */
+
+const ScormDataModel = require('./data-model');
+const { ACCESS_TYPES } = require('../../../../shared/constants/data-model-schema');
+const {
+  SCORM12_DATA_MODEL_SCHEMA,
+  SCORM12_COLLECTION_SCHEMA,
+  SCORM12_DATA_TYPES,
+  SCORM12_PATTERNS
+} = require('../../../../shared/constants/scorm12-data-model-schema');
+const { SCORM12_ERRORS } = require('../../../../shared/constants/error-codes');
+
+const COLLECTION_ELEMENT_REGEX = /^cmi\.(objectives|interactions)\.(\d+)\.(.+)$/;
+const NESTED_COLLECTION_REGEX = /^(objectives|correct_responses)\.(\d+)\.(id|pattern)$/;
+const KEYWORD_SUFFIXES = ['._children', '._count', '._version'];
+
+// Learner profile preferences (SCORM 2004 names) mapped to their SCORM 1.2 elements
+const STUDENT_PREFERENCE_ELEMENTS = Object.freeze({
+  audio_level: 'cmi.student_preference.audio',
+  language: 'cmi.student_preference.language',
+  delivery_speed: 'cmi.student_preference.speed',
+  audio_captioning: 'cmi.student_preference.text'
+});
+
+/**
+ * SCORM 1.2 Data Model Class
+ */
+class Scorm12DataModel extends ScormDataModel {
+  /**
+   * Get value of a data model element (LMSGetValue)
+   * @param {string} element - Data model element name
+   * @returns {string} Element value or empty string on error
+   */
+  getValue(element) {
+    try {
+      if (!element || typeof element !== 'string') {
+        this.errorHandler.setError(SCORM12_ERRORS.INVALID_ARGUMENT,
+          'Data model element name is required', 'getValue');
+        return '';
+      }
+
+      const schema = this.getElementSchema(element);
+      if (!schema) {
+        this._setUnknownElementError(element, 'getValue');
+        return '';
+      }
+
+      if (schema.access === ACCESS_TYPES.WRITE_ONLY) {
+        this.errorHandler.setError(SCORM12_ERRORS.WRITE_ONLY_ELEMENT,
+          `Element is write-only: ${element}`, 'getValue');
+        return '';
+      }
+
+      if (this.isCollectionElement(element)) {
+        return this.getCollectionValue(element);
+      }
+
+      const value = this.data.get(element);
+      this.errorHandler.clearError();
+      if (value === undefined || value === null) {
+        return schema.defaultValue ? String(schema.defaultValue) : '';
+      }
+      return String(value);
+
+    } catch (error) {
+      this.logger?.error('Error in getValue:', error);
+      this.errorHandler.setError(SCORM12_ERRORS.GENERAL_EXCEPTION,
+        `Unexpected error getting value: ${error.message}`, 'getValue');
+      return '';
+    }
+  }
+
+  /**
+   * Set value of a data model element (LMSSetValue)
+   * @param {string} element - Data model element name
+   * @param {string} value - Value to set
+   * @returns {boolean} True if successful, false on error
+   */
+  setValue(element, value) {
+    try {
+      if (!element || typeof element !== 'string') {
+        this.errorHandler.setError(SCORM12_ERRORS.INVALID_ARGUMENT,
+          'Data model element name is required', 'setValue');
+        return false;
+      }
+
+      if (this._isKeyword(element)) {
+        if (this._isKnownPath(this._stripKeyword(element))) {
+          this.errorHandler.setError(SCORM12_ERRORS.ELEMENT_IS_KEYWORD,
+            `Cannot set keyword element: ${element}`, 'setValue');
+        } else {
+          this._setUnknownElementError(element, 'setValue');
+        }
+        return false;
+      }
+
+      const schema = this.getElementSchema(element);
+      if (!schema) {
+        this._setUnknownElementError(element, 'setValue');
+        return false;
+      }
+
+      if (schema.access === ACCESS_TYPES.READ_ONLY) {
+        this.errorHandler.setError(SCORM12_ERRORS.READ_ONLY_ELEMENT,
+          `Element is read-only: ${element}`, 'setValue');
+        return false;
+      }
+
+      // "not attempted" is an LMS-only state; content may not report it
+      if (element === 'cmi.core.lesson_status' && value === 'not attempted') {
+        this.errorHandler.setError(SCORM12_ERRORS.INCORRECT_DATA_TYPE,
+          'SCO may not set cmi.core.lesson_status to "not attempted"', 'setValue');
+        return false;
+      }
+
+      if (!this.validateValue(element, value)) {
+        return false;
+      }
+
+      if (this.isCollectionElement(element)) {
+        return this.setCollectionValue(element, value);
+      }
+
+      const wasExplicitlySet = this.explicitlySet.has(element);
+      const previousValue = wasExplicitlySet ? this.data.get(element) : undefined;
+      let newValue = value;
+
+      // cmi.comments is cumulative in SCORM 1.2
+      if (element === 'cmi.comments') {
+        newValue = `${this.data.get(element) || ''}${value}`;
+        if (newValue.length > schema.maxLength) {
+          this.errorHandler.setError(SCORM12_ERRORS.INCORRECT_DATA_TYPE,
+            `Accumulated comments exceed ${schema.maxLength} characters`, 'setValue');
+          return false;
+        }
+      }
+
+      this.explicitlySet.add(element);
+      this.data.set(element, newValue);
+      this._emitChange(element, previousValue, newValue);
+
+      if (this.isBrowseMode()) {
+        this.logBrowseOperation('setValue', { element, value });
+      }
+
+      this.errorHandler.clearError();
+      return true;
+
+    } catch (error) {
+      this.logger?.error('Error in setValue:', error);
+      this.errorHandler.setError(SCORM12_ERRORS.GENERAL_EXCEPTION,
+        `Unexpected error setting value: ${error.message}`, 'setValue');
+      return false;
+    }
+  }
+
+  /**
+   * Initialize data model with SCORM 1.2 default values
+   * @private
+   */
+  initializeDefaults() {
+    for (const [element, schema] of Object.entries(SCORM12_DATA_MODEL_SCHEMA)) {
+      if (schema.defaultValue !== null && schema.defaultValue !== undefined) {
+        this.data.set(element, schema.defaultValue);
+      }
+    }
+
+    this.data.set('cmi.core.lesson_mode', this.launchMode);
+
+    this.logger?.debug('Data model initialized with all SCORM 1.2 elements', {
+      launchMode: this.launchMode
+    });
+  }
+
+  /**
+   * Check if element name is valid
+   * @private
+   * @param {string} element - Element name to validate
+   * @returns {boolean} True if valid
+   */
+  isValidElement(element) {
+    if (!element || typeof element !== 'string') {
+      return false;
+    }
+    return this.getElementSchema(element) !== null;
+  }
+
+  /**
+   * Check if element is a collection element
+   * @private
+   * @param {string} element - Element name
+   * @returns {boolean} True if collection element
+   */
+  isCollectionElement(element) {
+    return element.startsWith('cmi.objectives.') || element.startsWith('cmi.interactions.');
+  }
+
+  /**
+   * Get element schema, resolving collection indices to the "n" form
+   * @private
+   * @param {string} element - Element name
+   * @returns {Object|null} Element schema or null
+   */
+  getElementSchema(element) {
+    if (SCORM12_DATA_MODEL_SCHEMA[element]) {
+      return SCORM12_DATA_MODEL_SCHEMA[element];
+    }
+    const pattern = element.replace(/\.\d+(?=\.|$)/g, '.n');
+    return SCORM12_COLLECTION_SCHEMA[pattern] || null;
+  }
+
+  /**
+   * Get value from collection element
+   * @private
+   * @param {string} element - Collection element name
+   * @returns {string} Element value
+   */
+  getCollectionValue(element) {
+    const topLevel = element.match(/^cmi\.(objectives|interactions)\.(_count|_children)$/);
+    if (topLevel) {
+      this.errorHandler.clearError();
+      if (topLevel[2] === '_count') {
+        return String(this[topLevel[1]].length);
+      }
+      return String(SCORM12_DATA_MODEL_SCHEMA[element].defaultValue);
+    }
+
+    const parsed = this._parseCollectionElement(element);
+    if (!parsed) {
+      this._setUnknownElementError(element, 'getCollectionValue');
+      return '';
+    }
+
+    const entry = this[parsed.collection][parsed.index];
+    if (!entry) {
+      this.errorHandler.setError(SCORM12_ERRORS.INVALID_ARGUMENT,
+        `Collection index out of range: ${element}`, 'getCollectionValue');
+      return '';
+    }
+
+    this.errorHandler.clearError();
+
+    if (parsed.property === 'score._children') {
+      return String(SCORM12_COLLECTION_SCHEMA['cmi.objectives.n.score._children'].defaultValue);
+    }
+
+    const nestedCount = parsed.property.match(/^(objectives|correct_responses)\._count$/);
+    if (nestedCount) {
+      return String((entry[nestedCount[1]] || []).length);
+    }
+
+    const value = entry[parsed.property];
+    return value === undefined || value === null ? '' : String(value);
+  }
+
+  /**
+   * Set value in collection element. New entries must be appended in order
+   * (index equal to the current _count).
+   * @private
+   * @param {string} element - Collection element name
+   * @param {string} value - Value to set
+   * @returns {boolean} True if successful
+   */
+  setCollectionValue(element, value) {
+    const parsed = this._parseCollectionElement(element);
+    if (!parsed) {
+      this._setUnknownElementError(element, 'setCollectionValue');
+      return false;
+    }
+
+    const collection = this[parsed.collection];
+    if (parsed.index > collection.length) {
+      this.errorHandler.setError(SCORM12_ERRORS.INVALID_ARGUMENT,
+        `Collection index must be sequential: ${element}`, 'setCollectionValue');
+      return false;
+    }
+
+    if (parsed.index === collection.length) {
+      collection.push(parsed.collection === 'interactions'
+        ? { objectives: [], correct_responses: [] }
+        : {});
+    }
+    const entry = collection[parsed.index];
+
+    let previousValue;
+    const nested = parsed.property.match(NESTED_COLLECTION_REGEX);
+    if (nested) {
+      const [, listName, nestedIndexRaw, field] = nested;
+      const list = entry[listName] || (entry[listName] = []);
+      const nestedIndex = parseInt(nestedIndexRaw, 10);
+      if (nestedIndex > list.length) {
+        this.errorHandler.setError(SCORM12_ERRORS.INVALID_ARGUMENT,
+          `Collection index must be sequential: ${element}`, 'setCollectionValue');
+        return false;
+      }
+      if (nestedIndex === list.length) {
+        list.push({});
+      }
+      previousValue = list[nestedIndex][field];
+      list[nestedIndex][field] = value;
+    } else {
+      previousValue = entry[parsed.property];
+      entry[parsed.property] = value;
+    }
+
+    this.explicitlySet.add(element);
+    this.data.set(`cmi.${parsed.collection}._count`, String(collection.length));
+    this._emitChange(element, previousValue, value);
+
+    if (this.isBrowseMode()) {
+      this.logBrowseOperation('setValue', { element, value });
+    }
+
+    this.errorHandler.clearError();
+    return true;
+  }
+
+  /**
+   * Validate value against element schema
+   * @private
+   * @param {string} element - Element name
+   * @param {string} value - Value to validate
+   * @returns {boolean} True if valid
+   */
+  validateValue(element, value) {
+    const schema = this.getElementSchema(element);
+    if (!schema) {
+      this._setUnknownElementError(element, 'validateValue');
+      return false;
+    }
+
+    const stringValue = String(value);
+    const fail = (reason) => {
+      this.errorHandler.setError(SCORM12_ERRORS.INCORRECT_DATA_TYPE,
+        `${reason} for ${element}: ${stringValue}`, 'validateValue');
+      return false;
+    };
+
+    if (schema.allowEmpty && stringValue === '') {
+      return true;
+    }
+
+    const mismatch = (reason) => (this.strictValidation
+      ? fail(reason)
+      : this._acceptTypeMismatch(element, stringValue, reason));
+
+    if (schema.type === SCORM12_DATA_TYPES.VOCABULARY && !schema.vocabulary.includes(stringValue)) {
+      return mismatch('Invalid vocabulary value');
+    }
+
+    if (schema.type === SCORM12_DATA_TYPES.RESULT
+      && !schema.vocabulary.includes(stringValue)
+      && !SCORM12_PATTERNS.DECIMAL.test(stringValue)) {
+      return mismatch('Invalid interaction result');
+    }
+
+    if (schema.maxLength && stringValue.length > schema.maxLength) {
+      return fail(`Value longer than ${schema.maxLength} characters`);
+    }
+
+    if (!this.validateDataType(schema.type, stringValue)) {
+      return mismatch('Invalid data type');
+    }
+
+    if (schema.range) {
+      const numValue = parseFloat(stringValue);
+      if (numValue < schema.range.min || numValue > schema.range.max) {
+        return fail(`Value outside ${schema.range.min}..${schema.range.max}`);
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Validate SCORM 1.2 data type format
+   * @private
+   * @param {string} dataType - Expected data type
+   * @param {string} value - Value to validate
+   * @returns {boolean} True if valid format
+   */
+  validateDataType(dataType, value) {
+    switch (dataType) {
+      case SCORM12_DATA_TYPES.INTEGER:
+        return SCORM12_PATTERNS.INTEGER.test(value);
+      case SCORM12_DATA_TYPES.DECIMAL:
+        return SCORM12_PATTERNS.DECIMAL.test(value);
+      case SCORM12_DATA_TYPES.IDENTIFIER:
+        return SCORM12_PATTERNS.IDENTIFIER.test(value);
+      case SCORM12_DATA_TYPES.TIMESPAN:
+        return SCORM12_PATTERNS.TIMESPAN.test(value);
+      case SCORM12_DATA_TYPES.TIME:
+        return SCORM12_PATTERNS.TIME.test(value);
+      case SCORM12_DATA_TYPES.FEEDBACK:
+        return value.length <= 255;
+      default:
+        return true;
+    }
+  }
+
+  /**
+   * Restore data from a previous session (for LMS resume functionality)
+   * @param {Object} savedData - Data object from getAllData()
+   */
+  restoreData(savedData) {
+    super.restoreData(savedData);
+    // The base implementation also marks the 2004 element; it has no meaning here
+    this.data.delete('cmi.entry');
+  }
+
+  /**
+   * Set learner information (called during initialization)
+   * @param {Object} learnerInfo - Learner information
+   */
+  setLearnerInfo(learnerInfo) {
+    if (learnerInfo.id) {
+      this.data.set('cmi.core.student_id', learnerInfo.id);
+    }
+    if (learnerInfo.name) {
+      this.data.set('cmi.core.student_name', learnerInfo.name);
+    }
+
+    this.logger?.debug('Learner information set', learnerInfo);
+  }
+
+  /**
+   * Map a profile preference to its cmi.student_preference element
+   * @protected
+   * @param {string} key - Preference name (SCORM 2004 naming)
+   * @returns {string|null} Element, or null for unknown preferences
+   */
+  getLearnerPreferenceElement(key) {
+    return STUDENT_PREFERENCE_ELEMENTS[key] || null;
+  }
+
+  /**
+   * Set mastery score from manifest (adlcp:masteryscore)
+   * @param {number} masteryScore - Mastery score (0-100)
+   */
+  setMasteryScore(masteryScore) {
+    if (typeof masteryScore === 'number' && masteryScore >= 0 && masteryScore <= 100) {
+      this.data.set('cmi.student_data.mastery_score', String(masteryScore));
+      this.logger?.debug('Mastery score set:', masteryScore);
+    }
+  }
+
+  /**
+   * Set launch mode (maps to cmi.core.lesson_mode)
+   * @param {string} mode - Launch mode ('normal', 'browse', 'review')
+   */
+  setLaunchMode(mode) {
+    super.setLaunchMode(mode);
+    this.data.delete('cmi.mode');
+    if (this.launchMode === mode) {
+      this.data.set('cmi.core.lesson_mode', mode);
+    }
+  }
+
+  /**
+   * Get completion status, derived from cmi.core.lesson_status
+   * @returns {string} SCORM 2004 style completion status
+   */
+  getCompletionStatus() {
+    const status = this.data.get('cmi.core.lesson_status');
+    if (['completed', 'passed', 'failed'].includes(status)) return 'completed';
+    if (status === 'incomplete' || status === 'browsed') return 'incomplete';
+    if (status === 'not attempted') return 'not attempted';
+    return 'unknown';
+  }
+
+  /**
+   * Get success status, derived from cmi.core.lesson_status
+   * @returns {string} SCORM 2004 style success status
+   */
+  getSuccessStatus() {
+    const status = this.data.get('cmi.core.lesson_status');
+    return status === 'passed' || status === 'failed' ? status : 'unknown';
+  }
+
+  /**
+   * Get current score information
+   * @returns {Object} Score information
+   */
+  getScoreInfo() {
+    return {
+      scaled: null,
+      raw: this.data.get('cmi.core.score.raw') || null,
+      min: this.data.get('cmi.core.score.min') || null,
+      max: this.data.get('cmi.core.score.max') || null
+    };
+  }
+
+  /**
+   * Get progress snapshot for UI synchronization
+   * @returns {Object} Progress values
+   */
+  getProgressSnapshot() {
+    return {
+      completionStatus: this.getCompletionStatus(),
+      successStatus: this.getSuccessStatus(),
+      lessonStatus: this._getInternalValue('cmi.core.lesson_status'),
+      scoreRaw: this._getInternalValue('cmi.core.score.raw'),
+      progressMeasure: '',
+      sessionTime: this._getInternalValue('cmi.core.session_time'),
+      totalTime: this._getInternalValue('cmi.core.total_time'),
+      location: this._getInternalValue('cmi.core.lesson_location'),
+      suspendData: this._getInternalValue('cmi.suspend_data')
+    };
+  }
+
+  /**
+   * Apply the LMS-side lesson_status rules at LMSFinish:
+   * - mastery_score overrides status with passed/failed when a raw score exists (credit only)
+   * - an untouched status in browse mode becomes "browsed"
+   */
+  finalizeLessonStatus() {
+    const status = this.data.get('cmi.core.lesson_status');
+    const masteryScore = parseFloat(this.data.get('cmi.student_data.mastery_score'));
+    const rawScore = parseFloat(this.data.get('cmi.core.score.raw'));
+    const credit = this.data.get('cmi.core.credit');
+
+    if (credit === 'credit' && !isNaN(masteryScore) && !isNaN(rawScore)) {
+      this._setInternalValue('cmi.core.lesson_status', rawScore >= masteryScore ? 'passed' : 'failed');
+      return;
+    }
+
+    if (this.isBrowseMode() && status === 'not attempted') {
+      this._setInternalValue('cmi.core.lesson_status', 'browsed');
+    }
+  }
+
+  /**
+   * Add the reported session time to cmi.core.total_time (LMS-managed in SCORM 1.2)
+   */
+  accumulateTotalTime() {
+    const sessionSeconds = Scorm12DataModel.timespanToSeconds(this.data.get('cmi.core.session_time'));
+    const totalSeconds = Scorm12DataModel.timespanToSeconds(this.data.get('cmi.core.total_time'));
+    this._setInternalValue('cmi.core.total_time',
+      Scorm12DataModel.secondsToTimespan(totalSeconds + sessionSeconds));
+  }
+
+  /**
+   * Convert a CMITimespan (HHHH:MM:SS.SS) to seconds
+   * @param {string} timespan - CMITimespan value
+   * @returns {number} Seconds (0 for invalid input)
+   */
+  static timespanToSeconds(timespan) {
+    if (typeof timespan !== 'string' || !SCORM12_PATTERNS.TIMESPAN.test(timespan)) {
+      return 0;
+    }
+    const [hours, minutes, seconds] = timespan.split(':');
+    return parseInt(hours, 10) * 3600 + parseInt(minutes, 10) * 60 + parseFloat(seconds);
+  }
+
+  /**
+   * Convert seconds to a CMITimespan (HHHH:MM:SS.SS)
+   * @param {number} totalSeconds - Duration in seconds
+   * @returns {string} CMITimespan value
+   */
+  static secondsToTimespan(totalSeconds) {
+    const safeSeconds = Math.max(0, Number(totalSeconds) || 0);
+    const hours = Math.min(9999, Math.floor(safeSeconds / 3600));
+    const minutes = Math.floor((safeSeconds % 3600) / 60);
+    const seconds = Math.round((safeSeconds % 60) * 100) / 100;
+    const pad = (n, len) => String(n).padStart(len, '0');
+    const [whole, fraction] = seconds.toFixed(2).split('.');
+    const secondsPart = fraction === '00' ? pad(whole, 2) : `${pad(whole, 2)}.${fraction}`;
+    return `${pad(hours, 4)}:${pad(minutes, 2)}:${secondsPart}`;
+  }
+
+  /**
+   * Parse an indexed collection element path
+   * @private
+   * @param {string} element - Element name
+   * @returns {{collection: string, index: number, property: string}|null}
+   */
+  _parseCollectionElement(element) {
+    const match = element.match(COLLECTION_ELEMENT_REGEX);
+    if (!match) {
+      return null;
+    }
+    return { collection: match[1], index: parseInt(match[2], 10), property: match[3] };
+  }
+
+  /**
+   * @private
+   * @param {string} element - Element name
+   * @returns {boolean} True if element ends in a data model keyword
+   */
+  _isKeyword(element) {
+    return KEYWORD_SUFFIXES.some(suffix => element.endsWith(suffix));
+  }
+
+  /**
+   * @private
+   * @param {string} element - Element name
+   * @returns {string} Element name without its keyword suffix
+   */
+  _stripKeyword(element) {
+    return element.replace(/\._(children|count|version)$/, '');
+  }
+
+  /**
+   * Check whether a path names a known element or element group
+   * @private
+   * @param {string} path - Element path (may contain collection indices)
+   * @returns {boolean} True if known
+   */
+  _isKnownPath(path) {
+    const pattern = path.replace(/\.\d+(?=\.|$)/g, '.n');
+    const isPrefixOf = key => key === pattern || key.startsWith(`${pattern}.`);
+    return Object.keys(SCORM12_DATA_MODEL_SCHEMA).some(isPrefixOf)
+      || Object.keys(SCORM12_COLLECTION_SCHEMA).some(isPrefixOf);
+  }
+
+  /**
+   * Report an unrecognized element. Asking a leaf for _children/_count gets
+   * the dedicated 202/203 codes; anything else is "not implemented".
+   * @private
+   * @param {string} element - Element name
+   * @param {string} context - Calling operation
+   */
+  _setUnknownElementError(element, context) {
+    const parent = this._stripKeyword(element);
+    if (parent !== element && this._isKnownPath(parent)) {
+      if (element.endsWith('._children')) {
+        this.errorHandler.setError(SCORM12_ERRORS.ELEMENT_CANNOT_HAVE_CHILDREN,
+          `Element cannot have children: ${parent}`, context);
+        return;
+      }
+      if (element.endsWith('._count')) {
+        this.errorHandler.setError(SCORM12_ERRORS.ELEMENT_NOT_AN_ARRAY,
+          `Element is not an array: ${parent}`, context);
+        return;
+      }
+    }
+    this.errorHandler.setError(SCORM12_ERRORS.NOT_IMPLEMENTED,
+      `Data model element not implemented: ${element}`, context);
+  }
+}
+
+module.exports = Scorm12DataModel;
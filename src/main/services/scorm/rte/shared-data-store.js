@@ -0,0 +1,148 @@
+/**
+ * SCORM 2004 4th Edition Shared Data Store
+ *
+ * Holds the learner's shared data buckets (adl.data) outside of any single
+ * SCO's data model so that every SCO mapping a target ID sees the same
+ * store. Buckets are scoped either to the whole system
+ * (sharedDataGlobalToSystem="true", the default) or to a single course, and
+ * are persisted through the SessionStore so they survive across sessions.
+ *
+ * @fileoverview Cross-SCO persistence for adl.data buckets
+ */
+
+const GLOBAL_SCOPE_KEY = 'shared-data';
+
+/**
+ * Shared Data Store Class
+ */
+class SharedDataStore {
+  /**
+   * @param {Object} sessionStore - SessionStore used for JSON persistence
+   * @param {Object} logger - Logger instance
+   */
+  constructor(sessionStore, logger) {
+    this.sessionStore = sessionStore;
+    this.logger = logger;
+
+    /** @type {Map<string, {persistence: string, buckets: Map<string, string|null>}>} */
+    this.scopes = new Map();
+  }
+
+  /**
+   * Resolve the persistence key for a course
+   * @param {string} courseId - Course identifier
+   * @param {boolean} globalToSystem - Whether buckets are shared across courses
+   * @param {string|null} [learnerId] - Learner profile the buckets belong to, encoded with
+   *   SessionStore.encodeLearnerId (omit for the default learner)
+   * @returns {string} Scope key
+   */
+  static getScopeKey(courseId, globalToSystem, learnerId = null) {
+    const key = globalToSystem ? GLOBAL_SCOPE_KEY : `${GLOBAL_SCOPE_KEY}_${courseId || 'unknown_course'}`;
+    return learnerId ? `${key}__learner_${learnerId}` : key;
+  }
+
+  /**
+   * Load a scope from disk (no-op when already loaded)
+   * @param {string} scope - Scope key
+   * @param {string} namespace - SessionStore namespace
+   * @returns {Promise<void>}
+   */
+  async load(scope, namespace) {
+    if (this.scopes.has(scope)) {
+      return;
+    }
+
+    const entry = {
+      persistence: scope === GLOBAL_SCOPE_KEY || scope.startsWith(`${GLOBAL_SCOPE_KEY}__learner_`) ? 'global' : 'course',
+      buckets: new Map()
+    };
+    this.scopes.set(scope, entry);
+
+    try {
+      const saved = await this.sessionStore?.loadSession(scope, namespace);
+      if (saved && saved.buckets && typeof saved.buckets === 'object') {
+        for (const [id, store] of Object.entries(saved.buckets)) {
+          entry.buckets.set(id, store === null || store === undefined ? null : String(store));
+        }
+      }
+    } catch (error) {
+      this.logger?.warn(`SharedDataStore: Failed to load shared data for ${scope}: ${error?.message || error}`);
+    }
+  }
+
+  /**
+   * Build the bucket list for a SCO's data maps
+   * @param {string} scope - Scope key
+   * @param {Array<{targetID: string, readSharedData: boolean, writeSharedData: boolean}>} maps - adlcp:map entries
+   * @returns {Array<Object>} Buckets for ScormDataModel.setSharedData()
+   */
+  getBuckets(scope, maps) {
+    const entry = this.scopes.get(scope);
+    return (maps || []).map(map => ({
+      id: map.targetID,
+      store: entry?.buckets.has(map.targetID) ? entry.buckets.get(map.targetID) : null,
+      readSharedData: map.readSharedData !== false,
+      writeSharedData: map.writeSharedData !== false
+    }));
+  }
+
+  /**
+   * Merge buckets written by a SCO back into the scope
+   * @param {string} scope - Scope key
+   * @param {Array<Object>} buckets - Buckets from ScormDataModel.getSharedData()
+   * @returns {boolean} True if any bucket changed
+   */
+  update(scope, buckets) {
+    const entry = this.scopes.get(scope);
+    if (!entry || !Array.isArray(buckets)) {
+      return false;
+    }
+
+    let changed = false;
+    for (const bucket of buckets) {
+      if (!bucket.modified || !bucket.writeSharedData) continue;
+      entry.buckets.set(bucket.id, bucket.store === null ? null : String(bucket.store));
+      changed = true;
+    }
+    return changed;
+  }
+
+  /**
+   * Persist a scope to disk
+   * @param {string} scope - Scope key
+   * @param {string} namespace - SessionStore namespace
+   * @returns {Promise<boolean>} True if saved
+   */
+  async persist(scope, namespace) {
+    const entry = this.scopes.get(scope);
+    if (!entry || !this.sessionStore) {
+      return false;
+    }
+
+    try {
+      return await this.sessionStore.saveSession(scope, {
+        persistence: entry.persistence,
+        buckets: Object.fromEntries(entry.buckets)
+      }, namespace);
+    } catch (error) {
+      this.logger?.error(`SharedDataStore: Failed to persist shared data for ${scope}: ${error?.message || error}`);
+      return false;
+    }
+  }
+
+  /**
+   * List all loaded buckets for diagnostics
+   * @returns {Array<{id: string, store: (string|null), persistence: string, scope: string}>}
+   */
+  list() {
+    const rows = [];
+    for (const [scope, entry] of this.scopes) {
+      for (const [id, store] of entry.buckets) {
+        rows.push({ id, store, persistence: entry.persistence, scope });
+      }
+    }
+    return rows;
+  }
+}
+
+module.exports = SharedDataStore;
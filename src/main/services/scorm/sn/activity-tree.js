@@ -12,8 +12,29 @@ const {
   SN_ERROR_CODES,
   ACTIVITY_STATES,
   ATTEMPT_STATES,
+  RANDOMIZATION_TIMINGS,
   SN_DEFAULTS
 } = require('../../../../shared/constants/sn-constants');
+
+/**
+ * Create a deterministic random source (mulberry32) from a numeric or string seed
+ * @param {number|string} seed - Seed value
+ * @returns {function(): number} Function returning floats in [0, 1)
+ */
+function createSeededRandom(seed) {
+  let state = 0;
+  const text = String(seed);
+  for (let i = 0; i < text.length; i++) {
+    state = Math.imul(state ^ text.charCodeAt(i), 2654435761);
+  }
+  return () => {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
  
 /**
  * Activity Node Class
@@ -24,7 +45,10 @@ class ActivityNode {
     this.identifier = item.identifier;
     this.title = item.title || '';
     this.parent = parent;
+    // children holds the available children (after selection/randomization);
+    // allChildren keeps every child in manifest order
     this.children = [];
+    this.allChildren = [];
     this.resource = resource;
     
     // Activity state tracking
@@ -33,6 +57,13 @@ class ActivityNode {
     this.attemptCount = 0;
     this.suspended = false;
     this.location = ''; // Added for cmi.location tracking
+    // Tracking data captured when the current attempt began (restored on abandon)
+    this.attemptSnapshot = null;
+    // Set by startNewAttempt (retry) so delivery does not prepare the same new attempt twice
+    this.newAttemptPrepared = false;
+    // Seconds of cmi.session_time reported during the current attempt and across all attempts
+    this.attemptDuration = 0;
+    this.activityDuration = 0;
     
     // Sequencing information from manifest
     this.sequencing = item.sequencing || {};
@@ -41,6 +72,10 @@ class ActivityNode {
     // Handle isvisible attribute correctly - treat "false" as false, everything else as true
     this.isVisible = item.isvisible !== "false" && item.isvisible !== false;
     this.parameters = item.parameters || '';
+    // Shared data (adl.data) buckets mapped to this activity via adlcp:data
+    this.dataMaps = Array.isArray(item.dataMaps) ? item.dataMaps : [];
+    // adlcp:completionThreshold ({ completedByMeasure, minProgressMeasure, progressWeight })
+    this.completionThreshold = item.completionThreshold || null;
 
     // Objective tracking
     this.objectives = new Map();
@@ -58,6 +93,7 @@ class ActivityNode {
   addChild(child) {
     child.parent = this;
     this.children.push(child);
+    this.allChildren.push(child);
   }
  
   isLeaf() {
@@ -92,14 +128,25 @@ class ActivityNode {
  * Manages the complete activity tree structure and operations
  */
 class ActivityTreeManager {
-  constructor(errorHandler, logger) {
+  /**
+   * @param {Object} errorHandler - SN error handler
+   * @param {Object} logger - Logger instance
+   * @param {Object} [options]
+   * @param {number|string|null} [options.randomSeed] - Seed for selection/randomization (Math.random when unset)
+   */
+  constructor(errorHandler, logger, options = {}) {
     this.errorHandler = errorHandler;
     this.logger = logger;
     this.root = null;
     this.activities = new Map(); // identifier -> ActivityNode
     this.currentActivity = null;
+    this.suspendedActivity = null;
     this.globalObjectives = new Map();
+    this.objectivesGlobalToSystem = true;
+    this.sharedDataGlobalToSystem = true;
 
+    this.randomSeed = options.randomSeed ?? null;
+    this.random = this.randomSeed !== null ? createSeededRandom(this.randomSeed) : Math.random;
     
     this.logger?.debug('ActivityTreeManager initialized');
   }
@@ -140,6 +187,8 @@ class ActivityTreeManager {
       const organization = defaultOrgId
         ? (orgList.find(o => o?.identifier === defaultOrgId) || orgList[0])
         : orgList[0];
+      this.objectivesGlobalToSystem = organization?.objectivesGlobalToSystem !== false;
+      this.sharedDataGlobalToSystem = organization?.sharedDataGlobalToSystem !== false;
 
       // Normalize resources into a map (strict canonical shape)
       const resContainer = manifest.resources;
@@ -191,6 +240,9 @@ class ActivityTreeManager {
 
       visiting.delete(this.root.identifier);
 
+      // First attempt on every cluster: apply selection and randomization controls
+      this.traverseAllChildren(this.root, (activity) => this.selectAndRandomizeChildren(activity, false));
+
       this.logger?.info(`Activity tree built with ${this.activities.size} activities`);
       return true;
 
@@ -294,16 +346,373 @@ class ActivityTreeManager {
     if (activity.sequencing && activity.sequencing.objectives) {
       const objectives = activity.sequencing.objectives;
       if (objectives.primaryObjective) {
+        const minMeasure = parseFloat(objectives.primaryObjective.minNormalizedMeasure);
         activity.primaryObjective = {
           objectiveID: objectives.primaryObjective.objectiveID,
           satisfied: false,
           measure: null,
+          satisfiedByMeasure: objectives.primaryObjective.satisfiedByMeasure === true,
+          minNormalizedMeasure: Number.isFinite(minMeasure) ? minMeasure : 1.0,
           mapInfo: objectives.primaryObjective.mapInfo || {}
         };
       }
+      for (const objective of objectives.objectives || []) {
+        if (!objective?.objectiveID) continue;
+        activity.objectives.set(objective.objectiveID, {
+          objectiveID: objective.objectiveID,
+          satisfied: null,
+          measure: null,
+          mapInfo: objective.mapInfo || {}
+        });
+      }
     }
   }
  
+  /**
+   * Apply a cluster's selection and randomization controls (SN Book SB.2.11/SB.2.12)
+   * Timing 'once' applies on the first attempt only, 'onEachNewAttempt' on every attempt.
+   * @param {ActivityNode} activity - Cluster activity
+   * @param {boolean} newAttempt - True when a later attempt on the cluster begins
+   * @returns {boolean} True if the available children changed
+   */
+  selectAndRandomizeChildren(activity, newAttempt) {
+    const controls = activity.sequencing?.randomizationControls;
+    if (!controls || activity.allChildren.length === 0) {
+      return false;
+    }
+
+    const applies = (timing) => timing === RANDOMIZATION_TIMINGS.ON_EACH_NEW_ATTEMPT
+      || (timing === RANDOMIZATION_TIMINGS.ONCE && !newAttempt);
+
+    let children = [...activity.children];
+    let changed = false;
+
+    const selectCount = Number(controls.selectCount);
+    if (applies(controls.selectionTiming) && selectCount > 0 && selectCount < activity.allChildren.length) {
+      const selected = new Set(this.shuffle(activity.allChildren).slice(0, selectCount));
+      children = activity.allChildren.filter(child => selected.has(child));
+      changed = true;
+    }
+
+    if (controls.reorderChildren && applies(controls.randomizationTiming)) {
+      children = this.shuffle(children);
+      changed = true;
+    }
+
+    if (changed) {
+      this.setAvailableChildren(activity, children);
+      this.logger?.debug(`Selection/randomization applied to ${activity.identifier}`, {
+        children: children.map(child => child.identifier)
+      });
+    }
+    return changed;
+  }
+
+  /**
+   * Re-apply 'onEachNewAttempt' controls ahead of a retry, before the activity to
+   * deliver is chosen; beginAttempt then skips these activities
+   * @param {ActivityNode} activity - Activity starting a new attempt
+   */
+  startNewAttempt(activity) {
+    this.traverseTree(activity, (node) => {
+      this.selectAndRandomizeChildren(node, true);
+      node.newAttemptPrepared = true;
+    });
+  }
+
+  /**
+   * Begin attempts on an activity being delivered and on any ancestor without an
+   * active attempt. Suspended activities resume their attempt; the others get a new
+   * attempt and a snapshot of their tracking data so the attempt can be abandoned.
+   * @param {ActivityNode} activity - Activity being delivered
+   * @returns {Array<ActivityNode>} Activities whose attempt began or resumed
+   */
+  beginAttempt(activity) {
+    const started = [];
+    for (let node = activity; node; node = node.parent) {
+      if (node.activityState === ACTIVITY_STATES.ACTIVE) break;
+      if (node.suspended) {
+        node.suspended = false;
+      } else {
+        node.attemptSnapshot = this.captureAttemptState(node);
+        // A later attempt starts from fresh attempt/objective progress and re-runs
+        // 'onEachNewAttempt' selection/randomization (DB.2, SB.2.11/SB.2.12)
+        if (node.attemptCount > 0 && !node.newAttemptPrepared) {
+          this.clearAttemptProgress(node);
+          this.selectAndRandomizeChildren(node, true);
+        }
+        node.newAttemptPrepared = false;
+        node.attemptCount++;
+        node.attemptDuration = 0;
+      }
+      node.setState(ACTIVITY_STATES.ACTIVE);
+      started.push(node);
+    }
+    return started;
+  }
+
+  /**
+   * Add a SCO session's duration to an activity and its ancestors, whose
+   * attempts span the time spent in their descendants
+   * @param {ActivityNode} activity - Activity the session belonged to
+   * @param {number} seconds - Session duration in seconds
+   */
+  addSessionDuration(activity, seconds) {
+    if (!Number.isFinite(seconds) || seconds <= 0) return;
+    for (let node = activity; node; node = node.parent) {
+      node.attemptDuration += seconds;
+      node.activityDuration += seconds;
+    }
+  }
+
+  /**
+   * End the current attempt on an activity (End Attempt Process, UP.4)
+   * @param {ActivityNode} activity - Activity whose attempt ends
+   */
+  endAttempt(activity) {
+    if (!activity.suspended && activity.attemptState === ATTEMPT_STATES.NOT_ATTEMPTED && activity.attemptCount > 0) {
+      activity.attemptState = ATTEMPT_STATES.INCOMPLETE;
+    }
+    activity.attemptSnapshot = null;
+    activity.setState(activity.suspended ? ACTIVITY_STATES.SUSPENDED : ACTIVITY_STATES.INACTIVE);
+  }
+
+  /**
+   * Abandon the current attempt on an activity: its tracking data reverts to the
+   * values captured when the attempt began and no rollup takes place
+   * @param {ActivityNode} activity - Activity whose attempt is abandoned
+   */
+  abandonAttempt(activity) {
+    if (activity.attemptSnapshot) {
+      this.restoreAttemptState(activity, activity.attemptSnapshot);
+    }
+    activity.attemptSnapshot = null;
+    activity.suspended = false;
+    activity.setState(ACTIVITY_STATES.INACTIVE);
+  }
+
+  /**
+   * Clear the tracking data of an activity and its descendants so a retry starts
+   * a fresh attempt. Attempt counts are kept.
+   * @param {ActivityNode} activity - Activity being retried
+   */
+  resetAttemptData(activity) {
+    const reset = (node) => {
+      this.clearAttemptProgress(node);
+      node.suspended = false;
+      node.attemptSnapshot = null;
+      node.setState(ACTIVITY_STATES.INACTIVE);
+      node.allChildren.forEach(reset);
+    };
+    reset(activity);
+  }
+
+  /**
+   * Clear one activity's attempt and objective progress
+   * @private
+   * @param {ActivityNode} activity - Activity
+   */
+  clearAttemptProgress(activity) {
+    activity.attemptState = ATTEMPT_STATES.NOT_ATTEMPTED;
+    activity.location = '';
+    if (activity.primaryObjective) {
+      activity.primaryObjective.satisfied = false;
+      activity.primaryObjective.measure = null;
+    }
+    for (const objective of activity.objectives.values()) {
+      objective.satisfied = null;
+      objective.measure = null;
+    }
+  }
+
+  /**
+   * Capture the tracking data restored by abandonAttempt
+   * @private
+   * @param {ActivityNode} activity - Activity
+   * @returns {Object} Tracking snapshot
+   */
+  captureAttemptState(activity) {
+    return {
+      attemptState: activity.attemptState,
+      location: activity.location,
+      primaryObjective: activity.primaryObjective
+        ? { satisfied: activity.primaryObjective.satisfied, measure: activity.primaryObjective.measure }
+        : null,
+      objectives: Array.from(activity.objectives.entries(), ([id, objective]) => [id, { satisfied: objective.satisfied, measure: objective.measure }])
+    };
+  }
+
+  /**
+   * Apply a snapshot captured by captureAttemptState
+   * @private
+   * @param {ActivityNode} activity - Activity
+   * @param {Object} snapshot - Tracking snapshot
+   */
+  restoreAttemptState(activity, snapshot) {
+    activity.attemptState = snapshot.attemptState;
+    activity.location = snapshot.location;
+    if (activity.primaryObjective && snapshot.primaryObjective) {
+      Object.assign(activity.primaryObjective, snapshot.primaryObjective);
+    }
+    for (const [id, values] of snapshot.objectives) {
+      const objective = activity.objectives.get(id);
+      if (objective) Object.assign(objective, values);
+    }
+  }
+
+  /**
+   * Get the available child order of every cluster with randomization controls
+   * @returns {Object<string, Array<string>>} Cluster identifier -> child identifiers
+   */
+  getChildOrderState() {
+    const state = {};
+    this.traverseTree(this.root, (activity) => {
+      if (activity.sequencing?.randomizationControls && activity.allChildren.length > 0) {
+        state[activity.identifier] = activity.children.map(child => child.identifier);
+      }
+    });
+    return state;
+  }
+
+  /**
+   * Restore a child order captured by getChildOrderState (e.g. on resume)
+   * Identifiers no longer in the manifest are ignored.
+   * @param {Object<string, Array<string>>} state - Cluster identifier -> child identifiers
+   * @returns {number} Number of clusters restored
+   */
+  restoreChildOrderState(state) {
+    if (!state || typeof state !== 'object') {
+      return 0;
+    }
+
+    let restored = 0;
+    this.traverseAllChildren(this.root, (activity) => {
+      const order = state[activity.identifier];
+      if (!Array.isArray(order)) return;
+
+      const byId = new Map(activity.allChildren.map(child => [child.identifier, child]));
+      const children = order.map(id => byId.get(id)).filter(Boolean);
+      if (children.length > 0) {
+        this.setAvailableChildren(activity, children);
+        restored++;
+      }
+    });
+    return restored;
+  }
+
+  /**
+   * Get the tracking data of every available activity
+   * @returns {Object<string, Object>} Activity identifier -> tracking data
+   */
+  getTrackingState() {
+    const state = {};
+    this.traverseTree(this.root, (activity) => {
+      const objectives = {};
+      for (const [id, objective] of activity.objectives) {
+        objectives[id] = { satisfied: objective.satisfied, measure: objective.measure };
+      }
+      state[activity.identifier] = {
+        title: activity.title,
+        activityState: activity.activityState,
+        attemptState: activity.attemptState,
+        attemptCount: activity.attemptCount,
+        suspended: activity.suspended,
+        location: activity.location,
+        attemptDuration: activity.attemptDuration,
+        activityDuration: activity.activityDuration,
+        primaryObjective: activity.primaryObjective
+          ? { satisfied: activity.primaryObjective.satisfied, measure: activity.primaryObjective.measure }
+          : null,
+        objectives
+      };
+    });
+    return state;
+  }
+
+  /**
+   * Restore tracking data captured by getTrackingState (e.g. from an imported
+   * session). Activity states are left alone so the running sequencing session
+   * keeps its current activity; unknown identifiers are ignored.
+   * @param {Object<string, Object>} state - Activity identifier -> tracking data
+   * @returns {number} Number of activities restored
+   */
+  restoreTrackingState(state) {
+    if (!state || typeof state !== 'object') {
+      return 0;
+    }
+
+    const restoreObjective = (objective, values) => {
+      if (!objective || !values || typeof values !== 'object') return;
+      if (typeof values.satisfied === 'boolean' || values.satisfied === null) {
+        objective.satisfied = values.satisfied;
+      }
+      if (typeof values.measure === 'number' || values.measure === null) {
+        objective.measure = values.measure;
+      }
+    };
+
+    let restored = 0;
+    for (const [id, tracking] of Object.entries(state)) {
+      const activity = this.activities.get(id);
+      if (!activity || !tracking || typeof tracking !== 'object') continue;
+
+      if (Object.values(ATTEMPT_STATES).includes(tracking.attemptState)) {
+        activity.attemptState = tracking.attemptState;
+      }
+      if (Number.isInteger(tracking.attemptCount) && tracking.attemptCount >= 0) {
+        activity.attemptCount = tracking.attemptCount;
+      }
+      if (typeof tracking.location === 'string') {
+        activity.location = tracking.location;
+      }
+      for (const property of ['attemptDuration', 'activityDuration']) {
+        if (typeof tracking[property] === 'number' && tracking[property] >= 0) {
+          activity[property] = tracking[property];
+        }
+      }
+      restoreObjective(activity.primaryObjective, tracking.primaryObjective);
+      for (const [objectiveId, values] of Object.entries(tracking.objectives || {})) {
+        restoreObjective(activity.objectives.get(objectiveId), values);
+      }
+      restored++;
+    }
+    return restored;
+  }
+
+  /**
+   * Replace a cluster's available children, keeping the activity lookup in sync
+   * so unselected subtrees cannot be targeted by identifier
+   * @private
+   * @param {ActivityNode} activity - Cluster activity
+   * @param {Array<ActivityNode>} children - New available children, in order
+   */
+  setAvailableChildren(activity, children) {
+    const available = new Set(children);
+    for (const child of activity.allChildren) {
+      if (available.has(child)) {
+        this.traverseTree(child, (node) => this.activities.set(node.identifier, node));
+      } else {
+        this.traverseAllChildren(child, (node) => this.activities.delete(node.identifier));
+      }
+    }
+    activity.children = children;
+  }
+
+  /**
+   * Fisher-Yates shuffle using the manager's random source
+   * @private
+   * @param {Array} list - Items to shuffle
+   * @returns {Array} New shuffled array
+   */
+  shuffle(list) {
+    const result = [...list];
+    for (let i = result.length - 1; i > 0; i--) {
+      const j = Math.floor(this.random() * (i + 1));
+      [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+  }
+
   getActivity(identifier) {
     return this.activities.get(identifier) || null;
   }
@@ -346,6 +755,17 @@ class ActivityTreeManager {
     callback(node);
     node.children.forEach(child => this.traverseTree(child, callback));
   }
+
+  /**
+   * Traverse every node including children excluded by selection
+   * @param {ActivityNode} node - Starting node
+   * @param {Function} callback - Called for each node
+   */
+  traverseAllChildren(node, callback) {
+    if (!node) return;
+    callback(node);
+    node.allChildren.forEach(child => this.traverseAllChildren(child, callback));
+  }
  
   getTreeStats() {
     let totalActivities = 0;
@@ -371,7 +791,13 @@ class ActivityTreeManager {
     this.activities.clear();
     this.globalObjectives.clear();
     this.currentActivity = null;
+    this.suspendedActivity = null;
     this.root = null;
+    this.objectivesGlobalToSystem = true;
+    this.sharedDataGlobalToSystem = true;
+    if (this.randomSeed !== null) {
+      this.random = createSeededRandom(this.randomSeed);
+    }
     this.logger?.debug('Activity tree reset');
   }
 }
@@ -10,6 +10,7 @@
 
 const { ActivityTreeManager } = require('./activity-tree');
 const PathUtils = require('../../../../shared/utils/path-utils');
+const { durationToSeconds } = require('../../../../shared/utils/duration');
 const SequencingEngine = require('./sequencing-engine');
 const NavigationHandler = require('./navigation-handler');
 const RollupManager = require('./rollup-manager');
@@ -35,7 +36,9 @@ class ScormSNService {
     };
 
     // Initialize core SN components
-    this.activityTreeManager = new ActivityTreeManager(errorHandler, logger);
+    this.activityTreeManager = new ActivityTreeManager(errorHandler, logger, {
+      randomSeed: this.options.randomSeed
+    });
     this.sequencingEngine = new SequencingEngine(
       this.activityTreeManager,
       errorHandler,
@@ -56,6 +59,10 @@ class ScormSNService {
     this.currentPackage = null;
     this.sequencingSession = null;
 
+    // Recent termination/retry events, surfaced in getSequencingState()
+    this.sequencingEvents = [];
+    this.sequencingEngine.eventEmitter.on('sequencing-event', (event) => this.recordSequencingEvent(event));
+
     this.logger?.debug('ScormSNService initialized', {
       browseModeSupport: !!this.browseModeService
     });
@@ -227,6 +234,16 @@ class ScormSNService {
         return navResult;
       }
 
+      // Termination requests that exit the root end the sequencing session
+      if (!navResult.targetActivity && navResult.endSession) {
+        const termination = this.terminateSequencing();
+        return {
+          ...navResult,
+          finalState: termination.finalState,
+          availableNavigation: this.navigationHandler.getAvailableNavigation()
+        };
+      }
+
       // If navigation resulted in a new target activity, process sequencing
       if (navResult.targetActivity) {
         const sequencingResult = await this.processActivitySequencing(navResult.targetActivity);
@@ -296,6 +313,15 @@ class ScormSNService {
         }
       }
 
+      // End attempts left open on the previous branch, then begin the new attempt
+      const previous = this.activityTreeManager.currentActivity;
+      for (let node = previous; node && node !== activity && !this.isDescendantOf(activity, node); node = node.parent) {
+        if (node.activityState === ACTIVITY_STATES.ACTIVE) {
+          this.activityTreeManager.endAttempt(node);
+        }
+      }
+      this.activityTreeManager.beginAttempt(activity);
+
       // Set activity as current if no pre-condition actions triggered
       this.activityTreeManager.setCurrentActivity(activity.identifier);
 
@@ -356,7 +382,7 @@ class ScormSNService {
       case 'previous':
         return this.processNavigation('previous');
       case 'restart':
-        return this.processActivitySequencing(activity);
+        return this.processActivitySequencing(actionResult.targetActivity || activity);
       case 'terminate':
         return this.terminateSequencing();
       case 'block':
@@ -369,7 +395,7 @@ class ScormSNService {
   /**
    * Update activity progress and trigger rollup
    * @param {string} activityId - Activity identifier
-   * @param {Object} progressData - Progress data (completion, satisfaction, measure)
+   * @param {Object} progressData - Progress data (completion, satisfaction, measure, sessionTime)
    * @returns {Object} Update result
    */
   updateActivityProgress(activityId, progressData) {
@@ -381,18 +407,41 @@ class ScormSNService {
         return { success: false, reason: 'Activity not found' };
       }
 
+      // Untracked activities record no tracking status and take no part in rollup
+      if (activity.sequencing?.deliveryControls?.tracked === false) {
+        this.logger?.debug(`Activity ${activityId} is not tracked; ignoring progress update`, progressData);
+        return { success: true, reason: 'Activity not tracked', tracked: false };
+      }
+
       // Update activity state
       if (progressData.completed !== undefined) {
         activity.attemptState = progressData.completed ? 'completed' : 'incomplete';
       }
 
+      // Completed by measure: the threshold decides regardless of the reported status
+      const threshold = activity.completionThreshold;
+      const progressMeasure = Number(progressData.progressMeasure);
+      if (threshold?.completedByMeasure && progressData.progressMeasure !== undefined && Number.isFinite(progressMeasure)) {
+        activity.attemptState = progressMeasure >= threshold.minProgressMeasure ? 'completed' : 'incomplete';
+      }
+
+      // Reported session time counts toward the duration limit conditions
+      if (progressData.sessionTime !== undefined) {
+        this.activityTreeManager.addSessionDuration(activity, durationToSeconds(progressData.sessionTime));
+      }
+
       // Update objective information
       if (activity.primaryObjective) {
+        const objective = activity.primaryObjective;
         if (progressData.satisfied !== undefined) {
-          activity.primaryObjective.satisfied = progressData.satisfied;
+          objective.satisfied = progressData.satisfied;
         }
         if (progressData.measure !== undefined) {
-          activity.primaryObjective.measure = progressData.measure;
+          objective.measure = progressData.measure;
+          // Satisfied by measure: the normalized measure decides against minNormalizedMeasure
+          if (objective.satisfiedByMeasure && Number.isFinite(progressData.measure)) {
+            objective.satisfied = progressData.measure >= objective.minNormalizedMeasure;
+          }
         }
       }
 
@@ -760,6 +809,26 @@ class ScormSNService {
     }
   }
 
+  /**
+   * Record a termination/retry event from the sequencing engine and broadcast it
+   * @private
+   * @param {Object} event - Sequencing event
+   */
+  recordSequencingEvent(event) {
+    this.sequencingEvents.push(event);
+    if (this.sequencingEvents.length > 50) {
+      this.sequencingEvents.shift();
+    }
+
+    this.logger?.info(`SN Service: Sequencing event ${event.type}`, event);
+    try {
+      const windowManager = this.scormService?.getDependency?.('windowManager');
+      windowManager?.broadcastToAllWindows?.('sn:sequencing-event', event);
+    } catch (error) {
+      this.logger?.warn('SN Service: Failed to broadcast sequencing event', error?.message || error);
+    }
+  }
+
   /**
    * Get current sequencing state
    * @returns {Object} Current sequencing state
@@ -776,17 +845,268 @@ class ScormSNService {
         title: currentActivity.title,
         state: currentActivity.activityState,
         attemptCount: currentActivity.attemptCount,
+        attemptDuration: currentActivity.attemptDuration,
+        activityDuration: currentActivity.activityDuration,
         presentation: currentActivity.presentation || null
       } : null,
       availableNavigation: this.navigationHandler.getAvailableNavigation(),
       presentation: currentActivity?.presentation || null,
       hiddenControls: this.getHiddenControlsForCurrentActivity(),
       globalObjectives: this.rollupManager.getAllGlobalObjectives(),
+      suspendedActivity: this.activityTreeManager.suspendedActivity?.identifier || null,
+      sequencingEvents: [...this.sequencingEvents],
       activityTreeStats: treeStats,
       isSingleSCO: treeStats.launchableActivities === 1
     };
   }
 
+  /**
+   * Get the activity tree's tracking state for session exports
+   * @returns {Object} Current and suspended activity plus per-activity tracking data
+   */
+  getActivityTreeState() {
+    return {
+      currentActivity: this.activityTreeManager.currentActivity?.identifier || null,
+      suspendedActivity: this.activityTreeManager.suspendedActivity?.identifier || null,
+      activities: this.activityTreeManager.getTrackingState()
+    };
+  }
+
+  /**
+   * Restore activity tracking data from a getActivityTreeState snapshot
+   * @param {{activities: Object<string, Object>}} state - Activity tree state
+   * @returns {Object} Restore result
+   */
+  restoreActivityTreeState(state) {
+    const restored = this.activityTreeManager.restoreTrackingState(state?.activities);
+    if (restored > 0) {
+      this.logger?.info(`SN Service: Restored tracking data for ${restored} activit${restored === 1 ? 'y' : 'ies'}`);
+    }
+    return { success: true, restored };
+  }
+
+  /**
+   * Get the child order chosen by selection/randomization controls
+   * Persisted with the session so a suspended learner resumes with the same order.
+   * @returns {Object<string, Array<string>>} Cluster identifier -> child identifiers
+   */
+  getActivityOrderState() {
+    return this.activityTreeManager.getChildOrderState();
+  }
+
+  /**
+   * Restore a previously persisted selection/randomization child order
+   * @param {Object<string, Array<string>>} state - Cluster identifier -> child identifiers
+   * @returns {Object} Restore result
+   */
+  restoreActivityOrderState(state) {
+    const restored = this.activityTreeManager.restoreChildOrderState(state);
+    if (restored > 0) {
+      this.logger?.info(`SN Service: Restored child order for ${restored} cluster(s)`);
+    }
+    return { success: true, restored };
+  }
+
+  /**
+   * Get the shared data (adl.data) maps of an activity
+   * @param {string} [activityId] - Activity identifier (defaults to the current activity)
+   * @returns {{activityId: string|null, maps: Array<Object>, globalToSystem: boolean}} Shared data context
+   */
+  getSharedDataContext(activityId = null) {
+    const activity = activityId
+      ? this.activityTreeManager.getActivity(activityId)
+      : this.activityTreeManager.currentActivity;
+
+    return {
+      activityId: activity?.identifier || null,
+      maps: activity?.dataMaps || [],
+      globalToSystem: this.activityTreeManager.sharedDataGlobalToSystem
+    };
+  }
+
+  /**
+   * Get the delivery settings the RTE needs for an activity: its delivery
+   * controls, cmi.completion_threshold (adlcp:minProgressMeasure when
+   * completedByMeasure) and cmi.scaled_passing_score (the primary objective's
+   * minNormalizedMeasure when satisfiedByMeasure)
+   * @param {string} [activityId] - Activity identifier (defaults to the current activity)
+   * @returns {Object|null} Delivery settings, or null without an activity
+   */
+  getActivityDeliverySettings(activityId = null) {
+    const activity = activityId
+      ? this.activityTreeManager.getActivity(activityId)
+      : this.activityTreeManager.currentActivity;
+    if (!activity) return null;
+
+    const deliveryControls = activity.sequencing?.deliveryControls || {};
+    const threshold = activity.completionThreshold;
+    const primary = activity.primaryObjective;
+
+    return {
+      activityId: activity.identifier,
+      tracked: deliveryControls.tracked !== false,
+      completionSetByContent: deliveryControls.completionSetByContent === true,
+      objectiveSetByContent: deliveryControls.objectiveSetByContent === true,
+      completionThreshold: threshold?.completedByMeasure ? threshold.minProgressMeasure : null,
+      scaledPassingScore: primary?.satisfiedByMeasure ? primary.minNormalizedMeasure : null
+    };
+  }
+
+  /**
+   * Read the initial cmi.objectives values of an activity from its mapped global objectives
+   * Only objectives with an objectiveID are returned; status/measure are present only when
+   * a readable global objective has a known value.
+   * @param {string} [activityId] - Activity identifier (defaults to the current activity)
+   * @returns {{activityId: string|null, globalToSystem: boolean, objectives: Array<{id: string, success_status?: string, scaled?: string}>}}
+   */
+  readMappedObjectives(activityId = null) {
+    const activity = activityId
+      ? this.activityTreeManager.getActivity(activityId)
+      : this.activityTreeManager.currentActivity;
+
+    const objectives = this.getActivityObjectives(activity).map(objective => {
+      const entry = { id: objective.objectiveID };
+      const mapInfo = objective.mapInfo || {};
+      if (!mapInfo.targetObjectiveID) {
+        return entry;
+      }
+
+      const satisfied = mapInfo.readSatisfiedStatus
+        ? this.rollupManager.getGlobalObjective(mapInfo.targetObjectiveID, 'satisfied')
+        : null;
+      if (satisfied !== null && satisfied !== undefined) {
+        objective.satisfied = satisfied;
+        entry.success_status = satisfied ? 'passed' : 'failed';
+      }
+
+      const measure = mapInfo.readNormalizedMeasure
+        ? this.rollupManager.getGlobalObjective(mapInfo.targetObjectiveID, 'measure')
+        : null;
+      if (measure !== null && measure !== undefined) {
+        objective.measure = measure;
+        entry.scaled = String(measure);
+      }
+      return entry;
+    });
+
+    return {
+      activityId: activity?.identifier || null,
+      globalToSystem: this.activityTreeManager.objectivesGlobalToSystem,
+      objectives
+    };
+  }
+
+  /**
+   * Write a SCO's runtime objective values back to its activity objectives and,
+   * where mapInfo allows, to the mapped global objectives
+   * @param {string|null} activityId - Activity identifier (null for the current activity)
+   * @param {Object} runtime - Runtime objective values
+   * @param {string} [runtime.successStatus] - cmi.success_status (applies to the primary objective)
+   * @param {string} [runtime.scaled] - cmi.score.scaled (applies to the primary objective)
+   * @param {Array<Object>} [runtime.objectives] - cmi.objectives entries ({id, success_status, scaled})
+   * @returns {{success: boolean, written: number}} Number of global objective values written
+   */
+  writeMappedObjectives(activityId, runtime = {}) {
+    const activity = activityId
+      ? this.activityTreeManager.getActivity(activityId)
+      : this.activityTreeManager.currentActivity;
+    if (!activity) {
+      return { success: false, written: 0 };
+    }
+    if (activity.sequencing?.deliveryControls?.tracked === false) {
+      return { success: true, written: 0 };
+    }
+
+    const toSatisfied = (status) => (status === 'passed' ? true : (status === 'failed' ? false : null));
+    const toMeasure = (value) => {
+      const measure = parseFloat(value);
+      return Number.isFinite(measure) ? measure : null;
+    };
+    const runtimeObjectives = Array.isArray(runtime.objectives) ? runtime.objectives : [];
+
+    let written = 0;
+    for (const objective of this.getActivityObjectives(activity)) {
+      const entry = runtimeObjectives.find(o => o?.id === objective.objectiveID) || {};
+      let satisfied = toSatisfied(entry.success_status);
+      let measure = toMeasure(entry.scaled);
+      if (objective === activity.primaryObjective) {
+        satisfied = toSatisfied(runtime.successStatus) ?? satisfied;
+        measure = toMeasure(runtime.scaled) ?? measure;
+      }
+
+      if (satisfied !== null) objective.satisfied = satisfied;
+      if (measure !== null) objective.measure = measure;
+
+      const mapInfo = objective.mapInfo || {};
+      if (!mapInfo.targetObjectiveID) continue;
+      if (mapInfo.writeSatisfiedStatus && satisfied !== null) {
+        this.rollupManager.setGlobalObjective(mapInfo.targetObjectiveID, 'satisfied', satisfied);
+        written++;
+      }
+      if (mapInfo.writeNormalizedMeasure && measure !== null) {
+        this.rollupManager.setGlobalObjective(mapInfo.targetObjectiveID, 'measure', measure);
+        written++;
+      }
+    }
+
+    if (written > 0) {
+      this.logger?.debug(`SN Service: Wrote ${written} global objective value(s) from ${activity.identifier}`);
+    }
+    return { success: true, written };
+  }
+
+  /**
+   * Get the global objective values for persistence
+   * @returns {Object<string, {satisfied: (boolean|null), measure: (number|null)}>} Global objectives
+   */
+  getGlobalObjectivesState() {
+    return this.rollupManager.getAllGlobalObjectives();
+  }
+
+  /**
+   * Restore persisted global objective values (known values only)
+   * @param {Object<string, {satisfied: (boolean|null), measure: (number|null)}>} state - Global objectives
+   * @returns {Object} Restore result
+   */
+  restoreGlobalObjectivesState(state) {
+    let restored = 0;
+    for (const [objectiveID, values] of Object.entries(state || {})) {
+      for (const property of ['satisfied', 'measure']) {
+        if (values?.[property] !== null && values?.[property] !== undefined) {
+          this.rollupManager.setGlobalObjective(objectiveID, property, values[property]);
+          restored++;
+        }
+      }
+    }
+    return { success: true, restored };
+  }
+
+  /**
+   * Whether global objectives are shared across courses for the learner
+   * @returns {boolean} Organization's objectivesGlobalToSystem value
+   */
+  isObjectivesGlobalToSystem() {
+    return this.activityTreeManager.objectivesGlobalToSystem;
+  }
+
+  /**
+   * Collect an activity's objectives that carry an objectiveID
+   * @private
+   * @param {ActivityNode|null} activity - Activity
+   * @returns {Array<Object>} Primary objective first, then secondary objectives
+   */
+  getActivityObjectives(activity) {
+    if (!activity) return [];
+    const objectives = [];
+    if (activity.primaryObjective?.objectiveID) {
+      objectives.push(activity.primaryObjective);
+    }
+    for (const objective of activity.objectives?.values?.() || []) {
+      objectives.push(objective);
+    }
+    return objectives;
+  }
+
   /**
    * Get hidden LMS UI controls for current activity
    * @returns {Array<string>} Array of hidden control names
@@ -917,6 +1237,7 @@ class ScormSNService {
     this.sessionState = SEQUENCING_SESSION_STATES.NOT_STARTED;
     this.currentPackage = null;
     this.sequencingSession = null;
+    this.sequencingEvents = [];
 
     this.logger?.debug('SN service reset');
   }
@@ -986,29 +1307,25 @@ class ScormSNService {
 
       this.logger?.debug(`SN Service: Handling exit for activity ${activityId} with type ${exitType}`);
 
-      let navigationResult = { success: true, reason: 'Exit handled' };
-
+      // cmi.exit only takes effect when the SCO terminates: record it here and let the
+      // termination request process (exit, suspendAll, ...) end or suspend the attempt
       switch (exitType) {
         case 'suspend':
-          // Trigger suspend all navigation request
-          navigationResult = this.navigationHandler.processSuspendAllRequest();
+          activity.suspended = true;
           break;
         case 'normal':
         case 'logout':
-          // Trigger exit navigation request
-          navigationResult = this.navigationHandler.processExitRequest();
-          break;
         case 'time-out':
-        case 'uninitialized':
-          // These might not trigger explicit navigation, but could update activity state
-          activity.setState(ACTIVITY_STATES.INACTIVE); // Or a more specific state
+        case '':
+          activity.suspended = false;
           break;
         default:
           this.logger?.warn(`SN Service: Unhandled exit type: ${exitType} for activity ${activityId}`);
           break;
       }
+      activity.exitType = exitType;
 
-      return navigationResult;
+      return { success: true, reason: 'Exit recorded', exitType, suspended: activity.suspended };
     } catch (error) {
       this.logger?.error('Error handling activity exit:', error);
       this.errorHandler?.setError(SN_ERROR_CODES.SN_SERVICE_UNAVAILABLE,
@@ -11,7 +11,8 @@
 const {
   SN_ERROR_CODES,
   NAVIGATION_REQUESTS,
-  ACTIVITY_STATES
+  TERMINATION_REQUESTS,
+  SEQUENCING_REQUESTS
 } = require('../../../../shared/constants/sn-constants');
 
 /**
@@ -147,6 +148,25 @@ class NavigationHandler {
           result = { success: false, reason: `Unhandled navigation request: ${navigationRequest}` };
       }
 
+      // Every delivery request passes the limit conditions check of the target and its ancestors
+      if (result.success && result.targetActivity) {
+        const limitCheck = this.sequencingEngine.checkDeliveryLimits(result.targetActivity, navigationRequest);
+        if (limitCheck.exceeded) {
+          this.errorHandler?.setError(SN_ERROR_CODES.LIMIT_CONDITION_EXCEEDED,
+            limitCheck.reason, 'processNavigationRequest');
+          return {
+            success: false,
+            reason: limitCheck.reason,
+            limitExceeded: {
+              activityId: limitCheck.activityId,
+              limit: limitCheck.limit,
+              limitValue: limitCheck.limitValue,
+              value: limitCheck.value
+            }
+          };
+        }
+      }
+
       // Update navigation session state
       if (result.success && result.targetActivity) {
         this.updateNavigationSession(result.targetActivity);
@@ -253,13 +273,25 @@ class NavigationHandler {
     }
 
     if (!targetActivity.isVisible) {
-      return { valid: false, reason: 'Target activity is hidden from choice' };
+      return { valid: false, reason: 'Target activity is hidden from choice', constraint: 'hiddenFromChoice' };
     }
 
     // Check if target activity is available for choice
     const preConditionResult = this.sequencingEngine.evaluatePreConditionRules(targetActivity);
     if (preConditionResult.action === 'disabled' || preConditionResult.action === 'hiddenFromChoice') {
-      return { valid: false, reason: `Target activity not available: ${preConditionResult.reason}` };
+      return {
+        valid: false,
+        reason: `Target activity not available: ${preConditionResult.reason}`,
+        constraint: preConditionResult.action
+      };
+    }
+
+    // Traversal from the current activity (browse mode ignores sequencing constraints)
+    if (!this.isBrowseModeEnabled()) {
+      const traversal = this.sequencingEngine.evaluateChoiceTraversal(targetActivity);
+      if (!traversal.valid) {
+        return traversal;
+      }
     }
 
     return { valid: true, reason: 'Choice request is valid' };
@@ -385,16 +417,7 @@ class NavigationHandler {
    * @returns {Object} Processing result
    */
   processExitRequest() {
-    const currentActivity = this.activityTreeManager.currentActivity;
-    if (currentActivity) {
-      currentActivity.setState(ACTIVITY_STATES.INACTIVE);
-    }
-
-    return {
-      success: true,
-      reason: 'Exit navigation processed',
-      action: 'exit'
-    };
+    return this.processTermination(TERMINATION_REQUESTS.EXIT, 'exit');
   }
 
   /**
@@ -403,17 +426,82 @@ class NavigationHandler {
    * @returns {Object} Processing result
    */
   processSuspendAllRequest() {
-    const currentActivity = this.activityTreeManager.currentActivity;
-    if (currentActivity) {
-      currentActivity.setState(ACTIVITY_STATES.SUSPENDED);
-      currentActivity.suspended = true;
+    return this.processTermination(TERMINATION_REQUESTS.SUSPEND_ALL, 'suspend');
+  }
+
+  /**
+   * Process exit all navigation request
+   * @private
+   * @returns {Object} Processing result
+   */
+  processExitAllRequest() {
+    return this.processTermination(TERMINATION_REQUESTS.EXIT_ALL, 'exitAll');
+  }
+
+  /**
+   * Process abandon navigation request
+   * @private
+   * @returns {Object} Processing result
+   */
+  processAbandonRequest() {
+    return this.processTermination(TERMINATION_REQUESTS.ABANDON, 'abandon');
+  }
+
+  /**
+   * Process abandon all navigation request
+   * @private
+   * @returns {Object} Processing result
+   */
+  processAbandonAllRequest() {
+    return this.processTermination(TERMINATION_REQUESTS.ABANDON_ALL, 'abandonAll');
+  }
+
+  /**
+   * Run the termination request process and resolve the sequencing request it yields
+   * into a target activity (retry, continue, previous) or the end of the session (exit)
+   * @private
+   * @param {string} terminationRequest - One of TERMINATION_REQUESTS
+   * @param {string} action - Action reported to callers
+   * @returns {Object} Processing result
+   */
+  processTermination(terminationRequest, action) {
+    const termination = this.sequencingEngine.processTerminationRequest(terminationRequest);
+    if (!termination.success) {
+      return { success: false, reason: termination.reason, action };
     }
 
-    return {
+    const result = {
       success: true,
-      reason: 'Suspend all navigation processed',
-      action: 'suspend'
+      reason: termination.reason,
+      action,
+      sequencingRequest: termination.sequencingRequest,
+      endSession: termination.endSession,
+      exitedActivities: termination.exitedActivities
     };
+
+    switch (termination.sequencingRequest) {
+      case SEQUENCING_REQUESTS.RETRY: {
+        const retry = this.sequencingEngine.processRetryRequest(termination.targetActivity);
+        if (retry.deliveryActivity) {
+          result.targetActivity = retry.deliveryActivity;
+          result.action = 'launch';
+        }
+        break;
+      }
+      case SEQUENCING_REQUESTS.CONTINUE:
+      case SEQUENCING_REQUESTS.PREVIOUS: {
+        const next = termination.sequencingRequest === SEQUENCING_REQUESTS.CONTINUE
+          ? this.findNextActivity()
+          : this.findPreviousActivity();
+        if (next) {
+          result.targetActivity = next;
+          result.action = 'launch';
+        }
+        break;
+      }
+    }
+
+    return result;
   }
 
   /**
@@ -1295,9 +1383,6 @@ class NavigationHandler {
       return { success: false, reason: 'Resume processing failed', action: 'resume' };
     }
   }
-  processExitAllRequest() { return { success: true, reason: 'Exit all processed', action: 'exitAll' }; }
-  processAbandonRequest() { return { success: true, reason: 'Abandon processed', action: 'abandon' }; }
-  processAbandonAllRequest() { return { success: true, reason: 'Abandon all processed', action: 'abandonAll' }; }
 }
 
 module.exports = NavigationHandler;
\ No newline at end of file
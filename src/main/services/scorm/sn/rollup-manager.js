@@ -11,7 +11,10 @@
 const { 
   SN_ERROR_CODES,
   ROLLUP_ACTIONS,
-  OBJECTIVE_PROGRESS_STATES,
+  ROLLUP_CHILD_ACTIVITY_SETS,
+  ROLLUP_CONSIDERATIONS,
+  RULE_CONDITIONS,
+  RULE_ACTIONS,
   ATTEMPT_STATES,
   SN_DEFAULTS
 } = require('../../../../shared/constants/sn-constants');
@@ -84,6 +87,8 @@ class RollupManager {
 
   /**
    * Process rollup for a single activity
+   * Cluster results are written back to the activity so that ancestors
+   * evaluate against the rolled-up status (SN Book RB.1.5).
    * @private
    * @param {ActivityNode} activity - Activity to process
    * @returns {Object} Activity rollup result
@@ -99,19 +104,19 @@ class RollupManager {
         measureRollup: null
       };
 
-      // Process objective rollup
-      if (rollupRules.rollupObjectiveSatisfied) {
-        result.objectiveRollup = this.processObjectiveRollup(activity, rollupRules);
+      // Process measure rollup
+      if (rollupRules.objectiveMeasureWeight > 0) {
+        result.measureRollup = this.processMeasureRollup(activity, rollupRules);
       }
 
+      // Process objective rollup
+      result.objectiveRollup = this.processObjectiveRollup(activity, rollupRules);
+
       // Process completion rollup
-      if (rollupRules.rollupProgressCompletion) {
-        result.completionRollup = this.processCompletionRollup(activity, rollupRules);
-      }
+      result.completionRollup = this.processCompletionRollup(activity, rollupRules);
 
-      // Process measure rollup
-      if (rollupRules.objectiveMeasureWeight > 0) {
-        result.measureRollup = this.processMeasureRollup(activity, rollupRules);
+      if (activity.children.length > 0) {
+        this.applyClusterRollup(activity, result);
       }
 
       // Update global objectives
@@ -131,6 +136,8 @@ class RollupManager {
 
   /**
    * Get rollup rules for an activity
+   * Flattens the manifest's rollupRules/rollupConsiderations into a single
+   * configuration; attributes the manifest left unset keep their defaults.
    * @private
    * @param {ActivityNode} activity - Activity to get rules for
    * @returns {Object} Rollup rules configuration
@@ -140,21 +147,36 @@ class RollupManager {
       rollupObjectiveSatisfied: true,
       rollupProgressCompletion: true,
       objectiveMeasureWeight: SN_DEFAULTS.DEFAULT_OBJECTIVE_WEIGHT,
-      requiredForSatisfied: 'always',
-      requiredForNotSatisfied: 'always',
-      requiredForCompleted: 'always',
-      requiredForIncomplete: 'always'
+      requiredForSatisfied: ROLLUP_CONSIDERATIONS.ALWAYS,
+      requiredForNotSatisfied: ROLLUP_CONSIDERATIONS.ALWAYS,
+      requiredForCompleted: ROLLUP_CONSIDERATIONS.ALWAYS,
+      requiredForIncomplete: ROLLUP_CONSIDERATIONS.ALWAYS,
+      rules: []
     };
 
-    if (activity.sequencing && activity.sequencing.rollupRules) {
-      return { ...defaultRules, ...activity.sequencing.rollupRules };
+    const source = activity.sequencing?.rollupRules;
+    if (!source) {
+      return defaultRules;
     }
 
-    return defaultRules;
+    const { rollupConsiderations, rollupRules, ...attributes } = source;
+    const defined = (obj) => Object.fromEntries(
+      Object.entries(obj || {}).filter(([, value]) => value !== null && value !== undefined)
+    );
+
+    return {
+      ...defaultRules,
+      ...defined(attributes),
+      ...defined(rollupConsiderations),
+      rules: Array.isArray(rollupRules) ? rollupRules : []
+    };
   }
 
   /**
-   * Process objective satisfaction rollup
+   * Process objective satisfaction rollup (SN Book RB.1.2)
+   * Not-satisfied rules are evaluated first so that a matching satisfied
+   * rule takes precedence. Without authored rules the defaults apply:
+   * all children satisfied, or all children known for not satisfied.
    * @private
    * @param {ActivityNode} activity - Activity to process
    * @param {Object} rollupRules - Rollup rules
@@ -171,50 +193,38 @@ class RollupManager {
       };
     }
 
-    // Aggregate child objective statuses
+    const notSatisfiedRule = this.evaluateRollupRules(activity, rollupRules, ROLLUP_ACTIONS.NOT_SATISFIED);
+    const satisfiedRule = this.evaluateRollupRules(activity, rollupRules, ROLLUP_ACTIONS.SATISFIED);
+
+    let rollupSatisfied = null;
+    let reason = 'No objective rollup rule applied';
+    if (satisfiedRule.matched) {
+      rollupSatisfied = true;
+      reason = satisfiedRule.reason;
+    } else if (notSatisfiedRule.matched) {
+      rollupSatisfied = false;
+      reason = notSatisfiedRule.reason;
+    }
+
     const childStatuses = children.map(child => ({
       activityId: child.identifier,
       satisfied: this.getActivityObjectiveStatus(child),
       weight: this.getActivityWeight(child, rollupRules)
     }));
 
-    // Apply rollup logic based on rules
-    const satisfiedCount = childStatuses.filter(status => status.satisfied === true).length;
-    const notSatisfiedCount = childStatuses.filter(status => status.satisfied === false).length;
-    const unknownCount = childStatuses.filter(status => status.satisfied === null).length;
-
-    let rollupSatisfied = null;
-    let reason = '';
-
-    // Determine rollup result based on required conditions
-    if (rollupRules.requiredForSatisfied === 'always') {
-      if (satisfiedCount === children.length) {
-        rollupSatisfied = true;
-        reason = 'All children satisfied';
-      } else if (notSatisfiedCount > 0) {
-        rollupSatisfied = false;
-        reason = 'Some children not satisfied';
-      }
-    } else if (rollupRules.requiredForSatisfied === 'ifAttempted') {
-      const attemptedChildren = children.filter(child => child.attemptCount > 0);
-      if (attemptedChildren.length > 0) {
-        const attemptedSatisfied = attemptedChildren.filter(child => 
-          this.getActivityObjectiveStatus(child) === true).length;
-        rollupSatisfied = attemptedSatisfied === attemptedChildren.length;
-        reason = `Attempted children rollup: ${attemptedSatisfied}/${attemptedChildren.length}`;
-      }
-    }
-
     return {
       satisfied: rollupSatisfied,
       reason,
-      contributingActivities: childStatuses.map(s => s.activityId),
+      contributingActivities: satisfiedRule.contributingActivities,
       childStatuses
     };
   }
 
   /**
-   * Process completion status rollup
+   * Process completion status rollup (SN Book RB.1.3)
+   * Mirrors objective rollup: incomplete rules first, completed rules win.
+   * Defaults are all children completed, or all children progress-known
+   * for incomplete.
    * @private
    * @param {ActivityNode} activity - Activity to process
    * @param {Object} rollupRules - Rollup rules
@@ -231,40 +241,307 @@ class RollupManager {
       };
     }
 
-    // Aggregate child completion statuses
+    const incompleteRule = this.evaluateRollupRules(activity, rollupRules, ROLLUP_ACTIONS.INCOMPLETE);
+    const completedRule = this.evaluateRollupRules(activity, rollupRules, ROLLUP_ACTIONS.COMPLETED);
+
+    let rollupCompleted = null;
+    let reason = 'No completion rollup rule applied';
+    if (completedRule.matched) {
+      rollupCompleted = true;
+      reason = completedRule.reason;
+    } else if (incompleteRule.matched) {
+      rollupCompleted = false;
+      reason = incompleteRule.reason;
+    }
+
     const childStatuses = children.map(child => ({
       activityId: child.identifier,
       completed: child.attemptState === ATTEMPT_STATES.COMPLETED,
-      attempted: child.attemptCount > 0
+      attempted: this.isActivityAttempted(child)
     }));
 
-    const completedCount = childStatuses.filter(status => status.completed).length;
-    const attemptedCount = childStatuses.filter(status => status.attempted).length;
-
-    let rollupCompleted = false;
-    let reason = '';
-
-    // Apply completion rollup logic
-    if (rollupRules.requiredForCompleted === 'always') {
-      rollupCompleted = completedCount === children.length;
-      reason = `Completion rollup: ${completedCount}/${children.length} completed`;
-    } else if (rollupRules.requiredForCompleted === 'ifAttempted') {
-      if (attemptedCount > 0) {
-        const attemptedCompleted = childStatuses.filter(status => 
-          status.attempted && status.completed).length;
-        rollupCompleted = attemptedCompleted === attemptedCount;
-        reason = `Attempted completion rollup: ${attemptedCompleted}/${attemptedCount}`;
-      }
-    }
-
     return {
       completed: rollupCompleted,
       reason,
-      contributingActivities: childStatuses.map(s => s.activityId),
+      contributingActivities: completedRule.contributingActivities,
       childStatuses
     };
   }
 
+  /**
+   * Evaluate the rollup rules of a cluster for one rollup action
+   * Falls back to the default rule when the activity authors none for the action.
+   * @private
+   * @param {ActivityNode} activity - Cluster activity
+   * @param {Object} rollupRules - Rollup rules of the cluster
+   * @param {string} action - Rollup action (ROLLUP_ACTIONS)
+   * @returns {Object} { matched, reason, contributingActivities }
+   */
+  evaluateRollupRules(activity, rollupRules, action) {
+    const authored = rollupRules.rules.filter(rule => rule?.action === action);
+    const rules = authored.length > 0 ? authored : [this.getDefaultRollupRule(action)];
+    const contributing = activity.children.filter(child => this.checkChildForRollup(child, action));
+
+    for (const rule of rules) {
+      if (this.evaluateRollupRule(rule, contributing)) {
+        return {
+          matched: true,
+          reason: `${authored.length > 0 ? 'Rollup rule' : 'Default rollup rule'}: ${rule.childActivitySet || ROLLUP_CHILD_ACTIVITY_SETS.ALL} -> ${action}`,
+          contributingActivities: contributing.map(child => child.identifier)
+        };
+      }
+    }
+
+    return {
+      matched: false,
+      reason: `No ${action} rollup rule matched`,
+      contributingActivities: contributing.map(child => child.identifier)
+    };
+  }
+
+  /**
+   * Default rollup rule applied when a cluster defines none for the action
+   * @private
+   * @param {string} action - Rollup action
+   * @returns {Object} Rollup rule
+   */
+  getDefaultRollupRule(action) {
+    const conditionByAction = {
+      [ROLLUP_ACTIONS.SATISFIED]: RULE_CONDITIONS.SATISFIED,
+      [ROLLUP_ACTIONS.NOT_SATISFIED]: RULE_CONDITIONS.OBJECTIVE_STATUS_KNOWN,
+      [ROLLUP_ACTIONS.COMPLETED]: RULE_CONDITIONS.COMPLETED,
+      [ROLLUP_ACTIONS.INCOMPLETE]: RULE_CONDITIONS.ACTIVITY_PROGRESS_KNOWN
+    };
+
+    return {
+      childActivitySet: ROLLUP_CHILD_ACTIVITY_SETS.ALL,
+      conditions: {
+        conditionCombination: 'any',
+        conditions: [{ condition: conditionByAction[action], operator: 'noOp' }]
+      },
+      action
+    };
+  }
+
+  /**
+   * Evaluate a single rollup rule against the contributing children (RB.1.4.1)
+   * A rule never fires when no child contributes.
+   * @private
+   * @param {Object} rule - Rollup rule
+   * @param {Array<ActivityNode>} contributing - Contributing children
+   * @returns {boolean} True if the rule's action applies
+   */
+  evaluateRollupRule(rule, contributing) {
+    if (contributing.length === 0) {
+      return false;
+    }
+
+    const trueCount = contributing
+      .filter(child => this.evaluateRollupConditions(rule.conditions, child))
+      .length;
+
+    switch (rule.childActivitySet || ROLLUP_CHILD_ACTIVITY_SETS.ALL) {
+      case ROLLUP_CHILD_ACTIVITY_SETS.ALL:
+        return trueCount === contributing.length;
+      case ROLLUP_CHILD_ACTIVITY_SETS.ANY:
+        return trueCount > 0;
+      case ROLLUP_CHILD_ACTIVITY_SETS.NONE:
+        return trueCount === 0;
+      case ROLLUP_CHILD_ACTIVITY_SETS.AT_LEAST_COUNT:
+        return trueCount >= (Number(rule.minimumCount) || 0);
+      case ROLLUP_CHILD_ACTIVITY_SETS.AT_LEAST_PERCENT:
+        return trueCount / contributing.length >= (Number(rule.minimumPercent) || 0);
+      default:
+        this.logger?.warn(`Unknown rollup childActivitySet: ${rule.childActivitySet}`);
+        return false;
+    }
+  }
+
+  /**
+   * Evaluate a rule's rollup conditions for one child
+   * Rollup conditions combine with 'any' unless the manifest says otherwise.
+   * @private
+   * @param {Object} conditions - { conditionCombination, conditions: [] }
+   * @param {ActivityNode} child - Child activity
+   * @returns {boolean} Combined condition result
+   */
+  evaluateRollupConditions(conditions, child) {
+    const list = Array.isArray(conditions?.conditions) ? conditions.conditions : [];
+    if (list.length === 0) {
+      return false;
+    }
+
+    const results = list.map(condition => {
+      const value = this.evaluateRollupCondition(condition.condition, child);
+      return condition.operator === 'not' ? !value : value;
+    });
+
+    return String(conditions.conditionCombination || 'any').toLowerCase() === 'all'
+      ? results.every(Boolean)
+      : results.some(Boolean);
+  }
+
+  /**
+   * Evaluate a single rollup condition for a child activity
+   * @private
+   * @param {string} condition - Rollup condition (RULE_CONDITIONS)
+   * @param {ActivityNode} child - Child activity
+   * @returns {boolean} Condition value
+   */
+  evaluateRollupCondition(condition, child) {
+    switch (condition) {
+      case RULE_CONDITIONS.ALWAYS:
+        // Not a rollup condition, but used by the skip rules checked for ifNotSkipped
+        return true;
+      case RULE_CONDITIONS.SATISFIED:
+        return this.getActivityObjectiveStatus(child) === true;
+      case RULE_CONDITIONS.OBJECTIVE_STATUS_KNOWN:
+        return this.isObjectiveStatusKnown(child);
+      case RULE_CONDITIONS.OBJECTIVE_MEASURE_KNOWN:
+        return this.getActivityMeasure(child) !== null;
+      case RULE_CONDITIONS.COMPLETED:
+        return child.attemptState === ATTEMPT_STATES.COMPLETED;
+      case RULE_CONDITIONS.ACTIVITY_PROGRESS_KNOWN:
+        return child.attemptState === ATTEMPT_STATES.COMPLETED ||
+          child.attemptState === ATTEMPT_STATES.INCOMPLETE;
+      case RULE_CONDITIONS.ATTEMPTED:
+        return this.isActivityAttempted(child);
+      case RULE_CONDITIONS.ATTEMPT_LIMIT_EXCEEDED: {
+        const attemptLimit = Number(child.sequencing?.limitConditions?.attemptLimit);
+        return attemptLimit > 0 && child.attemptCount >= attemptLimit;
+      }
+      case RULE_CONDITIONS.TIME_LIMIT_EXCEEDED:
+      case RULE_CONDITIONS.OUTSIDE_AVAILABLE_TIME_RANGE:
+        // Time limits are not tracked by the activity tree
+        return false;
+      default:
+        this.logger?.warn(`Unknown rollup condition: ${condition}`);
+        return false;
+    }
+  }
+
+  /**
+   * Check whether a child contributes to a rollup action (RB.1.4.2)
+   * Honors tracked, rollupObjectiveSatisfied/rollupProgressCompletion and
+   * the child's requiredFor* rollup considerations.
+   * @private
+   * @param {ActivityNode} child - Child activity
+   * @param {string} action - Rollup action
+   * @returns {boolean} True if the child is included
+   */
+  checkChildForRollup(child, action) {
+    if (child.sequencing?.deliveryControls?.tracked === false) {
+      return false;
+    }
+
+    const childRules = this.getRollupRules(child);
+    let required;
+    switch (action) {
+      case ROLLUP_ACTIONS.SATISFIED:
+        if (!childRules.rollupObjectiveSatisfied) return false;
+        required = childRules.requiredForSatisfied;
+        break;
+      case ROLLUP_ACTIONS.NOT_SATISFIED:
+        if (!childRules.rollupObjectiveSatisfied) return false;
+        required = childRules.requiredForNotSatisfied;
+        break;
+      case ROLLUP_ACTIONS.COMPLETED:
+        if (!childRules.rollupProgressCompletion) return false;
+        required = childRules.requiredForCompleted;
+        break;
+      case ROLLUP_ACTIONS.INCOMPLETE:
+        if (!childRules.rollupProgressCompletion) return false;
+        required = childRules.requiredForIncomplete;
+        break;
+      default:
+        return false;
+    }
+
+    switch (required) {
+      case ROLLUP_CONSIDERATIONS.IF_ATTEMPTED:
+        return this.isActivityAttempted(child);
+      case ROLLUP_CONSIDERATIONS.IF_NOT_SKIPPED:
+        return !this.isActivitySkipped(child);
+      case ROLLUP_CONSIDERATIONS.IF_NOT_SUSPENDED:
+        return !(this.isActivityAttempted(child) && child.suspended);
+      default:
+        return true;
+    }
+  }
+
+  /**
+   * Check whether an activity has been attempted
+   * A cluster counts as attempted once any of its descendants has been.
+   * @private
+   * @param {ActivityNode} activity - Activity to check
+   * @returns {boolean} True if attempted
+   */
+  isActivityAttempted(activity) {
+    if (activity.attemptCount > 0 ||
+        activity.attemptState === ATTEMPT_STATES.COMPLETED ||
+        activity.attemptState === ATTEMPT_STATES.INCOMPLETE) {
+      return true;
+    }
+    return activity.children.some(child => this.isActivityAttempted(child));
+  }
+
+  /**
+   * Check whether an activity's objective status is known
+   * The tree seeds primary objectives with satisfied=false, so a false status
+   * only counts as known once the activity has been attempted.
+   * @private
+   * @param {ActivityNode} activity - Activity to check
+   * @returns {boolean} True if the objective status is known
+   */
+  isObjectiveStatusKnown(activity) {
+    const status = this.getActivityObjectiveStatus(activity);
+    if (status === true) return true;
+    return status === false && this.isActivityAttempted(activity);
+  }
+
+  /**
+   * Check whether a skip pre-condition rule currently applies to an activity
+   * @private
+   * @param {ActivityNode} activity - Activity to check
+   * @returns {boolean} True if the activity would be skipped
+   */
+  isActivitySkipped(activity) {
+    const preRules = activity.sequencing?.sequencingRules?.preConditionRules || [];
+    return preRules.some(rule => {
+      const action = rule.action || rule.actions?.action;
+      if (action !== RULE_ACTIONS.SKIP) return false;
+
+      const conditions = Array.isArray(rule.conditions)
+        ? { conditionCombination: rule.conditions.conditionCombination || 'all', conditions: rule.conditions }
+        : { conditionCombination: 'all', ...rule.conditions };
+      return this.evaluateRollupConditions(conditions, activity);
+    });
+  }
+
+  /**
+   * Write a cluster's rolled-up status back onto the activity
+   * Only determined results are applied; unknown leaves the status untouched.
+   * @private
+   * @param {ActivityNode} activity - Cluster activity
+   * @param {Object} result - Activity rollup result
+   */
+  applyClusterRollup(activity, result) {
+    const satisfied = result.objectiveRollup?.satisfied;
+    if (satisfied === true || satisfied === false) {
+      if (!activity.primaryObjective) {
+        activity.primaryObjective = { objectiveID: null, satisfied: null, measure: null, mapInfo: {} };
+      }
+      activity.primaryObjective.satisfied = satisfied;
+    }
+
+    const completed = result.completionRollup?.completed;
+    if (completed === true) {
+      activity.attemptState = ATTEMPT_STATES.COMPLETED;
+    } else if (completed === false) {
+      activity.attemptState = ATTEMPT_STATES.INCOMPLETE;
+    }
+  }
+
   /**
    * Process measure rollup (weighted scoring)
    * @private
@@ -8,13 +8,26 @@
  * @fileoverview SCORM sequencing rule processing engine
  */
 
+const EventEmitter = require('events');
 const {
   SN_ERROR_CODES,
   RULE_CONDITIONS,
   RULE_ACTIONS,
   ACTIVITY_STATES,
-  ATTEMPT_STATES
+  ATTEMPT_STATES,
+  TERMINATION_REQUESTS,
+  SEQUENCING_REQUESTS
 } = require('../../../../shared/constants/sn-constants');
+const { durationToSeconds } = require('../../../../shared/utils/duration');
+
+// Duration limits of imsss:limitConditions and the tracked duration each one bounds.
+// Durations come from reported session times, so absolute and experienced durations coincide.
+const DURATION_LIMITS = Object.freeze([
+  { limit: 'attemptAbsoluteDurationLimit', duration: 'attemptDuration' },
+  { limit: 'attemptExperiencedDurationLimit', duration: 'attemptDuration' },
+  { limit: 'activityAbsoluteDurationLimit', duration: 'activityDuration' },
+  { limit: 'activityExperiencedDurationLimit', duration: 'activityDuration' }
+]);
 
 /**
  * Sequencing Engine Class
@@ -26,6 +39,8 @@ class SequencingEngine {
     this.errorHandler = errorHandler;
     this.logger = logger;
     this.browseModeService = browseModeService;
+    // Emits 'sequencing-event' for termination and retry processing
+    this.eventEmitter = new EventEmitter();
 
     this.logger?.debug('SequencingEngine initialized', {
       browseModeSupport: !!this.browseModeService
@@ -104,6 +119,261 @@ class SequencingEngine {
     }
   }
 
+  /**
+   * Evaluate exit condition rules for an activity
+   * @param {ActivityNode} activity - Activity to evaluate
+   * @returns {Object} Evaluation result with action and reason
+   */
+  evaluateExitConditionRules(activity) {
+    const exitRules = activity.sequencing?.sequencingRules?.exitConditionRules || [];
+
+    for (const rule of exitRules) {
+      const conditionResult = this.evaluateRuleConditions(rule.conditions, activity);
+      if (conditionResult.satisfied) {
+        this.logger?.debug(`Exit condition rule triggered for ${activity.identifier}`);
+        return {
+          action: rule.action || RULE_ACTIONS.EXIT,
+          reason: `Exit condition rule: ${conditionResult.reason}`,
+          rule: rule
+        };
+      }
+    }
+
+    return { action: null, reason: 'No exit condition rules triggered' };
+  }
+
+  /**
+   * Termination Request Process (SN Book TB.2.3)
+   * Ends, suspends or abandons attempts starting at the current activity and
+   * resolves the sequencing request produced by exit action and post-condition rules.
+   * @param {string} terminationRequest - One of TERMINATION_REQUESTS
+   * @returns {Object} Termination result with sequencingRequest, targetActivity and endSession
+   */
+  processTerminationRequest(terminationRequest) {
+    const tree = this.activityTreeManager;
+    const current = tree.currentActivity;
+    if (!current) {
+      return { success: false, terminationRequest, reason: 'No current activity to terminate (TB.2.3-1)' };
+    }
+
+    const exited = [];
+    let activity = current;
+    let sequencingRequest = null;
+    let targetActivity = null;
+
+    switch (terminationRequest) {
+      case TERMINATION_REQUESTS.EXIT: {
+        // An exit already processed (e.g. from cmi.exit) only re-evaluates the rules
+        if (current.activityState === ACTIVITY_STATES.ACTIVE) {
+          tree.endAttempt(current);
+          exited.push(current);
+        }
+
+        // Sequencing Exit Action Rules Subprocess (TB.2.1): outermost ancestor wins
+        const exitTarget = this.findExitActionTarget(current);
+        if (exitTarget) {
+          for (let node = current.parent; node && node !== exitTarget.parent; node = node.parent) {
+            tree.endAttempt(node);
+            exited.push(node);
+          }
+          activity = exitTarget;
+        }
+
+        // Sequencing Post Condition Rules Subprocess (TB.2.2), repeated for exitParent
+        let evaluating = true;
+        while (evaluating) {
+          evaluating = false;
+          const postCondition = this.evaluatePostConditionRules(activity);
+          switch (postCondition.action) {
+            case RULE_ACTIONS.EXIT_PARENT:
+              if (activity.parent) {
+                activity = activity.parent;
+                tree.endAttempt(activity);
+                exited.push(activity);
+                evaluating = true;
+              }
+              break;
+            case RULE_ACTIONS.EXIT_ALL:
+              exited.push(...this.endAttemptsToRoot(activity));
+              activity = tree.root;
+              sequencingRequest = SEQUENCING_REQUESTS.EXIT;
+              break;
+            case RULE_ACTIONS.RETRY:
+              sequencingRequest = SEQUENCING_REQUESTS.RETRY;
+              targetActivity = activity;
+              break;
+            case RULE_ACTIONS.RETRY_ALL:
+              exited.push(...this.endAttemptsToRoot(activity));
+              activity = tree.root;
+              sequencingRequest = SEQUENCING_REQUESTS.RETRY;
+              targetActivity = tree.root;
+              break;
+            case RULE_ACTIONS.CONTINUE:
+              sequencingRequest = SEQUENCING_REQUESTS.CONTINUE;
+              break;
+            case RULE_ACTIONS.PREVIOUS:
+              sequencingRequest = SEQUENCING_REQUESTS.PREVIOUS;
+              break;
+          }
+        }
+
+        // Exiting the root ends the sequencing session
+        if (!sequencingRequest && activity === tree.root) {
+          sequencingRequest = SEQUENCING_REQUESTS.EXIT;
+        }
+        break;
+      }
+
+      case TERMINATION_REQUESTS.EXIT_ALL:
+        exited.push(...this.endAttemptsToRoot(current));
+        activity = tree.root;
+        sequencingRequest = SEQUENCING_REQUESTS.EXIT;
+        break;
+
+      case TERMINATION_REQUESTS.SUSPEND_ALL:
+        for (let node = current; node; node = node.parent) {
+          node.suspended = true;
+          node.setState(ACTIVITY_STATES.SUSPENDED);
+          exited.push(node);
+        }
+        tree.suspendedActivity = current;
+        activity = tree.root;
+        sequencingRequest = SEQUENCING_REQUESTS.EXIT;
+        break;
+
+      case TERMINATION_REQUESTS.ABANDON:
+        tree.abandonAttempt(current);
+        exited.push(current);
+        break;
+
+      case TERMINATION_REQUESTS.ABANDON_ALL:
+        for (let node = current; node; node = node.parent) {
+          tree.abandonAttempt(node);
+          exited.push(node);
+        }
+        activity = tree.root;
+        sequencingRequest = SEQUENCING_REQUESTS.EXIT;
+        break;
+
+      default:
+        return { success: false, terminationRequest, reason: `Unknown termination request: ${terminationRequest}` };
+    }
+
+    tree.currentActivity = activity;
+
+    const result = {
+      success: true,
+      terminationRequest,
+      reason: `Termination request processed: ${terminationRequest}`,
+      sequencingRequest,
+      targetActivity,
+      endSession: sequencingRequest === SEQUENCING_REQUESTS.EXIT,
+      exitedActivities: exited.map(node => node.identifier)
+    };
+
+    this.emitSequencingEvent('termination', {
+      terminationRequest,
+      activityId: current.identifier,
+      currentActivityId: activity?.identifier || null,
+      sequencingRequest,
+      targetActivityId: targetActivity?.identifier || null,
+      exitedActivities: result.exitedActivities
+    });
+
+    return result;
+  }
+
+  /**
+   * Retry sequencing request: start a new attempt on the activity with cleared
+   * tracking data for it and its descendants
+   * @param {ActivityNode} activity - Activity to retry
+   * @returns {Object} Retry result with the activity to deliver
+   */
+  processRetryRequest(activity) {
+    if (!activity) {
+      return { success: false, reason: 'No activity to retry' };
+    }
+
+    this.activityTreeManager.resetAttemptData(activity);
+    // A retried cluster starts a new attempt: re-run 'onEachNewAttempt' selection/randomization
+    if (activity.children?.length > 0 && typeof this.activityTreeManager?.startNewAttempt === 'function') {
+      this.activityTreeManager.startNewAttempt(activity);
+    }
+
+    const deliveryActivity = this.findFirstDeliverable(activity);
+    this.emitSequencingEvent('retry', {
+      activityId: activity.identifier,
+      deliveryActivityId: deliveryActivity?.identifier || null
+    });
+
+    return {
+      success: !!deliveryActivity,
+      reason: deliveryActivity ? 'Activity retry initiated' : 'No deliverable activity for retry',
+      deliveryActivity
+    };
+  }
+
+  /**
+   * Find the outermost ancestor of an activity whose exit condition rules trigger
+   * @private
+   * @param {ActivityNode} activity - Current activity
+   * @returns {ActivityNode|null} Activity to exit, or null
+   */
+  findExitActionTarget(activity) {
+    const path = [];
+    for (let node = activity.parent; node; node = node.parent) {
+      path.unshift(node);
+    }
+    return path.find(node => this.evaluateExitConditionRules(node).action === RULE_ACTIONS.EXIT) || null;
+  }
+
+  /**
+   * End attempts on an activity and all of its ancestors
+   * @private
+   * @param {ActivityNode} activity - Starting activity
+   * @returns {Array<ActivityNode>} Activities whose attempt ended
+   */
+  endAttemptsToRoot(activity) {
+    const ended = [];
+    for (let node = activity; node; node = node.parent) {
+      if (node.activityState === ACTIVITY_STATES.INACTIVE && node.attemptSnapshot === null) continue;
+      this.activityTreeManager.endAttempt(node);
+      ended.push(node);
+    }
+    return ended;
+  }
+
+  /**
+   * Find the first launchable activity in a subtree (depth first)
+   * @private
+   * @param {ActivityNode} activity - Subtree root
+   * @returns {ActivityNode|null} Launchable activity
+   */
+  findFirstDeliverable(activity) {
+    if (activity.isLaunchable()) {
+      return activity;
+    }
+    for (const child of activity.children) {
+      const deliverable = this.findFirstDeliverable(child);
+      if (deliverable) return deliverable;
+    }
+    return null;
+  }
+
+  /**
+   * Emit a sequencing event for diagnostics (inspector Sequencing State tab)
+   * @private
+   * @param {string} type - Event type ('termination', 'retry' or 'limit-exceeded')
+   * @param {Object} details - Event details
+   */
+  emitSequencingEvent(type, details) {
+    try {
+      this.eventEmitter.emit('sequencing-event', { type, ...details, timestamp: new Date().toISOString() });
+    } catch (error) {
+      this.logger?.warn(`SequencingEngine: sequencing-event listener failed: ${error?.message || error}`);
+    }
+  }
+
   /**
    * Evaluate rule conditions
    * @private
@@ -288,13 +558,88 @@ class SequencingEngine {
    * @returns {boolean} True if attempt limit exceeded
    */
   isAttemptLimitExceeded(activity) {
-    if (activity.sequencing && activity.sequencing.limitConditions) {
-      const attemptLimit = activity.sequencing.limitConditions.attemptLimit;
-      if (attemptLimit && attemptLimit > 0) {
-        return activity.attemptCount >= attemptLimit;
+    const attemptLimit = Number(activity.sequencing?.limitConditions?.attemptLimit);
+    return attemptLimit > 0 && activity.attemptCount >= attemptLimit;
+  }
+
+  /**
+   * Limit Conditions Check Process (SN Book UP.1)
+   * Untracked activities and activities with an active or suspended attempt
+   * never violate their limits.
+   * @param {ActivityNode} activity - Activity to check
+   * @returns {{ exceeded: boolean, limit?: string, limitValue?: string|number, value?: number, reason: string }}
+   */
+  checkLimitConditions(activity) {
+    const limits = activity?.sequencing?.limitConditions;
+    if (!limits) {
+      return { exceeded: false, reason: 'No limit conditions defined' };
+    }
+    if (activity.sequencing.deliveryControls?.tracked === false) {
+      return { exceeded: false, reason: 'Activity is not tracked' };
+    }
+    if (activity.activityState === ACTIVITY_STATES.ACTIVE || activity.activityState === ACTIVITY_STATES.SUSPENDED || activity.suspended) {
+      return { exceeded: false, reason: 'Activity attempt in progress' };
+    }
+
+    if (this.isAttemptLimitExceeded(activity)) {
+      return {
+        exceeded: true,
+        limit: 'attemptLimit',
+        limitValue: Number(limits.attemptLimit),
+        value: activity.attemptCount,
+        reason: `Attempt limit exceeded for ${activity.identifier}: ${activity.attemptCount} of ${Number(limits.attemptLimit)} attempts used`
+      };
+    }
+
+    for (const { limit, duration } of DURATION_LIMITS) {
+      const limitSeconds = durationToSeconds(limits[limit]);
+      const value = activity[duration] || 0;
+      if (limitSeconds !== null && limitSeconds > 0 && value >= limitSeconds) {
+        return {
+          exceeded: true,
+          limit,
+          limitValue: limits[limit],
+          value,
+          reason: `${limit} exceeded for ${activity.identifier}: ${value}s spent, limit ${limits[limit]}`
+        };
       }
     }
-    return false;
+
+    return { exceeded: false, reason: 'Limit conditions not exceeded' };
+  }
+
+  /**
+   * Check the limit conditions of an activity about to be delivered and of its
+   * ancestors, from the root down (Check Activity Process, UP.5). A violation
+   * is recorded as a 'limit-exceeded' sequencing event.
+   * @param {ActivityNode} activity - Activity to deliver
+   * @param {string} [navigationRequest] - Request that led to the delivery
+   * @returns {{ exceeded: boolean, activityId?: string, limit?: string, reason: string }}
+   */
+  checkDeliveryLimits(activity, navigationRequest = null) {
+    const path = [];
+    for (let node = activity; node; node = node.parent) {
+      path.unshift(node);
+    }
+
+    for (const node of path) {
+      const check = this.checkLimitConditions(node);
+      if (check.exceeded) {
+        this.logger?.info(`SequencingEngine: Delivery of ${activity.identifier} refused - ${check.reason}`);
+        this.emitSequencingEvent('limit-exceeded', {
+          activityId: node.identifier,
+          deliveryActivityId: activity.identifier,
+          navigationRequest,
+          limit: check.limit,
+          limitValue: check.limitValue,
+          value: check.value,
+          reason: check.reason
+        });
+        return { ...check, activityId: node.identifier };
+      }
+    }
+
+    return { exceeded: false, reason: 'Limit conditions not exceeded' };
   }
 
   /**
@@ -324,6 +669,181 @@ class SequencingEngine {
     }
   }
 
+  /**
+   * Traversal checks of the Choice Sequencing Request Process (SN Book SB.2.9)
+   * between the current activity and a choice target: the Choice Activity
+   * Traversal Subprocess (SB.2.4), adlseq:preventActivation and
+   * adlseq:constrainChoice.
+   * @param {ActivityNode} targetActivity - Choice target
+   * @returns {{ valid: boolean, reason: string, constraint?: string, activityId?: string }}
+   */
+  evaluateChoiceTraversal(targetActivity) {
+    const current = this.activityTreeManager.currentActivity;
+    if (!current || !targetActivity || current === targetActivity) {
+      return { valid: true, reason: 'No traversal required' };
+    }
+
+    const order = this.getActivityOrder();
+    const forward = order.get(targetActivity) > order.get(current);
+    const common = this.findCommonAncestor(current, targetActivity);
+
+    if (current.parent && current.parent === targetActivity.parent) {
+      // Siblings: traverse every activity between the current activity and the target
+      const siblings = current.parent.children;
+      const from = siblings.indexOf(current);
+      const to = siblings.indexOf(targetActivity);
+      const between = forward ? siblings.slice(from, to + 1) : siblings.slice(to, from + 1).reverse();
+      for (const activity of between) {
+        const traversal = this.checkChoiceActivityTraversal(activity, forward);
+        if (!traversal.valid) return traversal;
+      }
+    } else if (common !== targetActivity) {
+      // Moving down from the common ancestor into the target's branch
+      const path = [];
+      for (let node = targetActivity; node && node !== common; node = node.parent) {
+        path.unshift(node);
+      }
+      for (const activity of path) {
+        if (forward || activity === path[0]) {
+          const traversal = this.checkChoiceActivityTraversal(activity, forward);
+          if (!traversal.valid) return traversal;
+        }
+        if (activity.activityState !== ACTIVITY_STATES.ACTIVE && activity.sequencing?.constrainedChoiceConsiderations?.preventActivation === true) {
+          return this.choiceRefusal('preventActivation', activity,
+            `Prevent activation: ${activity.identifier} cannot be started by choice until it is active`);
+        }
+      }
+    }
+
+    return this.checkConstrainedChoice(current, targetActivity, common, order);
+  }
+
+  /**
+   * Choice Activity Traversal Subprocess (SN Book SB.2.4)
+   * @private
+   * @param {ActivityNode} activity - Activity being traversed
+   * @param {boolean} forward - Traversal direction
+   * @returns {{ valid: boolean, reason: string, constraint?: string, activityId?: string }}
+   */
+  checkChoiceActivityTraversal(activity, forward) {
+    if (forward) {
+      const rules = activity.sequencing?.sequencingRules?.preConditionRules || [];
+      const stop = rules.some(rule => rule.action === RULE_ACTIONS.STOP_FORWARD_TRAVERSAL
+        && this.evaluateRuleConditions(rule.conditions, activity).satisfied);
+      if (stop) {
+        return this.choiceRefusal('stopForwardTraversal', activity,
+          `Stop forward traversal rule on ${activity.identifier} blocks choosing beyond it`);
+      }
+    } else if (activity.parent?.sequencing?.controlMode?.forwardOnly === true) {
+      return this.choiceRefusal('forwardOnly', activity.parent,
+        `Forward only: ${activity.parent.identifier} does not allow choosing backward`);
+    }
+    return { valid: true, reason: 'Traversal allowed' };
+  }
+
+  /**
+   * Constrain choice check: the closest activity being left on the way from the
+   * current activity to the common ancestor with constrainChoice only admits
+   * targets in its logically next or previous activity (found with the Choice
+   * Flow Subprocess, SB.2.9.1), or itself.
+   * @private
+   * @param {ActivityNode} current - Current activity
+   * @param {ActivityNode} targetActivity - Choice target
+   * @param {ActivityNode|null} common - Common ancestor of both
+   * @param {Map<ActivityNode, number>} order - Activity tree order
+   * @returns {{ valid: boolean, reason: string, constraint?: string, activityId?: string }}
+   */
+  checkConstrainedChoice(current, targetActivity, common, order) {
+    let constrained = null;
+    for (let node = current; node && node !== common; node = node.parent) {
+      if (node.sequencing?.constrainedChoiceConsiderations?.constrainChoice === true) {
+        constrained = node;
+        break;
+      }
+    }
+    if (!constrained || targetActivity === constrained) {
+      return { valid: true, reason: 'Choice not constrained' };
+    }
+
+    const forward = order.get(targetActivity) > order.get(constrained);
+    const toConsider = this.findChoiceFlowActivity(constrained, forward);
+    if (!this.isSameOrDescendant(targetActivity, toConsider)) {
+      return this.choiceRefusal('constrainChoice', constrained,
+        `Constrained choice: only the activity ${forward ? 'after' : 'before'} ${constrained.identifier} may be chosen`);
+    }
+    return { valid: true, reason: 'Target allowed by constrained choice' };
+  }
+
+  /**
+   * Choice Flow Subprocess (SN Book SB.2.9.1): the activity logically next to
+   * (or before) an activity, or the activity itself at the end of the tree
+   * @private
+   * @param {ActivityNode} activity - Constrained activity
+   * @param {boolean} forward - Flow direction
+   * @returns {ActivityNode} Activity to consider
+   */
+  findChoiceFlowActivity(activity, forward) {
+    for (let node = activity; node.parent; node = node.parent) {
+      const siblings = node.parent.children;
+      const index = siblings.indexOf(node);
+      const next = siblings[forward ? index + 1 : index - 1];
+      if (next) return next;
+    }
+    return activity;
+  }
+
+  /**
+   * Map every available activity to its position in a pre-order traversal
+   * @private
+   * @returns {Map<ActivityNode, number>} Activity order
+   */
+  getActivityOrder() {
+    const order = new Map();
+    this.activityTreeManager.traverseTree(this.activityTreeManager.root, (node) => {
+      order.set(node, order.size);
+    });
+    return order;
+  }
+
+  /**
+   * @private
+   * @param {ActivityNode} a - Activity
+   * @param {ActivityNode} b - Activity
+   * @returns {ActivityNode|null} Closest activity that is an ancestor of (or equal to) both
+   */
+  findCommonAncestor(a, b) {
+    const ancestors = new Set();
+    for (let node = a; node; node = node.parent) ancestors.add(node);
+    for (let node = b; node; node = node.parent) {
+      if (ancestors.has(node)) return node;
+    }
+    return null;
+  }
+
+  /**
+   * @private
+   * @param {ActivityNode} activity - Activity
+   * @param {ActivityNode} ancestor - Possible ancestor
+   * @returns {boolean} True when activity is the ancestor or one of its descendants
+   */
+  isSameOrDescendant(activity, ancestor) {
+    for (let node = activity; node; node = node.parent) {
+      if (node === ancestor) return true;
+    }
+    return false;
+  }
+
+  /**
+   * @private
+   * @param {string} constraint - Constraint that refused the choice
+   * @param {ActivityNode} activity - Activity defining the constraint
+   * @param {string} reason - Explanation
+   * @returns {{ valid: false, reason: string, constraint: string, activityId: string }}
+   */
+  choiceRefusal(constraint, activity, reason) {
+    return { valid: false, reason, constraint, activityId: activity.identifier };
+  }
+
   /**
    * Process sequencing action
    * @param {string} action - Sequencing action to process
@@ -345,6 +865,8 @@ class SequencingEngine {
           return this.processExitAllAction(activity);
         case RULE_ACTIONS.RETRY:
           return this.processRetryAction(activity);
+        case RULE_ACTIONS.RETRY_ALL:
+          return this.processRetryAllAction(activity);
         case RULE_ACTIONS.CONTINUE:
           return this.processContinueAction(activity);
         case RULE_ACTIONS.PREVIOUS:
@@ -390,7 +912,10 @@ class SequencingEngine {
    */
   processExitParentAction(activity) {
     if (activity.parent) {
-      activity.parent.setState(ACTIVITY_STATES.INACTIVE);
+      if (activity.activityState === ACTIVITY_STATES.ACTIVE) {
+        this.activityTreeManager.endAttempt(activity);
+      }
+      this.activityTreeManager.endAttempt(activity.parent);
       return { success: true, reason: 'Exited parent activity', targetActivity: activity.parent };
     }
     return { success: false, reason: 'No parent activity to exit' };
@@ -404,7 +929,7 @@ class SequencingEngine {
     // Exit all activities up to root
     let current = activity;
     while (current) {
-      current.setState(ACTIVITY_STATES.INACTIVE);
+      this.activityTreeManager.endAttempt(current);
       current = current.parent;
     }
     return { success: true, reason: 'Exited all activities', nextAction: 'terminate' };
@@ -415,9 +940,29 @@ class SequencingEngine {
    * @private
    */
   processRetryAction(activity) {
-    activity.attemptCount++;
-    activity.setState(ACTIVITY_STATES.ACTIVE);
-    return { success: true, reason: 'Activity retry initiated', nextAction: 'restart' };
+    const retry = this.processRetryRequest(activity);
+    return {
+      success: true,
+      reason: retry.reason,
+      nextAction: 'restart',
+      targetActivity: retry.deliveryActivity || activity
+    };
+  }
+
+  /**
+   * Process retry all action: exit every attempt and retry from the root
+   * @private
+   */
+  processRetryAllAction(activity) {
+    const root = this.activityTreeManager.root || activity;
+    this.endAttemptsToRoot(activity);
+    const retry = this.processRetryRequest(root);
+    return {
+      success: true,
+      reason: retry.reason,
+      nextAction: 'restart',
+      targetActivity: retry.deliveryActivity || root
+    };
   }
 
   /**
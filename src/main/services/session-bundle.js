@@ -0,0 +1,141 @@
+/**
+ * Session Bundles
+ *
+ * Format of the bundle written by File → Export Session Data, and conversion
+ * of imported session state into the shape SessionStore saves and
+ * ScormDataModel.restoreData reads. An import may be:
+ * - an export bundle ({ format: 'scorm-tester-session', dataModel, activityTree, globalObjectives })
+ * - a saved session file ({ coreData, interactions, objectives, ... })
+ * - a flat map of data model elements ({ "cmi.location": "page-3", ... })
+ *
+ * @fileoverview Session export format and import normalization
+ */
+
+const ScormDataModel = require('./scorm/rte/data-model');
+const Scorm12DataModel = require('./scorm/rte/scorm12-data-model');
+const ScormErrorHandler = require('./scorm/rte/error-handler');
+
+// Identifies session export bundles written by ScormService.exportSessionData
+const SESSION_EXPORT_FORMAT = 'scorm-tester-session';
+const SESSION_EXPORT_VERSION = 1;
+
+const COLLECTION_KEYS = ['interactions', 'objectives', 'commentsFromLearner', 'commentsFromLms'];
+const KEYWORD_SUFFIX = /\._(children|count|version)$/;
+
+const isPlainObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Convert imported session state into saved session data that resumes on the next launch
+ * @param {string|Object} input - Export bundle, saved session or cmi.* map (object or JSON text)
+ * @param {Object} [options]
+ * @param {string} [options.scormVersion] - SCORM version of the course being imported into
+ * @param {Object} [options.logger] - Logger instance
+ * @returns {{data: Object, scormVersion: string, rejected: Array<{element: string, value: *}>}}
+ *   Session data for SessionStore, its SCORM version and the map entries the data model refused
+ * @throws {Error} When the input is not session state or targets another SCORM version
+ */
+function normalizeSessionImport(input, options = {}) {
+  let source = input;
+  if (typeof source === 'string') {
+    try {
+      source = JSON.parse(source);
+    } catch (error) {
+      throw new Error(`Session state is not valid JSON: ${error.message}`);
+    }
+  }
+  if (!isPlainObject(source)) {
+    throw new Error('Session state must be a JSON object');
+  }
+
+  let imported;
+  if (source.format === SESSION_EXPORT_FORMAT) {
+    if (Number(source.version) > SESSION_EXPORT_VERSION) {
+      throw new Error(`Unsupported session bundle version: ${source.version}`);
+    }
+    if (!isPlainObject(source.dataModel?.coreData)) {
+      throw new Error('Session bundle has no dataModel.coreData');
+    }
+    imported = fromSavedData(source.dataModel, source.session?.scormVersion);
+    if (isPlainObject(source.activityTree?.activities)) {
+      imported.data.activityTree = { activities: source.activityTree.activities };
+    }
+    if (isPlainObject(source.globalObjectives) && Object.keys(source.globalObjectives).length > 0) {
+      imported.data.globalObjectives = source.globalObjectives;
+    }
+  } else if (isPlainObject(source.coreData)) {
+    imported = fromSavedData(source);
+    for (const key of ['activityOrder', 'globalObjectives']) {
+      if (isPlainObject(source[key])) {
+        imported.data[key] = source[key];
+      }
+    }
+  } else if (Object.keys(source).some(key => key.startsWith('cmi.'))) {
+    imported = fromElementMap(source, options);
+  } else {
+    throw new Error('Session state must be an exported session bundle, a saved session or a map of cmi.* values');
+  }
+
+  if (options.scormVersion && options.scormVersion !== imported.scormVersion) {
+    throw new Error(`Session state is for SCORM ${imported.scormVersion} but the course is SCORM ${options.scormVersion}`);
+  }
+
+  // Only suspended sessions are resumed; an imported one always resumes, even without a location
+  imported.data.coreData[imported.scormVersion === '1.2' ? 'cmi.core.exit' : 'cmi.exit'] = 'suspend';
+  imported.data.imported = true;
+  return imported;
+}
+
+/**
+ * Copy a getAllData() snapshot
+ * @private
+ * @param {Object} savedData - Data model snapshot
+ * @param {string} [scormVersion] - Version recorded with the snapshot
+ * @returns {{data: Object, scormVersion: string, rejected: Array}} Import result
+ */
+function fromSavedData(savedData, scormVersion) {
+  const data = { coreData: { ...savedData.coreData } };
+  for (const key of COLLECTION_KEYS) {
+    data[key] = Array.isArray(savedData[key]) ? [...savedData[key]] : [];
+  }
+  const version = scormVersion === '1.2' || scormVersion === '2004'
+    ? scormVersion
+    : (Object.keys(data.coreData).some(key => key.startsWith('cmi.core.')) ? '1.2' : '2004');
+  return { data, scormVersion: version, rejected: [] };
+}
+
+/**
+ * Apply a flat element map through a scratch data model so values are
+ * validated and cmi.interactions/cmi.objectives entries land in their collections
+ * @private
+ * @param {Object<string, *>} map - Element -> value
+ * @param {Object} options - normalizeSessionImport options
+ * @returns {{data: Object, scormVersion: string, rejected: Array}} Import result
+ */
+function fromElementMap(map, options) {
+  const scormVersion = Object.keys(map).some(key => key.startsWith('cmi.core.'))
+    ? '1.2'
+    : (options.scormVersion || '2004');
+  const errorHandler = new ScormErrorHandler(options.logger, { scormVersion });
+  const DataModel = scormVersion === '1.2' ? Scorm12DataModel : ScormDataModel;
+  const dataModel = new DataModel(errorHandler, options.logger);
+
+  const rejected = [];
+  for (const [element, value] of Object.entries(map)) {
+    const settable = element.startsWith('cmi.') && !KEYWORD_SUFFIX.test(element) &&
+      ['string', 'number', 'boolean'].includes(typeof value);
+    if (!settable || !dataModel._setInternalValue(element, String(value))) {
+      rejected.push({ element, value });
+    }
+  }
+  if (rejected.length === Object.keys(map).length) {
+    throw new Error('None of the cmi.* values could be applied to the data model');
+  }
+
+  return { data: dataModel.getAllData(), scormVersion, rejected };
+}
+
+module.exports = {
+  SESSION_EXPORT_FORMAT,
+  SESSION_EXPORT_VERSION,
+  normalizeSessionImport
+};
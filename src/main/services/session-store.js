@@ -3,10 +3,34 @@ const path = require('path');
 const { app } = require('electron');
 const BaseService = require('./base-service');
 
+// Learner used when no profile is selected; owns the historical one-file-per-course sessions
+const DEFAULT_LEARNER_ID = 'default';
+const DEFAULT_LEARNER_NAME = 'Default Learner';
+
+// Learner preferences a profile may seed (cmi.learner_preference children)
+const LEARNER_PREFERENCE_KEYS = Object.freeze(['audio_level', 'language', 'delivery_speed', 'audio_captioning']);
+
+const LEARNER_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+function sanitizeKey(value) {
+  return String(value).replace(/[^a-z0-9]/gi, '_').toLowerCase();
+}
+
+// Learner ids differing only in case or '-'/'_' must not share files, so
+// unlike sanitizeKey this keeps them apart: every character other than a-z
+// and 0-9 becomes '-' and its UTF-8 bytes in hex ('QA-1' -> '-51-41-2d1').
+// The result never contains '_', so it cannot run into an '__attempt_' suffix.
+function encodeLearnerId(learnerId) {
+  return String(learnerId).replace(/[^a-z0-9]/gu, char =>
+    Array.from(Buffer.from(char, 'utf8'), byte => `-${byte.toString(16).padStart(2, '0')}`).join(''));
+}
+
 class SessionStore extends BaseService {
   constructor(errorHandler, logger, options = {}) {
     super('SessionStore', errorHandler, logger, options);
     this.storePath = path.join(app.getPath('userData'), 'scorm-sessions');
+    // Kept outside storePath so session rotation and "clear all" never remove profiles
+    this.learnersPath = path.join(path.dirname(this.storePath), 'learner-profiles.json');
   }
 
   async doInitialize() {
@@ -63,16 +87,39 @@ class SessionStore extends BaseService {
     }
   }
 
-  getFilePath(courseId, namespace = 'gui') {
-    // Sanitize courseId to be safe for filename
-    const safeId = courseId.replace(/[^a-z0-9]/gi, '_').toLowerCase();
-    const safeNamespace = namespace.replace(/[^a-z0-9]/gi, '_').toLowerCase();
-    return path.join(this.storePath, `${safeNamespace}_${safeId}.json`);
+  /**
+   * Get the file name (without extension) shared by a learner's attempts on a course
+   * @private
+   * @param {string} courseId - Course identifier
+   * @param {string} namespace - Session namespace ('gui', 'mcp', ...)
+   * @param {string} [learnerId] - Learner identifier (default learner when omitted)
+   * @returns {string} Sanitized file base name
+   */
+  getFileBase(courseId, namespace, learnerId) {
+    const base = `${sanitizeKey(namespace)}_${sanitizeKey(courseId)}`;
+    return learnerId && learnerId !== DEFAULT_LEARNER_ID ? `${base}__learner_${encodeLearnerId(learnerId)}` : base;
+  }
+
+  /**
+   * Get the JSON file for a session. The default learner's first attempt keeps
+   * the original `<namespace>_<courseId>.json` name so existing resume data
+   * stays valid; other learners and later attempts add suffixes.
+   * @param {string} courseId - Course identifier
+   * @param {string} [namespace='gui'] - Session namespace
+   * @param {Object} [scope] - Learner and attempt
+   * @param {string} [scope.learnerId] - Learner identifier
+   * @param {number} [scope.attempt=1] - Attempt number
+   * @returns {string} Absolute file path
+   */
+  getFilePath(courseId, namespace = 'gui', scope = {}) {
+    const attempt = Number(scope.attempt) || 1;
+    const suffix = attempt > 1 ? `__attempt_${attempt}` : '';
+    return path.join(this.storePath, `${this.getFileBase(courseId, namespace, scope.learnerId)}${suffix}.json`);
   }
 
-  async saveSession(courseId, data, namespace = 'gui') {
+  async saveSession(courseId, data, namespace = 'gui', scope = {}) {
     try {
-      const filePath = this.getFilePath(courseId, namespace);
+      const filePath = this.getFilePath(courseId, namespace, scope);
       await fs.promises.writeFile(filePath, JSON.stringify(data, null, 2), 'utf8');
       this.logger?.debug(`Saved session for course ${courseId} (namespace: ${namespace})`);
       return true;
@@ -82,9 +129,9 @@ class SessionStore extends BaseService {
     }
   }
 
-  async loadSession(courseId, namespace = 'gui') {
+  async loadSession(courseId, namespace = 'gui', scope = {}) {
     try {
-      const filePath = this.getFilePath(courseId, namespace);
+      const filePath = this.getFilePath(courseId, namespace, scope);
       if (!fs.existsSync(filePath)) {
         return null;
       }
@@ -98,14 +145,21 @@ class SessionStore extends BaseService {
 
   /**
    * Delete session (manual cleanup only - not used in normal course lifecycle)
-   * Only called by scorm_clear_saved_data tool and rotation cleanup
+   * Only called by scorm_clear_saved_data tool and rotation cleanup.
+   * Without scope.attempt every attempt of the learner is deleted.
    */
-  async deleteSession(courseId, namespace = 'gui') {
+  async deleteSession(courseId, namespace = 'gui', scope = {}) {
     try {
-      const filePath = this.getFilePath(courseId, namespace);
-      if (fs.existsSync(filePath)) {
-        await fs.promises.unlink(filePath);
-        this.logger?.info(`Deleted session for course ${courseId} (namespace: ${namespace})`);
+      const filePaths = new Set([this.getFilePath(courseId, namespace, scope)]);
+      if (!scope.attempt) {
+        const attempts = await this.listAttemptFiles(courseId, namespace, scope.learnerId);
+        attempts.forEach(({ filePath }) => filePaths.add(filePath));
+      }
+      for (const filePath of filePaths) {
+        if (fs.existsSync(filePath)) {
+          await fs.promises.unlink(filePath);
+          this.logger?.info(`Deleted session for course ${courseId} (namespace: ${namespace}, file: ${path.basename(filePath)})`);
+        }
       }
       return true;
     } catch (error) {
@@ -114,15 +168,214 @@ class SessionStore extends BaseService {
     }
   }
 
-  hasSession(courseId, namespace = 'gui') {
+  hasSession(courseId, namespace = 'gui', scope = {}) {
     try {
-      const filePath = this.getFilePath(courseId, namespace);
+      const filePath = this.getFilePath(courseId, namespace, scope);
       return fs.existsSync(filePath);
     } catch (error) {
       return false;
     }
   }
 
+  /**
+   * Find the session files of a learner's attempts on a course
+   * @private
+   * @param {string} courseId - Course identifier
+   * @param {string} namespace - Session namespace
+   * @param {string} [learnerId] - Learner identifier
+   * @returns {Promise<Array<{attempt: number, filePath: string}>>} Attempt files, oldest first
+   */
+  async listAttemptFiles(courseId, namespace, learnerId) {
+    let files;
+    try {
+      files = await fs.promises.readdir(this.storePath);
+    } catch (_) {
+      return [];
+    }
+    // The base name only contains [a-z0-9_], so it is safe to embed in a pattern
+    const pattern = new RegExp(`^${this.getFileBase(courseId, namespace, learnerId)}(?:__attempt_(\\d+))?\\.json$`);
+    return (files || [])
+      .map(file => ({ file, match: pattern.exec(file) }))
+      .filter(({ match }) => match)
+      .map(({ file, match }) => ({ attempt: match[1] ? Number(match[1]) : 1, filePath: path.join(this.storePath, file) }))
+      .sort((a, b) => a.attempt - b.attempt);
+  }
+
+  /**
+   * List a learner's attempts on a course with a summary of each
+   * @param {string} courseId - Course identifier
+   * @param {string} [namespace='gui'] - Session namespace
+   * @param {string} [learnerId] - Learner identifier (default learner when omitted)
+   * @returns {Promise<Array<Object>>} Attempts, oldest first
+   */
+  async listAttempts(courseId, namespace = 'gui', learnerId = DEFAULT_LEARNER_ID) {
+    const attempts = [];
+    for (const { attempt, filePath } of await this.listAttemptFiles(courseId, namespace, learnerId)) {
+      try {
+        const stats = await fs.promises.stat(filePath);
+        const data = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+        const core = data?.coreData || {};
+        const exit = core['cmi.exit'] || core['cmi.core.exit'] || '';
+        attempts.push({
+          attempt,
+          updatedAt: stats.mtime.toISOString(),
+          exit,
+          suspended: exit === 'suspend',
+          completionStatus: core['cmi.completion_status'] || core['cmi.core.lesson_status'] || 'unknown',
+          successStatus: core['cmi.success_status'] || 'unknown',
+          location: core['cmi.location'] || core['cmi.core.lesson_location'] || ''
+        });
+      } catch (err) {
+        this.logger?.warn(`SessionStore: Skipping unreadable attempt ${attempt} for course ${courseId}:`, err.message);
+      }
+    }
+    return attempts;
+  }
+
+  /**
+   * Get the highest attempt number stored for a learner on a course
+   * @param {string} courseId - Course identifier
+   * @param {string} [namespace='gui'] - Session namespace
+   * @param {string} [learnerId] - Learner identifier
+   * @returns {Promise<number>} Latest attempt number, 0 when nothing is stored
+   */
+  async getLatestAttempt(courseId, namespace = 'gui', learnerId = DEFAULT_LEARNER_ID) {
+    const files = await this.listAttemptFiles(courseId, namespace, learnerId);
+    return files.length ? files[files.length - 1].attempt : 0;
+  }
+
+  /**
+   * Read the learner profile file
+   * @private
+   * @returns {Promise<{learners: Array<Object>, active: Object<string, string>}>} Profiles and the learner selected per namespace
+   */
+  async readLearnerFile() {
+    try {
+      if (!fs.existsSync(this.learnersPath)) {
+        return { learners: [], active: {} };
+      }
+      const data = JSON.parse(await fs.promises.readFile(this.learnersPath, 'utf8'));
+      return {
+        learners: Array.isArray(data?.learners) ? data.learners : [],
+        active: data?.active && typeof data.active === 'object' ? data.active : {}
+      };
+    } catch (error) {
+      this.logger?.error('SessionStore: Failed to read learner profiles', error);
+      return { learners: [], active: {} };
+    }
+  }
+
+  /**
+   * Write the learner profile file
+   * @private
+   * @param {{learners: Array<Object>, active: Object<string, string>}} data - File contents
+   */
+  async writeLearnerFile(data) {
+    await fs.promises.writeFile(this.learnersPath, JSON.stringify(data, null, 2), 'utf8');
+  }
+
+  /**
+   * List learner profiles; the default learner is always first
+   * @returns {Promise<Array<{id: string, name: string, preferences: Object}>>} Profiles
+   */
+  async listLearners() {
+    const { learners } = await this.readLearnerFile();
+    const savedDefault = learners.find(l => l.id === DEFAULT_LEARNER_ID);
+    return [
+      savedDefault || { id: DEFAULT_LEARNER_ID, name: DEFAULT_LEARNER_NAME, preferences: {} },
+      ...learners.filter(l => l.id !== DEFAULT_LEARNER_ID)
+    ];
+  }
+
+  /**
+   * Get a learner profile
+   * @param {string} learnerId - Learner identifier
+   * @returns {Promise<Object|null>} Profile, or null when unknown
+   */
+  async getLearner(learnerId) {
+    const learners = await this.listLearners();
+    return learners.find(l => l.id === learnerId) || null;
+  }
+
+  /**
+   * Create or update a learner profile
+   * @param {Object} profile - Learner profile
+   * @param {string} profile.id - Identifier (letters, digits, '-' and '_')
+   * @param {string} [profile.name] - Display name, also reported as cmi.learner_name
+   * @param {Object} [profile.preferences] - Initial cmi.learner_preference values
+   * @returns {Promise<Object>} Saved profile
+   */
+  async saveLearner(profile = {}) {
+    const id = String(profile.id || '').trim();
+    if (!LEARNER_ID_PATTERN.test(id)) {
+      throw new Error(`Invalid learner id "${id}": use 1-64 letters, digits, '-' or '_'`);
+    }
+
+    const preferences = {};
+    for (const key of LEARNER_PREFERENCE_KEYS) {
+      const value = profile.preferences?.[key];
+      if (value !== undefined && value !== null && value !== '') {
+        preferences[key] = value;
+      }
+    }
+    const learner = { id, name: String(profile.name || '').trim() || id, preferences };
+
+    const data = await this.readLearnerFile();
+    data.learners = [...data.learners.filter(l => l.id !== id), learner];
+    await this.writeLearnerFile(data);
+    this.logger?.info(`SessionStore: Saved learner profile ${id}`);
+    return learner;
+  }
+
+  /**
+   * Delete a learner profile. Stored attempts are kept.
+   * @param {string} learnerId - Learner identifier
+   * @returns {Promise<boolean>} True if a profile was removed
+   */
+  async deleteLearner(learnerId) {
+    if (learnerId === DEFAULT_LEARNER_ID) {
+      return false;
+    }
+    const data = await this.readLearnerFile();
+    const learners = data.learners.filter(l => l.id !== learnerId);
+    if (learners.length === data.learners.length) {
+      return false;
+    }
+    for (const [namespace, id] of Object.entries(data.active)) {
+      if (id === learnerId) delete data.active[namespace];
+    }
+    await this.writeLearnerFile({ ...data, learners });
+    return true;
+  }
+
+  /**
+   * Get the learner selected for a namespace
+   * @param {string} [namespace='gui'] - Session namespace
+   * @returns {Promise<string>} Learner identifier
+   */
+  async getActiveLearnerId(namespace = 'gui') {
+    const { learners, active } = await this.readLearnerFile();
+    const id = active[namespace];
+    return id && learners.some(l => l.id === id) ? id : DEFAULT_LEARNER_ID;
+  }
+
+  /**
+   * Select the learner used by new sessions in a namespace
+   * @param {string} learnerId - Learner identifier
+   * @param {string} [namespace='gui'] - Session namespace
+   * @returns {Promise<Object>} Selected profile
+   */
+  async setActiveLearner(learnerId, namespace = 'gui') {
+    const learner = await this.getLearner(learnerId);
+    if (!learner) {
+      throw new Error(`Unknown learner: ${learnerId}`);
+    }
+    const data = await this.readLearnerFile();
+    data.active[namespace] = learner.id;
+    await this.writeLearnerFile(data);
+    return learner;
+  }
+
   /**
    * Clear all session files (manual cleanup)
    * @returns {Promise<number>} Number of files deleted
@@ -168,4 +421,8 @@ class SessionStore extends BaseService {
   }
 }
 
+SessionStore.DEFAULT_LEARNER_ID = DEFAULT_LEARNER_ID;
+SessionStore.LEARNER_PREFERENCE_KEYS = LEARNER_PREFERENCE_KEYS;
+SessionStore.encodeLearnerId = encodeLearnerId;
+
 module.exports = SessionStore;
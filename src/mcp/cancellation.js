@@ -0,0 +1,62 @@
+"use strict";
+
+/**
+ * Request cancellation helpers for long-running MCP tools.
+ *
+ * The server hands each tools/call an AbortSignal (aborted by a client's
+ * notifications/cancelled). Tools check it between stages and pass it to
+ * RuntimeManager so pending waits stop instead of running to their timeout.
+ */
+
+function cancelledError(reason) {
+  const e = new Error(typeof reason === "string" && reason ? `Request cancelled: ${reason}` : "Request cancelled");
+  e.code = "MCP_CANCELLED";
+  return e;
+}
+
+function isCancelledError(err) {
+  return !!err && err.code === "MCP_CANCELLED";
+}
+
+/**
+ * Throw the cancelled error if the signal has been aborted
+ * @param {AbortSignal} [signal]
+ */
+function throwIfCancelled(signal) {
+  if (signal && signal.aborted) throw cancelledError(signal.reason);
+}
+
+/**
+ * Settle with the promise, or reject as soon as the signal aborts.
+ * The promise itself keeps running; callers clean up through the signal.
+ * @param {Promise} promise
+ * @param {AbortSignal} [signal]
+ * @returns {Promise}
+ */
+function withCancellation(promise, signal) {
+  if (!signal) return promise;
+  if (signal.aborted) return Promise.reject(cancelledError(signal.reason));
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(cancelledError(signal.reason));
+    signal.addEventListener("abort", onAbort, { once: true });
+    promise.then(
+      (value) => { signal.removeEventListener("abort", onAbort); resolve(value); },
+      (err) => { signal.removeEventListener("abort", onAbort); reject(err); }
+    );
+  });
+}
+
+/**
+ * Delay that ends early (rejecting) when the signal aborts
+ * @param {number} ms
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal) {
+  return withCancellation(new Promise((resolve) => {
+    const timer = setTimeout(resolve, ms);
+    if (signal) signal.addEventListener("abort", () => clearTimeout(timer), { once: true });
+  }), signal);
+}
+
+module.exports = { cancelledError, isCancelledError, throwIfCancelled, withCancellation, sleep };
@@ -1,7 +1,12 @@
 "use strict";
 
+/**
+ * Parse --flags (and --key=value) from argv; other arguments are collected in flags._ in order
+ * @param {string[]} argv
+ * @returns {Object}
+ */
 function parseCliArgs(argv = []) {
-  const flags = { allow_network: false };
+  const flags = { allow_network: false, _: [] };
 
   for (const arg of argv) {
     if (arg === "--allow-network" || arg === "--allow_network") { flags.allow_network = true; }
@@ -16,9 +21,25 @@ function parseCliArgs(argv = []) {
         flags[arg.slice(2)] = true;
       }
     }
+    else { flags._.push(arg); }
   }
   return flags;
 }
 
-module.exports = { parseCliArgs };
+/**
+ * HTTP transport options from --http / --http-port=<port> (stdio only when neither is given)
+ * @param {Object} flags - Output of parseCliArgs
+ * @returns {{port: number}|null}
+ */
+function getHttpOptions(flags = {}) {
+  const portFlag = flags["http-port"] ?? flags.http_port;
+  if (!flags.http && portFlag === undefined) return null;
+  const port = portFlag === undefined || portFlag === true ? 0 : Number(portFlag);
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    throw new Error(`Invalid --http-port: ${portFlag}`);
+  }
+  return { port };
+}
+
+module.exports = { parseCliArgs, getHttpOptions };
 
@@ -1,12 +1,13 @@
 "use strict";
 
-const { parseCliArgs } = require("./cli-utils");
+const { parseCliArgs, getHttpOptions } = require("./cli-utils");
 const { startServer } = require("./server");
 
 function banner(flags) {
   const parts = [
     `SCORM MCP Tool`,
     `allow_network=${!!flags.allow_network}`,
+    `http=${!!getHttpOptions(flags)}`,
   ];
   return parts.join(" | ");
 }
@@ -14,11 +15,12 @@ function banner(flags) {
 /**
  * Run CLI with optional dryRun to avoid starting stdio server (useful for tests)
  * @param {{ argv?: string[], dryRun?: boolean }} opts
- * @returns {{ mode: string, flags: object }} Parsed runtime mode and flags
+ * @returns {{ flags: object, http: ?{port: number} }} Parsed flags and HTTP transport options
  */
 function runCli(opts = {}) {
   const argv = Array.isArray(opts.argv) ? opts.argv : process.argv.slice(2);
   const flags = parseCliArgs(argv);
+  const http = getHttpOptions(flags);
 
   // Expose minimal flags to environment for downstream use
   if (flags.allow_network) process.env.MCP_ALLOW_NETWORK = "1";
@@ -27,13 +29,13 @@ function runCli(opts = {}) {
   try { process.stderr.write(banner(flags) + "\n"); } catch (_) { /* intentionally empty */ }
 
   if (opts.dryRun) {
-    return { flags };
+    return { flags, http };
   }
 
-  // For now, all modes start the stdio MCP server in this process.
+  // For now, all modes start the stdio MCP server in this process (plus HTTP with --http).
   // Interactive GUI integration will be wired later to run the server inside Electron.
-  startServer();
-  return { flags };
+  startServer(http ? { http } : {});
+  return { flags, http };
 }
 
 if (require.main === module) {
@@ -5,6 +5,7 @@ const ERROR_CODES = Object.freeze({
   MCP_INVALID_PARAMS: 'MCP_INVALID_PARAMS',
   MCP_UNKNOWN_SESSION: 'MCP_UNKNOWN_SESSION',
   MCP_UNKNOWN_TOOL: 'MCP_UNKNOWN_TOOL',
+  MCP_CANCELLED: 'MCP_CANCELLED',
   CONTENT_FILE_MISSING: 'CONTENT_FILE_MISSING',
   SECURITY_VIOLATION: 'SECURITY_VIOLATION',
   MANIFEST_NOT_FOUND: 'MANIFEST_NOT_FOUND',
@@ -23,6 +24,8 @@ const ERROR_CODES = Object.freeze({
   SN_INIT_FAILED: 'SN_INIT_FAILED',
   SN_RESET_FAILED: 'SN_RESET_FAILED',
   MCP_ARTIFACT_WRITE_FAILED: 'MCP_ARTIFACT_WRITE_FAILED',
+  SCENARIO_INVALID: 'SCENARIO_INVALID',
+  SCENARIO_ASSERTION_FAILED: 'SCENARIO_ASSERTION_FAILED',
   UNKNOWN_ERROR: 'UNKNOWN_ERROR'
 });
 
@@ -0,0 +1,244 @@
+"use strict";
+
+/**
+ * Streamable HTTP transport for the MCP server.
+ *
+ * One endpoint (/mcp) bound to 127.0.0.1 and guarded by a bearer token that is
+ * generated at startup:
+ * - POST carries JSON-RPC messages. Requests are answered with JSON, or with an
+ *   SSE stream (progress notifications, then the response) when the client
+ *   accepts text/event-stream.
+ * - initialize assigns an Mcp-Session-Id that later requests must send.
+ * - GET opens the session's SSE stream for server-initiated notifications
+ *   (resources/updated); DELETE ends the session.
+ * Messages go through the same handler as stdio, so every client shares the one
+ * Electron runtime and the sessions in session.js.
+ */
+
+const http = require("http");
+const crypto = require("crypto");
+const { errorEnvelope } = require("./envelope");
+
+const MCP_PATH = "/mcp";
+const HOST = "127.0.0.1";
+const MAX_BODY_BYTES = 4 * 1024 * 1024;
+const LOCAL_ORIGIN = /^https?:\/\/(localhost|127\.0\.0\.1|\[::1\])(:\d+)?$/i;
+
+function sendEnvelope(res, status, error_code, message, headers = {}) {
+  res.writeHead(status, { "Content-Type": "application/json", ...headers });
+  res.end(JSON.stringify(errorEnvelope({ error_code, message })));
+}
+
+function sendJSON(res, status, body, headers = {}) {
+  res.writeHead(status, { "Content-Type": "application/json", ...headers });
+  res.end(JSON.stringify(body));
+}
+
+function writeSSE(res, message) {
+  if (res.writableEnded || res.destroyed) return;
+  try { res.write(`event: message\ndata: ${JSON.stringify(message)}\n\n`); } catch (_) { /* intentionally empty */ }
+}
+
+function isAuthorized(req, token) {
+  const header = String(req.headers.authorization || "");
+  const match = /^Bearer\s+(.+)$/i.exec(header);
+  if (!match) return false;
+  const given = Buffer.from(match[1].trim());
+  const expected = Buffer.from(token);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+function acceptsEventStream(req) {
+  return String(req.headers.accept || "").includes("text/event-stream");
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        const e = new Error("Request body too large");
+        e.code = "MCP_HTTP_BODY_TOO_LARGE";
+        reject(e);
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+    req.on("error", reject);
+  });
+}
+
+/**
+ * Start the HTTP transport
+ * @param {Object} options
+ * @param {Function} options.handleMessage - (message, transport) => Promise, the stdio JSON-RPC handler
+ * @param {number} [options.port=0] - Port on 127.0.0.1 (0 picks a free port)
+ * @param {string} [options.token] - Bearer token (generated when omitted)
+ * @param {Function} [options.onSessionOpen] - Called with the session transport after initialize
+ * @param {Function} [options.onSessionClose] - Called with the session transport on DELETE or shutdown
+ * @param {Object} [options.logger]
+ * @returns {Promise<{url: string, port: number, token: string, close: Function}>}
+ */
+function startHttpTransport(options = {}) {
+  const { handleMessage, port = 0, logger, onSessionOpen = () => {}, onSessionClose = () => {} } = options;
+  const token = options.token || crypto.randomBytes(32).toString("hex");
+
+  // Mcp-Session-Id -> session transport ({ id, stream, send })
+  const httpSessions = new Map();
+
+  function openSession() {
+    const session = {
+      id: crypto.randomUUID(),
+      stream: null,
+      send(message) {
+        if (session.stream) writeSSE(session.stream, message);
+      }
+    };
+    httpSessions.set(session.id, session);
+    onSessionOpen(session);
+    return session;
+  }
+
+  function closeSession(session) {
+    httpSessions.delete(session.id);
+    if (session.stream) {
+      try { session.stream.end(); } catch (_) { /* intentionally empty */ }
+      session.stream = null;
+    }
+    onSessionClose(session);
+  }
+
+  // Resolve the Mcp-Session-Id header; replies with 400/404 and returns null when missing or unknown
+  function requireSession(req, res) {
+    const id = req.headers["mcp-session-id"];
+    if (!id) {
+      sendEnvelope(res, 400, "MCP_HTTP_SESSION_REQUIRED", "Mcp-Session-Id header is required (send initialize first)");
+      return null;
+    }
+    const session = httpSessions.get(String(id));
+    if (!session) {
+      sendEnvelope(res, 404, "MCP_HTTP_SESSION_NOT_FOUND", `Unknown MCP session: ${id}`);
+      return null;
+    }
+    return session;
+  }
+
+  async function handlePost(req, res) {
+    let messages;
+    let isBatch;
+    try {
+      const body = JSON.parse(await readBody(req));
+      isBatch = Array.isArray(body);
+      messages = isBatch ? body : [body];
+    } catch (err) {
+      if (err.code === "MCP_HTTP_BODY_TOO_LARGE") return sendEnvelope(res, 413, err.code, err.message);
+      return sendJSON(res, 400, { jsonrpc: "2.0", id: null, error: { code: -32700, message: "Parse error" } });
+    }
+    if (messages.length === 0) {
+      return sendJSON(res, 400, { jsonrpc: "2.0", id: null, error: { code: -32600, message: "Invalid Request" } });
+    }
+
+    const initializing = messages.some(m => m && m.method === "initialize");
+    const session = initializing ? openSession() : requireSession(req, res);
+    if (!session) return;
+    const sessionHeader = { "Mcp-Session-Id": session.id };
+
+    // Only notifications and responses: accept without a body
+    const hasRequests = messages.some(m => m && typeof m.method === "string" && m.id !== undefined);
+    if (!hasRequests) {
+      await Promise.all(messages.map(m => handleMessage(m, session)));
+      res.writeHead(202, sessionHeader);
+      return res.end();
+    }
+
+    if (acceptsEventStream(req)) {
+      res.writeHead(200, { "Content-Type": "text/event-stream", "Cache-Control": "no-cache", Connection: "keep-alive", ...sessionHeader });
+      const transport = { id: session.id, send: (message) => writeSSE(res, message) };
+      await Promise.all(messages.map(m => handleMessage(m, transport)));
+      return res.end();
+    }
+
+    // Plain JSON: collect replies; notifications (progress) go to the session's GET stream
+    const replies = [];
+    const transport = {
+      id: session.id,
+      send: (message) => {
+        if (message && message.id !== undefined) replies.push(message);
+        else session.send(message);
+      }
+    };
+    await Promise.all(messages.map(m => handleMessage(m, transport)));
+    return sendJSON(res, 200, isBatch ? replies : replies[0], sessionHeader);
+  }
+
+  function handleGet(req, res) {
+    if (!acceptsEventStream(req)) {
+      return sendEnvelope(res, 406, "MCP_HTTP_NOT_ACCEPTABLE", "GET requires Accept: text/event-stream");
+    }
+    const session = requireSession(req, res);
+    if (!session) return;
+    if (session.stream) {
+      return sendEnvelope(res, 409, "MCP_HTTP_STREAM_OPEN", "This session already has an open event stream");
+    }
+    res.writeHead(200, { "Content-Type": "text/event-stream", "Cache-Control": "no-cache", Connection: "keep-alive", "Mcp-Session-Id": session.id });
+    res.write(": connected\n\n");
+    session.stream = res;
+    res.on("close", () => {
+      if (session.stream === res) session.stream = null;
+    });
+  }
+
+  const server = http.createServer((req, res) => {
+    const origin = req.headers.origin;
+    if (origin && !LOCAL_ORIGIN.test(origin)) {
+      return sendEnvelope(res, 403, "MCP_HTTP_FORBIDDEN_ORIGIN", `Origin not allowed: ${origin}`);
+    }
+    if (!isAuthorized(req, token)) {
+      return sendEnvelope(res, 401, "MCP_HTTP_UNAUTHORIZED", "Missing or invalid bearer token", { "WWW-Authenticate": "Bearer" });
+    }
+    const pathname = new URL(req.url, `http://${HOST}`).pathname;
+    if (pathname !== MCP_PATH) {
+      return sendEnvelope(res, 404, "MCP_HTTP_NOT_FOUND", `Not found: ${pathname} (the MCP endpoint is ${MCP_PATH})`);
+    }
+
+    if (req.method === "POST") {
+      return handlePost(req, res).catch((err) => {
+        logger?.error("MCP_HTTP_POST_FAILED", { error: err?.message || String(err) });
+        if (!res.headersSent) sendEnvelope(res, 500, "UNKNOWN_ERROR", err?.message || "Server error");
+        else res.end();
+      });
+    }
+    if (req.method === "GET") return handleGet(req, res);
+    if (req.method === "DELETE") {
+      const session = requireSession(req, res);
+      if (!session) return;
+      closeSession(session);
+      res.writeHead(204);
+      return res.end();
+    }
+    return sendEnvelope(res, 405, "MCP_HTTP_METHOD_NOT_ALLOWED", `Method not allowed: ${req.method}`, { Allow: "GET, POST, DELETE" });
+  });
+
+  function close() {
+    for (const session of [...httpSessions.values()]) closeSession(session);
+    return new Promise((resolve) => {
+      server.close(() => resolve());
+      if (typeof server.closeAllConnections === "function") server.closeAllConnections();
+    });
+  }
+
+  return new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, HOST, () => {
+      server.removeListener("error", reject);
+      const actualPort = server.address().port;
+      resolve({ url: `http://${HOST}:${actualPort}${MCP_PATH}`, port: actualPort, token, close });
+    });
+  });
+}
+
+module.exports = { startHttpTransport };
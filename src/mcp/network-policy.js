@@ -0,0 +1,101 @@
+"use strict";
+
+/**
+ * Network policy for content opened through MCP.
+ *
+ * Course content is loaded from file:// URLs, so any HTTP(S) or WebSocket
+ * request leaves the package. Those requests are blocked unless the server
+ * was started with --allow-network (MCP_ALLOW_NETWORK=1) or the target
+ * matches the allowlist given when the course was opened. Non-network
+ * schemes (file:, data:, blob:, devtools: ...) are never blocked.
+ */
+
+const NETWORK_PROTOCOLS = Object.freeze({
+  "http:": 80,
+  "https:": 443,
+  "ws:": 80,
+  "wss:": 443
+});
+
+/**
+ * Parse one allowlist entry. Accepted forms:
+ * - an origin: "http://localhost:3000", "wss://mock.example.test"
+ * - a host with optional port, matching any network scheme: "localhost:3000", "[::1]:8080"
+ * - a wildcard host: "*.example.test" (subdomains and the domain itself)
+ * @param {string} entry - Allowlist entry
+ * @returns {{ protocol: string|null, host: string, wildcard: boolean, port: number|null }}
+ */
+function parseAllowlistEntry(entry) {
+  const text = String(entry || "").trim().toLowerCase();
+  if (!text) throw new Error("empty allowlist entry");
+
+  const hasScheme = text.includes("://");
+  const wildcard = /^([a-z]+:\/\/)?\*\./.test(text);
+  let url;
+  try {
+    url = new URL(hasScheme ? text.replace("*.", "") : `http://${text.replace(/^\*\./, "")}`);
+  } catch (_) {
+    throw new Error(`invalid allowlist entry: ${entry}`);
+  }
+
+  const protocol = hasScheme ? url.protocol : null;
+  if (protocol && !(protocol in NETWORK_PROTOCOLS)) {
+    throw new Error(`allowlist entry must use http, https, ws or wss: ${entry}`);
+  }
+
+  // URL drops default ports, so read an explicit port from the entry itself
+  const portMatch = text.match(/:(\d+)\/?$/);
+  let port = portMatch ? Number(portMatch[1]) : null;
+  if (port === null && protocol) port = NETWORK_PROTOCOLS[protocol];
+
+  return { protocol, host: url.hostname, wildcard, port };
+}
+
+/**
+ * Validate and parse an allowlist
+ * @param {Array<string>|undefined|null} allowlist - Allowlist entries
+ * @returns {Array<Object>} Parsed entries
+ */
+function parseAllowlist(allowlist) {
+  if (allowlist == null) return [];
+  if (!Array.isArray(allowlist)) throw new Error("network allowlist must be an array of strings");
+  return allowlist.map(parseAllowlistEntry);
+}
+
+function matchesEntry(url, entry) {
+  if (entry.protocol && entry.protocol !== url.protocol) return false;
+  const host = url.hostname;
+  if (entry.wildcard ? !(host === entry.host || host.endsWith(`.${entry.host}`)) : host !== entry.host) return false;
+  if (entry.port !== null) {
+    const port = url.port ? Number(url.port) : NETWORK_PROTOCOLS[url.protocol];
+    if (port !== entry.port) return false;
+  }
+  return true;
+}
+
+/**
+ * Create a policy deciding which requests a runtime window may make
+ * @param {Object} [options]
+ * @param {boolean} [options.allowNetwork] - Allow everything (defaults to MCP_ALLOW_NETWORK=1)
+ * @param {Array<string>} [options.allowlist] - Origins or hosts allowed while blocking
+ * @returns {{ allowNetwork: boolean, allowlist: Array<string>, check: function(string): { blocked: boolean, reason: string|null } }}
+ */
+function createNetworkPolicy(options = {}) {
+  const allowNetwork = typeof options.allowNetwork === "boolean"
+    ? options.allowNetwork
+    : process.env.MCP_ALLOW_NETWORK === "1";
+  const allowlist = Array.isArray(options.allowlist) ? options.allowlist.map(String) : [];
+  const entries = parseAllowlist(allowlist);
+
+  function check(rawUrl) {
+    let url;
+    try { url = new URL(rawUrl); } catch (_) { return { blocked: false, reason: null }; }
+    if (!(url.protocol in NETWORK_PROTOCOLS) || allowNetwork) return { blocked: false, reason: null };
+    if (entries.some((entry) => matchesEntry(url, entry))) return { blocked: false, reason: null };
+    return { blocked: true, reason: "network access disabled (start with --allow-network or pass network_allowlist)" };
+  }
+
+  return { allowNetwork, allowlist, check };
+}
+
+module.exports = { createNetworkPolicy, parseAllowlist };
@@ -11,12 +11,19 @@
  * - This process: Handles MCP stdio protocol (works on Windows)
  * - Child Electron: Provides browser runtime (BrowserWindow, screenshots, etc.)
  * - Communication: IPC messages between Node.js and Electron
+ *
+ * `run <scenario...>` uses the same bridge to run scenario files headlessly
+ * (scenario.js) and exits with their result instead of serving MCP.
  */
 
 const { spawn } = require('child_process');
 const path = require('path');
 const fs = require('fs');
 const { startServer } = require('./server');
+const { parseCliArgs, getHttpOptions } = require('./cli-utils');
+const { runScenarioCommand } = require('./scenario');
+const resources = require('./resources');
+const { cancelledError } = require('./cancellation');
 
 // Global reference to Electron child process
 let electronChild = null;
@@ -45,9 +52,6 @@ if (!process.env.SCORM_TESTER_LOG_PREFIX) {
   process.env.SCORM_TESTER_LOG_PREFIX = 'mcp';
 }
 
-// Start the MCP stdio server
-startServer();
-
 // Spawn Electron child process when first runtime tool is called
 // This is lazy - we only spawn Electron if runtime features are actually needed
 async function ensureElectronChild() {
@@ -91,6 +95,13 @@ async function ensureElectronChild() {
     }
   });
 
+  // Resource changes are pushed by the child without a request id
+  electronChild.on('message', (msg) => {
+    if (msg && msg.type === 'resources_changed') {
+      resources.notifyChanged(msg.params?.session_id, msg.params?.kinds);
+    }
+  });
+
   electronChild.on('exit', (code) => {
     bridgeLogger.info('Electron child process exited', { code });
     electronChild = null;
@@ -113,14 +124,24 @@ async function ensureElectronChild() {
 // Export for runtime-manager to use
 global.__electronBridge = {
   ensureChild: ensureElectronChild,
-  sendMessage: async (message) => {
+  // options.signal stops waiting for the reply (the child may still finish the work)
+  sendMessage: async (message, options = {}) => {
+    const { signal } = options;
     const child = await ensureElectronChild();
     return new Promise((resolve, reject) => {
-      const timeout = setTimeout(() => reject(new Error('IPC timeout')), 30000);
+      const release = () => {
+        clearTimeout(timeout);
+        child.removeListener('message', handler);
+        if (signal) signal.removeEventListener('abort', onAbort);
+      };
+      const onAbort = () => {
+        release();
+        reject(cancelledError(signal.reason));
+      };
+      const timeout = setTimeout(() => { release(); reject(new Error('IPC timeout')); }, 30000);
       const handler = (response) => {
         if (response.id === message.id) {
-          clearTimeout(timeout);
-          child.removeListener('message', handler);
+          release();
           if (response.error) {
             const details = response.error;
             let message = 'Unknown error';
@@ -139,6 +160,10 @@ global.__electronBridge = {
           }
         }
       };
+      if (signal) {
+        if (signal.aborted) return onAbort();
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
       child.on('message', handler);
       child.send(message);
     });
@@ -188,3 +213,21 @@ process.on('SIGTERM', async () => {
   await cleanup();
   process.exit(0);
 });
+
+const cliFlags = parseCliArgs(process.argv.slice(2));
+if (cliFlags._[0] === 'run') {
+  // `scorm-tester run <scenario...>`: run scenario files headlessly instead of serving MCP
+  runScenarioCommand(cliFlags._.slice(1), cliFlags)
+    .catch((err) => {
+      process.stderr.write(`Scenario run failed: ${err.message}\n`);
+      return 2;
+    })
+    .then(async (code) => {
+      await cleanup();
+      process.exit(code);
+    });
+} else {
+  // Start the MCP stdio server, plus the HTTP transport with --http[-port=<port>]
+  const httpOptions = getHttpOptions(cliFlags);
+  startServer(httpOptions ? { http: httpOptions } : {});
+}
@@ -82,6 +82,19 @@
       GetErrorString: wrapSync('GetErrorString'),
       GetDiagnostic: wrapSync('GetDiagnostic')
     });
+
+    // Expose SCORM 1.2 API (window.API); the main-process handler answers with
+    // the 1.2 data model when the manifest declares schemaversion 1.2
+    contextBridge.exposeInMainWorld('API', {
+      LMSInitialize: wrapSync('LMSInitialize'),
+      LMSFinish: wrapSync('LMSFinish'),
+      LMSGetValue: wrapSync('LMSGetValue'),
+      LMSSetValue: wrapSync('LMSSetValue'),
+      LMSCommit: wrapSync('LMSCommit'),
+      LMSGetLastError: wrapSync('LMSGetLastError'),
+      LMSGetErrorString: wrapSync('LMSGetErrorString'),
+      LMSGetDiagnostic: wrapSync('LMSGetDiagnostic')
+    });
   } catch (e) {
     try {
       const r = (typeof globalThis !== 'undefined' && globalThis.ipcRenderer) ? globalThis.ipcRenderer : null;
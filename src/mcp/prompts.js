@@ -0,0 +1,208 @@
+"use strict";
+
+/**
+ * MCP prompts: parameterised, step-by-step QA workflows built from the server's
+ * tools (the "Common Workflows" of AUTOMATION_API_SPEC.md plus whole-course runs).
+ *
+ * prompts/get renders a single user message; every tool it names must be
+ * registered in server.js (tests/unit/mcp/prompts.test.js checks this).
+ */
+
+const PROMPTS = {
+  course_smoke_test: {
+    title: "Course smoke test",
+    description: "Validate the package, open it, visit every slide or activity and report errors, blocked requests and final tracking state",
+    arguments: [
+      { name: "package_path", description: "Absolute path to the course folder or .zip", required: true },
+      { name: "learner_id", description: "Learner to run as (defaults to the default learner)", required: false }
+    ],
+    render: ({ package_path, learner_id }) => [
+      `Run a smoke test of the SCORM course at ${package_path}.`,
+      "",
+      `1. Static checks: call scorm_validate_workspace with workspace_path "${package_path}" and scorm_lint_sequencing with the same path. Note every error.`,
+      `2. Call scorm_open_course with package_path "${package_path}"${learner_id ? `, learner_id "${learner_id}"` : ""} and attempt "new". Keep the returned session_id.`,
+      "3. Visit all content:",
+      "   - Single-SCO course: call scorm_get_slide_map, then for each slide call scorm_navigate_to_slide and scorm_get_current_page_context.",
+      "   - Multi-SCO course (scorm_nav_get_state reports sn_available): repeat scorm_nav_next until it is refused, checking scorm_nav_get_state after each step.",
+      "   After each page call scorm_get_console_errors; on a new error also call scorm_capture_screenshot.",
+      "4. Call scorm_get_network_requests with options { blocked: true } to list requests the network policy stopped.",
+      "5. Call scorm_data_model_get with elements [\"cmi.completion_status\", \"cmi.success_status\", \"cmi.score.scaled\", \"cmi.location\", \"cmi.progress_measure\"].",
+      "6. Call scorm_close_course, then scorm_report with workspace_path and the session_id and format \"html\".",
+      "",
+      "Finish with a short report: static issues, pages with console errors, blocked requests, final tracking values and whether the course reached completion."
+    ]
+  },
+
+  assessment_answer_key_audit: {
+    title: "Assessment answer-key audit",
+    description: "Check every interaction's correct answer is accepted, a wrong answer is rejected and the reported cmi.interactions results agree",
+    arguments: [
+      { name: "package_path", description: "Absolute path to the course folder or .zip", required: true },
+      { name: "slide_id", description: "Audit only this slide (defaults to every slide with interactions)", required: false }
+    ],
+    render: ({ package_path, slide_id }) => [
+      `Audit the answer key of the assessments in the SCORM course at ${package_path}.`,
+      "",
+      `1. Call scorm_open_course with package_path "${package_path}" and attempt "new". Keep the session_id.`,
+      "2. Call scorm_automation_check_availability. If the Template Automation API is missing, say so and stop.",
+      slide_id
+        ? `3. Call scorm_automation_go_to_slide with slideId "${slide_id}".`
+        : "3. Call scorm_automation_get_course_structure and go to each slide in turn with scorm_automation_go_to_slide.",
+      "4. On each slide call scorm_automation_list_interactions. For every interaction:",
+      "   a. scorm_automation_get_interaction_metadata and scorm_automation_get_correct_response (needs exposeCorrectAnswers).",
+      "   b. scorm_automation_set_response with the correct response, then scorm_automation_check_answer. It must evaluate as correct.",
+      "   c. scorm_automation_set_response with a plausible wrong response, then scorm_automation_check_answer. It must evaluate as incorrect.",
+      "   d. scorm_automation_get_last_evaluation to confirm the stored result.",
+      "5. Call scorm_data_model_get with patterns [\"cmi.interactions.*\"] and check each recorded learner_response and result.",
+      "6. Run scorm_assessment_interaction_trace (capture_mode \"detailed\") on a slide with interactions; it flags results the content reported wrongly.",
+      "7. Call scorm_close_course.",
+      "",
+      "Report a table of interaction id, type, correct response, correct accepted (yes/no), wrong rejected (yes/no) and reported result, then list every mismatch."
+    ]
+  },
+
+  resume_suspend_round_trip: {
+    title: "Resume/suspend round trip",
+    description: "Suspend part-way through, reopen as the same learner and confirm location, suspend data and progress come back with cmi.entry=resume",
+    arguments: [
+      { name: "package_path", description: "Absolute path to the course folder or .zip", required: true },
+      { name: "learner_id", description: "Learner to run as (defaults to the default learner)", required: false }
+    ],
+    render: ({ package_path, learner_id }) => {
+      const learner = learner_id ? `, learner_id "${learner_id}"` : "";
+      return [
+        `Check that the SCORM course at ${package_path} resumes where the learner left off.`,
+        "",
+        `1. Call scorm_open_course with package_path "${package_path}"${learner} and attempt "new". Keep the session_id.`,
+        "2. Move part-way through: scorm_navigate_to_slide to a middle slide (single-SCO) or scorm_nav_next a few times (multi-SCO). Answer any question on the way.",
+        "3. Call scorm_data_model_get with elements [\"cmi.location\", \"cmi.suspend_data\", \"cmi.completion_status\", \"cmi.progress_measure\"] and patterns [\"cmi.interactions.*\"]. Keep the result as the before snapshot.",
+        "4. Call scorm_close_course. It sets cmi.exit to \"suspend\" and terminates, which saves the attempt.",
+        `5. Call scorm_open_course again with package_path "${package_path}"${learner} and no attempt, so the latest attempt resumes.`,
+        "6. Call scorm_data_model_get with the same elements plus \"cmi.entry\". cmi.entry must be \"resume\".",
+        "7. Call scorm_compare_data_model_snapshots with the before and after snapshots. Only cmi.entry may differ.",
+        "8. Call scorm_get_current_page_context and confirm the course shows the page it was suspended on.",
+        "9. Call scorm_close_course.",
+        "",
+        "Report pass or fail for cmi.entry, location, suspend data, progress and the restored page, and quote any value that did not survive."
+      ];
+    }
+  },
+
+  interaction_test: {
+    title: "Test an interaction",
+    description: "Answer one interaction through the Template Automation API and check how it is evaluated and recorded",
+    arguments: [
+      { name: "package_path", description: "Absolute path to the course folder or .zip", required: true },
+      { name: "interaction_id", description: "Interaction to test", required: true },
+      { name: "response", description: "Response to submit (defaults to the correct response)", required: false }
+    ],
+    render: ({ package_path, interaction_id, response }) => [
+      `Test interaction "${interaction_id}" in the SCORM course at ${package_path}.`,
+      "",
+      `1. Call scorm_open_course with package_path "${package_path}". Keep the session_id.`,
+      "2. Call scorm_automation_check_availability, then scorm_automation_get_course_structure and scorm_automation_go_to_slide to reach the slide holding the interaction (use scorm_automation_list_interactions to confirm it is there).",
+      `3. Call scorm_automation_get_interaction_metadata and scorm_automation_get_correct_response with id "${interaction_id}".`,
+      response !== undefined
+        ? `4. Call scorm_automation_set_response with id "${interaction_id}" and response ${response} (parsed as JSON when it is valid JSON, e.g. true or ["a","c"]). If it reports a format error, fix the format and retry.`
+        : `4. Call scorm_automation_set_response with id "${interaction_id}" and the correct response.`,
+      `5. Call scorm_automation_check_answer with id "${interaction_id}", then scorm_automation_get_response to confirm what was stored.`,
+      "6. Call scorm_data_model_get with patterns [\"cmi.interactions.*\"] and find the entry for this interaction.",
+      "7. Call scorm_close_course.",
+      "",
+      "Report the interaction type, the submitted and correct responses, the evaluation and the recorded cmi.interactions result."
+    ]
+  },
+
+  audio_gating_test: {
+    title: "Test audio gating",
+    description: "Check that a slide's audio gates progress and that completing it satisfies the engagement requirement",
+    arguments: [
+      { name: "package_path", description: "Absolute path to the course folder or .zip", required: true },
+      { name: "slide_id", description: "Slide with audio (defaults to the current slide)", required: false }
+    ],
+    render: ({ package_path, slide_id }) => [
+      `Test audio gating in the SCORM course at ${package_path}.`,
+      "",
+      `1. Call scorm_open_course with package_path "${package_path}". Keep the session_id.`,
+      "2. Call scorm_automation_check_availability.",
+      slide_id
+        ? `3. Call scorm_automation_go_to_slide with slideId "${slide_id}".`
+        : "3. Stay on the current slide; scorm_automation_get_current_slide gives its id.",
+      "4. Call scorm_automation_get_audio_state. If hasAudio is false, report that the slide has no audio and stop.",
+      "5. Call scorm_engagement_get_progress and scorm_get_current_page_context. Progress should be incomplete and forward navigation unavailable.",
+      "6. Call scorm_automation_simulate_audio_complete.",
+      "7. Call scorm_automation_is_audio_completed_for_context with context_id set to the audio's context (the slide id, or modal-<id> for modal audio).",
+      "8. Call scorm_engagement_get_state and scorm_engagement_get_progress again. The audio requirement (slideAudioComplete, modalAudioComplete or audioComplete) must now be met.",
+      "9. Call scorm_get_current_page_context to confirm forward navigation is now allowed, then scorm_close_course.",
+      "",
+      "Report the audio context type, whether progress was gated before completion and whether completion released it."
+    ]
+  },
+
+  navigation_flow_test: {
+    title: "Test navigation flow",
+    description: "Compare reading order with keyboard tab order and check the layout of each slide",
+    arguments: [
+      { name: "package_path", description: "Absolute path to the course folder or .zip", required: true }
+    ],
+    render: ({ package_path }) => [
+      `Test the navigation flow of the SCORM course at ${package_path}.`,
+      "",
+      `1. Call scorm_open_course with package_path "${package_path}". Keep the session_id.`,
+      "2. Call scorm_automation_check_availability and scorm_automation_get_course_structure (or scorm_get_slide_map if the automation API is missing).",
+      "3. For each slide (scorm_automation_go_to_slide or scorm_navigate_to_slide):",
+      "   a. scorm_automation_get_layout_flow; flag slides where analysis.readingOrderMatchesTabOrder is false.",
+      "   b. scorm_automation_validate_page_layout; keep issues with severity \"error\".",
+      "   c. scorm_dom_find_interactive_elements to check the navigation controls are reachable.",
+      "4. Call scorm_close_course.",
+      "",
+      "Report, per slide, whether reading order matches tab order and the layout errors found."
+    ]
+  }
+};
+
+function invalidParams(message) {
+  const e = new Error(message);
+  e.code = "MCP_INVALID_PARAMS";
+  return e;
+}
+
+/**
+ * List the available prompts
+ * @returns {{prompts: Array<{name: string, title: string, description: string, arguments: Array<Object>}>}}
+ */
+function listPrompts() {
+  const prompts = Object.entries(PROMPTS).map(([name, def]) => ({
+    name,
+    title: def.title,
+    description: def.description,
+    arguments: def.arguments.map(a => ({ ...a }))
+  }));
+  return { prompts };
+}
+
+/**
+ * Render a prompt with the client's arguments
+ * @param {string} name - Prompt name
+ * @param {Object<string, string>} [args] - Prompt arguments
+ * @returns {{description: string, messages: Array<{role: string, content: {type: string, text: string}}>}}
+ */
+function getPrompt(name, args = {}) {
+  const def = Object.prototype.hasOwnProperty.call(PROMPTS, name) ? PROMPTS[name] : null;
+  if (!def) throw invalidParams(`Unknown prompt: ${name}`);
+  const values = {};
+  for (const arg of def.arguments) {
+    const value = args ? args[arg.name] : undefined;
+    if (value === undefined || value === null || value === "") {
+      if (arg.required) throw invalidParams(`Missing required argument: ${arg.name}`);
+      continue;
+    }
+    values[arg.name] = String(value);
+  }
+  return {
+    description: def.description,
+    messages: [{ role: "user", content: { type: "text", text: def.render(values).join("\n") } }]
+  };
+}
+
+module.exports = { listPrompts, getPrompt };
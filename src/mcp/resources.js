@@ -0,0 +1,156 @@
+"use strict";
+
+/**
+ * MCP resources: read-only views of each open session's runtime state.
+ *
+ * URIs take the form scorm://sessions/{session_id}/{kind}. Clients subscribe
+ * per URI; when the Electron child reports that the underlying state changed,
+ * an 'updated' event (uri, subscriber) is emitted for each subscribed client and
+ * sent to it as notifications/resources/updated.
+ */
+
+const EventEmitter = require("events");
+const path = require("path");
+const sessions = require("./session");
+const { RuntimeManager } = require("./runtime-manager");
+
+const URI_PATTERN = /^scorm:\/\/sessions\/([^/]+)\/([a-z-]+)$/;
+const MIME_TYPE = "application/json";
+
+// Resource kinds exposed for every open session
+const RESOURCE_KINDS = {
+  "data-model": {
+    title: "data model",
+    description: "Every cmi value held by the runtime (core data, interactions, objectives, comments)",
+    read: async (session_id) => ({ session_id, ...(await RuntimeManager.getDataModel(session_id)) })
+  },
+  "activity-tree": {
+    title: "activity tree",
+    description: "Sequencing activity tree: current and suspended activity plus per-activity tracking data",
+    read: async (session_id) => {
+      const res = await RuntimeManager.snInvoke(null, "tree", undefined, session_id);
+      if (res && res.success) return { session_id, sn_available: true, ...res.tree };
+      if (res && res.error === "SN_NOT_INITIALIZED") return { session_id, sn_available: false, reason: "SN_NOT_INITIALIZED" };
+      const e = new Error((res && res.error) || "SN bridge unavailable");
+      e.code = res ? "SN_BRIDGE_ERROR" : "SN_BRIDGE_UNAVAILABLE";
+      throw e;
+    }
+  },
+  "api-calls": {
+    title: "API call log",
+    description: "SCORM API calls recorded for the session, newest first",
+    read: async (session_id) => ({ session_id, ...(await RuntimeManager.getApiCallHistory(session_id)) })
+  },
+  "console-errors": {
+    title: "console errors",
+    description: "Browser console errors raised by the course content",
+    read: async (session_id) => {
+      const errors = await RuntimeManager.getConsoleMessagesViaIPC(session_id, { severity: ["error"] });
+      return { session_id, error_count: errors.length, errors };
+    }
+  }
+};
+
+// uri -> Set of subscriber ids (the transport that sent resources/subscribe)
+const subscriptions = new Map();
+const events = new EventEmitter();
+
+function resourceUri(session_id, kind) {
+  return `scorm://sessions/${session_id}/${kind}`;
+}
+
+function parseResourceUri(uri) {
+  const match = typeof uri === "string" ? URI_PATTERN.exec(uri) : null;
+  if (!match || !RESOURCE_KINDS[match[2]]) {
+    const e = new Error(`Unknown resource: ${uri}`);
+    e.code = "MCP_INVALID_PARAMS";
+    throw e;
+  }
+  return { session_id: match[1], kind: match[2] };
+}
+
+function requireOpenSession(session_id) {
+  if (!sessions.sessions.has(session_id)) {
+    const e = new Error(`Unknown session: ${session_id}`);
+    e.code = "MCP_UNKNOWN_SESSION";
+    throw e;
+  }
+}
+
+/**
+ * List the resources of every open session
+ * @returns {{resources: Array<{uri: string, name: string, description: string, mimeType: string}>}}
+ */
+function listResources() {
+  const resources = [];
+  for (const s of sessions.sessions.values()) {
+    const course = path.basename(s.package_path || "") || s.id;
+    for (const [kind, def] of Object.entries(RESOURCE_KINDS)) {
+      resources.push({ uri: resourceUri(s.id, kind), name: `${course} ${def.title} (${s.id})`, description: def.description, mimeType: MIME_TYPE });
+    }
+  }
+  return { resources };
+}
+
+/**
+ * Read one resource as JSON text
+ * @param {string} uri - Resource URI
+ * @returns {Promise<{contents: Array<{uri: string, mimeType: string, text: string}>}>}
+ */
+async function readResource(uri) {
+  const { session_id, kind } = parseResourceUri(uri);
+  requireOpenSession(session_id);
+  const data = await RESOURCE_KINDS[kind].read(session_id);
+  return { contents: [{ uri, mimeType: MIME_TYPE, text: JSON.stringify(data, null, 2) }] };
+}
+
+function subscribe(uri, subscriber = "stdio") {
+  const { session_id } = parseResourceUri(uri);
+  requireOpenSession(session_id);
+  if (!subscriptions.has(uri)) subscriptions.set(uri, new Set());
+  subscriptions.get(uri).add(subscriber);
+  return {};
+}
+
+function unsubscribe(uri, subscriber = "stdio") {
+  parseResourceUri(uri);
+  const subscribers = subscriptions.get(uri);
+  if (subscribers) {
+    subscribers.delete(subscriber);
+    if (subscribers.size === 0) subscriptions.delete(uri);
+  }
+  return {};
+}
+
+/**
+ * Drop every subscription of a client that disconnected
+ * @param {string} subscriber - Subscriber id
+ */
+function removeSubscriber(subscriber) {
+  for (const [uri, subscribers] of subscriptions) {
+    subscribers.delete(subscriber);
+    if (subscribers.size === 0) subscriptions.delete(uri);
+  }
+}
+
+/**
+ * Emit 'updated' for each subscribed resource of the session whose state changed.
+ * Subscriptions of sessions that have since closed are dropped.
+ * @param {string} session_id - Session ID
+ * @param {string[]} kinds - Changed resource kinds
+ */
+function notifyChanged(session_id, kinds) {
+  if (!session_id || !Array.isArray(kinds)) return;
+  const open = sessions.sessions.has(session_id);
+  for (const kind of kinds) {
+    const uri = resourceUri(session_id, kind);
+    if (!subscriptions.has(uri)) continue;
+    if (!open) {
+      subscriptions.delete(uri);
+      continue;
+    }
+    for (const subscriber of subscriptions.get(uri)) events.emit("updated", uri, subscriber);
+  }
+}
+
+module.exports = { listResources, readResource, subscribe, unsubscribe, removeSubscriber, notifyChanged, events, resourceUri };
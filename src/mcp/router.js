@@ -16,14 +16,19 @@ class ToolRouter {
     return this.tools.has(name);
   }
 
-  async dispatch(name, params) {
+  /**
+   * @param {string} name - Tool name
+   * @param {Object} params - Tool arguments
+   * @param {{signal?: AbortSignal, progress?: Function}} [context] - Cancellation signal and progress reporter for tools/call
+   */
+  async dispatch(name, params, context) {
     const handler = this.tools.get(name);
     if (!handler) {
       const e = new Error(`Unknown tool: ${name}`);
       e.code = "MCP_UNKNOWN_TOOL";
       throw e;
     }
-    return handler(params || {});
+    return handler(params || {}, context || {});
   }
 }
 
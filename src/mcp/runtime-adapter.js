@@ -45,7 +45,14 @@ function ensureIpcHandlers() {
       }
       // SCORM methods are synchronous and return strings per spec
       const res = handler[method].apply(handler, args);
-      event.returnValue = typeof res === "string" ? res : String(res);
+      const value = typeof res === "string" ? res : String(res);
+      // Injected latency: the content stays blocked in sendSync until the reply is set
+      const delayMs = typeof handler.getFaultLatencyMs === "function" ? handler.getFaultLatencyMs() : 0;
+      if (delayMs > 0) {
+        setTimeout(() => { event.returnValue = value; }, delayMs);
+        return;
+      }
+      event.returnValue = value;
     } catch (e) {
       try { mcpLogger.error(`MCP API (sync): error invoking ${method}`, e && e.message ? e.message : String(e)); } catch (_) { /* intentionally empty */ }
       event.returnValue = "false";
@@ -67,6 +74,10 @@ function ensureIpcHandlers() {
       }
       // SCORM methods return strings per spec
       const res = await handler[method].apply(handler, args);
+      const delayMs = typeof handler.getFaultLatencyMs === "function" ? handler.getFaultLatencyMs() : 0;
+      if (delayMs > 0) {
+        await new Promise(resolve => setTimeout(resolve, delayMs));
+      }
       return typeof res === "string" ? res : String(res);
     } catch (e) {
       try { mcpLogger.error(`MCP API: error invoking ${method}`, e && e.message ? e.message : String(e)); } catch (_) { /* intentionally empty */ }
@@ -124,6 +135,18 @@ function ensureIpcHandlers() {
 
         return { success: true, status: navState };
       }
+      if (action === 'tree') {
+        const sn = snByWC.get(id);
+        if (!sn) return { success: false, error: 'SN_NOT_INITIALIZED' };
+        return {
+          success: true,
+          tree: {
+            ...sn.getActivityTreeState(),
+            sessionState: sn.getSequencingState().sessionState,
+            activityOrder: sn.getActivityOrderState()
+          }
+        };
+      }
       if (action === 'reset') {
         const sn = snByWC.get(id);
         if (sn && typeof sn.reset === 'function') sn.reset();
@@ -191,7 +214,12 @@ async function installRealAdapterForWindow(win, options = {}) {
     const initOptions = {
       forceNew: options.forceNew || false,
       launchMode: options.launchMode || 'normal',
-      courseId: options.courseId || null // Pass courseId for JSON persistence
+      courseId: options.courseId || null, // Pass courseId for JSON persistence
+      schemaVersion: options.schemaVersion || null, // Selects SCORM 1.2 vs 2004 runtime
+      learnerId: options.learnerId || undefined, // Learner profile whose attempts are loaded/saved
+      attempt: options.attempt, // Attempt number or 'new' (latest attempt when undefined)
+      launchOptions: options.launchOptions, // Learner identity, preferences, launch data and mode reported to the SCO
+      lmsProfile: options.lmsProfile || undefined // LMS profile whose limits, validation and commit behaviour the runtime emulates
     };
     
     const initResult = await scormService.initializeSession(sessionId, initOptions);
@@ -11,6 +11,7 @@ const PathUtils = require("../shared/utils/path-utils");
 const { getPreloadPath, installRealAdapterForWindow, getTelemetryStoreForWindowId } = require("./runtime-adapter");
 const getLogger = require("../shared/utils/logger");
 const { setupConsoleCapture, getConsoleMessages, clearConsoleMessages, getConsoleStats } = require("../shared/utils/console-capture");
+const { createNetworkPolicy } = require("./network-policy");
 
 // Get logger instance for browser console capture
 const logger = getLogger();
@@ -75,13 +76,143 @@ const _telemetryStoreBySession = new Map();
 // Per-session network request buffers
 const _networkRequestsBySession = new Map();
 
+// Telemetry listener unsubscribe functions, and resource changes waiting to be
+// pushed to the Node bridge (session_id -> Set of resource kinds)
+const _resourceWatchersBySession = new Map();
+const _pendingResourceChanges = new Map();
+const RESOURCE_CHANGE_FLUSH_MS = 100;
+
+// Runtime windows by webContents id, so the shared webRequest hooks can apply
+// each window's own network policy: webContentsId -> { session_id, policy }
+const _networkTargetsByWebContents = new Map();
+const _hookedSessions = new WeakSet();
+
+function recordNetworkRequest(session_id, entry) {
+  if (session_id && _networkRequestsBySession.has(session_id)) {
+    _networkRequestsBySession.get(session_id).push(entry);
+  }
+}
+
+/**
+ * Queue a resource change for the MCP bridge. Bursts of API calls are
+ * coalesced into one 'resources_changed' message per session.
+ * @param {string} session_id - Session whose resource changed
+ * @param {string[]} kinds - Resource kinds (data-model, activity-tree, api-calls, console-errors)
+ */
+function notifyResourceChange(session_id, kinds) {
+  if (!session_id || typeof process.send !== 'function') return;
+  let pending = _pendingResourceChanges.get(session_id);
+  if (!pending) {
+    pending = new Set();
+    _pendingResourceChanges.set(session_id, pending);
+    const timer = setTimeout(() => {
+      _pendingResourceChanges.delete(session_id);
+      try { process.send({ type: 'resources_changed', params: { session_id, kinds: [...pending] } }); } catch (_) { /* intentionally empty */ }
+    }, RESOURCE_CHANGE_FLUSH_MS);
+    if (typeof timer.unref === 'function') timer.unref();
+  }
+  kinds.forEach(kind => pending.add(kind));
+}
+
 /**
- * Set up network request monitoring for a BrowserWindow
- * Captures all network requests made by SCORM content for debugging
+ * Map telemetry store changes for one session onto the resources they affect.
+ * The store is shared by every MCP session, so entries are filtered by sessionId.
+ * @param {string} session_id - Session ID
+ * @param {Object} telemetryStore - ScormInspectorTelemetryStore instance
+ * @returns {Function} Unsubscribe function
+ */
+function watchSessionTelemetry(session_id, telemetryStore) {
+  if (!telemetryStore || typeof telemetryStore.onChange !== 'function') return () => {};
+  return telemetryStore.onChange((type, entry) => {
+    if (entry && String(entry.sessionId || '') !== session_id) return;
+    if (type === 'api-call') {
+      // Initialize/Terminate move the learner through the activity tree
+      const lifecycle = entry.method === 'Initialize' || entry.method === 'Terminate';
+      notifyResourceChange(session_id, lifecycle ? ['api-calls', 'activity-tree'] : ['api-calls']);
+    } else if (type === 'data-model-change' || type === 'data-model-cleared') {
+      notifyResourceChange(session_id, ['data-model']);
+    } else if (type === 'cleared') {
+      notifyResourceChange(session_id, ['api-calls', 'data-model']);
+    }
+  });
+}
+
+function unwatchSessionTelemetry(session_id) {
+  const unsubscribe = _resourceWatchersBySession.get(session_id);
+  if (unsubscribe) {
+    try { unsubscribe(); } catch (_) { /* intentionally empty */ }
+    _resourceWatchersBySession.delete(session_id);
+  }
+}
+
+function findNetworkRequest(details) {
+  const target = _networkTargetsByWebContents.get(details.webContentsId);
+  const session_id = target?.session_id;
+  if (!session_id || !_networkRequestsBySession.has(session_id)) return null;
+  return _networkRequestsBySession.get(session_id).find(r => r.id === details.id) || null;
+}
+
+/**
+ * Install the webRequest hooks on an Electron session once. Windows opened
+ * through MCP share the default session, and Electron keeps a single listener
+ * per event, so requests are routed to their window by webContentsId.
+ * @param {Electron.Session} session - Electron session of a runtime window
+ */
+function hookSessionRequests(session) {
+  if (_hookedSessions.has(session)) return;
+  _hookedSessions.add(session);
+
+  // Track requests and cancel the ones the window's policy blocks
+  session.webRequest.onBeforeRequest((details, callback) => {
+    const target = _networkTargetsByWebContents.get(details.webContentsId);
+    if (!target) return callback({});
+
+    const { blocked, reason } = target.policy.check(details.url);
+    recordNetworkRequest(target.session_id, {
+      id: details.id,
+      timestamp: Date.now(),
+      method: details.method,
+      url: details.url,
+      resourceType: details.resourceType,
+      uploadData: details.uploadData || null,
+      blocked,
+      ...(blocked ? { blockReason: reason } : {})
+    });
+    if (blocked) {
+      logger?.info('Blocked network request from runtime content', { session_id: target.session_id, url: details.url });
+    }
+    callback(blocked ? { cancel: true } : {});
+  });
+
+  // Track response details
+  session.webRequest.onCompleted((details) => {
+    const req = findNetworkRequest(details);
+    if (req) {
+      req.statusCode = details.statusCode;
+      req.statusLine = details.statusLine;
+      req.responseHeaders = details.responseHeaders;
+      req.completedAt = Date.now();
+    }
+  });
+
+  // Track errors (blocked requests end here with net::ERR_BLOCKED_BY_CLIENT)
+  session.webRequest.onErrorOccurred((details) => {
+    const req = findNetworkRequest(details);
+    if (req) {
+      req.error = details.error;
+      req.errorAt = Date.now();
+    }
+  });
+}
+
+/**
+ * Set up network request monitoring and blocking for a BrowserWindow.
+ * Must run before the window loads content so the first requests are covered.
  * @param {BrowserWindow} win - The BrowserWindow to monitor
  * @param {string} session_id - Optional session ID for per-session request capture
+ * @param {Object} policy - Network policy from createNetworkPolicy()
  */
-function setupNetworkMonitoring(win, session_id = null) {
+function setupNetworkMonitoring(win, session_id = null, policy = createNetworkPolicy()) {
   if (!win || !win.webContents) return;
 
   // Initialize per-session network request buffer if session_id provided
@@ -89,51 +220,13 @@ function setupNetworkMonitoring(win, session_id = null) {
     _networkRequestsBySession.set(session_id, []);
   }
 
-  // Capture network requests via webRequest API
   try {
-    const { session } = win.webContents;
+    const { session, id: webContentsId } = win.webContents;
     if (!session || !session.webRequest) return;
 
-    // Track request details
-    session.webRequest.onBeforeRequest((details, callback) => {
-      if (session_id && _networkRequestsBySession.has(session_id)) {
-        _networkRequestsBySession.get(session_id).push({
-          id: details.id,
-          timestamp: Date.now(),
-          method: details.method,
-          url: details.url,
-          resourceType: details.resourceType,
-          uploadData: details.uploadData || null
-        });
-      }
-      callback({});
-    });
-
-    // Track response details
-    session.webRequest.onCompleted((details) => {
-      if (session_id && _networkRequestsBySession.has(session_id)) {
-        const requests = _networkRequestsBySession.get(session_id);
-        const req = requests.find(r => r.id === details.id);
-        if (req) {
-          req.statusCode = details.statusCode;
-          req.statusLine = details.statusLine;
-          req.responseHeaders = details.responseHeaders;
-          req.completedAt = Date.now();
-        }
-      }
-    });
-
-    // Track errors
-    session.webRequest.onErrorOccurred((details) => {
-      if (session_id && _networkRequestsBySession.has(session_id)) {
-        const requests = _networkRequestsBySession.get(session_id);
-        const req = requests.find(r => r.id === details.id);
-        if (req) {
-          req.error = details.error;
-          req.errorAt = Date.now();
-        }
-      }
-    });
+    _networkTargetsByWebContents.set(webContentsId, { session_id, policy });
+    try { win.on('closed', () => { _networkTargetsByWebContents.delete(webContentsId); }); } catch (_) { /* intentionally empty */ }
+    hookSessionRequests(session);
   } catch (err) {
     logger?.warn('Failed to set up network monitoring', { error: err.message });
   }
@@ -198,6 +291,31 @@ class RuntimeManager {
         return store.getDataModelHistory(options) || { success: false, changes: [], total: 0, hasMore: false };
       }
 
+      case 'telemetry_getApiCalls': {
+        const sessionId = String(message.params?.session_id || '');
+        const store = _telemetryStoreBySession.get(sessionId);
+        if (!store) {
+          const err = new Error('Runtime not open');
+          err.code = 'RUNTIME_NOT_OPEN';
+          throw err;
+        }
+        const limit = message.params?.limit;
+        const { history, total } = store.getHistory({ sessionId, limit }) || {};
+        return { calls: history || [], total: total || 0 };
+      }
+
+      case 'runtime_getDataModel': {
+        const sessionId = message.params?.session_id;
+        const { getMcpScormService } = require('./electron-entry');
+        const rte = this.getPersistent(sessionId) ? (await getMcpScormService()).rteInstances.get(sessionId) : null;
+        if (!rte || !rte.dataModel) {
+          const err = new Error('Runtime not open');
+          err.code = 'RUNTIME_NOT_OPEN';
+          throw err;
+        }
+        return { data: rte.dataModel.getAllData() };
+      }
+
       case 'runtime_capture': {
         const session_id = message.params.session_id;
         const compress = message.params.compress !== false; // Default to compressed
@@ -350,12 +468,20 @@ class RuntimeManager {
         const initState = await this.getInitializeState(statusWin);
         const statusCalls = await this.getCapturedCalls(statusWin);
         const lastCall = Array.isArray(statusCalls) && statusCalls.length ? statusCalls[statusCalls.length - 1] : null;
+        let scormSession = null;
+        try {
+          const { getMcpScormService } = require('./electron-entry');
+          scormSession = (await getMcpScormService()).sessions.get(message.params.session_id) || null;
+        } catch (_) { /* intentionally empty */ }
         return {
           open: true,
           url: statusUrl,
           initialize_state: initState,
           last_api_method: lastCall ? String(lastCall.method || '') : null,
-          last_api_ts: lastCall ? Number(lastCall.ts || 0) : null
+          last_api_ts: lastCall ? Number(lastCall.ts || 0) : null,
+          learner_id: scormSession?.learnerId || null,
+          attempt: scormSession?.attempt || null,
+          scorm_version: scormSession?.scormVersion || null
         };
       }
 
@@ -373,6 +499,11 @@ class RuntimeManager {
         return { result: snResult, success: true };
       }
 
+      case 'runtime_getNetworkRequests': {
+        const { session_id, options } = message.params || {};
+        return { requests: this.getNetworkRequests(session_id, options || {}) };
+      }
+
       case 'runtime_getConsoleMessages': {
         // Get console messages from Electron child's buffer
         const { session_id, filters } = message.params;
@@ -393,6 +524,28 @@ class RuntimeManager {
         return { success: true, closed_count: sessionIds.length };
       }
 
+      case 'runtime_faultInjection': {
+        // Configure or read simulated LMS faults on the session's RTE
+        const { session_id, faults, clear } = message.params || {};
+        const { getMcpScormService } = require('./electron-entry');
+        const scormService = await getMcpScormService();
+        if (!scormService?.rteInstances?.has(session_id)) {
+          const err = new Error('Runtime not open');
+          err.code = 'RUNTIME_NOT_OPEN';
+          throw err;
+        }
+        if (faults === undefined && !clear) {
+          return scormService.getFaultInjection(session_id);
+        }
+        const res = scormService.setFaultInjection(clear ? null : faults, session_id);
+        if (!res.success) {
+          const err = new Error(res.error || 'Fault injection failed');
+          err.code = 'MCP_INVALID_PARAMS';
+          throw err;
+        }
+        return res;
+      }
+
       case 'session_clear_saved_data': {
         // Delete saved session data via ScormService
         const { course_id, namespace } = message.params || {};
@@ -415,6 +568,20 @@ class RuntimeManager {
         return { success: true, course_id };
       }
 
+      case 'session_import_state': {
+        // Save imported session state as a new attempt via ScormService
+        const { course_id, learner_id, bundle } = message.params || {};
+        const { getMcpScormService } = require('./electron-entry');
+        const scormService = await getMcpScormService();
+        const res = await scormService.importSessionState(bundle, { courseId: course_id, learnerId: learner_id });
+        if (!res.success) {
+          const err = new Error(res.error || 'Session import failed');
+          err.code = 'MCP_INVALID_PARAMS';
+          throw err;
+        }
+        return res;
+      }
+
       default:
         throw new Error(`Unknown IPC message type: ${message.type}`);
     }
@@ -434,7 +601,7 @@ class RuntimeManager {
    * This runs inside the Electron child process and has access to BrowserWindow
    * @private
    */
-  static async _openPageImpl({ entryPath, viewport = { width: 1024, height: 768 }, adapterOptions = {} }) {
+  static async _openPageImpl({ entryPath, viewport = { width: 1024, height: 768 }, adapterOptions = {}, network = {} }) {
     const { BrowserWindow } = electron;
     const wp = { offscreen: true, sandbox: true, contextIsolation: true, nodeIntegration: false, disableDialogs: true };
     try { wp.preload = getPreloadPath(); } catch (_) { /* intentionally empty */ }
@@ -454,7 +621,12 @@ class RuntimeManager {
     // Capture browser console messages using unified console capture
     // Extract session_id from adapterOptions if available
     const session_id = adapterOptions?.sessionId || null;
-    setupConsoleCapture(win, { session_id, logger });
+    const onMessage = (msg) => {
+      if (msg?.level === 'error') notifyResourceChange(session_id, ['console-errors']);
+    };
+    setupConsoleCapture(win, { session_id, onMessage, logger });
+    // Block non-local requests before the first navigation
+    setupNetworkMonitoring(win, session_id, createNetworkPolicy({ allowlist: network?.allowlist }));
 
     // Load the URL with explicit handling for Storyline-style redirect that triggers ERR_ABORTED
     try {
@@ -513,7 +685,7 @@ class RuntimeManager {
   /**
    * Public API: delegates to Electron child via IPC
    */
-  static async openPage({ entryPath, viewport = { width: 1024, height: 768 }, adapterOptions = {} }) {
+  static async openPage({ entryPath, viewport = { width: 1024, height: 768 }, adapterOptions = {}, network = {} }) {
     if (!this.isSupported) { const e = new Error("Electron runtime is required"); e.code = "ELECTRON_REQUIRED"; throw e; }
     const ok = await this.ensureAppReady();
     if (!ok) { const e = new Error("Electron app not ready"); e.code = "ELECTRON_REQUIRED"; throw e; }
@@ -527,7 +699,7 @@ class RuntimeManager {
     const result = await global.__electronBridge.sendMessage({
       id: ++_ipcMessageIdCounter,
       type: 'runtime_openPage',
-      params: { entryPath, viewport, adapterOptions }
+      params: { entryPath, viewport, adapterOptions, network }
     });
     return result;
   }
@@ -536,29 +708,34 @@ class RuntimeManager {
    * Internal implementation that actually creates windows (called by Electron child process)
    * @private
    */
-  static async _openPersistentImpl({ session_id, entryPath, viewport = { width: 1024, height: 768 }, adapterOptions = {} }) {
+  static async _openPersistentImpl({ session_id, entryPath, viewport = { width: 1024, height: 768 }, adapterOptions = {}, network = {} }) {
     if (!session_id) throw new Error("session_id required");
     // Close any existing window first
+    const previous = _persistentBySession.get(session_id);
+    if (previous) { try { previous.__mcpReplaced = true; } catch (_) { /* intentionally empty */ } }
     await this._closePersistentImpl(session_id);
     const adapterWithSession = { ...(adapterOptions || {}), sessionId: session_id };
-    const win = await this._openPageImpl({ entryPath, viewport, adapterOptions: adapterWithSession });
+    // Start each run with an empty request log
+    _networkRequestsBySession.set(session_id, []);
+    const win = await this._openPageImpl({ entryPath, viewport, adapterOptions: adapterWithSession, network });
     _persistentBySession.set(session_id, win);
 
     const telemetryStore = (win && win.__scormTelemetryStore) || getTelemetryStoreForWindowId(win?.webContents?.id);
     if (telemetryStore) {
       _telemetryStoreBySession.set(session_id, telemetryStore);
+      _resourceWatchersBySession.set(session_id, watchSessionTelemetry(session_id, telemetryStore));
     } else {
       logger?.warn && logger.warn('Persistent runtime opened without telemetry store', { session_id });
     }
 
-    // Set up per-session network monitoring
-    setupNetworkMonitoring(win, session_id);
-
     try { win.on('closed', () => {
       try {
+        // A reopen replaced this window; the new run owns the session state
+        if (win.__mcpReplaced) return;
         _persistentBySession.delete(session_id);
         _networkRequestsBySession.delete(session_id);
         _telemetryStoreBySession.delete(session_id);
+        unwatchSessionTelemetry(session_id);
         clearConsoleMessages(session_id);
       } catch (_) { /* intentionally empty */ }
     }); } catch (_) { /* intentionally empty */ }
@@ -567,8 +744,9 @@ class RuntimeManager {
 
   /**
    * Public API: delegates to Electron child via IPC
+   * @param {Object} network - Network policy options ({ allowlist: string[] })
    */
-  static async openPersistent({ session_id, entryPath, viewport = { width: 1024, height: 768 }, adapterOptions = {} }) {
+  static async openPersistent({ session_id, entryPath, viewport = { width: 1024, height: 768 }, adapterOptions = {}, network = {} }) {
     if (!this.isSupported) { const e = new Error("Electron runtime is required"); e.code = "ELECTRON_REQUIRED"; throw e; }
     if (!session_id) throw new Error("session_id required");
 
@@ -581,7 +759,7 @@ class RuntimeManager {
     const result = await global.__electronBridge.sendMessage({
       id: ++_ipcMessageIdCounter,
       type: 'runtime_openPersistent',
-      params: { session_id, entryPath, viewport, adapterOptions }
+      params: { session_id, entryPath, viewport, adapterOptions, network }
     });
     return { session_id, success: result.success };
   }
@@ -613,6 +791,7 @@ class RuntimeManager {
       try { win.destroy(); } catch (_) { /* intentionally empty */ }
       _persistentBySession.delete(session_id);
       _telemetryStoreBySession.delete(session_id);
+      unwatchSessionTelemetry(session_id);
       return true;
     }
     return false;
@@ -703,7 +882,7 @@ class RuntimeManager {
     }
   }
 
-  static async getCapturedCalls(win, session_id = null) {
+  static async getCapturedCalls(win, session_id = null, options = {}) {
     // If session_id is provided, use IPC bridge (Node.js -> Electron child)
     if (session_id) {
       if (global.__electronBridge && global.__electronBridge.sendMessage) {
@@ -711,7 +890,7 @@ class RuntimeManager {
           id: ++_ipcMessageIdCounter,
           type: 'runtime_getCapturedCalls',
           params: { session_id }
-        });
+        }, { signal: options.signal });
         return result.calls || [];
       }
       throw new Error("Electron bridge not available");
@@ -763,6 +942,83 @@ class RuntimeManager {
     return store.getDataModelHistory(safeOptions) || { success: false, changes: [], total: 0, hasMore: false };
   }
 
+  /**
+   * Get the session's API call log from the telemetry store (via IPC to the Electron child)
+   * @param {string} session_id - Session ID
+   * @param {Object} [options] - { limit } most recent calls to return
+   * @returns {Promise<{calls: Array, total: number}>} Calls, newest first
+   */
+  static async getApiCallHistory(session_id, options = {}) {
+    if (!global.__electronBridge || !global.__electronBridge.sendMessage) {
+      const err = new Error('Electron bridge not available');
+      err.code = 'ELECTRON_REQUIRED';
+      throw err;
+    }
+    return await global.__electronBridge.sendMessage({
+      id: ++_ipcMessageIdCounter,
+      type: 'telemetry_getApiCalls',
+      params: { session_id, limit: options.limit }
+    });
+  }
+
+  /**
+   * Get every data model value held by the session's RTE (via IPC to the Electron child)
+   * @param {string} session_id - Session ID
+   * @returns {Promise<Object>} coreData, interactions, objectives and comments
+   */
+  static async getDataModel(session_id) {
+    if (!global.__electronBridge || !global.__electronBridge.sendMessage) {
+      const err = new Error('Electron bridge not available');
+      err.code = 'ELECTRON_REQUIRED';
+      throw err;
+    }
+    const result = await global.__electronBridge.sendMessage({
+      id: ++_ipcMessageIdCounter,
+      type: 'runtime_getDataModel',
+      params: { session_id }
+    });
+    return result.data;
+  }
+
+  /**
+   * Configure, clear or read simulated LMS faults for a session (via IPC to the Electron child)
+   * @param {string} session_id - Session ID
+   * @param {Object} [params] - { faults } to configure, { clear: true } to reset, {} to read
+   * @returns {Promise<Object>} Fault state per session
+   */
+  static async faultInjection(session_id, params = {}) {
+    if (!global.__electronBridge || !global.__electronBridge.sendMessage) {
+      const err = new Error('Electron bridge not available');
+      err.code = 'ELECTRON_REQUIRED';
+      throw err;
+    }
+
+    return await global.__electronBridge.sendMessage({
+      id: ++_ipcMessageIdCounter,
+      type: 'runtime_faultInjection',
+      params: { session_id, ...params }
+    });
+  }
+
+  /**
+   * Save imported session state as a new attempt (via IPC to the Electron child)
+   * @param {Object} params - { course_id, learner_id, bundle }
+   * @returns {Promise<Object>} Import result with the attempt written
+   */
+  static async importSessionState(params = {}) {
+    if (!global.__electronBridge || !global.__electronBridge.sendMessage) {
+      const err = new Error('Electron bridge not available');
+      err.code = 'ELECTRON_REQUIRED';
+      throw err;
+    }
+
+    return await global.__electronBridge.sendMessage({
+      id: ++_ipcMessageIdCounter,
+      type: 'session_import_state',
+      params
+    });
+  }
+
   /**
    * Get console messages from the session buffer (via IPC from Node bridge to Electron child)
    * @param {string} session_id - Session ID
@@ -863,17 +1119,18 @@ class RuntimeManager {
    * @param {BrowserWindow|null} win - Window object (only used when called from Electron child)
    * @param {string} script - JavaScript code to execute
    * @param {string|null} session_id - Session ID (used when called from Node.js parent via IPC)
+   * @param {Object} [options] - { signal } stops waiting for a long-running script (IPC path only)
    * @returns {Promise<any>} Result of the JavaScript execution
    * @throws {Error} With code 'SCRIPT_EXECUTION_ERROR' and details property if script throws an error
    */
-  static async executeJS(win, script, session_id = null) {
+  static async executeJS(win, script, session_id = null, options = {}) {
     if (session_id) {
       if (global.__electronBridge && global.__electronBridge.sendMessage) {
         const result = await global.__electronBridge.sendMessage({
           id: ++_ipcMessageIdCounter,
           type: 'runtime_executeJS',
           params: { session_id, script }
-        });
+        }, { signal: options.signal });
         // IPC handler already throws if script failed, so result.result is the actual value
         return result.result;
       }
@@ -967,12 +1224,21 @@ class RuntimeManager {
   }
 
   /**
-   * Get network requests for a specific session
+   * Get network requests for a specific session. From the Node bridge the
+   * request log is fetched from the Electron child, which owns it.
    * @param {string} session_id - Session ID
-   * @param {object} options - Filter options (resource_types, since_ts, max_count)
-   * @returns {Array} Array of network request entries
+   * @param {object} options - Filter options (resource_types, since_ts, max_count, blocked)
+   * @returns {Array|Promise<Array>} Array of network request entries
    */
   static getNetworkRequests(session_id, options = {}) {
+    if (global.__electronBridge && global.__electronBridge.sendMessage) {
+      return global.__electronBridge.sendMessage({
+        id: ++_ipcMessageIdCounter,
+        type: 'runtime_getNetworkRequests',
+        params: { session_id, options }
+      }).then((result) => result.requests || []);
+    }
+
     const requests = _networkRequestsBySession.get(session_id) || [];
     let filtered = requests;
 
@@ -986,6 +1252,11 @@ class RuntimeManager {
       filtered = filtered.filter(req => req.timestamp >= options.since_ts);
     }
 
+    // Filter by blocked state if specified
+    if (typeof options.blocked === 'boolean') {
+      filtered = filtered.filter(req => !!req.blocked === options.blocked);
+    }
+
     // Limit count if specified
     if (options.max_count && options.max_count > 0) {
       filtered = filtered.slice(-options.max_count);
@@ -1033,5 +1304,17 @@ async function getManifestIdentifier(workspace) {
   }
 }
 
-module.exports = { RuntimeManager, resolveEntryPathFromManifest, getManifestIdentifier };
+async function getManifestSchemaVersion(workspace) {
+  const manifestPath = path.join(workspace, "imsmanifest.xml");
+  if (!fs.existsSync(manifestPath)) return null;
+  const parser = new ManifestParser({ setError: () => {} });
+  try {
+    const parsed = await parser.parseManifestFile(manifestPath);
+    return parsed?.metadata?.schemaversion || null;
+  } catch (_) {
+    return null;
+  }
+}
+
+module.exports = { RuntimeManager, resolveEntryPathFromManifest, getManifestIdentifier, getManifestSchemaVersion };
 
@@ -0,0 +1,389 @@
+"use strict";
+
+/**
+ * Declarative course test scenarios.
+ *
+ * A scenario file (YAML or JSON) names a package and lists steps; each step is
+ * an object with one action key (plus an optional name), or the bare action
+ * name when it takes no argument:
+ *
+ *   name: Demo course resumes after suspend
+ *   package_path: ../courses/demo        # relative to the scenario file
+ *   learner_id: qa                       # optional, also launch_options/lms_profile/viewport/network_allowlist
+ *   steps:
+ *     - open                             # starts a new attempt unless attempt is given
+ *     - navigate: 3                      # slide index/id/title, next, previous or { choice: <activity> }
+ *     - click_text: Submit               # or { text, exact_match, element_types }
+ *     - set_response: { id: q1, response: b, correct: true }
+ *     - assert_data_model: { cmi.completion_status: completed }
+ *     - assert_nav_state: { sn_available: true }
+ *     - suspend                          # cmi.exit=suspend, Terminate, save
+ *     - reload                           # reopen the latest attempt
+ *     - assert_resume                    # cmi.entry (1.2: cmi.core.entry)=resume, location and suspend data restored
+ *
+ * Steps run through the MCP tool functions, so a scenario exercises exactly
+ * what an agent would. RuntimeManager.runScenario is the lower-level runner for
+ * raw API call lists inside one window.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const yaml = require("js-yaml");
+const { sleep } = require("./cancellation");
+const { scorm_open_course, scorm_close_course, scorm_reload_course } = require("./tools/session");
+const { scorm_data_model_get, scorm_nav_get_state, scorm_nav_next, scorm_nav_previous, scorm_nav_choice, scorm_navigate_to_slide } = require("./tools/runtime");
+const { scorm_dom_click, scorm_dom_click_by_text } = require("./tools/dom");
+const { scorm_automation_set_response, scorm_automation_check_answer } = require("./tools/automation");
+
+const DEFAULT_JUNIT_PATH = path.join("test-results", "scenarios.junit.xml");
+// Elements suspend saves and assert_resume checks, per SCORM version of the open course
+const RESUME_ELEMENTS = {
+  "1.2": { entry: "cmi.core.entry", saved: ["cmi.core.lesson_location", "cmi.suspend_data"] },
+  "2004": { entry: "cmi.entry", saved: ["cmi.location", "cmi.suspend_data"] }
+};
+const OPEN_OPTION_KEYS = ["learner_id", "launch_options", "lms_profile", "viewport", "network_allowlist"];
+
+function scenarioError(message) {
+  const e = new Error(message);
+  e.code = "SCENARIO_INVALID";
+  return e;
+}
+
+function assertionError(message) {
+  const e = new Error(message);
+  e.code = "SCENARIO_ASSERTION_FAILED";
+  return e;
+}
+
+function requireSession(state) {
+  if (!state.session_id) throw scenarioError("No course is open (add an open or reload step first)");
+  return state.session_id;
+}
+
+function resumeElements(state) {
+  return RESUME_ELEMENTS[state.scorm_version] || RESUME_ELEMENTS["2004"];
+}
+
+async function readValues(session_id, elements) {
+  const { data } = await scorm_data_model_get({ session_id, elements });
+  return data || {};
+}
+
+// Every key of expected must be present in actual with the same value (objects compared recursively)
+function findMismatches(actual, expected, prefix = "") {
+  const mismatches = [];
+  for (const [key, want] of Object.entries(expected)) {
+    const got = actual == null ? undefined : actual[key];
+    const label = prefix ? `${prefix}.${key}` : key;
+    if (want && typeof want === "object" && !Array.isArray(want)) {
+      mismatches.push(...findMismatches(got, want, label));
+    } else if (JSON.stringify(got) !== JSON.stringify(want)) {
+      mismatches.push(`${label}: expected ${JSON.stringify(want)}, got ${JSON.stringify(got)}`);
+    }
+  }
+  return mismatches;
+}
+
+// Step actions: (arg, state) => Promise; state holds the scenario, session_id, the course's SCORM version and the last suspend snapshot
+const ACTIONS = {
+  async open(arg, state) {
+    if (state.session_id) throw scenarioError("A course is already open (use reload or suspend first)");
+    const options = arg && typeof arg === "object" ? arg : {};
+    const result = await scorm_open_course({ ...state.openOptions, attempt: "new", ...options, package_path: state.package_path });
+    state.session_id = result.session_id;
+    state.scorm_version = result.scorm_version || state.scorm_version;
+    return { session_id: result.session_id, attempt: result.attempt };
+  },
+
+  async navigate(arg, state) {
+    const session_id = requireSession(state);
+    let result;
+    if (arg === "next") result = await scorm_nav_next({ session_id });
+    else if (arg === "previous") result = await scorm_nav_previous({ session_id });
+    else if (arg && typeof arg === "object" && arg.choice) result = await scorm_nav_choice({ session_id, targetId: String(arg.choice) });
+    else {
+      const slide = arg && typeof arg === "object" ? arg.slide : arg;
+      if (slide === undefined || slide === null || slide === "") throw scenarioError("navigate needs a slide, next, previous or { choice }");
+      result = await scorm_navigate_to_slide({ session_id, slide_identifier: slide });
+    }
+    if (result && result.success === false) {
+      throw assertionError(`Navigation refused: ${result.reason || result.error || JSON.stringify(result)}`);
+    }
+    return result;
+  },
+
+  async click_text(arg, state) {
+    const session_id = requireSession(state);
+    const { text, ...options } = typeof arg === "object" && arg !== null ? arg : { text: arg };
+    if (!text) throw scenarioError("click_text needs the text to click");
+    return scorm_dom_click_by_text({ session_id, text: String(text), options });
+  },
+
+  async click(arg, state) {
+    const session_id = requireSession(state);
+    const { selector, ...options } = typeof arg === "object" && arg !== null ? arg : { selector: arg };
+    if (!selector) throw scenarioError("click needs a CSS selector");
+    return scorm_dom_click({ session_id, selector: String(selector), options });
+  },
+
+  async set_response(arg, state) {
+    const session_id = requireSession(state);
+    if (!arg || typeof arg !== "object" || !arg.id || arg.response === undefined) {
+      throw scenarioError("set_response needs { id, response }");
+    }
+    const id = String(arg.id);
+    const result = await scorm_automation_set_response({ session_id, id, response: arg.response });
+    if (arg.correct === undefined) return result;
+    const { result: evaluation } = await scorm_automation_check_answer({ session_id, id });
+    if (!evaluation || !!evaluation.correct !== !!arg.correct) {
+      throw assertionError(`Interaction ${id}: expected ${arg.correct ? "correct" : "incorrect"}, got ${JSON.stringify(evaluation)}`);
+    }
+    return evaluation;
+  },
+
+  async assert_data_model(arg, state) {
+    const session_id = requireSession(state);
+    if (!arg || typeof arg !== "object" || Object.keys(arg).length === 0) {
+      throw scenarioError("assert_data_model needs { <element>: <value> }");
+    }
+    const values = await readValues(session_id, Object.keys(arg));
+    // SCORM values are strings; YAML may have typed them as numbers or booleans
+    const mismatches = Object.entries(arg)
+      .filter(([element, want]) => values[element] !== String(want))
+      .map(([element, want]) => `${element}: expected ${JSON.stringify(String(want))}, got ${JSON.stringify(values[element])}`);
+    if (mismatches.length) throw assertionError(mismatches.join("; "));
+    return values;
+  },
+
+  async assert_nav_state(arg, state) {
+    const session_id = requireSession(state);
+    if (!arg || typeof arg !== "object") throw scenarioError("assert_nav_state needs the expected state fields");
+    const navState = await scorm_nav_get_state({ session_id });
+    const mismatches = findMismatches(navState, arg);
+    if (mismatches.length) throw assertionError(mismatches.join("; "));
+    return navState;
+  },
+
+  async wait(arg) {
+    const ms = Number(arg);
+    if (!Number.isFinite(ms) || ms < 0) throw scenarioError("wait needs a duration in milliseconds");
+    await sleep(ms);
+  },
+
+  async suspend(_arg, state) {
+    const session_id = requireSession(state);
+    state.suspended = await readValues(session_id, resumeElements(state).saved);
+    await scorm_close_course({ session_id });
+    state.session_id = null;
+    return state.suspended;
+  },
+
+  async reload(_arg, state) {
+    const result = state.session_id
+      ? await scorm_reload_course({ ...state.openOptions, session_id: state.session_id, package_path: state.package_path })
+      : await scorm_open_course({ ...state.openOptions, package_path: state.package_path });
+    state.session_id = result.session_id;
+    state.scorm_version = result.scorm_version || state.scorm_version;
+    return { session_id: result.session_id, attempt: result.attempt };
+  },
+
+  async assert_resume(arg, state) {
+    const session_id = requireSession(state);
+    const expected = { [resumeElements(state).entry]: "resume", ...(state.suspended || {}), ...(arg && typeof arg === "object" ? arg : {}) };
+    return ACTIONS.assert_data_model(expected, { session_id });
+  }
+};
+
+function normalizeStep(raw, index) {
+  const where = `Step ${index + 1}`;
+  if (typeof raw === "string") raw = { [raw]: null };
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) throw scenarioError(`${where}: expected an action name or object`);
+  const { name, ...rest } = raw;
+  const keys = Object.keys(rest);
+  if (keys.length !== 1) throw scenarioError(`${where}: expected exactly one action, got ${keys.join(", ") || "none"}`);
+  const type = keys[0];
+  if (!Object.prototype.hasOwnProperty.call(ACTIONS, type)) {
+    throw scenarioError(`${where}: unknown action "${type}" (expected one of ${Object.keys(ACTIONS).join(", ")})`);
+  }
+  const arg = rest[type];
+  const summary = arg === null || arg === undefined ? "" : ` ${typeof arg === "object" ? JSON.stringify(arg) : arg}`;
+  return { type, arg, name: name ? String(name) : `${type}${summary}`.slice(0, 80) };
+}
+
+/**
+ * Parse and validate a scenario
+ * @param {Object} data - Parsed scenario document
+ * @param {string} [baseDir] - Directory relative package paths resolve against
+ * @returns {{name: string, package_path: string, openOptions: Object, steps: Array<{type: string, arg: *, name: string}>}}
+ */
+function parseScenario(data, baseDir = process.cwd()) {
+  if (!data || typeof data !== "object" || Array.isArray(data)) throw scenarioError("Scenario must be an object");
+  if (!data.package_path || typeof data.package_path !== "string") throw scenarioError("Scenario needs a package_path");
+  if (!Array.isArray(data.steps) || data.steps.length === 0) throw scenarioError("Scenario needs a non-empty steps list");
+
+  const openOptions = {};
+  for (const key of OPEN_OPTION_KEYS) if (data[key] !== undefined) openOptions[key] = data[key];
+
+  return {
+    name: data.name ? String(data.name) : path.basename(data.package_path),
+    package_path: path.resolve(baseDir, data.package_path),
+    openOptions,
+    steps: data.steps.map(normalizeStep)
+  };
+}
+
+/**
+ * Load a scenario file (.yaml, .yml or .json)
+ * @param {string} file - Scenario file path
+ * @returns {Object} Parsed scenario (see parseScenario) with its file path
+ */
+function loadScenario(file) {
+  const filePath = path.resolve(file);
+  let text;
+  try {
+    text = fs.readFileSync(filePath, "utf8");
+  } catch (err) {
+    throw scenarioError(`Cannot read scenario ${filePath}: ${err.message}`);
+  }
+  let data;
+  try {
+    data = /\.json$/i.test(filePath) ? JSON.parse(text) : yaml.safeLoad(text);
+  } catch (err) {
+    throw scenarioError(`Cannot parse scenario ${filePath}: ${err.message}`);
+  }
+  return { ...parseScenario(data, path.dirname(filePath)), file: filePath };
+}
+
+/**
+ * Run a scenario step by step. The first failing step fails the scenario and the
+ * remaining steps are skipped; a course left open is closed at the end.
+ * @param {Object} scenario - Output of loadScenario/parseScenario
+ * @param {{onStep?: Function}} [options] - onStep(stepResult) after every step
+ * @returns {Promise<{name: string, file?: string, passed: boolean, duration_ms: number, steps: Array<Object>}>}
+ */
+async function runScenario(scenario, options = {}) {
+  const { onStep = () => {} } = options;
+  const state = { package_path: scenario.package_path, openOptions: scenario.openOptions || {}, session_id: null, suspended: null };
+  const started = Date.now();
+  const steps = [];
+  let failed = false;
+
+  for (const step of scenario.steps) {
+    const stepResult = { name: step.name, type: step.type, status: "skipped", duration_ms: 0 };
+    if (!failed) {
+      const stepStarted = Date.now();
+      try {
+        await ACTIONS[step.type](step.arg, state);
+        stepResult.status = "passed";
+      } catch (err) {
+        failed = true;
+        stepResult.status = "failed";
+        stepResult.error = { code: err.code || "UNKNOWN_ERROR", message: err.message || String(err) };
+      }
+      stepResult.duration_ms = Date.now() - stepStarted;
+    }
+    steps.push(stepResult);
+    onStep(stepResult);
+  }
+
+  if (state.session_id) {
+    try { await scorm_close_course({ session_id: state.session_id }); } catch (_) { /* intentionally empty */ }
+  }
+
+  return { name: scenario.name, file: scenario.file, passed: !failed, duration_ms: Date.now() - started, steps };
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+const seconds = (ms) => (ms / 1000).toFixed(3);
+
+/**
+ * JUnit XML report: one testsuite per scenario, one testcase per step
+ * @param {Array<Object>} results - runScenario results
+ * @returns {string}
+ */
+function toJUnitXml(results) {
+  const count = (status) => results.reduce((n, r) => n + r.steps.filter(s => s.status === status).length, 0);
+  const total = results.reduce((n, r) => n + r.steps.length, 0);
+  const time = results.reduce((ms, r) => ms + r.duration_ms, 0);
+  const lines = [
+    "<?xml version=\"1.0\" encoding=\"UTF-8\"?>",
+    `<testsuites name="scorm-tester" tests="${total}" failures="${count("failed")}" skipped="${count("skipped")}" time="${seconds(time)}">`
+  ];
+  for (const r of results) {
+    const failures = r.steps.filter(s => s.status === "failed").length;
+    const skipped = r.steps.filter(s => s.status === "skipped").length;
+    const fileAttr = r.file ? ` file="${escapeXml(r.file)}"` : "";
+    lines.push(`  <testsuite name="${escapeXml(r.name)}" tests="${r.steps.length}" failures="${failures}" errors="0" skipped="${skipped}" time="${seconds(r.duration_ms)}"${fileAttr}>`);
+    r.steps.forEach((s, i) => {
+      const open = `    <testcase classname="${escapeXml(r.name)}" name="${escapeXml(`${String(i + 1).padStart(2, "0")} ${s.name}`)}" time="${seconds(s.duration_ms)}"`;
+      if (s.status === "passed") {
+        lines.push(`${open}/>`);
+      } else {
+        lines.push(`${open}>`);
+        lines.push(s.status === "failed"
+          ? `      <failure type="${escapeXml(s.error.code)}" message="${escapeXml(s.error.message)}">${escapeXml(s.error.message)}</failure>`
+          : "      <skipped/>");
+        lines.push("    </testcase>");
+      }
+    });
+    lines.push("  </testsuite>");
+  }
+  lines.push("</testsuites>");
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * `scorm-tester run <scenario...> [--junit=<path>]`: run scenario files one after another,
+ * print each step and write a JUnit XML report. Tools need the Electron bridge, so node-bridge.js runs it.
+ * @param {string[]} files - Scenario files (.yaml, .yml or .json)
+ * @param {Object} [flags] - Output of parseCliArgs
+ * @param {{write?: Function}} [io] - Output sink (stdout by default)
+ * @returns {Promise<number>} Exit code: 0 all passed, 1 a scenario failed, 2 bad usage or scenario file
+ */
+async function runScenarioCommand(files, flags = {}, io = {}) {
+  const write = io.write || ((text) => process.stdout.write(text));
+  if (!files.length) {
+    write("Usage: scorm-tester run <scenario.yaml|json>... [--junit=<path>] [--allow-network]\n");
+    return 2;
+  }
+  if (flags.allow_network) process.env.MCP_ALLOW_NETWORK = "1";
+
+  // Validate every file before launching anything
+  let scenarios;
+  try {
+    scenarios = files.map(loadScenario);
+  } catch (err) {
+    write(`${err.message}\n`);
+    return 2;
+  }
+
+  const results = [];
+  for (const scenario of scenarios) {
+    write(`\n${scenario.name} (${path.relative(process.cwd(), scenario.file) || scenario.file})\n`);
+    const result = await runScenario(scenario, {
+      onStep: (step) => {
+        const mark = step.status === "passed" ? "ok  " : (step.status === "failed" ? "FAIL" : "skip");
+        write(`  ${mark} ${step.name}${step.error ? ` - ${step.error.message}` : ""}\n`);
+      }
+    });
+    results.push(result);
+  }
+
+  const junitPath = path.resolve(typeof flags.junit === "string" ? flags.junit : DEFAULT_JUNIT_PATH);
+  fs.mkdirSync(path.dirname(junitPath), { recursive: true });
+  fs.writeFileSync(junitPath, toJUnitXml(results), "utf8");
+
+  const failed = results.filter(r => !r.passed).length;
+  write(`\n${results.length - failed} of ${results.length} scenario(s) passed. JUnit report: ${junitPath}\n`);
+  return failed ? 1 : 0;
+}
+
+module.exports = { loadScenario, parseScenario, runScenario, toJUnitXml, runScenarioCommand };
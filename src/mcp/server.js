@@ -7,10 +7,14 @@
 
 const { mapError } = require("./errors");
 const ToolRouter = require("./router");
+const resources = require("./resources");
+const prompts = require("./prompts");
+const { withCancellation, isCancelledError } = require("./cancellation");
+const { startHttpTransport } = require("./http-transport");
 const { scorm_echo } = require("./tools/echo");
-const { scorm_open_course, scorm_close_course, scorm_reload_course, scorm_clear_saved_data, scorm_course_status, scorm_session_open, scorm_session_close } = require("./tools/session");
+const { scorm_open_course, scorm_close_course, scorm_reload_course, scorm_clear_saved_data, scorm_import_session_state, scorm_course_status, scorm_session_open, scorm_session_close } = require("./tools/session");
 const { scorm_lint_manifest, scorm_lint_api_usage, scorm_lint_parent_dom_access, scorm_validate_workspace, scorm_lint_sequencing, scorm_validate_compliance, scorm_report } = require("./tools/validate");
-const { scorm_runtime_open, scorm_runtime_status, scorm_api_call, scorm_data_model_get, scorm_nav_get_state, scorm_nav_next, scorm_nav_previous, scorm_nav_choice, scorm_sn_init, scorm_sn_reset, scorm_capture_screenshot, scorm_trace_sequencing, scorm_get_data_model_history, scorm_get_network_requests, scorm_assessment_interaction_trace, scorm_validate_data_model_state, scorm_get_console_errors, scorm_compare_data_model_snapshots, scorm_wait_for_api_call, scorm_get_current_page_context, scorm_replay_api_calls, scorm_get_page_state, scorm_get_slide_map, scorm_navigate_to_slide, scorm_set_viewport_size } = require("./tools/runtime");
+const { scorm_runtime_open, scorm_runtime_status, scorm_api_call, scorm_data_model_get, scorm_nav_get_state, scorm_nav_next, scorm_nav_previous, scorm_nav_choice, scorm_sn_init, scorm_sn_reset, scorm_capture_screenshot, scorm_trace_sequencing, scorm_get_data_model_history, scorm_get_network_requests, scorm_assessment_interaction_trace, scorm_validate_data_model_state, scorm_get_console_errors, scorm_compare_data_model_snapshots, scorm_wait_for_api_call, scorm_get_current_page_context, scorm_replay_api_calls, scorm_get_page_state, scorm_get_slide_map, scorm_navigate_to_slide, scorm_set_viewport_size, scorm_fault_injection } = require("./tools/runtime");
 const { scorm_dom_click, scorm_dom_fill, scorm_dom_query, scorm_dom_evaluate, scorm_dom_wait_for, scorm_keyboard_type, scorm_dom_find_interactive_elements, scorm_dom_fill_form_batch, scorm_dom_click_by_text } = require("./tools/dom");
 const { scorm_automation_check_availability, scorm_automation_list_interactions, scorm_automation_set_response, scorm_automation_check_answer, scorm_automation_get_response, scorm_automation_get_course_structure, scorm_automation_get_current_slide, scorm_automation_go_to_slide, scorm_automation_get_correct_response, scorm_automation_get_last_evaluation, scorm_automation_check_slide_answers, scorm_automation_get_trace, scorm_automation_clear_trace, scorm_automation_get_interaction_metadata, scorm_automation_get_version, scorm_automation_get_page_layout, scorm_automation_get_layout_flow, scorm_automation_get_layout_tree, scorm_automation_get_element_details, scorm_automation_validate_page_layout, scorm_automation_get_audio_state, scorm_automation_is_audio_completed_for_context, scorm_automation_simulate_audio_complete, scorm_engagement_get_state, scorm_engagement_get_progress, scorm_engagement_mark_tab_viewed, scorm_engagement_set_scroll_depth, scorm_engagement_reset } = require("./tools/automation");
 
@@ -38,16 +42,56 @@ if (logger && !global.__mcpServerLoggedStartup) {
 
 const router = new ToolRouter();
 
+// Abort controllers of in-flight tools/call requests, keyed by transport and JSON-RPC id
+const inFlightCalls = new Map();
+
+// Connected transports by id (stdio plus one per HTTP session), for resource notifications
+const transports = new Map();
+
+const stdioTransport = {
+  id: "stdio",
+  send: (message) => {
+    try { process.stdout.write(JSON.stringify(message) + "\n"); } catch (_) { /* intentionally empty */ }
+  }
+};
+
+function callKey(transport, id) {
+  return `${transport.id}:${JSON.stringify(id)}`;
+}
+
+/**
+ * Build the context handed to a tool: an abort signal for notifications/cancelled
+ * and, when the client sent _meta.progressToken, a progress reporter.
+ */
+function createCallContext(id, params, transport) {
+  const controller = new AbortController();
+  const key = callKey(transport, id);
+  if (id !== undefined && id !== null) inFlightCalls.set(key, controller);
+  const progressToken = params && params._meta ? params._meta.progressToken : undefined;
+  let lastProgress = 0;
+  const progress = (value, message, total) => {
+    if (progressToken === undefined || controller.signal.aborted) return;
+    // Progress must increase with every notification
+    lastProgress = Math.max(lastProgress + 1e-6, Number(value) || 0);
+    const notification = { progressToken, progress: lastProgress };
+    if (total !== undefined) notification.total = total;
+    if (message) notification.message = message;
+    writeJSONRPCNotification(transport, "notifications/progress", notification);
+  };
+  return { controller, key, context: { signal: controller.signal, progress } };
+}
+
 // Helpful metadata for MCP clients (tools/list)
 const TOOL_META = new Map([
   // Connectivity
   ["scorm_echo", { description: "Echo utility for connectivity tests", inputSchema: { type: "object" } }],
   
   // Unified Course Management
-  ["scorm_open_course", { description: "Open a SCORM course: Creates workspace, opens runtime, loads content, and auto-initializes (combines session_open + runtime_open)", inputSchema: { type: "object", properties: { package_path: { type: "string" }, viewport: { type: "object", properties: { width: { type: "number" }, height: { type: "number" } } }, timeout_ms: { type: "number" } }, required: ["package_path"] } }],
+  ["scorm_open_course", { description: "Open a SCORM course: Creates workspace, opens runtime, loads content, and auto-initializes (combines session_open + runtime_open)", inputSchema: { type: "object", properties: { package_path: { type: "string" }, viewport: { type: "object", properties: { width: { type: "number" }, height: { type: "number" } } }, timeout_ms: { type: "number" }, network_allowlist: { type: "array", items: { type: "string" }, description: "Origins or hosts (e.g. http://localhost:3000, *.example.test) the content may reach; other HTTP(S)/WebSocket requests are blocked unless the server runs with --allow-network" }, learner_id: { type: "string", description: "Learner to run as (letters, digits, - and _); each learner keeps its own attempt history. Defaults to the default learner" }, attempt: { oneOf: [{ type: "integer", minimum: 1 }, { type: "string", enum: ["new"] }], description: "Attempt number to resume, or \"new\" to start another attempt while keeping earlier ones. Defaults to the learner's latest attempt" }, launch_options: { type: "object", description: "Values reported to the content at launch; kept when the course is reloaded", properties: { learner_id: { type: "string", description: "cmi.learner_id (independent of the learner_id whose attempts are stored)" }, learner_name: { type: "string", description: "cmi.learner_name" }, learner_preference: { type: "object", properties: { language: { type: "string" }, audio_level: { type: ["number", "string"] }, delivery_speed: { type: ["number", "string"] }, audio_captioning: { type: ["number", "string"], enum: [-1, 0, 1, "-1", "0", "1"] } }, description: "Initial cmi.learner_preference.* values (applied on resume too)" }, launch_data: { type: "string", description: "cmi.launch_data" }, mode: { type: "string", enum: ["normal", "review", "browse"], description: "cmi.mode; review re-opens the learner's last completed attempt (or the given attempt) as no-credit and saves nothing" } } }, lms_profile: { type: "string", description: "LMS profile to emulate (suspend_data limit, validation strictness, commit behaviour, learner name/id): generic, litmos, moodle, scormcloud or a profile loaded from the lms-profiles directory. Kept when the course is reloaded" } }, required: ["package_path"] } }],
   ["scorm_close_course", { description: "Close course: Sets cmi.exit='suspend', calls Terminate() to save data, closes runtime, and cleans up", inputSchema: { type: "object", properties: { session_id: { type: "string" } }, required: ["session_id"] } }],
-  ["scorm_reload_course", { description: "Reload course: Atomic close + re-open operation (terminates existing, then creates fresh session with same package)", inputSchema: { type: "object", properties: { session_id: { type: "string" }, package_path: { type: "string" }, viewport: { type: "object" } }, required: ["session_id", "package_path"] } }],
+  ["scorm_reload_course", { description: "Reload course: Atomic close + re-open operation (terminates existing, then creates fresh session with same package)", inputSchema: { type: "object", properties: { session_id: { type: "string" }, package_path: { type: "string" }, viewport: { type: "object" }, network_allowlist: { type: "array", items: { type: "string" } } }, required: ["session_id", "package_path"] } }],
   ["scorm_clear_saved_data", { description: "Clear saved session data for a course (deletes persisted JSON file for hard reset)", inputSchema: { type: "object", properties: { package_path: { type: "string" } }, required: ["package_path"] } }],
+  ["scorm_import_session_state", { description: "Import session state (an exported session bundle, a saved session file or a map of cmi.* values) as a new attempt, then relaunch the course resumed from it with cmi.entry='resume'. Returns the new session_id", inputSchema: { type: "object", properties: { session_id: { type: "string" }, bundle: { type: "object", description: "Session state to import" }, bundle_path: { type: "string", description: "Path to a JSON file holding the session state (instead of bundle)" } }, required: ["session_id"] } }],
   ["scorm_course_status", { description: "Get course status (state, timestamps, artifact count)", inputSchema: { type: "object", properties: { session_id: { type: "string" } }, required: ["session_id"] } }],
   
   // Legacy (deprecated - use scorm_open_course/scorm_close_course instead)
@@ -81,7 +125,7 @@ const TOOL_META = new Map([
 
   // Integrated Testing Tools (Electron required)
   ["scorm_trace_sequencing", { description: "Execute content and capture sequencing structure trace with configurable detail level (Electron required)", inputSchema: { type: "object", properties: { workspace_path: { type: "string" }, session_id: { type: "string" }, trace_level: { type: "string", enum: ["basic", "detailed", "verbose"] }, viewport: { type: "object" } }, required: ["workspace_path"] } }],
-  ["scorm_assessment_interaction_trace", { description: "Trace assessment interactions with complete before/after correlation of DOM actions, API calls, and data model state - ideal for debugging assessment issues (requires open runtime)", inputSchema: { type: "object", properties: { session_id: { type: "string" }, actions: { type: "array", items: { type: "object", properties: { type: { type: "string", enum: ["click", "fill", "wait"] }, selector: { type: "string" }, value: { type: ["string", "number", "boolean"] }, ms: { type: "number" } } } }, capture_mode: { type: "string", enum: ["standard", "detailed"] } }, required: ["session_id", "actions"] } }],
+  ["scorm_assessment_interaction_trace", { description: "Trace assessment interactions with complete before/after correlation of DOM actions, API calls, and data model state, then scores each learner_response against its correct_responses and flags results the content reported wrongly - ideal for debugging assessment issues (requires open runtime)", inputSchema: { type: "object", properties: { session_id: { type: "string" }, actions: { type: "array", items: { type: "object", properties: { type: { type: "string", enum: ["click", "fill", "wait"] }, selector: { type: "string" }, value: { type: ["string", "number", "boolean"] }, ms: { type: "number" } } } }, capture_mode: { type: "string", enum: ["standard", "detailed"] } }, required: ["session_id", "actions"] } }],
 
   // Screenshot & Visual Validation (Electron required)
   ["scorm_capture_screenshot", { description: "Capture screenshot from persistent runtime session with optional wait/delay", inputSchema: { type: "object", properties: { session_id: { type: "string" }, capture_options: { type: "object", properties: { wait_for_selector: { type: "string" }, wait_timeout_ms: { type: "number" }, delay_ms: { type: "number" } } } }, required: ["session_id"] } }],
@@ -99,7 +143,7 @@ const TOOL_META = new Map([
 
   // Network & Debugging
   ["scorm_get_data_model_history", { description: "Retrieve recorded SCORM data model change history for an open runtime session. Returns change count summary by default (limit 50); set include_changes=true for full change details. Use offset/limit for pagination.", inputSchema: { type: "object", properties: { session_id: { type: "string" }, since_ts: { type: "number" }, element_prefix: { anyOf: [{ type: "string" }, { type: "array", items: { type: "string" } }] }, change_session_id: { type: "string" }, limit: { type: "number", minimum: 0 }, offset: { type: "number", minimum: 0 }, include_changes: { type: "boolean" } }, required: ["session_id"] } }],
-  ["scorm_get_network_requests", { description: "Get network requests made by SCORM content with optional filtering by resource type and timestamp", inputSchema: { type: "object", properties: { session_id: { type: "string" }, options: { type: "object", properties: { resource_types: { type: "array", items: { type: "string" } }, since_ts: { type: "number" }, max_count: { type: "number" } } } }, required: ["session_id"] } }],
+  ["scorm_get_network_requests", { description: "Get network requests made by SCORM content with optional filtering by resource type, timestamp and blocked state. Requests stopped by the network policy have blocked: true", inputSchema: { type: "object", properties: { session_id: { type: "string" }, options: { type: "object", properties: { resource_types: { type: "array", items: { type: "string" } }, since_ts: { type: "number" }, max_count: { type: "number" }, blocked: { type: "boolean" } } } }, required: ["session_id"] } }],
   ["scorm_validate_data_model_state", { description: "Validate current data model state against expected values - returns detailed diff with helpful hints for mismatches", inputSchema: { type: "object", properties: { session_id: { type: "string" }, expected: { type: "object" } }, required: ["session_id", "expected"] } }],
   ["scorm_get_console_errors", { description: "Get browser console errors/warnings from SCORM content - categorized by type (scorm_api, syntax, runtime, network). Returns error count by default (limit 50); set include_errors=true for full error details.", inputSchema: { type: "object", properties: { session_id: { type: "string" }, since_ts: { type: "number" }, severity: { type: "array", items: { type: "string", enum: ["error", "warn", "info"] } }, include_errors: { type: "boolean" }, limit: { type: "number" } }, required: ["session_id"] } }],
   ["scorm_compare_data_model_snapshots", { description: "Compare two data model snapshots and return detailed diff showing added, changed, unchanged, and removed elements", inputSchema: { type: "object", properties: { before: { type: "object" }, after: { type: "object" } }, required: ["before", "after"] } }],
@@ -110,6 +154,7 @@ const TOOL_META = new Map([
   ["scorm_get_slide_map", { description: "Get slide map for single-SCO courses - discovers all slides with titles and IDs for easy navigation", inputSchema: { type: "object", properties: { session_id: { type: "string" } }, required: ["session_id"] } }],
   ["scorm_navigate_to_slide", { description: "Navigate to a specific slide by index, ID, or title substring - works with single-SCO courses", inputSchema: { type: "object", properties: { session_id: { type: "string" }, slide_identifier: { type: ["string", "number"] } }, required: ["session_id", "slide_identifier"] } }],
   ["scorm_set_viewport_size", { description: "Set viewport size for content window - allows testing mobile and tablet layouts. Presets: Desktop (1366×768), Tablet (1024×1366), Mobile (390×844). Minimum: 320×240, Maximum: 7680×4320", inputSchema: { type: "object", properties: { width: { type: "number", minimum: 320, maximum: 7680 }, height: { type: "number", minimum: 240, maximum: 4320 } }, required: ["width", "height"] } }],
+  ["scorm_fault_injection", { description: "Inject LMS faults into an open runtime to test content retry/error handling: Commit returns false with 391, latency on every API call, failure of the Nth SetValue (351), or commits that are acknowledged but never persisted. Use a preset (connection-lost, commit-failure, slow-lms, fail-third-set-value, drop-persistence) and/or explicit faults; clear=true resets; no arguments returns the current state", inputSchema: { type: "object", properties: { session_id: { type: "string" }, preset: { type: "string", enum: ["connection-lost", "commit-failure", "slow-lms", "fail-third-set-value", "drop-persistence"] }, faults: { type: "object", properties: { commit_failure: { type: "boolean" }, latency_ms: { type: "number", minimum: 0 }, fail_set_value_at: { type: "number", minimum: 1 }, drop_persistence: { type: "boolean" } } }, clear: { type: "boolean" } }, required: ["session_id"] } }],
 
   // Template Automation API (requires compatible SCORM template with window.SCORMAutomation)
   ["scorm_automation_check_availability", { description: "Check if Template Automation API is available in the current course - call this first before using other automation tools", inputSchema: { type: "object", properties: { session_id: { type: "string" } }, required: ["session_id"] } }],
@@ -156,6 +201,7 @@ const TOOL_META = new Map([
   router.register("scorm_close_course", scorm_close_course);
   router.register("scorm_reload_course", scorm_reload_course);
   router.register("scorm_clear_saved_data", scorm_clear_saved_data);
+  router.register("scorm_import_session_state", scorm_import_session_state);
   router.register("scorm_course_status", scorm_course_status);
   
   // Legacy (deprecated)
@@ -201,6 +247,7 @@ const TOOL_META = new Map([
   router.register("scorm_get_slide_map", scorm_get_slide_map);
   router.register("scorm_navigate_to_slide", scorm_navigate_to_slide);
   router.register("scorm_set_viewport_size", scorm_set_viewport_size);
+  router.register("scorm_fault_injection", scorm_fault_injection);
   router.register("scorm_automation_check_availability", scorm_automation_check_availability);
   router.register("scorm_automation_list_interactions", scorm_automation_list_interactions);
   router.register("scorm_automation_set_response", scorm_automation_set_response);
@@ -305,17 +352,25 @@ router.register('system_get_logs', system_get_logs);
 router.register('system_set_log_level', system_set_log_level);
 
   // JSON-RPC helpers (for MCP-compatible clients like Kilo Code)
-  function writeJSONRPCResult(id, result) {
-    try { process.stdout.write(JSON.stringify({ jsonrpc: "2.0", id, result }) + "\n"); } catch (_) { /* intentionally empty */ }
+  function writeJSONRPCResult(transport, id, result) {
+    transport.send({ jsonrpc: "2.0", id, result });
   }
-  function writeJSONRPCError(id, code, message, data) {
+  function writeJSONRPCError(transport, id, code, message, data) {
     const err = { code, message };
     if (data !== undefined) err.data = data;
-    try { process.stdout.write(JSON.stringify({ jsonrpc: "2.0", id: id ?? null, error: err }) + "\n"); } catch (_) { /* intentionally empty */ }
+    transport.send({ jsonrpc: "2.0", id: id ?? null, error: err });
+  }
+  function writeJSONRPCNotification(transport, method, params) {
+    transport.send({ jsonrpc: "2.0", method, params });
   }
 
 
-async function handleRequest(req) {
+/**
+ * Handle one JSON-RPC message and write the reply through the transport
+ * @param {Object} req - Parsed JSON-RPC message
+ * @param {{id: string, send: Function}} [transport] - Where replies and notifications go (stdio by default)
+ */
+async function handleRequest(req, transport = stdioTransport) {
 
   // Detect JSON-RPC 2.0 shape
   const isJSONRPC = req && req.jsonrpc === "2.0";
@@ -325,7 +380,7 @@ async function handleRequest(req) {
 
   if (!method || typeof method !== "string") {
     // Enforce JSON-RPC 2.0 only
-    return writeJSONRPCError(id ?? null, -32600, "Invalid Request");
+    return writeJSONRPCError(transport, id ?? null, -32600, "Invalid Request");
   }
 
   // JSON-RPC compatibility for MCP clients (Kilo Code expects initialize/tools/*)
@@ -335,9 +390,9 @@ async function handleRequest(req) {
         const result = {
           protocolVersion: "2024-11-05",
           serverInfo: { name: "SCORM MCP", version: "1.0.0" },
-          capabilities: { tools: { listChanged: true } }
+          capabilities: { tools: { listChanged: true }, resources: { subscribe: true, listChanged: false }, prompts: { listChanged: false } }
         };
-        return writeJSONRPCResult(id, result);
+        return writeJSONRPCResult(transport, id, result);
       }
       if (method === "tools/list") {
         const tools = [];
@@ -357,17 +412,61 @@ async function handleRequest(req) {
             tools.push(tool);
           }
         } catch (_) { /* intentionally empty */ }
-        return writeJSONRPCResult(id, { tools });
+        return writeJSONRPCResult(transport, id, { tools });
+      }
+      if (method === "notifications/cancelled") {
+        const controller = inFlightCalls.get(callKey(transport, params.requestId));
+        if (controller) {
+          logger?.info('MCP_CANCEL_REQUEST', { requestId: params.requestId, reason: params.reason });
+          controller.abort(typeof params.reason === "string" ? params.reason : undefined);
+        }
+        return;
+      }
+      if (method === "resources/list") {
+        return writeJSONRPCResult(transport, id, resources.listResources());
+      }
+      if (method === "resources/read" || method === "resources/subscribe" || method === "resources/unsubscribe") {
+        const uri = params && params.uri;
+        if (!uri || typeof uri !== "string") {
+          return writeJSONRPCError(transport, id, -32602, "Invalid params: missing uri");
+        }
+        try {
+          if (method === "resources/read") return writeJSONRPCResult(transport, id, await resources.readResource(uri));
+          if (method === "resources/subscribe") return writeJSONRPCResult(transport, id, resources.subscribe(uri, transport.id));
+          return writeJSONRPCResult(transport, id, resources.unsubscribe(uri, transport.id));
+        } catch (err) {
+          const mapped = mapError(err);
+          logger?.warn('MCP_RESOURCES_ERROR', { id, method, uri, error_code: mapped.error_code, message: mapped.message });
+          const code = mapped.error_code === "MCP_INVALID_PARAMS" || mapped.error_code === "MCP_UNKNOWN_SESSION" ? -32602 : -32000;
+          return writeJSONRPCError(transport, id, code, mapped.message || "Server error", { error_code: mapped.error_code });
+        }
+      }
+      if (method === "prompts/list") {
+        return writeJSONRPCResult(transport, id, prompts.listPrompts());
+      }
+      if (method === "prompts/get") {
+        const name = params && params.name;
+        if (!name || typeof name !== "string") {
+          return writeJSONRPCError(transport, id, -32602, "Invalid params: missing prompt name");
+        }
+        try {
+          return writeJSONRPCResult(transport, id, prompts.getPrompt(name, params.arguments));
+        } catch (err) {
+          const mapped = mapError(err);
+          logger?.warn('MCP_PROMPTS_ERROR', { id, name, error_code: mapped.error_code, message: mapped.message });
+          return writeJSONRPCError(transport, id, -32602, mapped.message || "Invalid params", { error_code: mapped.error_code });
+        }
       }
       if (method === "tools/call") {
         const name = params && (params.name || params.toolName || params.tool);
         const args = (params && (params.arguments || params.args)) || {};
         if (!name || typeof name !== "string") {
-          return writeJSONRPCError(id, -32602, "Invalid params: missing tool name");
+          return writeJSONRPCError(transport, id, -32602, "Invalid params: missing tool name");
         }
+        const { controller, context, key } = createCallContext(id, params, transport);
         try {
           logger?.info('MCP_TOOLS_CALL', { id, method: name, argsMeta: { keys: Object.keys(args||{}), hasArgs: !!args } });
-          const toolResult = await router.dispatch(name, args);
+          const toolResult = await withCancellation(router.dispatch(name, args, context), controller.signal);
           logger?.info('MCP_TOOLS_RESULT', { id, method: name, ok: true });
 
           // Convert tool result to MCP format: { content: [...], isError: false }
@@ -382,9 +481,13 @@ async function handleRequest(req) {
             isError: false
           };
 
-          return writeJSONRPCResult(id, mcpResult);
+          return writeJSONRPCResult(transport, id, mcpResult);
         } catch (err) {
           const mapped = mapError(err);
+          if (isCancelledError(err)) {
+            logger?.info('MCP_TOOLS_CANCELLED', { id, method: name });
+            return writeJSONRPCError(transport, id, -32800, mapped.message, { error_code: mapped.error_code });
+          }
           logger?.error('MCP_TOOLS_ERROR', { id, method: name, error_code: mapped.error_code, message: mapped.message });
 
           // Return error in MCP format
@@ -398,7 +501,9 @@ async function handleRequest(req) {
             isError: true
           };
 
-          return writeJSONRPCResult(id, mcpError);
+          return writeJSONRPCResult(transport, id, mcpError);
+        } finally {
+          if (inFlightCalls.get(key) === controller) inFlightCalls.delete(key);
         }
       }
 
@@ -407,7 +512,7 @@ async function handleRequest(req) {
         logger?.info('MCP_DIRECT_CALL', { id, method, hasParams: !!params });
         const data = await router.dispatch(method, params);
         logger?.info('MCP_DIRECT_RESULT', { id, method, ok: true });
-        return writeJSONRPCResult(id, { data });
+        return writeJSONRPCResult(transport, id, { data });
       } catch (err) {
         // It's a notification if id is undefined.
         const isNotification = id === undefined;
@@ -420,22 +525,34 @@ async function handleRequest(req) {
         // Standard JSON-RPC method not found if unknown
         if (!router.has(method)) {
           logger?.warn('MCP_DIRECT_UNKNOWN', { id, method });
-          return writeJSONRPCError(id, -32601, `Method not found: ${method}`);
+          return writeJSONRPCError(transport, id, -32601, `Method not found: ${method}`);
         }
         const mapped = mapError(err);
         logger?.error('MCP_DIRECT_ERROR', { id, method, error_code: mapped.error_code, message: mapped.message });
-        return writeJSONRPCError(id, -32000, mapped.message || "Server error", { error_code: mapped.error_code });
+        return writeJSONRPCError(transport, id, -32000, mapped.message || "Server error", { error_code: mapped.error_code });
       }
     } catch (err) {
-      return writeJSONRPCError(id, -32000, (err && err.message) || "Server error");
+      return writeJSONRPCError(transport, id, -32000, (err && err.message) || "Server error");
     }
   }
 
   // If we reach here, the request was not JSON-RPC 2.0; reject.
-  return writeJSONRPCError(id ?? null, -32600, "Invalid Request: JSON-RPC 2.0 required");
+  return writeJSONRPCError(transport, id ?? null, -32600, "Invalid Request: JSON-RPC 2.0 required");
 }
 
-function startServer() {
+/**
+ * Start the stdio server and, when options.http is set, the Streamable HTTP transport
+ * @param {{http?: {port?: number, token?: string}}} [options]
+ * @returns {Promise<Object>|undefined} Resolves with the HTTP listener ({ url, token, close }) when enabled
+ */
+function startServer(options = {}) {
+  // Push updates for subscribed resources to the transport that subscribed
+  transports.set(stdioTransport.id, stdioTransport);
+  resources.events.on("updated", (uri, subscriber) => {
+    const transport = transports.get(subscriber);
+    if (transport) writeJSONRPCNotification(transport, "notifications/resources/updated", { uri });
+  });
+
   // Read newline-delimited JSON from stdin
   let buffer = "";
   process.stdin.setEncoding("utf8");
@@ -457,12 +574,18 @@ function startServer() {
         // Log parse error to stderr
         logger?.error('MCP_PARSE_ERROR', { line: line.substring(0, 100), error: err.message });
         // Strict JSON-RPC 2.0: parse errors use -32700 and null id
-        writeJSONRPCError(null, -32700, "Parse error");
+        writeJSONRPCError(stdioTransport, null, -32700, "Parse error");
       }
     }
   });
 
   process.stdin.on("end", () => {
+    // HTTP clients keep the server alive without a stdio client
+    if (options.http) {
+      transports.delete(stdioTransport.id);
+      resources.removeSubscriber(stdioTransport.id);
+      return;
+    }
     // stdin closed - MCP client disconnected
     // Cleanup is handled by node-bridge.js process exit handlers
     process.exit(0);
@@ -473,6 +596,30 @@ function startServer() {
   process.on('SIGINT', () => process.exit(0));
   process.on('SIGTERM', () => process.exit(0));
 
+  if (options.http) {
+    return startHttpTransport({
+      ...options.http,
+      logger,
+      handleMessage: handleRequest,
+      onSessionOpen: (transport) => transports.set(transport.id, transport),
+      onSessionClose: (transport) => {
+        transports.delete(transport.id);
+        resources.removeSubscriber(transport.id);
+        for (const [key, controller] of inFlightCalls) {
+          if (key.startsWith(`${transport.id}:`)) controller.abort("HTTP session closed");
+        }
+      }
+    }).then((listener) => {
+      // stderr is the only place the token is shown; clients send it as "Authorization: Bearer <token>"
+      try { process.stderr.write(`MCP HTTP transport listening on ${listener.url} (bearer token: ${listener.token})\n`); } catch (_) { /* intentionally empty */ }
+      logger?.info('MCP_HTTP_LISTENING', { url: listener.url });
+      return listener;
+    }).catch((err) => {
+      logger?.error('MCP_HTTP_START_FAILED', { error: err.message });
+      try { process.stderr.write(`MCP HTTP transport failed to start: ${err.message}\n`); } catch (_) { /* intentionally empty */ }
+      process.exit(1);
+    });
+  }
 }
 
 if (require.main === module) {
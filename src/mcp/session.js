@@ -126,7 +126,7 @@ class SessionManager {
     return manifest;
   }
 
-  open({ package_path, execution = {}, timeout_ms = 0, new_attempt = false } = {}) {
+  open({ package_path, execution = {}, timeout_ms = 0, new_attempt = false, learner_id, launch_options, lms_profile } = {}) {
     const { native, type } = this.resolvePackageInfo(package_path);
 
     // Minimal validation for directories
@@ -158,6 +158,9 @@ class SessionManager {
       last_activity_at: now,
       timeout_ms: Number(timeout_ms) || 0,
       new_attempt: !!new_attempt,
+      learner_id: learner_id || null,
+      launch_options: launch_options || null,
+      lms_profile: lms_profile || null,
       workspace,
       course_screenshots_folder: courseFolder, // Shared screenshots folder per course
       artifacts_manifest_path: artifactsManifest,
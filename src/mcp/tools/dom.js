@@ -2,6 +2,10 @@
 
 const sessions = require("../session");
 const { RuntimeManager } = require("../runtime-manager");
+const { isCancelledError } = require("../cancellation");
+
+// Ids for in-page waits, so a cancelled request can stop its polling loop
+let _waitIdCounter = 0;
 
 /**
  * Click a DOM element by selector
@@ -445,7 +449,8 @@ async function scorm_dom_evaluate(params = {}) {
  * Wait for a DOM condition to be met
  * Essential for synchronizing test steps with dynamic SCORM content
  */
-async function scorm_dom_wait_for(params = {}) {
+async function scorm_dom_wait_for(params = {}, context = {}) {
+  const { signal } = context;
   const session_id = params.session_id;
   const condition = params.condition;
   const timeout_ms = params.timeout_ms || 10000;
@@ -471,13 +476,20 @@ async function scorm_dom_wait_for(params = {}) {
   }
 
   // Build wait condition script
+  const waitId = `wait-${++_waitIdCounter}`;
   const script = `
     (async () => {
       const condition = ${JSON.stringify(condition)};
       const timeout = ${timeout_ms};
+      const waitId = ${JSON.stringify(waitId)};
       const start = Date.now();
 
       while (Date.now() - start < timeout) {
+        const cancelled = window.__scormMcpCancelledWaits;
+        if (cancelled && cancelled[waitId]) {
+          delete cancelled[waitId];
+          throw new Error('Wait cancelled');
+        }
         let conditionMet = false;
 
         // Check selector exists
@@ -548,15 +560,25 @@ async function scorm_dom_wait_for(params = {}) {
     })()
   `;
 
+  // On cancellation, flag the wait so the in-page loop exits on its next poll
+  const onAbort = () => {
+    const flag = `(window.__scormMcpCancelledWaits = window.__scormMcpCancelledWaits || {})[${JSON.stringify(waitId)}] = true`;
+    RuntimeManager.executeJS(null, flag, session_id).catch(() => {});
+  };
+  if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
   try {
     sessions.emit && sessions.emit({ session_id, type: 'dom:wait_start', payload: { condition } });
-    const result = await RuntimeManager.executeJS(null, script, session_id);
+    const result = await RuntimeManager.executeJS(null, script, session_id, { signal });
     sessions.emit && sessions.emit({ session_id, type: 'dom:wait_complete', payload: { elapsed_ms: result.elapsed_ms } });
     return result;
   } catch (err) {
+    if (isCancelledError(err)) throw err;
     const e = new Error(`DOM wait failed: ${err.message}`);
     e.code = 'DOM_WAIT_FAILED';
     throw e;
+  } finally {
+    if (signal) signal.removeEventListener('abort', onAbort);
   }
 }
 
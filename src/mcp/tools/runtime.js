@@ -4,9 +4,12 @@ const path = require("path");
 const fs = require("fs");
 const ManifestParser = require("../../main/services/scorm/cam/manifest-parser");
 const sessions = require("../session");
-const { RuntimeManager, resolveEntryPathFromManifest, getManifestIdentifier } = require("../runtime-manager");
+const { RuntimeManager, resolveEntryPathFromManifest, getManifestIdentifier, getManifestSchemaVersion } = require("../runtime-manager");
 const getLogger = require('../../shared/utils/logger.js');
 const { scorm_dom_find_interactive_elements } = require('./dom');
+const { FAULT_PRESETS } = require('../../main/services/scorm/rte/fault-injector');
+const { EVALUATION_STATUS, evaluateInteraction } = require('../../shared/utils/interaction-scoring');
+const { throwIfCancelled, isCancelledError, sleep } = require('../cancellation');
 
 // Initialize logger
 const logger = getLogger(process.env.SCORM_TESTER_LOG_DIR);
@@ -43,7 +46,8 @@ function resolveViewport(vp) {
 // scorm_test_navigation_flow removed - use session + scorm_nav_next/previous/choice instead
 // scorm_debug_api_calls removed - use scorm_get_data_model_history instead
 
-async function scorm_trace_sequencing(params = {}) {
+async function scorm_trace_sequencing(params = {}, context = {}) {
+  const { signal, progress = () => {} } = context;
   const workspace = params.workspace_path ? path.resolve(params.workspace_path) : null;
   const session_id = params.session_id || null;
   if (!workspace) {
@@ -90,6 +94,7 @@ async function scorm_trace_sequencing(params = {}) {
 
     pushTrace('start', { viewport }, 'basic');
     pushTrace('manifest_resolved', { entryPath }, 'detailed');
+    progress(1, 'Parsing manifest', 4);
 
     // Derive simple sequencing summary from manifest (controlMode, item counts)
     try {
@@ -126,7 +131,11 @@ async function scorm_trace_sequencing(params = {}) {
 
     } catch (_) { /* ignore manifest parse issues for tracing */ }
 
+    throwIfCancelled(signal);
+    progress(2, 'Launching course page', 4);
     win = await RuntimeManager.openPage({ entryPath, viewport });
+    throwIfCancelled(signal);
+    progress(3, 'Initializing sequencing engine', 4);
     
     // If real adapter preload is present, initialize SN engine in main and fetch status
     try {
@@ -164,8 +173,10 @@ async function scorm_trace_sequencing(params = {}) {
     }
 
     sessions.emit && session_id && sessions.emit({ session_id, type: 'trace:sequencing_end', payload: { steps: trace.length } });
+    progress(4, 'Trace complete', 4);
     return { supported: true, entry_found: true, trace, trace_level: level, sequencing_active: true };
   } catch (error) {
+    if (isCancelledError(error)) throw error;
     const e = new Error(error?.message || String(error));
     e.code = 'TRACE_SEQUENCING_ERROR';
     if (session_id && sessions && sessions.emit) {
@@ -190,6 +201,7 @@ async function scorm_runtime_open(params = {}) {
   // Get course identifier for session persistence
   const courseId = await getManifestIdentifier(s.package_path) || 'unknown_course';
   const forceNew = !!s.new_attempt;
+  const schemaVersion = await getManifestSchemaVersion(s.package_path);
 
   sessions.emit && sessions.emit({ session_id, type: 'runtime:persistent_open_start', payload: { entryPath, viewport} });
   const win = await RuntimeManager.openPersistent({ 
@@ -198,7 +210,9 @@ async function scorm_runtime_open(params = {}) {
     viewport,
     adapterOptions: {
       courseId,
-      forceNew
+      schemaVersion,
+      forceNew,
+      learnerId: s.learner_id || undefined
     }
   });
   const finalURL = RuntimeManager.getURL(win);
@@ -709,9 +723,55 @@ async function scorm_capture_screenshot(params = {}) {
   };
 }
 
+/**
+ * Read every cmi.interactions.n entry and evaluate its learner_response
+ * against its correct_responses patterns
+ * @private
+ */
+async function evaluateRuntimeInteractions(session_id) {
+  const getValue = (element) => RuntimeManager.callAPI(null, 'GetValue', [element], session_id);
+  const count = parseInt(await getValue('cmi.interactions._count'), 10) || 0;
+  const evaluations = [];
+
+  for (let i = 0; i < count; i++) {
+    const prefix = `cmi.interactions.${i}`;
+    const patternCount = parseInt(await getValue(`${prefix}.correct_responses._count`), 10) || 0;
+    const correctResponses = [];
+    for (let j = 0; j < patternCount; j++) {
+      correctResponses.push(await getValue(`${prefix}.correct_responses.${j}.pattern`));
+    }
+    const type = await getValue(`${prefix}.type`);
+    const learner_response = await getValue(`${prefix}.learner_response`);
+    const evaluation = evaluateInteraction({
+      type,
+      learnerResponse: learner_response,
+      correctResponses,
+      result: await getValue(`${prefix}.result`)
+    });
+
+    evaluations.push({
+      index: i,
+      id: await getValue(`${prefix}.id`),
+      type,
+      learner_response,
+      correct_responses: correctResponses,
+      status: evaluation.status,
+      matched_pattern: evaluation.matchedPattern,
+      expected_result: evaluation.expectedResult,
+      reported_result: evaluation.reportedResult,
+      result_mismatch: evaluation.resultMismatch,
+      ...(evaluation.reason ? { reason: evaluation.reason } : {})
+    });
+  }
+
+  return evaluations;
+}
+
 /**
  * Trace assessment interactions with DOM actions, API calls, and data model state
- * Provides complete before/after correlation for debugging assessment issues
+ * Provides complete before/after correlation for debugging assessment issues.
+ * Afterwards every interaction's learner_response is scored against its
+ * correct_responses and results that disagree are reported as issues.
  */
 async function scorm_assessment_interaction_trace(params = {}) {
   const session_id = params.session_id;
@@ -902,7 +962,7 @@ async function scorm_assessment_interaction_trace(params = {}) {
   }
 
   // Check for incomplete interaction data
-  const interactionElements = Object.keys(steps.flatMap(s => s.data_model_changes))
+  const interactionElements = steps.flatMap(s => Object.keys(s.data_model_changes))
     .filter(el => el.startsWith('cmi.interactions.'));
 
   if (interactionElements.length > 0) {
@@ -928,14 +988,44 @@ async function scorm_assessment_interaction_trace(params = {}) {
     }
   }
 
+  // Score every interaction independently of the result the content reported
+  let interaction_evaluations = [];
+  try {
+    interaction_evaluations = await evaluateRuntimeInteractions(session_id);
+  } catch (error) {
+    logger?.warn && logger.warn('[scorm_assessment_interaction_trace] Interaction evaluation failed', { error: error.message });
+  }
+
+  for (const evaluation of interaction_evaluations) {
+    if (evaluation.result_mismatch) {
+      issues_detected.push({
+        severity: 'error',
+        type: 'result_mismatch',
+        interaction_index: evaluation.index,
+        description: `Interaction ${evaluation.index} (${evaluation.id}) reported result "${evaluation.reported_result}" but learner_response "${evaluation.learner_response}" is ${evaluation.expected_result}`,
+        recommendation: 'Check how the content scores this interaction against its correct_responses'
+      });
+    } else if (evaluation.status === EVALUATION_STATUS.INVALID) {
+      issues_detected.push({
+        severity: 'warning',
+        type: 'invalid_interaction',
+        interaction_index: evaluation.index,
+        description: `Interaction ${evaluation.index} (${evaluation.id}) could not be scored: ${evaluation.reason}`
+      });
+    }
+  }
+
   const result = {
     steps,
     issues_detected,
+    interaction_evaluations,
     summary: {
       total_actions: actions.length,
       successful_actions: steps.filter(s => !s.error).length,
       total_api_calls: allApiCalls.length,
-      data_model_elements_changed: Object.keys(steps.flatMap(s => Object.keys(s.data_model_changes))).length
+      data_model_elements_changed: Object.keys(steps.flatMap(s => Object.keys(s.data_model_changes))).length,
+      interactions_evaluated: interaction_evaluations.length,
+      result_mismatches: interaction_evaluations.filter(e => e.result_mismatch).length
     }
   };
 
@@ -1182,7 +1272,8 @@ async function scorm_compare_data_model_snapshots(params = {}) {
 /**
  * Wait for a specific SCORM API call to occur
  */
-async function scorm_wait_for_api_call(params = {}) {
+async function scorm_wait_for_api_call(params = {}, context = {}) {
+  const { signal, progress = () => {} } = context;
   const session_id = params.session_id;
   const method = params.method;
   const timeout_ms = params.timeout_ms || 5000;
@@ -1213,7 +1304,7 @@ async function scorm_wait_for_api_call(params = {}) {
   }
 
   const startTime = Date.now();
-  const initialCalls = await RuntimeManager.getCapturedCalls(null, session_id);
+  const initialCalls = await RuntimeManager.getCapturedCalls(null, session_id, { signal });
   const initialCount = initialCalls ? initialCalls.length : 0;
 
   logger?.debug && logger.debug('[scorm_wait_for_api_call] Initial state', {
@@ -1226,10 +1317,12 @@ async function scorm_wait_for_api_call(params = {}) {
   // Poll for the API call
   while (Date.now() - startTime < timeout_ms) {
     pollCount++;
-    const currentCalls = await RuntimeManager.getCapturedCalls(null, session_id);
+    throwIfCancelled(signal);
+    const currentCalls = await RuntimeManager.getCapturedCalls(null, session_id, { signal });
     const currentCount = currentCalls ? currentCalls.length : 0;
 
     if (pollCount % 10 === 0) {
+      progress(Date.now() - startTime, `Waiting for ${method}`, timeout_ms);
       logger?.debug && logger.debug('[scorm_wait_for_api_call] Polling', {
         pollCount,
         currentCount,
@@ -1275,7 +1368,7 @@ async function scorm_wait_for_api_call(params = {}) {
     }
 
     // Wait a bit before polling again
-    await new Promise(resolve => setTimeout(resolve, 100));
+    await sleep(100, signal);
   }
 
   // Timeout
@@ -1823,6 +1916,56 @@ async function scorm_set_viewport_size(params = {}) {
   }
 }
 
+/**
+ * Inject LMS faults into an open runtime session (failed commits, latency,
+ * a failing Nth SetValue, dropped persistence). With neither preset, faults
+ * nor clear the current fault state is returned.
+ */
+async function scorm_fault_injection(params = {}) {
+  const session_id = params.session_id;
+  if (!session_id || typeof session_id !== 'string') {
+    const e = new Error('session_id is required');
+    e.code = 'MCP_INVALID_PARAMS';
+    throw e;
+  }
+
+  if (params.preset != null && !Object.prototype.hasOwnProperty.call(FAULT_PRESETS, params.preset)) {
+    const e = new Error(`Unknown preset: ${params.preset}. Available: ${Object.keys(FAULT_PRESETS).join(', ')}`);
+    e.code = 'MCP_INVALID_PARAMS';
+    throw e;
+  }
+
+  const request = {};
+  if (params.clear === true) {
+    request.clear = true;
+  } else if (params.preset != null || params.faults != null) {
+    const f = params.faults || {};
+    request.faults = {
+      ...(params.preset != null ? FAULT_PRESETS[params.preset] : {}),
+      ...(f.commit_failure != null ? { commitFailure: f.commit_failure === true } : {}),
+      ...(f.latency_ms != null ? { latencyMs: Number(f.latency_ms) } : {}),
+      ...(f.fail_set_value_at != null ? { failSetValueAt: Number(f.fail_set_value_at) } : {}),
+      ...(f.drop_persistence != null ? { dropPersistence: f.drop_persistence === true } : {})
+    };
+  }
+
+  const result = await RuntimeManager.faultInjection(session_id, request);
+  const state = result?.faults?.[session_id] || null;
+
+  return {
+    session_id,
+    faults: state ? {
+      active: state.active,
+      commit_failure: state.commitFailure,
+      latency_ms: state.latencyMs,
+      fail_set_value_at: state.failSetValueAt,
+      drop_persistence: state.dropPersistence,
+      set_value_count: state.setValueCount,
+      injected_count: state.injectedCount
+    } : null
+  };
+}
+
 module.exports = {
   scorm_runtime_open,
   scorm_runtime_status,
@@ -1855,12 +1998,14 @@ module.exports = {
   scorm_get_page_state,
   scorm_get_slide_map,
   scorm_navigate_to_slide,
-  scorm_set_viewport_size
+  scorm_set_viewport_size,
+  scorm_fault_injection
 };
 
 /**
  * Get network requests made by SCORM content
- * Returns all HTTP requests captured during content execution
+ * Returns all HTTP requests captured during content execution, including the
+ * ones the network policy blocked (flagged with `blocked: true`)
  */
 async function scorm_get_network_requests(params = {}) {
   const session_id = params.session_id;
@@ -1870,6 +2015,7 @@ async function scorm_get_network_requests(params = {}) {
     since_ts: options.since_ts || null,
     max_count: options.max_count || null
   };
+  if (typeof options.blocked === 'boolean') filterOptions.blocked = options.blocked;
 
   if (!session_id || typeof session_id !== 'string') {
     const e = new Error('session_id is required');
@@ -1885,7 +2031,7 @@ async function scorm_get_network_requests(params = {}) {
     throw e;
   }
 
-  const requests = RuntimeManager.getNetworkRequests(session_id, filterOptions) || [];
+  const requests = (await RuntimeManager.getNetworkRequests(session_id, filterOptions)) || [];
 
   return {
     session_id,
@@ -1,6 +1,58 @@
 "use strict";
 
 const sessions = require("../session");
+const { parseAllowlist } = require("../network-policy");
+const { normalizeLaunchOptions } = require("../../shared/utils/launch-options");
+const { throwIfCancelled, isCancelledError } = require("../cancellation");
+
+const LEARNER_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+/**
+ * Validate the learner and attempt a course is opened for
+ * @param {string|undefined} learner_id - Learner identifier
+ * @param {number|string|undefined} attempt - Attempt number or "new"
+ */
+function validateLearnerAttempt(learner_id, attempt) {
+  if (learner_id !== undefined && (typeof learner_id !== 'string' || !LEARNER_ID_PATTERN.test(learner_id))) {
+    const e = new Error('learner_id must be 1-64 letters, digits, "-" or "_"');
+    e.code = 'MCP_INVALID_PARAMS';
+    throw e;
+  }
+  if (attempt !== undefined && attempt !== 'new' && !(Number.isInteger(attempt) && attempt > 0)) {
+    const e = new Error('attempt must be a positive integer or "new"');
+    e.code = 'MCP_INVALID_PARAMS';
+    throw e;
+  }
+}
+
+/**
+ * Convert the launch_options parameter to ScormService launch options
+ * @param {Object|undefined} launch_options - { learner_id, learner_name, learner_preference, launch_data, mode }
+ * @returns {Object|undefined} Normalized launch options
+ */
+function toLaunchOptions(launch_options) {
+  if (launch_options === undefined || launch_options === null) {
+    return undefined;
+  }
+  if (typeof launch_options !== 'object' || Array.isArray(launch_options)) {
+    const e = new Error('launch_options must be an object');
+    e.code = 'MCP_INVALID_PARAMS';
+    throw e;
+  }
+  try {
+    return normalizeLaunchOptions({
+      learnerId: launch_options.learner_id,
+      learnerName: launch_options.learner_name,
+      preferences: launch_options.learner_preference,
+      launchData: launch_options.launch_data,
+      mode: launch_options.mode
+    });
+  } catch (err) {
+    const e = new Error(`Invalid launch_options: ${err.message}`);
+    e.code = 'MCP_INVALID_PARAMS';
+    throw e;
+  }
+}
 
 /**
  * Unified course open: Creates workspace + opens runtime + auto-initializes
@@ -9,21 +61,49 @@ const sessions = require("../session");
  * @param {Object} params.viewport - Viewport dimensions (width, height)
  * @param {number} params.timeout_ms - Optional timeout in milliseconds
  * @param {boolean} params.new_attempt - If true, skip JSON loading (hard reset)
+ * @param {string[]} params.network_allowlist - Origins/hosts the content may reach while network access is blocked
+ * @param {string} params.learner_id - Learner to run as; each learner has its own saved attempts (default learner when omitted)
+ * @param {number|string} params.attempt - Attempt number to resume, or "new" to start another attempt (latest when omitted)
+ * @param {Object} params.launch_options - cmi.learner_id/learner_name, learner_preference, launch_data and mode reported to the content
+ * @param {string} params.lms_profile - Id of the LMS profile the runtime emulates (built-in or loaded from the profiles directory)
+ * @param {Object} [context] - Router context: progress(value, message, total) reports launch stages; signal cancels the open
  */
-async function scorm_open_course(params) {
-  const { package_path, viewport, timeout_ms, new_attempt } = params || {};
+async function scorm_open_course(params, context = {}) {
+  const { package_path, viewport, timeout_ms, new_attempt, network_allowlist, learner_id, attempt, lms_profile } = params || {};
+  const { signal, progress = () => {} } = context;
+  validateLearnerAttempt(learner_id, attempt);
+  if (lms_profile !== undefined && (typeof lms_profile !== 'string' || !lms_profile)) {
+    const e = new Error('lms_profile must be a profile id');
+    e.code = 'MCP_INVALID_PARAMS';
+    throw e;
+  }
+  const launchOptions = toLaunchOptions(params?.launch_options);
+
+  // Validate the allowlist before creating anything
+  try {
+    parseAllowlist(network_allowlist);
+  } catch (err) {
+    const e = new Error(`Invalid network_allowlist: ${err.message}`);
+    e.code = 'MCP_INVALID_PARAMS';
+    throw e;
+  }
   
   // Step 1: Create workspace
   // Pass new_attempt flag to session manager so it can be retrieved later
+  throwIfCancelled(signal);
+  progress(1, 'Preparing course workspace', 4);
   const sessionResult = await sessions.open({ 
     package_path, 
     timeout_ms,
-    new_attempt: !!new_attempt // Store flag for startup phase
+    new_attempt: !!new_attempt, // Store flag for startup phase
+    learner_id,
+    launch_options: params?.launch_options,
+    lms_profile
   });
   const { session_id } = sessionResult;
   
   // Step 2: Resolve entry path and course ID from manifest
-  const { RuntimeManager, resolveEntryPathFromManifest, getManifestIdentifier } = require('../runtime-manager');
+  const { RuntimeManager, resolveEntryPathFromManifest, getManifestIdentifier, getManifestSchemaVersion } = require('../runtime-manager');
   const s = sessions.sessions.get(session_id);
   if (!s) {
     const e = new Error(`Session ${session_id} not found after creation`);
@@ -31,32 +111,60 @@ async function scorm_open_course(params) {
     throw e;
   }
   
-  const entryPath = await resolveEntryPathFromManifest(s.package_path);
-  if (!entryPath) {
-    const e = new Error('No launchable entry found via CAM');
-    e.code = 'MANIFEST_LAUNCH_NOT_FOUND';
-    throw e;
-  }
-  
-  const courseId = await getManifestIdentifier(s.package_path) || 'unknown_course';
-  const forceNew = !!s.new_attempt; // Retrieved from session created in Step 1
-  
-  // Step 3: Open runtime (loads course and auto-initializes)
-  // forceNew flag skips JSON loading in ScormService.initializeSession()
-  await RuntimeManager.openPersistent({ 
-    session_id, 
-    entryPath,
-    viewport: viewport || { width: 1024, height: 768 },
-    adapterOptions: {
-      courseId,
-      forceNew // This flag causes ScormService to skip JSON loading (hard reset)
+  let status;
+  try {
+    throwIfCancelled(signal);
+    progress(2, 'Parsing manifest', 4);
+    const entryPath = await resolveEntryPathFromManifest(s.package_path);
+    if (!entryPath) {
+      const e = new Error('No launchable entry found via CAM');
+      e.code = 'MANIFEST_LAUNCH_NOT_FOUND';
+      throw e;
     }
-  });
+    
+    const courseId = await getManifestIdentifier(s.package_path) || 'unknown_course';
+    const forceNew = !!s.new_attempt; // Retrieved from session created in Step 1
+    const schemaVersion = await getManifestSchemaVersion(s.package_path);
+    
+    // Step 3: Open runtime (loads course and auto-initializes)
+    // forceNew flag skips JSON loading in ScormService.initializeSession()
+    // The open itself is not interrupted, so a cancelled launch is closed below rather than left half-open
+    throwIfCancelled(signal);
+    progress(3, 'Launching course runtime', 4);
+    await RuntimeManager.openPersistent({ 
+      session_id, 
+      entryPath,
+      viewport: viewport || { width: 1024, height: 768 },
+      adapterOptions: {
+        courseId,
+        schemaVersion,
+        forceNew, // This flag causes ScormService to skip JSON loading (hard reset)
+        learnerId: learner_id,
+        attempt,
+        launchOptions,
+        lmsProfile: lms_profile
+      },
+      network: { allowlist: network_allowlist || [] }
+    });
+    throwIfCancelled(signal);
+
+    // ScormService resolves the actual attempt number (latest or newly started)
+    status = await RuntimeManager.getRuntimeStatus(session_id);
+    progress(4, 'Course initialized', 4);
+  } catch (err) {
+    if (isCancelledError(err)) {
+      try { await sessions.close({ session_id }); } catch (_) { /* intentionally empty */ }
+    }
+    throw err;
+  }
   
   return {
     session_id,
     workspace: sessionResult.workspace,
-    artifacts_manifest_path: sessionResult.artifacts_manifest_path
+    artifacts_manifest_path: sessionResult.artifacts_manifest_path,
+    learner_id: status?.learner_id || learner_id || 'default',
+    attempt: status?.attempt ?? null,
+    scorm_version: status?.scorm_version || null
   };
 }
 
@@ -87,9 +195,10 @@ async function scorm_close_course(params) {
  * @param {string} params.package_path - Path to SCORM package (for restart)
  * @param {Object} params.viewport - Viewport dimensions (optional)
  * @param {boolean} params.force_new - If true, skip JSON loading (hard reset without deletion)
+ * @param {string[]} params.network_allowlist - Network allowlist for the reopened runtime (optional)
  */
-async function scorm_reload_course(params) {
-  const { session_id, package_path, viewport, force_new } = params || {};
+async function scorm_reload_course(params, context = {}) {
+  const { session_id, package_path, viewport, force_new, network_allowlist } = params || {};
   
   if (!session_id) {
     const e = new Error('session_id required for reload');
@@ -103,6 +212,9 @@ async function scorm_reload_course(params) {
     throw e;
   }
   
+  // The reopened course keeps the learner, its launch options, LMS profile (and, through ScormService, the attempt)
+  const { learner_id, launch_options, lms_profile } = sessions.sessions.get(session_id) || {};
+
   // PHASE 1: Unified shutdown
   // This is IDENTICAL to close - uses ScormService.terminate() path
   // Saves data model to JSON for resume (unless force_new is set in Phase 2)
@@ -115,8 +227,12 @@ async function scorm_reload_course(params) {
   return scorm_open_course({ 
     package_path, 
     viewport,
-    new_attempt: !!force_new
-  });
+    new_attempt: !!force_new,
+    network_allowlist,
+    learner_id,
+    launch_options: launch_options || undefined,
+    lms_profile: lms_profile || undefined
+  }, context);
 }
 
 /**
@@ -184,6 +300,76 @@ async function scorm_clear_saved_data(params) {
   };
 }
 
+/**
+ * Import session state and relaunch the course resumed from it
+ *
+ * The state (an exported session bundle, a saved session file or a map of
+ * cmi.* values) is saved as a new attempt for the session's learner; the
+ * course is then closed and reopened on that attempt with cmi.entry='resume'.
+ *
+ * @param {Object} params - Import parameters
+ * @param {string} params.session_id - Open course session
+ * @param {Object} params.bundle - Session state to import
+ * @param {string} params.bundle_path - JSON file holding the session state (instead of bundle)
+ */
+async function scorm_import_session_state(params) {
+  const { session_id, bundle, bundle_path } = params || {};
+
+  if (!session_id || typeof session_id !== 'string') {
+    const e = new Error('session_id is required');
+    e.code = 'MCP_INVALID_PARAMS';
+    throw e;
+  }
+  if ((bundle === undefined) === (bundle_path === undefined)) {
+    const e = new Error('Provide exactly one of bundle or bundle_path');
+    e.code = 'MCP_INVALID_PARAMS';
+    throw e;
+  }
+  const s = sessions.sessions.get(session_id);
+  if (!s) {
+    const e = new Error(`Unknown session: ${session_id}`);
+    e.code = 'MCP_UNKNOWN_SESSION';
+    throw e;
+  }
+
+  let state = bundle;
+  if (bundle_path !== undefined) {
+    const fs = require('fs');
+    try {
+      state = fs.readFileSync(bundle_path, 'utf8');
+    } catch (err) {
+      const e = new Error(`Cannot read bundle_path: ${err.message}`);
+      e.code = 'MCP_INVALID_PARAMS';
+      throw e;
+    }
+  }
+
+  const { RuntimeManager, getManifestIdentifier } = require('../runtime-manager');
+  const courseId = await getManifestIdentifier(s.package_path) || 'unknown_course';
+  const imported = await RuntimeManager.importSessionState({
+    course_id: courseId,
+    learner_id: s.learner_id,
+    bundle: state
+  });
+
+  // Relaunch on the imported attempt; closing first persists the current attempt as usual
+  const { package_path, learner_id, launch_options, lms_profile } = s;
+  await scorm_close_course({ session_id });
+  const reopened = await scorm_open_course({
+    package_path,
+    learner_id,
+    attempt: imported.attempt,
+    launch_options: launch_options || undefined,
+    lms_profile: lms_profile || undefined
+  });
+
+  return {
+    ...reopened,
+    course_id: courseId,
+    rejected: imported.rejected || []
+  };
+}
+
 /**
  * Get course status (wrapper for session status)
  */
@@ -214,6 +400,7 @@ module.exports = {
   scorm_close_course,
   scorm_reload_course,
   scorm_clear_saved_data,
+  scorm_import_session_state,
   scorm_course_status,
   
   // Legacy (deprecated but kept for compatibility)
@@ -222,6 +222,7 @@ const electronAPI = {
 
   // Diagnostic Notifications
   onScormDiagnosticNotification: (callback) => safeOn('scorm:diagnostic-notification', callback),
+  onScormFaultInjection: (callback) => safeOn('scorm:fault-injection', callback),
 
   // App Info
   getAppVersion: () => safeInvoke('get-app-version'),
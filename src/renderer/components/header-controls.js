@@ -35,6 +35,7 @@ class HeaderControls extends BaseComponent {
         <button class="btn btn--secondary btn--sm" id="hc-open-folder" title="Open Folder">Open Folder</button>
         <button class="btn btn--secondary btn--sm" id="course-reload-btn" title="Reload Current Course" disabled>Reload</button>
         <button class="btn btn--secondary btn--sm" id="hc-close-course" title="Close Course" disabled>Close</button>
+        <button class="btn btn--secondary btn--sm" id="hc-launch-config" title="Learner, preferences, launch data and mode for this course" disabled>Launch…</button>
         <button class="btn btn--secondary btn--sm" id="hc-inspector" title="Toggle Inspector">Inspector</button>
         <button class="btn btn--secondary btn--sm" id="hc-mobile-toggle" title="Toggle Mobile View">📱 Mobile</button>
       </div>
@@ -42,6 +43,7 @@ class HeaderControls extends BaseComponent {
 
     this.reloadBtn = this.element.querySelector('#course-reload-btn');
     this.closeBtn = this.element.querySelector('#hc-close-course');
+    this.launchConfigBtn = this.element.querySelector('#hc-launch-config');
     this.mobileToggleBtn = this.element.querySelector('#hc-mobile-toggle');
   }
 
@@ -74,6 +76,10 @@ class HeaderControls extends BaseComponent {
           try { rendererLogger.info('HeaderControls: emit course:close:request'); } catch (_) { /* intentionally empty */ }
           this.eventBus.emit('course:close:request');
           break;
+        case 'hc-launch-config':
+          try { rendererLogger.info('HeaderControls: emit launch-config:open-request'); } catch (_) { /* intentionally empty */ }
+          this.eventBus.emit('launch-config:open-request');
+          break;
         case 'hc-inspector':
           this.eventBus.emit('ui:inspector:toggle-request');
           break;
@@ -90,11 +96,13 @@ class HeaderControls extends BaseComponent {
     this.subscribe('course:loaded', () => {
       if (this.reloadBtn) this.reloadBtn.disabled = false;
       if (this.closeBtn) this.closeBtn.disabled = false;
+      if (this.launchConfigBtn) this.launchConfigBtn.disabled = false;
     });
 
     this.subscribe('course:cleared', () => {
       if (this.reloadBtn) this.reloadBtn.disabled = true;
       if (this.closeBtn) this.closeBtn.disabled = true;
+      if (this.launchConfigBtn) this.launchConfigBtn.disabled = true;
     });
   }
 }
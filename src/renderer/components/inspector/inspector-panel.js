@@ -1226,6 +1226,14 @@ class InspectorPanel extends BaseComponent {
   renderSnState() {
     const el = this.tabEls?.sn; if (!el) return;
     const sn = this.state.sn || {};
+    const events = Array.isArray(sn.sequencingEvents) ? sn.sequencingEvents : [];
+    const refusal = [...events].reverse().find(e => e?.type === 'limit-exceeded');
+    const refusalHtml = refusal ? `
+          <div class="sn-limit-refusal" role="alert">
+            <strong>Launch refused: limit exceeded</strong>
+            <div>${this._esc(refusal.deliveryActivityId || refusal.activityId)}${refusal.navigationRequest ? ` (${this._esc(refusal.navigationRequest)})` : ''} - ${this._esc(refusal.reason)}</div>
+            <div class="sn-limit-refusal__time">${this._esc(refusal.timestamp || '')}</div>
+          </div>` : '';
 
     const { html, controlsHtml, setup } = /** @type {JsonViewerResult} */ (createJsonViewer(sn, {
       showControls: true,
@@ -1242,6 +1250,7 @@ class InspectorPanel extends BaseComponent {
           ${controlsHtml}
         </div>
         <div class="tab-section__content">
+          ${refusalHtml}
           ${html}
         </div>
       </div>`;
@@ -1258,11 +1267,12 @@ class InspectorPanel extends BaseComponent {
       const id = this._esc(String(b?.id || b?.name || 'bucket'));
       const used = this._esc(String(b?.used || b?.usage || ''));
       const size = this._esc(String(b?.size || b?.maxSize || ''));
-      return `<tr><td>${id}</td><td>${used}</td><td>${size}</td></tr>`;
+      const scope = this._esc(String(b?.persistence || ''));
+      return `<tr><td>${id}</td><td>${used}</td><td>${size}</td><td>${scope}</td></tr>`;
     };
     el.innerHTML = `<div class="tab-section"><h4>SSP Buckets</h4>
-      <table class="kv"><thead><tr><th>Bucket</th><th>Used</th><th>Size</th></tr></thead>
-      <tbody>${rows.slice(0,200).map(renderRow).join('') || '<tr><td colspan="3"><em>No SSP data</em></td></tr>'}</tbody></table></div>`;
+      <table class="kv"><thead><tr><th>Bucket</th><th>Used</th><th>Size</th><th>Scope</th></tr></thead>
+      <tbody>${rows.slice(0,200).map(renderRow).join('') || '<tr><td colspan="4"><em>No SSP data</em></td></tr>'}</tbody></table></div>`;
   }
 
   _esc(value) {
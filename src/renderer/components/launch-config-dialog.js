@@ -0,0 +1,270 @@
+// @ts-check
+
+/**
+ * Launch Configuration Dialog
+ *
+ * Modal opened from the header's Launch button. Edits the loaded course's
+ * launch preset: learner id/name, learner preferences, launch data and mode
+ * reported to the content. Presets are kept per course in the UI settings
+ * and applied by the main process whenever the course launches; "Save &
+ * Relaunch" emits 'course:reload:request' so the new values take effect.
+ *
+ * @fileoverview Per-course launch configuration
+ */
+
+import { BaseComponent } from './base-component.js';
+import { rendererLogger } from '../utils/renderer-logger.js';
+import { escapeHTML } from '../utils/escape.js';
+
+const TEXT_FIELDS = [
+  { id: 'lc-learner-id', key: 'learnerId', label: 'Learner ID', hint: 'cmi.learner_id' },
+  { id: 'lc-learner-name', key: 'learnerName', label: 'Learner Name', hint: 'cmi.learner_name' }
+];
+
+const PREFERENCE_FIELDS = [
+  { id: 'lc-language', key: 'language', label: 'Language', hint: 'e.g. en, fr-CA' },
+  { id: 'lc-audio-level', key: 'audio_level', label: 'Audio Level', hint: '1 = normal' },
+  { id: 'lc-delivery-speed', key: 'delivery_speed', label: 'Delivery Speed', hint: '1 = normal' }
+];
+
+class LaunchConfigDialog extends BaseComponent {
+  constructor(elementId, options = {}) {
+    super(elementId, options);
+    /** @type {string|null} */
+    this.courseId = null;
+    this.courseTitle = '';
+    /** @type {any} */
+    this.preset = {};
+    this._dialogVisible = false;
+    this.saving = false;
+  }
+
+  getDefaultOptions() {
+    return {
+      ...super.getDefaultOptions(),
+      className: 'launch-config-dialog',
+      attributes: {
+        'data-component': 'launch-config-dialog',
+        role: 'dialog',
+        'aria-modal': 'true',
+        'aria-labelledby': 'launch-config-title'
+      }
+    };
+  }
+
+  async invoke(/** @type {string} */ channel, /** @type {any} */ payload = {}) {
+    const { ipcClient } = await import('../services/ipc-client.js');
+    return ipcClient.invoke(channel, payload);
+  }
+
+  renderContent() {
+    if (!this._dialogVisible) {
+      this.element.style.display = 'none';
+      this.element.innerHTML = '';
+      return;
+    }
+    this.element.style.display = 'flex';
+
+    const preferences = this.preset.preferences || {};
+    const input = (/** @type {any} */ field, /** @type {string} */ value) => `
+      <div class="form-group">
+        <label class="form-label form-label--small" for="${field.id}">${field.label}</label>
+        <input class="form-control form-control--sm" id="${field.id}" value="${escapeHTML(value || '')}" placeholder="${escapeHTML(field.hint)}">
+      </div>
+    `;
+    const option = (/** @type {string} */ value, /** @type {string} */ label, /** @type {string} */ current) =>
+      `<option value="${value}" ${value === current ? 'selected' : ''}>${label}</option>`;
+
+    this.element.innerHTML = `
+      <div class="launch-config-dialog__overlay"></div>
+      <div class="launch-config-dialog__content">
+        <div class="launch-config-dialog__header">
+          <h2 id="launch-config-title" class="launch-config-dialog__title">Launch Configuration</h2>
+          <div class="launch-config-dialog__course">${escapeHTML(this.courseTitle)}</div>
+        </div>
+        <div class="launch-config-dialog__body">
+          <p class="launch-config-dialog__note">Blank fields keep the learner profile's values.</p>
+          <div class="launch-config-dialog__grid">
+            ${TEXT_FIELDS.map(field => input(field, this.preset[field.key])).join('')}
+            ${PREFERENCE_FIELDS.map(field => input(field, preferences[field.key])).join('')}
+            <div class="form-group">
+              <label class="form-label form-label--small" for="lc-audio-captioning">Audio Captioning</label>
+              <select class="form-control form-control--sm" id="lc-audio-captioning">
+                ${option('', 'Profile default', preferences.audio_captioning || '')}
+                ${option('-1', 'Off (-1)', preferences.audio_captioning || '')}
+                ${option('0', 'No change (0)', preferences.audio_captioning || '')}
+                ${option('1', 'On (1)', preferences.audio_captioning || '')}
+              </select>
+            </div>
+            <div class="form-group">
+              <label class="form-label form-label--small" for="lc-mode">Mode (cmi.mode)</label>
+              <select class="form-control form-control--sm" id="lc-mode">
+                ${option('', 'Normal', this.preset.mode || '')}
+                ${option('review', 'Review', this.preset.mode || '')}
+                ${option('browse', 'Browse', this.preset.mode || '')}
+              </select>
+            </div>
+          </div>
+          <div class="form-group">
+            <label class="form-label form-label--small" for="lc-launch-data">Launch Data (cmi.launch_data)</label>
+            <textarea class="form-control form-control--sm launch-config-dialog__launch-data" id="lc-launch-data" rows="3">${escapeHTML(this.preset.launchData || '')}</textarea>
+          </div>
+        </div>
+        <div class="launch-config-dialog__footer">
+          <button class="btn btn--secondary btn--sm" id="lc-clear" ${this.saving ? 'disabled' : ''}>Clear</button>
+          <button class="btn btn--secondary btn--sm" id="lc-cancel">Cancel</button>
+          <button class="btn btn--secondary btn--sm" id="lc-save" ${this.saving ? 'disabled' : ''}>Save</button>
+          <button class="btn btn--primary btn--sm" id="lc-save-relaunch" ${this.saving ? 'disabled' : ''}>Save &amp; Relaunch</button>
+        </div>
+      </div>
+    `;
+  }
+
+  bindEvents() {
+    super.bindEvents();
+
+    if (this._launchConfigEventsBound) return;
+    this._launchConfigEventsBound = true;
+
+    this.addEventListener('click', function onLaunchConfigClick(event) {
+      if (event.target && event.target.classList && event.target.classList.contains('launch-config-dialog__overlay')) {
+        this.close();
+        return;
+      }
+      const target = event.target && event.target.closest ? event.target.closest('button') : null;
+      if (!target || !this.element.contains(target)) return;
+
+      switch (target.id) {
+        case 'lc-cancel':
+          this.close();
+          break;
+        case 'lc-clear':
+          this.save({}, false);
+          break;
+        case 'lc-save':
+          this.save(this.readForm(), false);
+          break;
+        case 'lc-save-relaunch':
+          this.save(this.readForm(), true);
+          break;
+      }
+    });
+
+    this.addEventListener('keydown', function onLaunchConfigKeydown(event) {
+      if (event.key === 'Escape') {
+        this.close();
+      }
+    });
+  }
+
+  setupEventSubscriptions() {
+    this.subscribe('launch-config:open-request', () => {
+      this.open().catch(error => {
+        try { rendererLogger.error('LaunchConfigDialog: failed to open', error?.message || error); } catch (_) { /* intentionally empty */ }
+      });
+    });
+
+    this.subscribe('course:cleared', () => {
+      this.close();
+    });
+  }
+
+  /**
+   * Show the dialog with the loaded course's saved preset
+   */
+  async open() {
+    const courseInfo = this.uiState?.getState('courseInfo');
+    if (!courseInfo || !courseInfo.identifier) {
+      this.showError('Launch Configuration', 'Load a course first; launch presets are saved per course.');
+      return;
+    }
+
+    const result = await this.invoke('ui-settings:get');
+    this.courseId = courseInfo.identifier;
+    this.courseTitle = courseInfo.title || courseInfo.identifier;
+    this.preset = (result && result.success && result.settings?.launchPresets?.[courseInfo.identifier]) || {};
+    this._dialogVisible = true;
+    this.render();
+
+    const first = /** @type {HTMLElement|null} */ (this.element.querySelector('#lc-learner-id'));
+    if (first) first.focus();
+  }
+
+  close() {
+    if (!this._dialogVisible) return;
+    this._dialogVisible = false;
+    this.render();
+  }
+
+  /**
+   * Collect the form values; blank fields are left out
+   * @returns {any} Launch options
+   */
+  readForm() {
+    const value = (/** @type {string} */ id) => {
+      const el = /** @type {HTMLInputElement|null} */ (this.element.querySelector(`#${id}`));
+      return el ? el.value.trim() : '';
+    };
+    /** @type {any} */
+    const preset = {};
+    for (const field of TEXT_FIELDS) {
+      if (value(field.id)) preset[field.key] = value(field.id);
+    }
+    /** @type {any} */
+    const preferences = {};
+    for (const field of PREFERENCE_FIELDS) {
+      if (value(field.id)) preferences[field.key] = value(field.id);
+    }
+    if (value('lc-audio-captioning')) preferences.audio_captioning = value('lc-audio-captioning');
+    if (Object.keys(preferences).length > 0) preset.preferences = preferences;
+
+    // Launch data is passed verbatim, whitespace included
+    const launchData = /** @type {HTMLTextAreaElement|null} */ (this.element.querySelector('#lc-launch-data'));
+    if (launchData && launchData.value) preset.launchData = launchData.value;
+    if (value('lc-mode')) preset.mode = value('lc-mode');
+    return preset;
+  }
+
+  /**
+   * Store the preset for the course, optionally relaunching it
+   * @param {any} preset - Launch options ({} removes the preset)
+   * @param {boolean} relaunch - Restart the course with the new values
+   */
+  async save(preset, relaunch) {
+    if (!this.courseId) return;
+    this.saving = true;
+    this.render();
+    try {
+      const courseId = this.courseId;
+      const result = await this.invoke('ui-settings:set', {
+        launchPresets: { [courseId]: Object.keys(preset).length > 0 ? preset : null }
+      });
+      if (!result || !result.success) {
+        this.saving = false;
+        this.render();
+        this.showError('Launch Configuration Not Saved', result?.message || result?.error || 'Unknown error');
+        return;
+      }
+      this.saving = false;
+      this.close();
+      this.uiState?.showNotification({
+        type: 'success',
+        message: relaunch ? 'Launch configuration saved; relaunching course' : 'Launch configuration saved; used from the next launch'
+      });
+      if (relaunch) {
+        try { rendererLogger.info('LaunchConfigDialog: emit course:reload:request', { courseId }); } catch (_) { /* intentionally empty */ }
+        this.eventBus.emit('course:reload:request', {});
+      }
+    } catch (error) {
+      this.saving = false;
+      this.render();
+      try { rendererLogger.error('LaunchConfigDialog: failed to save preset', error?.message || error); } catch (_) { /* intentionally empty */ }
+    }
+  }
+
+  showError(/** @type {string} */ title, /** @type {string} */ message) {
+    this.uiState?.showNotification({ type: 'error', message: title, details: message });
+  }
+}
+
+export { LaunchConfigDialog };
@@ -0,0 +1,230 @@
+// @ts-check
+
+/**
+ * Learner Switcher Component
+ *
+ * Header control for the learner new sessions run as and for the loaded
+ * course's attempt history. Switching learner or choosing an attempt emits
+ * 'course:reload:request'; AppManager restarts the course with that choice.
+ *
+ * @fileoverview Learner profile and attempt selection
+ */
+
+import { BaseComponent } from './base-component.js';
+import { rendererLogger } from '../utils/renderer-logger.js';
+import { escapeHTML } from '../utils/escape.js';
+
+class LearnerSwitcher extends BaseComponent {
+  constructor(elementId, options = {}) {
+    super(elementId, options);
+    /** @type {Array<{id: string, name: string}>} */
+    this.learners = [];
+    this.activeLearnerId = 'default';
+    /** @type {Array<any>} */
+    this.attempts = [];
+    /** @type {number|null} */
+    this.currentAttempt = null;
+    this.courseLoaded = false;
+    this.addingLearner = false;
+  }
+
+  getDefaultOptions() {
+    return {
+      ...super.getDefaultOptions(),
+      className: 'learner-switcher',
+      attributes: { 'data-component': 'learner-switcher' }
+    };
+  }
+
+  async setup() {
+    await this.refreshLearners();
+  }
+
+  async invoke(/** @type {string} */ channel, /** @type {any} */ payload = {}) {
+    const { ipcClient } = await import('../services/ipc-client.js');
+    return ipcClient.invoke(channel, payload);
+  }
+
+  renderContent() {
+    const learnerOptions = this.learners.map(learner => `
+      <option value="${escapeHTML(learner.id)}" ${learner.id === this.activeLearnerId ? 'selected' : ''}>${escapeHTML(learner.name)}</option>
+    `).join('');
+
+    const attemptNumbers = this.attempts.map(a => a.attempt);
+    if (this.currentAttempt && !attemptNumbers.includes(this.currentAttempt)) {
+      attemptNumbers.push(this.currentAttempt);
+    }
+    const attemptOptions = attemptNumbers.sort((a, b) => a - b).map(number => {
+      const attempt = this.attempts.find(a => a.attempt === number);
+      const details = attempt
+        ? `${attempt.completionStatus}${attempt.suspended ? ', suspended' : ''}`
+        : 'not saved yet';
+      const current = number === this.currentAttempt ? ' (current)' : '';
+      return `<option value="${number}" ${number === this.currentAttempt ? 'selected' : ''}>Attempt ${number}: ${escapeHTML(details)}${current}</option>`;
+    }).join('');
+    const noCourse = !this.courseLoaded;
+
+    this.element.innerHTML = `
+      <div class="learner-switcher__group">
+        <select class="form-control form-control--sm learner-switcher__select" id="ls-learner" title="Learner new sessions run as">
+          ${learnerOptions}
+        </select>
+        <input class="form-control form-control--sm learner-switcher__input" id="ls-new-learner" placeholder="New learner name" ${this.addingLearner ? '' : 'hidden'}>
+        <button class="btn btn--secondary btn--sm" id="ls-add-learner" title="${this.addingLearner ? 'Save learner' : 'Add learner'}">${this.addingLearner ? 'Save' : '+ Learner'}</button>
+        <select class="form-control form-control--sm learner-switcher__select" id="ls-attempt" title="Attempts of the loaded course" ${noCourse ? 'disabled' : ''}>
+          ${attemptOptions}
+        </select>
+        <button class="btn btn--secondary btn--sm" id="ls-resume-attempt" title="Restart the course on the selected attempt" ${noCourse || !attemptOptions ? 'disabled' : ''}>Resume</button>
+        <button class="btn btn--secondary btn--sm" id="ls-new-attempt" title="Start a new attempt for this learner" ${noCourse ? 'disabled' : ''}>New Attempt</button>
+      </div>
+    `;
+  }
+
+  bindEvents() {
+    super.bindEvents();
+
+    if (this._learnerEventsBound) return;
+    this._learnerEventsBound = true;
+
+    this.addEventListener('change', function onLearnerChange(event) {
+      if (event.target && event.target.id === 'ls-learner') {
+        this.selectLearner(event.target.value).catch(error => {
+          try { rendererLogger.error('LearnerSwitcher: failed to switch learner', error?.message || error); } catch (_) { /* intentionally empty */ }
+        });
+      }
+    });
+
+    this.addEventListener('keydown', function onLearnerKeydown(event) {
+      if (event.target && event.target.id === 'ls-new-learner' && event.key === 'Enter') {
+        this.addLearner(event.target.value);
+      }
+    });
+
+    this.addEventListener('click', function onLearnerClick(event) {
+      const target = event.target && event.target.closest ? event.target.closest('button') : null;
+      if (!target || !this.element.contains(target)) return;
+
+      switch (target.id) {
+        case 'ls-add-learner':
+          if (this.addingLearner) {
+            const input = this.element.querySelector('#ls-new-learner');
+            this.addLearner(input ? input.value : '');
+          } else {
+            this.addingLearner = true;
+            this.render();
+            const input = this.element.querySelector('#ls-new-learner');
+            if (input) input.focus();
+          }
+          break;
+        case 'ls-resume-attempt': {
+          const select = this.element.querySelector('#ls-attempt');
+          const attempt = select ? Number(select.value) : NaN;
+          if (Number.isInteger(attempt) && attempt > 0) {
+            try { rendererLogger.info('LearnerSwitcher: emit course:reload:request', { attempt }); } catch (_) { /* intentionally empty */ }
+            this.eventBus.emit('course:reload:request', { attempt });
+          }
+          break;
+        }
+        case 'ls-new-attempt':
+          try { rendererLogger.info('LearnerSwitcher: emit course:reload:request', { attempt: 'new' }); } catch (_) { /* intentionally empty */ }
+          this.eventBus.emit('course:reload:request', { attempt: 'new' });
+          break;
+      }
+    });
+  }
+
+  setupEventSubscriptions() {
+    this.subscribe('course:loaded', () => {
+      this.courseLoaded = true;
+      this.render();
+    });
+
+    // The session (and with it the attempt) exists once content starts loading
+    this.subscribe('content:load:ready', () => {
+      this.refreshAttempts();
+    });
+
+    this.subscribe('course:cleared', () => {
+      this.courseLoaded = false;
+      this.attempts = [];
+      this.currentAttempt = null;
+      this.render();
+    });
+  }
+
+  async refreshLearners() {
+    try {
+      const result = await this.invoke('learner:list');
+      if (result && result.success) {
+        this.learners = result.learners || [];
+        this.activeLearnerId = result.activeLearnerId || 'default';
+      }
+    } catch (error) {
+      try { rendererLogger.warn('LearnerSwitcher: failed to load learners', error?.message || error); } catch (_) { /* intentionally empty */ }
+    }
+  }
+
+  async refreshAttempts() {
+    try {
+      const result = await this.invoke('attempt:list');
+      if (result && result.success) {
+        this.attempts = result.attempts || [];
+        this.currentAttempt = result.currentAttempt || null;
+        this.render();
+      }
+    } catch (error) {
+      try { rendererLogger.warn('LearnerSwitcher: failed to load attempts', error?.message || error); } catch (_) { /* intentionally empty */ }
+    }
+  }
+
+  /**
+   * Make a learner the one new sessions run as; a loaded course restarts as that learner
+   * @param {string} learnerId - Learner identifier
+   */
+  async selectLearner(learnerId) {
+    const result = await this.invoke('learner:set-active', { learnerId });
+    if (!result || !result.success) {
+      this.showError('Switch Learner Failed', result?.error || 'Unknown learner');
+      return;
+    }
+    this.activeLearnerId = learnerId;
+    if (this.courseLoaded) {
+      try { rendererLogger.info('LearnerSwitcher: emit course:reload:request', { learnerId }); } catch (_) { /* intentionally empty */ }
+      this.eventBus.emit('course:reload:request', {});
+    }
+  }
+
+  /**
+   * Create a learner profile from a display name and switch to it
+   * @param {string} name - Display name
+   */
+  async addLearner(name) {
+    const trimmed = String(name || '').trim();
+    this.addingLearner = false;
+    if (!trimmed) {
+      this.render();
+      return;
+    }
+
+    const id = trimmed.toLowerCase().replace(/[^a-z0-9_-]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 64) || `learner-${Date.now()}`;
+    try {
+      const result = await this.invoke('learner:save', { id, name: trimmed });
+      if (!result || !result.success) {
+        this.showError('Add Learner Failed', result?.error || 'Could not save learner');
+        this.render();
+        return;
+      }
+      await this.refreshLearners();
+      await this.selectLearner(result.learner.id);
+      this.render();
+    } catch (error) {
+      try { rendererLogger.error('LearnerSwitcher: failed to add learner', error?.message || error); } catch (_) { /* intentionally empty */ }
+    }
+  }
+
+  showError(/** @type {string} */ title, /** @type {string} */ message) {
+    this.uiState?.showNotification({ type: 'error', message: title, details: message });
+  }
+}
+
+export { LearnerSwitcher };
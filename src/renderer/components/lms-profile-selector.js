@@ -0,0 +1,148 @@
+// @ts-check
+
+/**
+ * LMS Profile Selector Component
+ *
+ * Header control for the LMS profile the runtime emulates (suspend_data limit,
+ * validation strictness, commit behaviour, learner name/id). A choice applies
+ * to the running session at once and to every later launch; Import… adds
+ * profiles from a JSON file picked in the main process.
+ *
+ * @fileoverview LMS profile selection and import
+ */
+
+import { BaseComponent } from './base-component.js';
+import { rendererLogger } from '../utils/renderer-logger.js';
+import { escapeHTML } from '../utils/escape.js';
+
+class LmsProfileSelector extends BaseComponent {
+  constructor(elementId, options = {}) {
+    super(elementId, options);
+    /** @type {Array<{id: string, name: string, description?: string}>} */
+    this.profiles = [];
+    /** @type {string|null} */
+    this.sessionId = null;
+  }
+
+  getDefaultOptions() {
+    return {
+      ...super.getDefaultOptions(),
+      className: 'lms-profile-selector',
+      attributes: { 'data-component': 'lms-profile-selector' }
+    };
+  }
+
+  async setup() {
+    await this.refreshProfiles();
+  }
+
+  async invoke(/** @type {string} */ channel, /** @type {any} */ payload = {}) {
+    const { ipcClient } = await import('../services/ipc-client.js');
+    return ipcClient.invoke(channel, payload);
+  }
+
+  /**
+   * Profile chosen for launches (null runs without one)
+   * @returns {string|null}
+   */
+  getSelectedProfileId() {
+    return this.uiState?.getState('lmsProfile') || null;
+  }
+
+  renderContent() {
+    const selected = this.getSelectedProfileId();
+    const profileOptions = this.profiles.map(profile => `
+      <option value="${escapeHTML(profile.id)}" title="${escapeHTML(profile.description || '')}" ${profile.id === selected ? 'selected' : ''}>${escapeHTML(profile.name)}</option>
+    `).join('');
+
+    this.element.innerHTML = `
+      <div class="learner-switcher__group">
+        <select class="form-control form-control--sm learner-switcher__select" id="lps-profile" title="LMS the runtime emulates">
+          <option value="" ${selected ? '' : 'selected'}>No LMS profile</option>
+          ${profileOptions}
+        </select>
+        <button class="btn btn--secondary btn--sm" id="lps-import" title="Import LMS profiles from a JSON file">Import…</button>
+      </div>
+    `;
+  }
+
+  bindEvents() {
+    super.bindEvents();
+
+    if (this._profileEventsBound) return;
+    this._profileEventsBound = true;
+
+    this.addEventListener('change', function onProfileChange(event) {
+      if (event.target && event.target.id === 'lps-profile') {
+        this.selectProfile(event.target.value || null).catch(error => {
+          try { rendererLogger.error('LmsProfileSelector: failed to apply profile', error?.message || error); } catch (_) { /* intentionally empty */ }
+        });
+      }
+    });
+
+    this.addEventListener('click', function onProfileClick(event) {
+      const target = event.target && event.target.closest ? event.target.closest('button') : null;
+      if (target && target.id === 'lps-import' && this.element.contains(target)) {
+        this.importProfiles().catch(error => {
+          try { rendererLogger.error('LmsProfileSelector: failed to import profiles', error?.message || error); } catch (_) { /* intentionally empty */ }
+        });
+      }
+    });
+  }
+
+  setupEventSubscriptions() {
+    this.subscribe('ui:scorm:initialized', (data) => {
+      this.sessionId = data?.sessionId || null;
+    });
+
+    this.subscribe('ui:scorm:terminated', () => {
+      this.sessionId = null;
+    });
+  }
+
+  async refreshProfiles() {
+    try {
+      const profiles = await this.invoke('get-lms-profiles');
+      if (Array.isArray(profiles)) {
+        this.profiles = profiles;
+      }
+    } catch (error) {
+      try { rendererLogger.warn('LmsProfileSelector: failed to load profiles', error?.message || error); } catch (_) { /* intentionally empty */ }
+    }
+  }
+
+  /**
+   * Use a profile for later launches and switch the running session over to it
+   * (running without a profile takes effect from the next launch)
+   * @param {string|null} profileId - Profile identifier, or null for none
+   */
+  async selectProfile(profileId) {
+    this.uiState?.setState('lmsProfile', profileId);
+    if (!profileId || !this.sessionId) return;
+
+    const result = await this.invoke('apply-lms-profile', { sessionId: this.sessionId, profileId });
+    if (!result || !result.success) {
+      this.showError('Apply LMS Profile Failed', result?.error || 'Unknown profile');
+      return;
+    }
+    this.uiState?.showNotification({ type: 'success', message: `LMS profile ${result.profile} applied`, duration: 3000 });
+  }
+
+  async importProfiles() {
+    const result = await this.invoke('import-lms-profiles');
+    if (!result || (!result.success && result.cancelled)) return;
+    if (!result.success) {
+      this.showError('Import LMS Profiles Failed', result.error || 'Could not read profiles');
+      return;
+    }
+    await this.refreshProfiles();
+    this.render();
+    this.uiState?.showNotification({ type: 'success', message: `Imported LMS profile(s): ${result.profiles.join(', ')}`, duration: 5000 });
+  }
+
+  showError(/** @type {string} */ title, /** @type {string} */ message) {
+    this.uiState?.showNotification({ type: 'error', message: title, details: message });
+  }
+}
+
+export { LmsProfileSelector };
@@ -346,6 +346,7 @@ class ContentViewer extends BaseComponent {
     // The main process checks for suspended session automatically
     let sessionId;
     let initialScormData = null;
+    let scormVersion = '2004';
     try {
       const { ipcClient } = await import('../../services/ipc-client.js');
       // Get the app instance ID to create a session unique to this app instance.
@@ -360,11 +361,21 @@ class ContentViewer extends BaseComponent {
       const forceNewFlag = appManager.pendingForceNew || /** @type {any} */(options).forceNew || false;
       this.logger?.info('ContentViewer: Initializing session', { sessionId, forceNew: forceNewFlag, fromPendingFlag: appManager.pendingForceNew });
       
+      const attempt = appManager.pendingAttempt ?? undefined;
+      // LMS profile chosen in the header's profile selector
+      const lmsProfile = this.uiState?.getState('lmsProfile') || undefined;
       const sessionResult = await ipcClient.invoke('scorm-initialize', {
         sessionId: sessionId,
-        forceNew: forceNewFlag
+        forceNew: forceNewFlag,
+        attempt,
+        lmsProfile
       });
       
+      if (sessionResult && !sessionResult.success && sessionResult.launchMode === 'review') {
+        // e.g. "No completed attempt to review for learner default"
+        this.showError(sessionResult.reason, 'Review mode comes from this course\'s launch configuration');
+        return;
+      }
       if (!sessionResult || !sessionResult.success) {
         throw new Error(sessionResult?.reason || 'Failed to initialize session');
       }
@@ -374,6 +385,8 @@ class ContentViewer extends BaseComponent {
         appManager.pendingForceNew = false;
         this.logger?.info('ContentViewer: Cleared pendingForceNew flag after successful hard reload initialization');
       }
+      // The main process keeps later launches on the chosen attempt
+      appManager.pendingAttempt = null;
 
       // Prime the SCORM client cache with initial data to prevent race conditions
       // where the course calls GetValue before the async initialization completes
@@ -381,6 +394,7 @@ class ContentViewer extends BaseComponent {
       if (sessionResult.initialData) {
         initialScormData = sessionResult.initialData;
       }
+      scormVersion = sessionResult.scormVersion === '1.2' ? '1.2' : '2004';
       
       this.logger?.info('ContentViewer: Session initialized by main process', { sessionId });
     } catch (error) {
@@ -436,6 +450,9 @@ class ContentViewer extends BaseComponent {
       const { scormAPIBridge } = await import('../../services/scorm-api-bridge.js');
       scormAPIBridge.setSessionId(sessionId);
 
+      // Runtime version decides error codes and session_time handling in the client
+      scormClient.setScormVersion(scormVersion);
+
       // Apply primed cache data if available (must be done after teardown/reset)
       if (initialScormData) {
         try {
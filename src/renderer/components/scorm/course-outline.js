@@ -15,6 +15,16 @@ import { rendererLogger } from '../../utils/renderer-logger.js';
 // sn-bridge is provided via dependency injection (options.snBridge). No direct import here.
 import { escapeHTML } from '../../utils/escape.js';
 
+/**
+ * Tooltip labels for SN choice constraints reported without a reason
+ * @type {Record<string, string>}
+ */
+const CHOICE_CONSTRAINT_LABELS = {
+  constrainChoice: 'Constrained choice',
+  preventActivation: 'Prevent activation',
+  stopForwardTraversal: 'Stop forward traversal',
+  forwardOnly: 'Forward only'
+};
 
 /**
  * Course Outline Class
@@ -362,7 +372,7 @@ class CourseOutline extends BaseComponent {
     const isHidden = this.scormStatesLoaded && scormState && !scormState.isVisible && scormState.isVisible !== undefined;
     // Items are disabled until SCORM states are loaded; after that, disable only when sequencing disallows choice and not in browse mode
     const sequencingDisallowsChoice = !this.availableNavigation || !this.availableNavigation.includes('choice');
-    const blockedByRules = !!(scormState && (scormState.preConditionResult?.action === 'disabled' || scormState.attemptLimitExceeded));
+    const blockedByRules = !!(scormState && (scormState.preConditionResult?.action === 'disabled' || scormState.attemptLimitExceeded || scormState.choiceConstraint));
     const isDisabled = (!this.scormStatesLoaded) || (!this.browseModeEnabled && (sequencingDisallowsChoice || blockedByRules));
     const isSuspended = scormState && scormState.suspended;
     const attemptLimitReached = scormState && scormState.attemptLimitExceeded;
@@ -409,7 +419,7 @@ class CourseOutline extends BaseComponent {
     const tooltip = this.buildRestrictionTooltip(item.identifier, validation, scormState);
 
     return `
-      <li class="${itemClass}" data-item-id="${item.identifier}" ${tooltip ? `title="${tooltip}"` : ''}>
+      <li class="${itemClass}" data-item-id="${item.identifier}" ${tooltip ? `title="${escapeHTML(tooltip)}"` : ''}>
         <div class="outline-item__content">
           ${hasChildren ? `
             <button class="outline-item__toggle" data-item-id="${item.identifier}">
@@ -500,6 +510,11 @@ class CourseOutline extends BaseComponent {
       restrictions.push(reason);
     }
 
+    if (scormState.choiceConstraint) {
+      const { constraint, reason } = scormState.choiceConstraint;
+      restrictions.push(reason || CHOICE_CONSTRAINT_LABELS[constraint] || constraint);
+    }
+
     if (restrictions.length > 0) {
       info.push('Restrictions: ' + restrictions.join(', '));
     }
@@ -157,7 +157,7 @@ class FooterStatusDisplay extends BaseComponent {
     const sessionInfo = data?.data || data;
     if (!sessionInfo) return;
 
-    // Update suspend data limit based on LMS profile
+    // Update suspend data limit based on LMS profile (full profile or built-in id)
     if (sessionInfo.lmsProfile) {
       const profileLimits = {
         'litmos': 4096,
@@ -165,7 +165,8 @@ class FooterStatusDisplay extends BaseComponent {
         'moodle': 65536,
         'scormcloud': 65536
       };
-      this.suspendDataLimit = profileLimits[sessionInfo.lmsProfile] || 64000;
+      this.suspendDataLimit = sessionInfo.lmsProfile.settings?.maxSuspendDataLength
+        || profileLimits[sessionInfo.lmsProfile] || 64000;
       this.updateSuspendDataDisplay();
     }
   }
@@ -90,6 +90,15 @@ class NavigationControls extends BaseComponent {
     } catch (e) {
       this.logger?.warn('NavigationControls: Failed to subscribe to UIState browseMode', e?.message || e);
     }
+
+    // Launch mode of the running session (review launches come from the launch configuration)
+    try {
+      this._unsubscribeLaunchMode = this.uiState.subscribe((launchMode) => {
+        this.updateReviewIndicator(launchMode);
+      }, 'launchMode');
+    } catch (e) {
+      this.logger?.warn('NavigationControls: Failed to subscribe to UIState launchMode', e?.message || e);
+    }
   }
 
   /**
@@ -152,6 +161,12 @@ class NavigationControls extends BaseComponent {
             <button class="mode-btn mode-btn--learner active" id="${this.elementId}-learner-mode">🎓 Learner Mode</button>
             <button class="mode-btn mode-btn--browse" id="${this.elementId}-browse-mode">🔍 Browse Mode</button>
           </div>
+          <span
+            class="review-mode-indicator"
+            id="${this.elementId}-review-mode"
+            style="display: none;"
+            title="Reviewing a completed attempt (cmi.mode=review, no-credit) - changes are not saved"
+          >📖 Review</span>
           
           <button 
             class="navigation-controls__btn navigation-controls__btn--previous" 
@@ -213,6 +228,8 @@ class NavigationControls extends BaseComponent {
     this.modeToggle = this.find('.mode-toggle');
     this.learnerModeBtn = this.find('.mode-btn--learner');
     this.browseModeBtn = this.find('.mode-btn--browse');
+    this.reviewIndicator = this.find('.review-mode-indicator');
+    this.updateReviewIndicator(this.uiState?.getState('launchMode'));
     
     // Navigation context elements
     this.contextElement = this.find('.navigation-controls__context');
@@ -846,6 +863,18 @@ class NavigationControls extends BaseComponent {
     }
   }
 
+  /**
+   * Show the review indicator while the session reviews a completed attempt
+   * @param {string} launchMode - Launch mode of the running session
+   */
+  updateReviewIndicator(launchMode) {
+    const reviewing = launchMode === 'review';
+    if (this.reviewIndicator) {
+      this.reviewIndicator.style.display = reviewing ? 'inline-flex' : 'none';
+    }
+    this.element?.classList.toggle('navigation-controls--review', reviewing);
+  }
+
   /**
    * Update navigation controls for browse mode (SCORM-compliant)
    */
@@ -1029,6 +1058,7 @@ class NavigationControls extends BaseComponent {
 
     // Update UI to show no course
     this.element.classList.remove('navigation-controls--course-loaded');
+    this.updateReviewIndicator('normal');
 
     // Progress element removed - progress shown in footer only
   }
@@ -1230,6 +1260,11 @@ class NavigationControls extends BaseComponent {
       try { this._unsubscribeBrowseMode(); } catch (e) { this.logger?.warn('NavigationControls: Error unsubscribing from browse mode state', e?.message || e); }
       this._unsubscribeBrowseMode = null;
     }
+
+    if (typeof this._unsubscribeLaunchMode === 'function') {
+      try { this._unsubscribeLaunchMode(); } catch (e) { this.logger?.warn('NavigationControls: Error unsubscribing from launch mode state', e?.message || e); }
+      this._unsubscribeLaunchMode = null;
+    }
     // Remove listeners with the same bound references to avoid leaks
     if (this.options.enableKeyboardNavigation && this._boundHandlers && this._boundHandlers.handleKeyDown) {
       document.removeEventListener('keydown', this._boundHandlers.handleKeyDown);
@@ -231,6 +231,8 @@ class AppManager {
               </div>
               <div class="header__actions">
                 <div id="error-badge"></div>
+                <div id="learner-switcher"></div>
+                <div id="lms-profile-selector"></div>
                 <div id="header-controls"></div>
               </div>
             </div>
@@ -257,6 +259,7 @@ class AppManager {
           <!-- Notification components (overlays) -->
           <div id="notification-container"></div>
           <div id="error-dialog"></div>
+          <div id="launch-config-dialog"></div>
           <div id="error-list-panel"></div>
         </div>
       `;
@@ -291,6 +294,12 @@ class AppManager {
     const InspectorPanel = _modInspector.InspectorPanel;
     const _modHeader = await import('../components/header-controls.js');
     const HeaderControls = _modHeader.HeaderControls;
+    const _modLearner = await import('../components/learner-switcher.js');
+    const LearnerSwitcher = _modLearner.LearnerSwitcher;
+    const _modLmsProfile = await import('../components/lms-profile-selector.js');
+    const LmsProfileSelector = _modLmsProfile.LmsProfileSelector;
+    const _modLaunchConfig = await import('../components/launch-config-dialog.js');
+    const LaunchConfigDialog = _modLaunchConfig.LaunchConfigDialog;
 
     // Notification components
     const _modNotifContainer = await import('../components/notifications/notification-container.js');
@@ -321,6 +330,9 @@ class AppManager {
     }
     const componentConfigs = [
       { name: 'headerControls', class: HeaderControls, elementId: 'header-controls', required: true },
+      { name: 'learnerSwitcher', class: LearnerSwitcher, elementId: 'learner-switcher', required: false },
+      { name: 'lmsProfileSelector', class: LmsProfileSelector, elementId: 'lms-profile-selector', required: false },
+      { name: 'launchConfigDialog', class: LaunchConfigDialog, elementId: 'launch-config-dialog', required: false },
       { name: 'contentViewer', class: ContentViewer, elementId: 'content-viewer', required: true },
       { name: 'navigationControls', class: NavigationControls, elementId: 'navigation-controls', required: true },
       { name: 'footerProgressBar', class: FooterProgressBar, elementId: 'footer-progress', required: true },
@@ -437,6 +449,18 @@ class AppManager {
         eventBus.emit('ui:theme:toggle-request');
       } else if (action === 'menu-toggle-error-log') {
         eventBus.emit('error-list:toggle');
+      } else if (action === 'menu-export-session') {
+        this.handleSessionExport().catch(error => {
+          try { this.logger.error('AppManager: Session export error (menu intent)', error?.message || error); } catch (_) { /* intentionally empty */ }
+        });
+      } else if (action === 'menu-import-session') {
+        this.handleSessionImport().catch(error => {
+          try { this.logger.error('AppManager: Session import error (menu intent)', error?.message || error); } catch (_) { /* intentionally empty */ }
+        });
+      } else if (action === 'menu-simulate') {
+        this.handleLmsSimulation(payload && payload.data).catch(error => {
+          try { this.logger.error('AppManager: LMS simulation error (menu intent)', error?.message || error); } catch (_) { /* intentionally empty */ }
+        });
       }
     });
   } catch (_) { /* intentionally empty */ }
@@ -977,6 +1001,7 @@ class AppManager {
    * Handle course reload request
    * @param {Object} options - Reload options
    * @param {boolean} [options.forceNew] - Whether to force a new session (clear saved data)
+   * @param {number|string} [options.attempt] - Attempt to resume, or 'new' to start another attempt
    */
   async handleCourseReload(options = {}) {
     try {
@@ -1039,6 +1064,8 @@ class AppManager {
       if (this.pendingForceNew) {
         this.logger.info('AppManager: Hard reload requested - pendingForceNew flag set');
       }
+      // Attempt chosen in the learner switcher, consumed by the next session initialization
+      this.pendingAttempt = options?.attempt ?? null;
 
       // Update button text
       if (reloadBtn) {
@@ -1078,6 +1105,66 @@ class AppManager {
     }
   }
 
+  /**
+   * Export the running session (data model, API timeline, activity tree and
+   * global objectives) to a file the user picks
+   */
+  async handleSessionExport() {
+    try {
+      const result = await ipcClient.invoke('session:export');
+      if (result && result.success) {
+        this.uiState?.showNotification({ type: 'success', message: `Session data exported to ${result.filePath}`, duration: 5000 });
+      } else if (result && !result.cancelled) {
+        this.showError('Export Failed', result.error || 'Unknown error');
+      }
+    } catch (error) {
+      this.logger.error('AppManager: Error exporting session:', error);
+      this.showError('Export Failed', error.message || 'Unknown error');
+    }
+  }
+
+  /**
+   * Import session state from a file the user picks (an exported session or a
+   * cmi.* map) as a new attempt, then relaunch the course so it resumes from it
+   */
+  async handleSessionImport() {
+    try {
+      const result = await ipcClient.invoke('session:import');
+      if (result && result.success) {
+        const skipped = result.rejected && result.rejected.length > 0 ? ` (${result.rejected.length} invalid value(s) skipped)` : '';
+        this.uiState?.showNotification({ type: 'success', message: `Session state imported as attempt ${result.attempt}${skipped}`, duration: 5000 });
+        this.eventBus.emit('course:reload:request', {});
+      } else if (result && !result.cancelled) {
+        this.showError('Import Failed', result.error || 'Unknown error');
+      }
+    } catch (error) {
+      this.logger.error('AppManager: Error importing session state:', error);
+      this.showError('Import Failed', error.message || 'Unknown error');
+    }
+  }
+
+  /**
+   * Have the main process perform an LMS-side transition on the running session.
+   * A simulated suspend ends the session, so the course is relaunched to resume it.
+   * @param {string} behavior - 'suspend', 'complete' or 'disconnect'
+   */
+  async handleLmsSimulation(behavior) {
+    try {
+      const result = await ipcClient.invoke('scorm:simulate-lms', { behavior });
+      if (!result || !result.success) {
+        this.showError('LMS Simulation Failed', (result && result.error) || 'Unknown error');
+        return;
+      }
+      this.uiState?.showNotification({ type: behavior === 'disconnect' ? 'warning' : 'info', message: result.message, duration: 5000 });
+      if (behavior === 'suspend') {
+        this.eventBus.emit('course:reload:request', {});
+      }
+    } catch (error) {
+      this.logger.error('AppManager: Error simulating LMS behavior:', error);
+      this.showError('LMS Simulation Failed', error.message || 'Unknown error');
+    }
+  }
+
   /**
    * Handle course close request
    * Uses the same unified shutdown path as reload, but without the reload step
@@ -235,6 +235,7 @@ class CourseLoader {
                  || manifest?.organizations?.organization?.title
                  || manifest?.identifier
                  || 'Course',
+          identifier: manifest?.identifier || null,
           version: manifest?.version,
           scormVersion: manifest?.metadata?.schemaversion || 'Unknown',
           hasManifest: true,
@@ -494,6 +495,7 @@ class CourseLoader {
                  || manifest?.organizations?.organization?.title
                  || manifest?.identifier
                  || 'Course',
+          identifier: manifest?.identifier || null,
           version: manifest?.version,
           scormVersion: manifest?.metadata?.schemaversion || 'Unknown',
           hasManifest: true,
@@ -252,6 +252,14 @@ class IpcClient {
     return api.onScormDiagnosticNotification(handler);
   }
 
+  onScormFaultInjection(/** @type {any} */ handler) {
+    const api = this._ensureAPI();
+    if (typeof api.onScormFaultInjection !== 'function') {
+      throw new Error('electronAPI.onScormFaultInjection not available');
+    }
+    return api.onScormFaultInjection(handler);
+  }
+
   // SCORM typed helpers (preserve positional arg shapes exposed by preload)
   async scormInitialize(/** @type {string} */ sessionId, /** @type {any} */ options = {}) {
     const api = this._ensureAPI();
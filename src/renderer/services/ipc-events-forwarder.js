@@ -67,6 +67,14 @@ export async function initialize() {
       } catch (_) { /* intentionally empty */ }
     });
 
+    // Mirror LMS faults into the renderer's SCORM API, which answers the content synchronously
+    ipcClient.onScormFaultInjection(async (data) => {
+      try {
+        const { scormClient } = await import('./scorm-client.js');
+        scormClient.setFaultInjection(data?.faults || null, data?.sessionId || null);
+      } catch (_) { /* intentionally empty */ }
+    });
+
     ipcClient.onScormApiCallLogged((data) => {
       try {
         if (data && data.event === 'sn:initialized') {
@@ -18,6 +18,44 @@ import { sanitizeParam } from '../utils/payload-sanitizer.js';
 
 import { ipcClient } from './ipc-client.js';
 
+/**
+ * Renderer-side error codes are raised with their SCORM 2004 numbers; when the
+ * session runs the SCORM 1.2 runtime they are reported with the 1.2 equivalent.
+ */
+const SCORM12_ERROR_MAP = {
+  '103': '101',
+  '104': '101',
+  '112': '301',
+  '113': '101',
+  '122': '301',
+  '123': '101',
+  '132': '301',
+  '133': '101',
+  '142': '301',
+  '143': '101',
+  '351': '101',
+  '391': '101',
+  '404': '401',
+  '407': '403',
+  '408': '404',
+  '409': '405',
+  '410': '405'
+};
+
+const SCORM12_ERROR_STRINGS = {
+  '0': 'No error',
+  '101': 'General exception',
+  '201': 'Invalid argument error',
+  '202': 'Element cannot have children',
+  '203': 'Element not an array. Cannot have count.',
+  '301': 'Not initialized',
+  '401': 'Not implemented error',
+  '402': 'Invalid set value, element is a keyword',
+  '403': 'Element is read only',
+  '404': 'Element is write only',
+  '405': 'Incorrect Data Type'
+};
+
 /**
  * SCORM Client Class
  *
@@ -27,6 +65,7 @@ import { ipcClient } from './ipc-client.js';
 class ScormClient {
   constructor() {
     this.sessionId = null;
+    this.scormVersion = '2004';
     this.isInitialized = false;
     this.localCache = new Map();
     this.lastError = '0';
@@ -54,6 +93,11 @@ class ScormClient {
     // API telemetry sequencing for debug timeline
     this._apiSeq = 0; // monotonic sequence within this renderer session
 
+    // LMS faults mirrored from the main process (see setFaultInjection)
+    this._defaultFaults = null;         // faults for every session
+    this._sessionFaults = null;         // { sessionId, faults } for one session (simulated disconnect)
+    this._faultSetValueCount = 0;       // SetValue calls since the faults changed or the session began
+
     this.setupEventListeners();
     this.loadValidator(); // Load validator dynamically
   }
@@ -101,6 +145,59 @@ class ScormClient {
     this.uiState = uiStateInstance;
   }
 
+  /**
+   * Set the runtime version reported by the main process for this session
+   * @param {string} version - '1.2' or '2004'
+   */
+  setScormVersion(version) {
+    this.scormVersion = version === '1.2' ? '1.2' : '2004';
+  }
+
+  /**
+   * @returns {boolean} True when the session runs the SCORM 1.2 data model
+   */
+  isScorm12() {
+    return this.scormVersion === '1.2';
+  }
+
+  /**
+   * Mirror the LMS faults configured in the main process. The main process
+   * injects them as well, but the content only sees this API's synchronous answers.
+   * @param {Object|null} faults - Active fault state (commitFailure, latencyMs, failSetValueAt), or null to clear
+   * @param {string|null} [sessionId] - Session the faults apply to; every session when omitted
+   */
+  setFaultInjection(faults, sessionId = null) {
+    if (sessionId) {
+      this._sessionFaults = faults ? { sessionId, faults } : null;
+    } else {
+      this._defaultFaults = faults || null;
+      this._sessionFaults = null;
+    }
+    // The main process restarts its SetValue count whenever faults change
+    this._faultSetValueCount = 0;
+  }
+
+  /**
+   * @private
+   * @returns {Object|null} Faults injected into the current session
+   */
+  _getActiveFaults() {
+    if (this._sessionFaults && this._sessionFaults.sessionId === this.sessionId) {
+      return this._sessionFaults.faults;
+    }
+    return this._defaultFaults;
+  }
+
+  /**
+   * Hold the caller for the injected 'slow LMS' latency, as a synchronous LMS round trip would
+   * @private
+   */
+  _waitForSlowLms() {
+    const latencyMs = this._getActiveFaults()?.latencyMs || 0;
+    const until = Date.now() + latencyMs;
+    while (Date.now() < until) { /* the SCORM API cannot yield */ }
+  }
+
   /**
    * Prime the local cache with initial data
    * @param {Object} data - Key-value pairs of SCORM data
@@ -142,6 +239,7 @@ class ScormClient {
     this.sessionId = sessionId;
     this.isInitialized = true;
     this.lastError = '0';
+    this._faultSetValueCount = 0;
 
     // Asynchronously initialize with main process
     this.asyncInitialize(sessionId);
@@ -257,12 +355,28 @@ class ScormClient {
       return 'false';
     }
 
-    // Validate value format using dynamically loaded validator
-    if (this.isValidatorReady() && !this.validator.isValidValue(element, value)) {
+    // Validate value format using dynamically loaded validator; interaction
+    // responses are checked against the type the content set for them
+    const interaction = this.isScorm12() ? null : /^cmi\.interactions\.(\d+)\./.exec(element);
+    const context = interaction ? { interactionType: this.localCache.get(`cmi.interactions.${interaction[1]}.type`) } : {};
+    if (this.isValidatorReady() && !this.validator.isValidValue(element, value, context)) {
       this.setLastError('409', { element }); // Data model element type mismatch
       return 'false';
     }
 
+    // Injected 'fail Nth SetValue' fault. The call is still forwarded so the
+    // main process counts the same SetValue calls and rejects this one too.
+    const faults = this._getActiveFaults();
+    if (faults && faults.failSetValueAt) {
+      this._faultSetValueCount++;
+      if (this._faultSetValueCount === faults.failSetValueAt) {
+        this._enqueueSetValue(element, value);
+        this.setLastError('351', { element }); // General set failure
+        this.logApiCall('SetValue', `${element} = ${value}`, 'false');
+        return 'false';
+      }
+    }
+
     // Update local cache immediately
     this.localCache.set(element, value);
     this.lastError = '0';
@@ -304,6 +418,13 @@ class ScormClient {
     // Debounced commit to main process
     this._scheduleCommit();
 
+    this._waitForSlowLms();
+    if (this._getActiveFaults()?.commitFailure) {
+      this.setLastError('391'); // General commit failure, injected
+      this.logApiCall('Commit', parameter, 'false');
+      return 'false';
+    }
+
     this.logApiCall('Commit', parameter, 'true');
     eventBus.emit('ui:scorm:committed', { sessionId: this.sessionId });
 
@@ -324,6 +445,10 @@ class ScormClient {
    * @returns {string} Error description
    */
   GetErrorString(errorCode) {
+    if (this.isScorm12()) {
+      return SCORM12_ERROR_STRINGS[errorCode] || 'Unknown error';
+    }
+
     const errorStrings = {
       '0': 'No error',
       '101': 'General exception',
@@ -373,6 +498,8 @@ class ScormClient {
     try {
       const result = await ipcClient.scormInitialize(sessionId);
       if (result.success) {
+        this.uiState.setState('launchMode', result.launchMode || 'normal');
+
         // Pre-populate cache with common elements
         await this.preloadCommonElements();
 
@@ -421,7 +548,7 @@ class ScormClient {
       if (this.sessionId) {
         // Get exit value from local cache to pass to main process
         // This ensures the exit value is available even if batched SetValue hasn't been processed yet
-        const exitValue = this.localCache.get('cmi.exit') || '';
+        const exitValue = this.localCache.get(this.isScorm12() ? 'cmi.core.exit' : 'cmi.exit') || '';
         try {
           const { rendererLogger } = await import('../utils/renderer-logger.js');
           rendererLogger.debug(`ScormClient: asyncTerminate - exitValue from cache: "${exitValue}"`);
@@ -560,7 +687,19 @@ class ScormClient {
    * @private
    */
   async preloadCommonElements() {
-    const commonElements = [
+    const commonElements = this.isScorm12() ? [
+      'cmi.core.lesson_status',
+      'cmi.core.score.raw',
+      'cmi.core.score.min',
+      'cmi.core.score.max',
+      'cmi.core.lesson_location',
+      'cmi.suspend_data',
+      'cmi.core.total_time',
+      'cmi.core.student_id',
+      'cmi.core.student_name',
+      'cmi.core.credit',
+      'cmi.core.lesson_mode'
+    ] : [
       'cmi.completion_status',
       'cmi.success_status',
       'cmi.score.scaled',
@@ -620,8 +759,19 @@ class ScormClient {
         progressUpdates.sessionTime = value;
         break;
       case 'cmi.total_time':
+      case 'cmi.core.total_time':
         progressUpdates.totalTime = value;
         break;
+      case 'cmi.core.lesson_status':
+        progressUpdates.completionStatus = ['completed', 'passed', 'failed'].includes(value) ? 'completed' : value;
+        progressUpdates.successStatus = (value === 'passed' || value === 'failed') ? value : 'unknown';
+        break;
+      case 'cmi.core.score.raw':
+        progressUpdates.scoreRaw = parseFloat(value) || null;
+        break;
+      case 'cmi.core.lesson_location':
+        progressUpdates.location = value;
+        break;
     }
 
     if (Object.keys(progressUpdates).length > 0) {
@@ -635,6 +785,9 @@ class ScormClient {
    * @private
    */
   setLastError(errorCode, context = {}) {
+    if (this.isScorm12()) {
+      errorCode = SCORM12_ERROR_MAP[String(errorCode)] || errorCode;
+    }
     this.lastError = errorCode;
 
     // Downgrade SCORM 2004 404 (Undefined data model element) for adl.data.* access to WARN without emitting scorm:error
@@ -763,6 +916,12 @@ class ScormClient {
     // Update UI state only; throttle IPC SetValue for cmi.session_time
     this.uiState.updateProgress({ sessionTime: timeString });
 
+    // SCORM 1.2 content reports cmi.core.session_time itself (the RTE fills it in at
+    // LMSFinish otherwise); pushing a value from here would overwrite the SCO's report
+    if (this.isScorm12()) {
+      return;
+    }
+
     // Throttle actual SetValue to main (min interval)
     if ((now - this._lastSessionTimeSetAt) >= this._SESSION_TIME_MIN_MS && this.isInitialized) {
       this._lastSessionTimeSetAt = now;
@@ -818,6 +977,7 @@ class ScormClient {
   reset() {
     // Clear session state
     this.sessionId = null;
+    this.scormVersion = '2004';
     this.isInitialized = false;
     this.lastError = '0';
 
@@ -880,7 +1040,7 @@ class ScormClient {
    try {
      const now = Date.now();
      // Try one last session_time send if allowed by throttle
-     const lastIso = this.localCache.get('cmi.session_time');
+     const lastIso = this.isScorm12() ? null : this.localCache.get('cmi.session_time');
      if (this.isInitialized && (now - this._lastSessionTimeSetAt) >= 5000 && lastIso && (now - this._lastIpcRateLimitAt) >= this._IPC_BACKOFF_MS) {
        this._lastSessionTimeSetAt = now;
        await this.asyncSetValue('cmi.session_time', lastIso);
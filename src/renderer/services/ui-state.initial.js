@@ -68,6 +68,9 @@ export function getInitialUIState() {
       }
     },
 
+    // Launch mode reported by the main process for the running session ('normal', 'browse', 'review')
+    launchMode: 'normal',
+
     // LMS simulation state
     lmsProfile: null,
     networkDelay: 0,
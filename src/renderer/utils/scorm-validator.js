@@ -10,6 +10,10 @@
  * @fileoverview Renderer-compatible SCORM validation
  */
 
+import { parseCorrectResponse, parseLearnerResponse } from './interaction-responses.js';
+
+const INTERACTION_RESPONSE_REGEX = /^cmi\.interactions\.\d+\.(correct_responses\.\d+\.pattern|learner_response)$/;
+
 /**
  * Basic SCORM 2004 4th Edition element patterns for quick validation
  */
@@ -73,9 +77,11 @@ function isValidElement(element) {
  * Real validation happens in main process, this is just a quick check
  * @param {string} element - Element name
  * @param {string} value - Value to validate
+ * @param {Object} [context] - Collection context
+ * @param {string} [context.interactionType] - cmi.interactions.n.type, needed to check responses
  * @returns {boolean} True if valid (permissive for renderer)
  */
-function isValidValue(element, value) {
+function isValidValue(element, value, context = {}) {
   if (typeof value !== 'string') {
     return false;
   }
@@ -85,6 +91,13 @@ function isValidValue(element, value) {
     return false;
   }
 
+  // Response grammars depend on the interaction type; the main process checks the rest
+  const response = element.match(INTERACTION_RESPONSE_REGEX);
+  if (response && context.interactionType) {
+    const parse = response[1] === 'learner_response' ? parseLearnerResponse : parseCorrectResponse;
+    return parse(context.interactionType, value).valid;
+  }
+
   // Be permissive in renderer - let main process handle detailed validation
   return true;
 }
@@ -330,6 +330,21 @@ const DATA_MODEL_SCHEMA = {
     description: 'Navigation request'
   },
 
+  // ADL Data Elements (shared data buckets mapped via adlcp:data)
+  'adl.data._children': {
+    access: ACCESS_TYPES.READ_ONLY,
+    type: DATA_TYPES.STRING,
+    defaultValue: 'id,store',
+    description: 'Children of adl.data'
+  },
+
+  'adl.data._count': {
+    access: ACCESS_TYPES.READ_ONLY,
+    type: DATA_TYPES.INTEGER,
+    defaultValue: '0',
+    description: 'Count of shared data buckets mapped to the SCO'
+  },
+
   'adl.nav.request_valid._children': {
     access: ACCESS_TYPES.READ_ONLY,
     type: DATA_TYPES.STRING,
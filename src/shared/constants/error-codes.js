@@ -102,6 +102,27 @@ const SCORM_ERROR_CODES = {
   645: "SCORM Cross-Service Communication Failed"
 };
 
+/**
+ * SCORM 1.2 Error Codes
+ *
+ * SCORM 1.2 (AICC CMI001 derived) uses a much smaller error vocabulary and
+ * reuses several numbers with different meanings than SCORM 2004, so the
+ * two tables must never be merged.
+ */
+const SCORM12_ERROR_CODES = {
+  0: "No error",
+  101: "General exception",
+  201: "Invalid argument error",
+  202: "Element cannot have children",
+  203: "Element not an array. Cannot have count.",
+  301: "Not initialized",
+  401: "Not implemented error",
+  402: "Invalid set value, element is a keyword",
+  403: "Element is read only",
+  404: "Element is write only",
+  405: "Incorrect Data Type"
+};
+
 /**
  * SCORM Error Code Categories
  * Used for error classification and handling
@@ -159,11 +180,13 @@ function isValidErrorCode(errorCode) {
 /**
  * Get error string for a given error code
  * @param {string|number} errorCode - The error code
+ * @param {string} [scormVersion='2004'] - SCORM version whose table to use ('1.2' or '2004')
  * @returns {string} The error string or empty string if not found
  */
-function getErrorString(errorCode) {
+function getErrorString(errorCode, scormVersion = '2004') {
   const code = parseInt(errorCode, 10);
-  return SCORM_ERROR_CODES[code] || "";
+  const table = scormVersion === '1.2' ? SCORM12_ERROR_CODES : SCORM_ERROR_CODES;
+  return table[code] || "";
 }
 
 /**
@@ -178,10 +201,31 @@ const COMMON_ERRORS = {
   TERMINATION_BEFORE_INIT: "112",
   TERMINATION_AFTER_TERMINATION: "113",
   UNDEFINED_ELEMENT: "404",
+  GENERAL_SET_FAILURE: "351",
+  GENERAL_COMMIT_FAILURE: "391",
+  VALUE_NOT_INITIALIZED: "406",
   READ_ONLY_ELEMENT: "407",
   WRITE_ONLY_ELEMENT: "408",
   TYPE_MISMATCH: "409",
-  VALUE_OUT_OF_RANGE: "410"
+  VALUE_OUT_OF_RANGE: "410",
+  DEPENDENCY_NOT_ESTABLISHED: "411"
+};
+
+/**
+ * SCORM 1.2 error code constants
+ */
+const SCORM12_ERRORS = {
+  NO_ERROR: "0",
+  GENERAL_EXCEPTION: "101",
+  INVALID_ARGUMENT: "201",
+  ELEMENT_CANNOT_HAVE_CHILDREN: "202",
+  ELEMENT_NOT_AN_ARRAY: "203",
+  NOT_INITIALIZED: "301",
+  NOT_IMPLEMENTED: "401",
+  ELEMENT_IS_KEYWORD: "402",
+  READ_ONLY_ELEMENT: "403",
+  WRITE_ONLY_ELEMENT: "404",
+  INCORRECT_DATA_TYPE: "405"
 };
 
 /**
@@ -233,11 +277,15 @@ const MAIN_PROCESS_ERRORS = {
 Object.freeze(SCORM_ERROR_CODES);
 Object.freeze(ERROR_CATEGORIES);
 Object.freeze(COMMON_ERRORS);
+Object.freeze(SCORM12_ERROR_CODES);
+Object.freeze(SCORM12_ERRORS);
 
 module.exports = {
   SCORM_ERROR_CODES,
   ERROR_CATEGORIES,
   COMMON_ERRORS,
+  SCORM12_ERROR_CODES,
+  SCORM12_ERRORS,
   MAIN_PROCESS_ERRORS,
   getErrorCategory,
   isSuccess,
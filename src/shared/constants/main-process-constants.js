@@ -131,7 +131,8 @@ const SERVICE_DEFAULTS = {
     sessionTimeout: 24 * 60 * 60 * 1000, // 24 hours
     enableGlobalObjectives: true,
     enableRollupProcessing: true,
-    maxSequencingDepth: 10
+    maxSequencingDepth: 10,
+    randomSeed: null // Seed for SN selection/randomization; null uses Math.random
   },
 
   TELEMETRY: {
@@ -230,7 +231,15 @@ const SECURITY_CONFIG = {
       'reset-session',
       'apply-lms-profile',
       'get-lms-profiles',
+      'import-lms-profiles',
+      'learner:list',
+      'learner:save',
+      'learner:set-active',
+      'attempt:list',
       'run-test-scenario',
+      'scorm:simulate-lms',
+      'session:export',
+      'session:import',
       'get-all-sessions',
       'open-external',
       'path-to-file-url',
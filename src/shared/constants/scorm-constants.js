@@ -55,6 +55,7 @@ const SCORM_CONSTANTS = {
       FEEDBACK: 1024,
       REAL: 7,
       SUSPEND_DATA: 64000,
+      SHARED_DATA_STORE: 64000,
       COMMENTS: 4000,
       INTERACTION_ID: 4000,
       LEARNER_RESPONSE: 4000,
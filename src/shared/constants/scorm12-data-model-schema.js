@@ -0,0 +1,424 @@
+/**
+ * SCORM 1.2 Data Model Schema
+ *
+ * Data model element definitions based on the SCORM 1.2 Run-Time
+ * Environment (AICC CMI001 derived "cmi.core" model).
+ *
+ * Mirrors the structure of the SCORM 2004 schema so both runtimes can share
+ * access/type handling:
+ * - Access permissions (read-only, write-only, read-write)
+ * - SCORM 1.2 data types (CMIString255, CMITimespan, CMIIdentifier, ...)
+ * - Default values
+ * - Collection child elements (objectives, interactions)
+ *
+ * @fileoverview SCORM 1.2 data model schema
+ */
+
+const { ACCESS_TYPES, DATA_TYPES } = require('./data-model-schema');
+
+/**
+ * SCORM 1.2 specific data types (extends the shared 2004 set)
+ */
+const SCORM12_DATA_TYPES = {
+  ...DATA_TYPES,
+  IDENTIFIER: 'cmiidentifier',
+  TIMESPAN: 'cmitimespan',
+  TIME: 'cmitime',
+  FEEDBACK: 'cmifeedback',
+  RESULT: 'cmiresult'
+};
+
+/**
+ * SCORM 1.2 vocabularies
+ */
+const SCORM12_VOCABULARIES = {
+  LESSON_STATUS: ['passed', 'completed', 'failed', 'incomplete', 'browsed', 'not attempted'],
+  ENTRY: ['ab-initio', 'resume', ''],
+  EXIT: ['time-out', 'suspend', 'logout', ''],
+  CREDIT: ['credit', 'no-credit'],
+  LESSON_MODE: ['browse', 'normal', 'review'],
+  TIME_LIMIT_ACTION: ['exit,message', 'exit,no message', 'continue,message', 'continue,no message'],
+  INTERACTION_TYPE: ['true-false', 'choice', 'fill-in', 'matching', 'performance', 'sequencing', 'likert', 'numeric'],
+  INTERACTION_RESULT: ['correct', 'wrong', 'unanticipated', 'neutral']
+};
+
+/**
+ * SCORM 1.2 value format patterns
+ */
+const SCORM12_PATTERNS = {
+  IDENTIFIER: /^[!-~]{0,255}$/,
+  DECIMAL: /^-?\d+(\.\d+)?$/,
+  INTEGER: /^[-+]?\d+$/,
+  TIMESPAN: /^\d{2,4}:[0-5]\d:[0-5]\d(\.\d{1,2})?$/,
+  TIME: /^([01]\d|2[0-3]):[0-5]\d:[0-5]\d(\.\d{1,2})?$/
+};
+
+/**
+ * SCORM 1.2 string length limits
+ */
+const SCORM12_LIMITS = {
+  STRING_255: 255,
+  STRING_4096: 4096
+};
+
+/**
+ * SCORM 1.2 Data Model Schema (non-collection elements)
+ */
+const SCORM12_DATA_MODEL_SCHEMA = {
+  'cmi._version': {
+    access: ACCESS_TYPES.READ_ONLY,
+    type: SCORM12_DATA_TYPES.STRING,
+    defaultValue: '3.4',
+    description: 'Version of the data model'
+  },
+
+  'cmi.core._children': {
+    access: ACCESS_TYPES.READ_ONLY,
+    type: SCORM12_DATA_TYPES.STRING,
+    defaultValue: 'student_id,student_name,lesson_location,credit,lesson_status,entry,score,total_time,lesson_mode,exit,session_time',
+    description: 'Children of cmi.core'
+  },
+
+  'cmi.core.student_id': {
+    access: ACCESS_TYPES.READ_ONLY,
+    type: SCORM12_DATA_TYPES.IDENTIFIER,
+    defaultValue: '',
+    description: 'Unique learner identifier'
+  },
+
+  'cmi.core.student_name': {
+    access: ACCESS_TYPES.READ_ONLY,
+    type: SCORM12_DATA_TYPES.STRING,
+    maxLength: SCORM12_LIMITS.STRING_255,
+    defaultValue: '',
+    description: 'Learner name (Last, First)'
+  },
+
+  'cmi.core.lesson_location': {
+    access: ACCESS_TYPES.READ_WRITE,
+    type: SCORM12_DATA_TYPES.STRING,
+    maxLength: SCORM12_LIMITS.STRING_255,
+    defaultValue: '',
+    description: 'Bookmark location in content'
+  },
+
+  'cmi.core.credit': {
+    access: ACCESS_TYPES.READ_ONLY,
+    type: SCORM12_DATA_TYPES.VOCABULARY,
+    vocabulary: SCORM12_VOCABULARIES.CREDIT,
+    defaultValue: 'credit',
+    description: 'Credit mode for the attempt'
+  },
+
+  'cmi.core.lesson_status': {
+    access: ACCESS_TYPES.READ_WRITE,
+    type: SCORM12_DATA_TYPES.VOCABULARY,
+    vocabulary: SCORM12_VOCABULARIES.LESSON_STATUS,
+    defaultValue: 'not attempted',
+    description: 'Combined completion/success status of the SCO'
+  },
+
+  'cmi.core.entry': {
+    access: ACCESS_TYPES.READ_ONLY,
+    type: SCORM12_DATA_TYPES.VOCABULARY,
+    vocabulary: SCORM12_VOCABULARIES.ENTRY,
+    defaultValue: 'ab-initio',
+    description: 'Entry mode for the attempt'
+  },
+
+  'cmi.core.score._children': {
+    access: ACCESS_TYPES.READ_ONLY,
+    type: SCORM12_DATA_TYPES.STRING,
+    defaultValue: 'raw,min,max',
+    description: 'Children of cmi.core.score'
+  },
+
+  'cmi.core.score.raw': {
+    access: ACCESS_TYPES.READ_WRITE,
+    type: SCORM12_DATA_TYPES.DECIMAL,
+    range: { min: 0, max: 100 },
+    allowEmpty: true,
+    defaultValue: '',
+    description: 'Raw score'
+  },
+
+  'cmi.core.score.min': {
+    access: ACCESS_TYPES.READ_WRITE,
+    type: SCORM12_DATA_TYPES.DECIMAL,
+    range: { min: 0, max: 100 },
+    allowEmpty: true,
+    defaultValue: '',
+    description: 'Minimum possible raw score'
+  },
+
+  'cmi.core.score.max': {
+    access: ACCESS_TYPES.READ_WRITE,
+    type: SCORM12_DATA_TYPES.DECIMAL,
+    range: { min: 0, max: 100 },
+    allowEmpty: true,
+    defaultValue: '',
+    description: 'Maximum possible raw score'
+  },
+
+  'cmi.core.total_time': {
+    access: ACCESS_TYPES.READ_ONLY,
+    type: SCORM12_DATA_TYPES.TIMESPAN,
+    defaultValue: '0000:00:00',
+    description: 'Total time across all sessions'
+  },
+
+  'cmi.core.lesson_mode': {
+    access: ACCESS_TYPES.READ_ONLY,
+    type: SCORM12_DATA_TYPES.VOCABULARY,
+    vocabulary: SCORM12_VOCABULARIES.LESSON_MODE,
+    defaultValue: 'normal',
+    description: 'Mode of the attempt'
+  },
+
+  'cmi.core.exit': {
+    access: ACCESS_TYPES.WRITE_ONLY,
+    type: SCORM12_DATA_TYPES.VOCABULARY,
+    vocabulary: SCORM12_VOCABULARIES.EXIT,
+    defaultValue: '',
+    description: 'Exit mode for the session'
+  },
+
+  'cmi.core.session_time': {
+    access: ACCESS_TYPES.WRITE_ONLY,
+    type: SCORM12_DATA_TYPES.TIMESPAN,
+    defaultValue: '0000:00:00',
+    description: 'Time spent in the current session'
+  },
+
+  'cmi.suspend_data': {
+    access: ACCESS_TYPES.READ_WRITE,
+    type: SCORM12_DATA_TYPES.STRING,
+    maxLength: SCORM12_LIMITS.STRING_4096,
+    defaultValue: '',
+    description: 'Suspend data for resuming'
+  },
+
+  'cmi.launch_data': {
+    access: ACCESS_TYPES.READ_ONLY,
+    type: SCORM12_DATA_TYPES.STRING,
+    maxLength: SCORM12_LIMITS.STRING_4096,
+    defaultValue: '',
+    description: 'Launch data from manifest (adlcp:datafromlms)'
+  },
+
+  'cmi.comments': {
+    access: ACCESS_TYPES.READ_WRITE,
+    type: SCORM12_DATA_TYPES.STRING,
+    maxLength: SCORM12_LIMITS.STRING_4096,
+    defaultValue: '',
+    description: 'Learner comments (SetValue appends)'
+  },
+
+  'cmi.comments_from_lms': {
+    access: ACCESS_TYPES.READ_ONLY,
+    type: SCORM12_DATA_TYPES.STRING,
+    maxLength: SCORM12_LIMITS.STRING_4096,
+    defaultValue: '',
+    description: 'Comments from the LMS'
+  },
+
+  'cmi.objectives._children': {
+    access: ACCESS_TYPES.READ_ONLY,
+    type: SCORM12_DATA_TYPES.STRING,
+    defaultValue: 'id,score,status',
+    description: 'Children of objectives'
+  },
+
+  'cmi.objectives._count': {
+    access: ACCESS_TYPES.READ_ONLY,
+    type: SCORM12_DATA_TYPES.INTEGER,
+    defaultValue: '0',
+    description: 'Count of objectives'
+  },
+
+  'cmi.student_data._children': {
+    access: ACCESS_TYPES.READ_ONLY,
+    type: SCORM12_DATA_TYPES.STRING,
+    defaultValue: 'mastery_score,max_time_allowed,time_limit_action',
+    description: 'Children of student_data'
+  },
+
+  'cmi.student_data.mastery_score': {
+    access: ACCESS_TYPES.READ_ONLY,
+    type: SCORM12_DATA_TYPES.DECIMAL,
+    defaultValue: '',
+    description: 'Passing score from manifest (adlcp:masteryscore)'
+  },
+
+  'cmi.student_data.max_time_allowed': {
+    access: ACCESS_TYPES.READ_ONLY,
+    type: SCORM12_DATA_TYPES.TIMESPAN,
+    defaultValue: '',
+    description: 'Maximum time allowed (adlcp:maxtimeallowed)'
+  },
+
+  'cmi.student_data.time_limit_action': {
+    access: ACCESS_TYPES.READ_ONLY,
+    type: SCORM12_DATA_TYPES.VOCABULARY,
+    vocabulary: SCORM12_VOCABULARIES.TIME_LIMIT_ACTION,
+    defaultValue: '',
+    description: 'Action when time limit exceeded (adlcp:timelimitaction)'
+  },
+
+  'cmi.student_preference._children': {
+    access: ACCESS_TYPES.READ_ONLY,
+    type: SCORM12_DATA_TYPES.STRING,
+    defaultValue: 'audio,language,speed,text',
+    description: 'Children of student_preference'
+  },
+
+  'cmi.student_preference.audio': {
+    access: ACCESS_TYPES.READ_WRITE,
+    type: SCORM12_DATA_TYPES.INTEGER,
+    range: { min: -1, max: 100 },
+    defaultValue: '0',
+    description: 'Audio preference (-1 off, 0 no change, 1-100 volume)'
+  },
+
+  'cmi.student_preference.language': {
+    access: ACCESS_TYPES.READ_WRITE,
+    type: SCORM12_DATA_TYPES.STRING,
+    maxLength: SCORM12_LIMITS.STRING_255,
+    defaultValue: '',
+    description: 'Language preference'
+  },
+
+  'cmi.student_preference.speed': {
+    access: ACCESS_TYPES.READ_WRITE,
+    type: SCORM12_DATA_TYPES.INTEGER,
+    range: { min: -100, max: 100 },
+    defaultValue: '0',
+    description: 'Delivery speed preference'
+  },
+
+  'cmi.student_preference.text': {
+    access: ACCESS_TYPES.READ_WRITE,
+    type: SCORM12_DATA_TYPES.INTEGER,
+    range: { min: -1, max: 1 },
+    defaultValue: '0',
+    description: 'Text (caption) preference'
+  },
+
+  'cmi.interactions._children': {
+    access: ACCESS_TYPES.READ_ONLY,
+    type: SCORM12_DATA_TYPES.STRING,
+    defaultValue: 'id,objectives,time,type,correct_responses,weighting,student_response,result,latency',
+    description: 'Children of interactions'
+  },
+
+  'cmi.interactions._count': {
+    access: ACCESS_TYPES.READ_ONLY,
+    type: SCORM12_DATA_TYPES.INTEGER,
+    defaultValue: '0',
+    description: 'Count of interactions'
+  }
+};
+
+/**
+ * SCORM 1.2 collection child elements, keyed by the element path with
+ * collection indices replaced by "n"
+ * (e.g. cmi.interactions.3.objectives.0.id -> cmi.interactions.n.objectives.n.id).
+ */
+const SCORM12_COLLECTION_SCHEMA = {
+  'cmi.objectives.n.id': {
+    access: ACCESS_TYPES.READ_WRITE,
+    type: SCORM12_DATA_TYPES.IDENTIFIER
+  },
+  'cmi.objectives.n.score._children': {
+    access: ACCESS_TYPES.READ_ONLY,
+    type: SCORM12_DATA_TYPES.STRING,
+    defaultValue: 'raw,min,max'
+  },
+  'cmi.objectives.n.score.raw': {
+    access: ACCESS_TYPES.READ_WRITE,
+    type: SCORM12_DATA_TYPES.DECIMAL,
+    range: { min: 0, max: 100 },
+    allowEmpty: true
+  },
+  'cmi.objectives.n.score.min': {
+    access: ACCESS_TYPES.READ_WRITE,
+    type: SCORM12_DATA_TYPES.DECIMAL,
+    range: { min: 0, max: 100 },
+    allowEmpty: true
+  },
+  'cmi.objectives.n.score.max': {
+    access: ACCESS_TYPES.READ_WRITE,
+    type: SCORM12_DATA_TYPES.DECIMAL,
+    range: { min: 0, max: 100 },
+    allowEmpty: true
+  },
+  'cmi.objectives.n.status': {
+    access: ACCESS_TYPES.READ_WRITE,
+    type: SCORM12_DATA_TYPES.VOCABULARY,
+    vocabulary: SCORM12_VOCABULARIES.LESSON_STATUS
+  },
+
+  'cmi.interactions.n.id': {
+    access: ACCESS_TYPES.WRITE_ONLY,
+    type: SCORM12_DATA_TYPES.IDENTIFIER
+  },
+  'cmi.interactions.n.objectives._count': {
+    access: ACCESS_TYPES.READ_ONLY,
+    type: SCORM12_DATA_TYPES.INTEGER
+  },
+  'cmi.interactions.n.objectives.n.id': {
+    access: ACCESS_TYPES.WRITE_ONLY,
+    type: SCORM12_DATA_TYPES.IDENTIFIER
+  },
+  'cmi.interactions.n.time': {
+    access: ACCESS_TYPES.WRITE_ONLY,
+    type: SCORM12_DATA_TYPES.TIME
+  },
+  'cmi.interactions.n.type': {
+    access: ACCESS_TYPES.WRITE_ONLY,
+    type: SCORM12_DATA_TYPES.VOCABULARY,
+    vocabulary: SCORM12_VOCABULARIES.INTERACTION_TYPE
+  },
+  'cmi.interactions.n.correct_responses._count': {
+    access: ACCESS_TYPES.READ_ONLY,
+    type: SCORM12_DATA_TYPES.INTEGER
+  },
+  'cmi.interactions.n.correct_responses.n.pattern': {
+    access: ACCESS_TYPES.WRITE_ONLY,
+    type: SCORM12_DATA_TYPES.FEEDBACK
+  },
+  'cmi.interactions.n.weighting': {
+    access: ACCESS_TYPES.WRITE_ONLY,
+    type: SCORM12_DATA_TYPES.DECIMAL
+  },
+  'cmi.interactions.n.student_response': {
+    access: ACCESS_TYPES.WRITE_ONLY,
+    type: SCORM12_DATA_TYPES.FEEDBACK
+  },
+  'cmi.interactions.n.result': {
+    access: ACCESS_TYPES.WRITE_ONLY,
+    type: SCORM12_DATA_TYPES.RESULT,
+    vocabulary: SCORM12_VOCABULARIES.INTERACTION_RESULT
+  },
+  'cmi.interactions.n.latency': {
+    access: ACCESS_TYPES.WRITE_ONLY,
+    type: SCORM12_DATA_TYPES.TIMESPAN
+  }
+};
+
+// Freeze the schema to prevent modification
+Object.freeze(SCORM12_DATA_TYPES);
+Object.freeze(SCORM12_VOCABULARIES);
+Object.freeze(SCORM12_PATTERNS);
+Object.freeze(SCORM12_LIMITS);
+Object.freeze(SCORM12_DATA_MODEL_SCHEMA);
+Object.freeze(SCORM12_COLLECTION_SCHEMA);
+
+module.exports = {
+  SCORM12_DATA_MODEL_SCHEMA,
+  SCORM12_COLLECTION_SCHEMA,
+  SCORM12_DATA_TYPES,
+  SCORM12_VOCABULARIES,
+  SCORM12_PATTERNS,
+  SCORM12_LIMITS
+};
@@ -133,6 +133,28 @@ const NAVIGATION_REQUESTS = {
   SUSPEND_ALL: 'suspendAll'
 };
 
+/**
+ * Termination Requests (SN Book TB.2.3)
+ */
+const TERMINATION_REQUESTS = {
+  EXIT: 'exit',
+  EXIT_PARENT: 'exitParent',
+  EXIT_ALL: 'exitAll',
+  SUSPEND_ALL: 'suspendAll',
+  ABANDON: 'abandon',
+  ABANDON_ALL: 'abandonAll'
+};
+
+/**
+ * Sequencing Requests produced by termination and post-condition rules
+ */
+const SEQUENCING_REQUESTS = {
+  CONTINUE: 'continue',
+  PREVIOUS: 'previous',
+  RETRY: 'retry',
+  EXIT: 'exit'
+};
+
 /**
  * Navigation Request Validity States
  */
@@ -152,6 +174,36 @@ const ROLLUP_ACTIONS = {
   INCOMPLETE: 'incomplete'
 };
 
+/**
+ * Rollup Rule Child Activity Sets
+ */
+const ROLLUP_CHILD_ACTIVITY_SETS = {
+  ALL: 'all',
+  ANY: 'any',
+  NONE: 'none',
+  AT_LEAST_COUNT: 'atLeastCount',
+  AT_LEAST_PERCENT: 'atLeastPercent'
+};
+
+/**
+ * Rollup Consideration Values (requiredFor* attributes)
+ */
+const ROLLUP_CONSIDERATIONS = {
+  ALWAYS: 'always',
+  IF_ATTEMPTED: 'ifAttempted',
+  IF_NOT_SKIPPED: 'ifNotSkipped',
+  IF_NOT_SUSPENDED: 'ifNotSuspended'
+};
+
+/**
+ * Selection and Randomization Timing Values
+ */
+const RANDOMIZATION_TIMINGS = {
+  NEVER: 'never',
+  ONCE: 'once',
+  ON_EACH_NEW_ATTEMPT: 'onEachNewAttempt'
+};
+
 /**
  * Delivery Control Settings
  */
@@ -190,8 +242,13 @@ Object.freeze(RULE_CONDITIONS);
 Object.freeze(RULE_ACTIONS);
 Object.freeze(CONTROL_MODES);
 Object.freeze(NAVIGATION_REQUESTS);
+Object.freeze(TERMINATION_REQUESTS);
+Object.freeze(SEQUENCING_REQUESTS);
 Object.freeze(NAVIGATION_VALIDITY);
 Object.freeze(ROLLUP_ACTIONS);
+Object.freeze(ROLLUP_CHILD_ACTIVITY_SETS);
+Object.freeze(ROLLUP_CONSIDERATIONS);
+Object.freeze(RANDOMIZATION_TIMINGS);
 Object.freeze(DELIVERY_CONTROLS);
 Object.freeze(SEQUENCING_SESSION_STATES);
 Object.freeze(SN_DEFAULTS);
@@ -205,8 +262,13 @@ module.exports = {
   RULE_ACTIONS,
   CONTROL_MODES,
   NAVIGATION_REQUESTS,
+  TERMINATION_REQUESTS,
+  SEQUENCING_REQUESTS,
   NAVIGATION_VALIDITY,
   ROLLUP_ACTIONS,
+  ROLLUP_CHILD_ACTIVITY_SETS,
+  ROLLUP_CONSIDERATIONS,
+  RANDOMIZATION_TIMINGS,
   DELIVERY_CONTROLS,
   SEQUENCING_SESSION_STATES,
   SN_DEFAULTS
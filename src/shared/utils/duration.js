@@ -0,0 +1,33 @@
+/**
+ * ISO 8601 duration helpers
+ *
+ * SCORM 2004 expresses time intervals (cmi.session_time, cmi.total_time) and
+ * the duration limits of imsss:limitConditions as ISO 8601 durations
+ * (P[yY][mM][dD][T[hH][mM][s[.s]S]]).
+ *
+ * @fileoverview ISO 8601 duration parsing
+ */
+
+const DURATION_PATTERN = /^P(?:(\d+(?:\.\d+)?)Y)?(?:(\d+(?:\.\d+)?)M)?(?:(\d+(?:\.\d+)?)D)?(?:T(?:(\d+(?:\.\d+)?)H)?(?:(\d+(?:\.\d+)?)M)?(?:(\d+(?:\.\d+)?)S)?)?$/;
+
+// Years and months have no fixed length; use the same approximations as common LMS implementations
+const UNIT_SECONDS = [365 * 86400, 30 * 86400, 86400, 3600, 60, 1];
+
+/**
+ * Convert an ISO 8601 duration to seconds
+ * @param {string} duration - Duration such as "PT1H30M" or "P1DT2.5S"
+ * @returns {number|null} Seconds, or null when the value is not a valid duration
+ */
+function durationToSeconds(duration) {
+  if (typeof duration !== 'string') return null;
+  const text = duration.trim();
+  const match = DURATION_PATTERN.exec(text);
+  if (!match || text === 'P' || text.endsWith('T')) return null;
+
+  return UNIT_SECONDS.reduce((total, unit, index) => {
+    const value = match[index + 1];
+    return value ? total + parseFloat(value) * unit : total;
+  }, 0);
+}
+
+module.exports = { durationToSeconds };
@@ -0,0 +1,297 @@
+/**
+ * Interaction Response Grammars
+ *
+ * Parsers for the characterstrings SCORM 2004 interactions carry in
+ * cmi.interactions.n.correct_responses.n.pattern and
+ * cmi.interactions.n.learner_response (RTE 4.2.9), one grammar per
+ * interaction type. Each parser returns the parsed structure as well as a
+ * verdict, so validation and scoring share the same reading of a value.
+ * The renderer keeps an ES module copy (src/renderer/utils/interaction-responses.js).
+ *
+ * @fileoverview SCORM 2004 interaction response parsing
+ */
+
+const SCORM_CONSTANTS = require('../constants/scorm-constants');
+
+const LIST_DELIMITER = '[,]';
+const PAIR_DELIMITER = '[.]';
+const RANGE_DELIMITER = '[:]';
+
+// short_identifier_type is a URI: no whitespace and none of the reserved delimiter characters
+const IDENTIFIER_PATTERN = /^[^\s[\]{}]+$/;
+const LANGUAGE_PATTERN = /^[A-Za-z]{1,8}(?:-[A-Za-z0-9]{1,8})*$/;
+const BOOLEAN_DELIMITER_PATTERN = /^\{(case_matters|order_matters)=([^}]*)\}/;
+const LANG_DELIMITER_PATTERN = /^\{lang=([^}]*)\}/;
+
+// Types whose correct_responses collection holds at most one pattern
+const SINGLE_CORRECT_RESPONSE_TYPES = Object.freeze(['true-false', 'likert', 'numeric', 'other']);
+
+const ok = (value) => ({ valid: true, value });
+const fail = (reason) => ({ valid: false, reason });
+const valueLabel = (type, isPattern) => `${type} ${isPattern ? 'correct response pattern' : 'learner_response'}`;
+
+/**
+ * Strip leading {case_matters=}/{order_matters=} delimiters
+ * @private
+ * @param {string} text - Characterstring
+ * @param {Array<string>} allowed - Delimiters the grammar permits
+ * @param {string} label - What the text is (for diagnostics)
+ * @returns {{flags: Object<string, boolean>, rest: string}|{reason: string}} Delimiter values and remaining text
+ */
+function takeFlags(text, allowed, label) {
+  const flags = {};
+  let rest = text;
+  let match;
+  while ((match = BOOLEAN_DELIMITER_PATTERN.exec(rest))) {
+    const [whole, name, value] = match;
+    if (!allowed.includes(name)) {
+      return { reason: `{${name}=} is not allowed in a ${label}` };
+    }
+    if (name in flags) {
+      return { reason: `{${name}=} appears more than once` };
+    }
+    if (value !== 'true' && value !== 'false') {
+      return { reason: `{${name}=} must be true or false, got "${value}"` };
+    }
+    flags[name] = value === 'true';
+    rest = rest.slice(whole.length);
+  }
+  return { flags, rest };
+}
+
+/**
+ * Parse a localized_string_type: an optional {lang=} delimiter and text
+ * @private
+ * @param {string} text - Characterstring
+ * @returns {{lang: (string|null), text: string}|{reason: string}} Parsed string
+ */
+function parseLocalizedString(text) {
+  const match = LANG_DELIMITER_PATTERN.exec(text);
+  if (!match) {
+    return { lang: null, text };
+  }
+  if (!LANGUAGE_PATTERN.test(match[1])) {
+    return { reason: `invalid language code "${match[1]}" in {lang=}` };
+  }
+  return { lang: match[1], text: text.slice(match[0].length) };
+}
+
+/**
+ * Find the first entry that is not a short_identifier_type
+ * @private
+ * @param {Array<string>} identifiers - Candidate identifiers
+ * @param {string} label - What the identifiers are (for diagnostics)
+ * @returns {string|null} Reason, or null when all are valid
+ */
+function checkIdentifiers(identifiers, label) {
+  for (const identifier of identifiers) {
+    if (identifier === '') {
+      return `empty ${label}`;
+    }
+    if (/^\{(case_matters|order_matters|lang)=/.test(identifier)) {
+      return `${identifier.slice(0, identifier.indexOf('=') + 1)}} is not allowed in a ${label}`;
+    }
+    if (!IDENTIFIER_PATTERN.test(identifier)) {
+      return `"${identifier}" is not a valid ${label} (short identifier without spaces or [ ] { })`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Find the first repeated value
+ * @private
+ * @param {Array<string>} values - Values
+ * @returns {string|null} Repeated value, or null
+ */
+function findDuplicate(values) {
+  const seen = new Set();
+  for (const value of values) {
+    if (seen.has(value)) return value;
+    seen.add(value);
+  }
+  return null;
+}
+
+/**
+ * Parse a real(10,7) number
+ * @private
+ * @param {string} text - Characterstring
+ * @returns {number|null} Number, or null when the text is not a real number
+ */
+function parseReal(text) {
+  return SCORM_CONSTANTS.REGEX.DECIMAL.test(text) ? parseFloat(text) : null;
+}
+
+/**
+ * Parse a numeric range: <min>[:]<max>, either bound may be omitted
+ * @private
+ * @param {string} text - Characterstring
+ * @returns {{min: (number|null), max: (number|null)}|{reason: string}} Range
+ */
+function parseRange(text) {
+  const bounds = text.split(RANGE_DELIMITER);
+  if (bounds.length !== 2) {
+    return { reason: `expected <min>[:]<max>, got "${text}"` };
+  }
+  const [min, max] = bounds.map(bound => (bound === '' ? null : parseReal(bound)));
+  if ((bounds[0] !== '' && min === null) || (bounds[1] !== '' && max === null)) {
+    return { reason: `range bounds must be real numbers, got "${text}"` };
+  }
+  if (min !== null && max !== null && min > max) {
+    return { reason: `minimum ${min} is greater than maximum ${max}` };
+  }
+  return { min, max };
+}
+
+const GRAMMARS = {
+  'true-false': (text) => {
+    if (text !== 'true' && text !== 'false') {
+      return fail(`expected "true" or "false", got "${text}"`);
+    }
+    return ok({ value: text === 'true' });
+  },
+
+  choice: (text) => {
+    const choices = text === '' ? [] : text.split(LIST_DELIMITER);
+    const reason = checkIdentifiers(choices, 'choice identifier');
+    if (reason) return fail(reason);
+    const duplicate = findDuplicate(choices);
+    if (duplicate !== null) return fail(`choice "${duplicate}" is listed more than once`);
+    return ok({ choices });
+  },
+
+  'fill-in': (text, isPattern) => {
+    const taken = takeFlags(text, isPattern ? ['case_matters', 'order_matters'] : [], valueLabel('fill-in', isPattern));
+    if (taken.reason) return fail(taken.reason);
+    const strings = [];
+    for (const part of taken.rest.split(LIST_DELIMITER)) {
+      const parsed = parseLocalizedString(part);
+      if (parsed.reason) return fail(parsed.reason);
+      strings.push(parsed);
+    }
+    return ok({
+      caseMatters: taken.flags.case_matters === true,
+      orderMatters: taken.flags.order_matters !== false,
+      strings
+    });
+  },
+
+  'long-fill-in': (text, isPattern) => {
+    const taken = takeFlags(text, isPattern ? ['case_matters'] : [], valueLabel('long-fill-in', isPattern));
+    if (taken.reason) return fail(taken.reason);
+    const parsed = parseLocalizedString(taken.rest);
+    if (parsed.reason) return fail(parsed.reason);
+    return ok({ caseMatters: taken.flags.case_matters === true, string: parsed });
+  },
+
+  likert: (text) => {
+    const reason = checkIdentifiers([text], 'likert identifier');
+    return reason ? fail(reason) : ok({ choice: text });
+  },
+
+  matching: (text) => {
+    const pairs = [];
+    for (const part of text.split(LIST_DELIMITER)) {
+      const pair = part.split(PAIR_DELIMITER);
+      if (pair.length !== 2) {
+        return fail(`"${part}" is not a source[.]target pair`);
+      }
+      const reason = checkIdentifiers(pair, 'matching identifier');
+      if (reason) return fail(reason);
+      pairs.push(pair);
+    }
+    const duplicate = findDuplicate(pairs.map(pair => pair.join(PAIR_DELIMITER)));
+    if (duplicate !== null) return fail(`pair "${duplicate}" is listed more than once`);
+    return ok({ pairs });
+  },
+
+  performance: (text, isPattern) => {
+    const taken = takeFlags(text, isPattern ? ['order_matters'] : [], valueLabel('performance', isPattern));
+    if (taken.reason) return fail(taken.reason);
+    const steps = [];
+    for (const part of taken.rest.split(LIST_DELIMITER)) {
+      const step = part.split(PAIR_DELIMITER);
+      if (step.length !== 2) {
+        return fail(`"${part}" is not a step_name[.]step_answer step`);
+      }
+      const [name, answer] = step;
+      if (name === '' && answer === '') {
+        return fail('a step needs a step name, a step answer or both');
+      }
+      if (name !== '') {
+        const reason = checkIdentifiers([name], 'step name');
+        if (reason) return fail(reason);
+      }
+      let range = null;
+      if (isPattern && answer.includes(RANGE_DELIMITER)) {
+        range = parseRange(answer);
+        if (range.reason) return fail(`step "${part}": ${range.reason}`);
+      }
+      steps.push({ name: name || null, answer, range });
+    }
+    return ok({ orderMatters: taken.flags.order_matters !== false, steps });
+  },
+
+  sequencing: (text) => {
+    const sequence = text.split(LIST_DELIMITER);
+    const reason = checkIdentifiers(sequence, 'sequencing identifier');
+    return reason ? fail(reason) : ok({ sequence });
+  },
+
+  numeric: (text, isPattern) => {
+    if (isPattern) {
+      const range = parseRange(text);
+      return range.reason ? fail(range.reason) : ok(range);
+    }
+    const value = parseReal(text);
+    return value === null ? fail(`"${text}" is not a real number`) : ok({ value });
+  },
+
+  other: (text) => ok({ text })
+};
+
+/**
+ * Parse a value of the given grammar
+ * @private
+ * @param {string} type - Interaction type
+ * @param {string} value - Characterstring
+ * @param {boolean} isPattern - Whether the value is a correct response pattern
+ * @returns {{valid: boolean, value?: Object, reason?: string}} Parse result
+ */
+function parse(type, value, isPattern) {
+  const grammar = GRAMMARS[type];
+  if (!grammar) {
+    return fail(`unknown interaction type "${type}"`);
+  }
+  if (typeof value !== 'string') {
+    return fail('value must be a characterstring');
+  }
+  return grammar(value, isPattern);
+}
+
+/**
+ * Parse cmi.interactions.n.correct_responses.n.pattern
+ * @param {string} type - Interaction type
+ * @param {string} pattern - Pattern
+ * @returns {{valid: boolean, value?: Object, reason?: string}} Parsed pattern, or the reason it is invalid
+ */
+function parseCorrectResponse(type, pattern) {
+  return parse(type, pattern, true);
+}
+
+/**
+ * Parse cmi.interactions.n.learner_response
+ * @param {string} type - Interaction type
+ * @param {string} response - Learner response
+ * @returns {{valid: boolean, value?: Object, reason?: string}} Parsed response, or the reason it is invalid
+ */
+function parseLearnerResponse(type, response) {
+  return parse(type, response, false);
+}
+
+module.exports = {
+  SINGLE_CORRECT_RESPONSE_TYPES,
+  parseCorrectResponse,
+  parseLearnerResponse
+};
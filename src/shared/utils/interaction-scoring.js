@@ -0,0 +1,195 @@
+/**
+ * Interaction Scoring
+ *
+ * Independently judges a SCORM 2004 interaction: does its learner_response
+ * match any of its correct_responses patterns (RTE 4.2.9.1), and does that
+ * agree with the result the content reported? Matching follows the semantics
+ * of each interaction type - unordered choice sets and matching pairs,
+ * {case_matters=} and {order_matters=} for fill-in and performance,
+ * inclusive numeric ranges - using the grammars in interaction-responses.js.
+ *
+ * @fileoverview SCORM 2004 interaction evaluation
+ */
+
+const { parseCorrectResponse, parseLearnerResponse } = require('./interaction-responses');
+
+const EVALUATION_STATUS = Object.freeze({
+  CORRECT: 'correct',
+  INCORRECT: 'incorrect',
+  // No learner_response or no correct_responses to compare
+  UNSCORABLE: 'unscorable',
+  // learner_response or every pattern breaks the type grammar
+  INVALID: 'invalid'
+});
+
+const sameSet = (a, b) => a.length === b.length && a.every(item => b.includes(item));
+const sameSequence = (a, b) => a.length === b.length && a.every((item, i) => item === b[i]);
+const foldCase = (text, caseMatters) => (caseMatters ? text : text.toLowerCase());
+
+const inRange = (value, { min, max }) => (min === null || value >= min) && (max === null || value <= max);
+
+/**
+ * Check whether every response entry can be paired with a distinct pattern entry
+ * @private
+ * @param {Array} responses - Response entries
+ * @param {Array} patterns - Pattern entries
+ * @param {Function} matches - (response, pattern) => boolean
+ * @returns {boolean} Whether a one-to-one pairing exists
+ */
+function matchesUnordered(responses, patterns, matches) {
+  if (responses.length !== patterns.length) {
+    return false;
+  }
+  const used = new Array(patterns.length).fill(false);
+  const assign = (i) => {
+    if (i === responses.length) return true;
+    for (let j = 0; j < patterns.length; j++) {
+      if (!used[j] && matches(responses[i], patterns[j])) {
+        used[j] = true;
+        if (assign(i + 1)) return true;
+        used[j] = false;
+      }
+    }
+    return false;
+  };
+  return assign(0);
+}
+
+/**
+ * Check a performance step against a pattern step
+ * @private
+ * @param {{name: (string|null), answer: string}} step - Learner step
+ * @param {{name: (string|null), answer: string, range: (Object|null)}} expected - Pattern step
+ * @returns {boolean} Whether the step matches
+ */
+function stepMatches(step, expected) {
+  if (expected.name !== null && step.name !== expected.name) {
+    return false;
+  }
+  if (expected.range) {
+    const value = parseLearnerResponse('numeric', step.answer);
+    return value.valid && inRange(value.value.value, expected.range);
+  }
+  return expected.answer === '' || step.answer === expected.answer;
+}
+
+// (parsed pattern, parsed learner_response) => whether the response matches the pattern
+const MATCHERS = {
+  'true-false': (pattern, response) => pattern.value === response.value,
+
+  choice: (pattern, response) => sameSet(pattern.choices, response.choices),
+
+  // Language tags are descriptive; only the text is compared
+  'fill-in': (pattern, response) => {
+    const expected = pattern.strings.map(s => foldCase(s.text, pattern.caseMatters));
+    const given = response.strings.map(s => foldCase(s.text, pattern.caseMatters));
+    return pattern.orderMatters
+      ? sameSequence(given, expected)
+      : matchesUnordered(given, expected, (a, b) => a === b);
+  },
+
+  'long-fill-in': (pattern, response) =>
+    foldCase(response.string.text, pattern.caseMatters) === foldCase(pattern.string.text, pattern.caseMatters),
+
+  likert: (pattern, response) => pattern.choice === response.choice,
+
+  matching: (pattern, response) => {
+    const key = ([source, target]) => `${source}\u0000${target}`;
+    return sameSet(pattern.pairs.map(key), response.pairs.map(key));
+  },
+
+  performance: (pattern, response) => (pattern.orderMatters
+    ? response.steps.length === pattern.steps.length && response.steps.every((step, i) => stepMatches(step, pattern.steps[i]))
+    : matchesUnordered(response.steps, pattern.steps, stepMatches)),
+
+  sequencing: (pattern, response) => sameSequence(response.sequence, pattern.sequence),
+
+  numeric: (pattern, response) => inRange(response.value, pattern),
+
+  other: (pattern, response) => pattern.text === response.text
+};
+
+/**
+ * Decide whether a reported cmi.interactions.n.result contradicts the evaluation
+ * "neutral", real-number results and an unset result are not judged.
+ * @private
+ * @param {string} status - Evaluation status
+ * @param {string} result - Reported result
+ * @returns {boolean} Whether the result contradicts the evaluation
+ */
+function contradicts(status, result) {
+  if (status === EVALUATION_STATUS.CORRECT) {
+    return result === 'incorrect' || result === 'unanticipated';
+  }
+  if (status === EVALUATION_STATUS.INCORRECT) {
+    return result === 'correct';
+  }
+  return false;
+}
+
+/**
+ * Evaluate a learner_response against the interaction's correct responses
+ * @param {Object} interaction
+ * @param {string} interaction.type - cmi.interactions.n.type
+ * @param {string} [interaction.learnerResponse] - cmi.interactions.n.learner_response
+ * @param {Array<string>} [interaction.correctResponses] - correct_responses.n.pattern values in order
+ * @param {string} [interaction.result] - cmi.interactions.n.result reported by the content
+ * @returns {{status: string, matchedPattern: (number|null), expectedResult: (string|null),
+ *   reportedResult: (string|null), resultMismatch: boolean, reason: (string|null)}} Evaluation
+ */
+function evaluateInteraction({ type, learnerResponse, correctResponses = [], result } = {}) {
+  const reportedResult = result === undefined || result === null || result === '' ? null : String(result);
+  const evaluation = (status, extra = {}) => {
+    const expectedResult = status === EVALUATION_STATUS.CORRECT || status === EVALUATION_STATUS.INCORRECT
+      ? status
+      : null;
+    return {
+      status,
+      matchedPattern: null,
+      expectedResult,
+      reportedResult,
+      resultMismatch: contradicts(status, reportedResult),
+      reason: null,
+      ...extra
+    };
+  };
+
+  if (!MATCHERS[type]) {
+    return evaluation(EVALUATION_STATUS.UNSCORABLE, {
+      reason: type ? `unknown interaction type "${type}"` : 'interaction type is not set'
+    });
+  }
+  // Unset elements read back as "", so an empty response is treated as no response
+  if (learnerResponse === undefined || learnerResponse === null || learnerResponse === '') {
+    return evaluation(EVALUATION_STATUS.UNSCORABLE, { reason: 'learner_response is not set' });
+  }
+  if (!Array.isArray(correctResponses) || correctResponses.length === 0) {
+    return evaluation(EVALUATION_STATUS.UNSCORABLE, { reason: 'no correct_responses to compare against' });
+  }
+
+  const response = parseLearnerResponse(type, learnerResponse);
+  if (!response.valid) {
+    return evaluation(EVALUATION_STATUS.INVALID, { reason: `learner_response: ${response.reason}` });
+  }
+
+  let validPatterns = 0;
+  for (let i = 0; i < correctResponses.length; i++) {
+    const pattern = parseCorrectResponse(type, correctResponses[i]);
+    if (!pattern.valid) continue;
+    validPatterns++;
+    if (MATCHERS[type](pattern.value, response.value)) {
+      return evaluation(EVALUATION_STATUS.CORRECT, { matchedPattern: i });
+    }
+  }
+  if (validPatterns === 0) {
+    return evaluation(EVALUATION_STATUS.INVALID, { reason: 'no correct_responses pattern is valid for the interaction type' });
+  }
+  return evaluation(EVALUATION_STATUS.INCORRECT, {
+    reason: `learner_response matches none of the ${validPatterns} correct response pattern(s)`
+  });
+}
+
+module.exports = {
+  EVALUATION_STATUS,
+  evaluateInteraction
+};
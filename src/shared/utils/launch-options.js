@@ -0,0 +1,117 @@
+/**
+ * Launch Options
+ *
+ * Values an LMS hands a SCO at launch that the tester lets you choose:
+ * the learner identity reported in cmi.learner_id/cmi.learner_name, the
+ * initial cmi.learner_preference.* values, cmi.launch_data and cmi.mode.
+ * The GUI stores one set per course as a launch preset in the UI settings;
+ * MCP passes them as scorm_open_course's launch_options.
+ *
+ * @fileoverview Launch option normalization shared by main process and MCP
+ */
+
+const SCORM_CONSTANTS = require('../constants/scorm-constants');
+
+const LAUNCH_MODES = Object.freeze(['normal', 'review', 'browse']);
+
+// Preference keys use SCORM 2004 naming; the SCORM 1.2 data model maps them to cmi.student_preference.*
+const LAUNCH_PREFERENCE_KEYS = Object.freeze(['language', 'audio_level', 'delivery_speed', 'audio_captioning']);
+
+const LANGUAGE_PATTERN = /^[A-Za-z]{1,8}(?:-[A-Za-z0-9]{1,8})*$/;
+const MAX_LEARNER_ID_LENGTH = 4000;
+const MAX_LEARNER_NAME_LENGTH = 250;
+const MAX_LAUNCH_DATA_LENGTH = 4096;
+
+const isUnset = (value) => value === undefined || value === null || value === '';
+
+/**
+ * Check a learner preference value
+ * @private
+ * @param {string} key - Preference key
+ * @param {string} value - Value as a string
+ * @returns {string|null} Reason the value is invalid, or null
+ */
+function checkPreference(key, value) {
+  switch (key) {
+    case 'language':
+      return LANGUAGE_PATTERN.test(value) ? null : `language "${value}" is not a language code (e.g. en, fr-CA)`;
+    case 'audio_level':
+    case 'delivery_speed':
+      return SCORM_CONSTANTS.REGEX.DECIMAL.test(value) && parseFloat(value) >= 0
+        ? null
+        : `${key} must be a number of 0 or more, got "${value}"`;
+    case 'audio_captioning':
+      return ['-1', '0', '1'].includes(value) ? null : `audio_captioning must be -1, 0 or 1, got "${value}"`;
+    default:
+      return `unknown learner preference "${key}"`;
+  }
+}
+
+/**
+ * Validate launch options and drop the ones left blank
+ * @param {Object} [input] - Launch options
+ * @param {string} [input.learnerId] - Value reported in cmi.learner_id
+ * @param {string} [input.learnerName] - Value reported in cmi.learner_name
+ * @param {Object<string, string|number>} [input.preferences] - language, audio_level, delivery_speed, audio_captioning
+ * @param {string} [input.launchData] - Value reported in cmi.launch_data
+ * @param {string} [input.mode] - 'normal', 'review' or 'browse' (cmi.mode)
+ * @returns {Object} Launch options with only the values that were set; preference values are strings
+ * @throws {Error} When a value is invalid
+ */
+function normalizeLaunchOptions(input) {
+  if (isUnset(input)) {
+    return {};
+  }
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    throw new Error('Launch options must be an object');
+  }
+
+  const options = {};
+  const text = (key, max) => {
+    if (isUnset(input[key])) return;
+    if (typeof input[key] !== 'string') {
+      throw new Error(`${key} must be a string`);
+    }
+    if (input[key].length > max) {
+      throw new Error(`${key} is longer than ${max} characters`);
+    }
+    options[key] = input[key];
+  };
+  text('learnerId', MAX_LEARNER_ID_LENGTH);
+  text('learnerName', MAX_LEARNER_NAME_LENGTH);
+  text('launchData', MAX_LAUNCH_DATA_LENGTH);
+
+  if (!isUnset(input.preferences)) {
+    if (typeof input.preferences !== 'object' || Array.isArray(input.preferences)) {
+      throw new Error('preferences must be an object');
+    }
+    const preferences = {};
+    for (const [key, raw] of Object.entries(input.preferences)) {
+      if (isUnset(raw)) continue;
+      const value = String(raw).trim();
+      const reason = checkPreference(key, value);
+      if (reason) {
+        throw new Error(reason);
+      }
+      preferences[key] = value;
+    }
+    if (Object.keys(preferences).length > 0) {
+      options.preferences = preferences;
+    }
+  }
+
+  if (!isUnset(input.mode)) {
+    if (!LAUNCH_MODES.includes(input.mode)) {
+      throw new Error(`mode must be one of ${LAUNCH_MODES.join(', ')}, got "${input.mode}"`);
+    }
+    options.mode = input.mode;
+  }
+
+  return options;
+}
+
+module.exports = {
+  LAUNCH_MODES,
+  LAUNCH_PREFERENCE_KEYS,
+  normalizeLaunchOptions
+};
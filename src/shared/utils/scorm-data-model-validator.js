@@ -9,6 +9,9 @@
 
 const { DATA_MODEL_SCHEMA, DATA_TYPES } = require('../constants/data-model-schema');
 const SCORM_CONSTANTS = require('../constants/scorm-constants');
+const { parseCorrectResponse, parseLearnerResponse } = require('./interaction-responses');
+
+const INTERACTION_RESPONSE_REGEX = /^cmi\.interactions\.\d+\.(correct_responses\.\d+\.pattern|learner_response)$/;
 
 /**
  * Check if element name is valid based on DATA_MODEL_SCHEMA or collection patterns.
@@ -62,13 +65,15 @@ function isCollectionElement(element) {
  * Validate value against element schema or basic collection rules.
  * @param {string} element - Element name
  * @param {string} value - Value to validate
+ * @param {Object} [context] - Collection context
+ * @param {string} [context.interactionType] - Type of the interaction a response belongs to
  * @returns {boolean} True if valid
  */
-function isValidValue(element, value) {
+function isValidValue(element, value, context = {}) {
   const schema = DATA_MODEL_SCHEMA[element];
   if (!schema) {
     // For collection elements, do basic validation
-    return validateCollectionValue(element, value);
+    return validateCollectionValue(element, value, context);
   }
 
   // Check vocabulary constraints
@@ -124,12 +129,20 @@ function validateDataType(dataType, value) {
  * Validate collection element value.
  * @param {string} element - Collection element name
  * @param {string} value - Value to validate
+ * @param {Object} [context] - Collection context (see isValidValue)
  * @returns {boolean} True if valid
  */
-function validateCollectionValue(element, value) {
-  // Basic validation for collection elements
-  // More specific validation could be added based on element type
-  
+function validateCollectionValue(element, value, context = {}) {
+  const response = element.match(INTERACTION_RESPONSE_REGEX);
+  if (response) {
+    // The grammar depends on the interaction type; without it there is nothing to check against
+    if (!context.interactionType) {
+      return true;
+    }
+    const parse = response[1] === 'learner_response' ? parseLearnerResponse : parseCorrectResponse;
+    return parse(context.interactionType, value).valid;
+  }
+
   if (element.includes('.id')) {
     // IDs should not be empty and within length limits
     return value.length > 0 && value.length <= SCORM_CONSTANTS.DATA_MODEL.LIMITS.INTERACTION_ID;
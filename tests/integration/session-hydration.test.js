@@ -392,6 +392,63 @@ describe('Session Hydration Integration Tests', () => {
     });
   });
 
+  describe('Learners and Attempts', () => {
+    afterEach(() => {
+      const learnersPath = path.join(path.dirname(testDataDir), 'learner-profiles.json');
+      if (fs.existsSync(learnersPath)) {
+        fs.unlinkSync(learnersPath);
+      }
+    });
+
+    it('should start a new attempt without touching the previous one and resume it on request', async () => {
+      await scormService.initializeSession('attempt-1');
+      await scormService.setValue('attempt-1', 'cmi.location', 'page5');
+      await scormService.setValue('attempt-1', 'cmi.exit', 'suspend');
+      await scormService.terminate('attempt-1');
+
+      const second = await scormService.initializeSession('attempt-2', { attempt: 'new' });
+      expect(second.attempt).toBe(2);
+      expect(scormService.rteInstances.get('attempt-2').dataModel.getValue('cmi.entry')).toBe('ab-initio');
+      await scormService.setValue('attempt-2', 'cmi.location', 'page1');
+      await scormService.setValue('attempt-2', 'cmi.exit', 'suspend');
+      await scormService.terminate('attempt-2');
+
+      const attempts = await sessionStore.listAttempts('test-course-123', 'test-integration');
+      expect(attempts.map(a => a.attempt)).toEqual([1, 2]);
+      expect(attempts.every(a => a.suspended)).toBe(true);
+
+      const resumed = await scormService.initializeSession('attempt-1-again', { attempt: 1 });
+      expect(resumed.attempt).toBe(1);
+      expect((await scormService.getValue('attempt-1-again', 'cmi.location')).value).toBe('page5');
+      await scormService.terminate('attempt-1-again');
+
+      // Later launches stay on the chosen attempt
+      const next = await scormService.initializeSession('attempt-1-next');
+      expect(next.attempt).toBe(1);
+      await scormService.terminate('attempt-1-next');
+
+      await expect(scormService.initializeSession('attempt-9', { attempt: 9 })).resolves.toEqual(
+        expect.objectContaining({ success: false })
+      );
+    });
+
+    it('should run as the active learner with separate saved data and seeded preferences', async () => {
+      await sessionStore.saveLearner({ id: 'alice', name: 'Alice Example', preferences: { language: 'fr', audio_level: '2' } });
+      await sessionStore.setActiveLearner('alice', 'test-integration');
+
+      const result = await scormService.initializeSession('learner-session');
+      expect(result.learnerId).toBe('alice');
+      expect((await scormService.getValue('learner-session', 'cmi.learner_id')).value).toBe('alice');
+      expect((await scormService.getValue('learner-session', 'cmi.learner_name')).value).toBe('Alice Example');
+      expect((await scormService.getValue('learner-session', 'cmi.learner_preference.language')).value).toBe('fr');
+      await scormService.setValue('learner-session', 'cmi.exit', 'suspend');
+      await scormService.terminate('learner-session');
+
+      expect(sessionStore.hasSession('test-course-123', 'test-integration', { learnerId: 'alice' })).toBe(true);
+      expect(sessionStore.hasSession('test-course-123', 'test-integration')).toBe(false);
+    });
+  });
+
   describe('Edge Cases and Error Handling', () => {
     it('should handle corrupted saved data gracefully', async () => {
       // Manually write corrupted JSON to session file
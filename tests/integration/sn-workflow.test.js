@@ -423,6 +423,81 @@ describe('SN Workflow Integration Tests', () => {
       expect(state.globalObjectives).toBeDefined();
       expect(Object.keys(state.globalObjectives)).toContain('global_obj1');
     });
+
+    test('should share runtime objectives between SCOs through mapInfo', async () => {
+      const manifest = {
+        organizations: {
+          default: 'org1',
+          organization: [{
+            identifier: 'org1',
+            title: 'Pre/Post Test Course',
+            objectivesGlobalToSystem: false,
+            item: [{
+              identifier: 'pretest',
+              title: 'Pre-test',
+              identifierref: 'resource1',
+              sequencing: {
+                objectives: {
+                  primaryObjective: { objectiveID: 'pretest_primary' },
+                  objectives: [{
+                    objectiveID: 'mastery',
+                    mapInfo: {
+                      targetObjectiveID: 'global_mastery',
+                      writeSatisfiedStatus: true,
+                      writeNormalizedMeasure: true
+                    }
+                  }]
+                }
+              }
+            }, {
+              identifier: 'posttest',
+              title: 'Post-test',
+              identifierref: 'resource2',
+              sequencing: {
+                objectives: {
+                  objectives: [{
+                    objectiveID: 'mastery',
+                    mapInfo: {
+                      targetObjectiveID: 'global_mastery',
+                      readSatisfiedStatus: true,
+                      readNormalizedMeasure: false
+                    }
+                  }]
+                }
+              }
+            }]
+          }]
+        },
+        resources: { resource: [
+          { identifier: 'resource1', scormType: 'sco' },
+          { identifier: 'resource2', scormType: 'sco' }
+        ] }
+      };
+
+      await snService.initialize(manifest);
+      expect(snService.isObjectivesGlobalToSystem()).toBe(false);
+
+      // Nothing has been written yet, so the post-test only gets its objective ids
+      expect(snService.readMappedObjectives('posttest').objectives).toEqual([{ id: 'mastery' }]);
+
+      const writeResult = snService.writeMappedObjectives('pretest', {
+        successStatus: 'unknown',
+        objectives: [{ id: 'mastery', success_status: 'passed', scaled: '0.8' }]
+      });
+      expect(writeResult.written).toBe(2);
+
+      const read = snService.readMappedObjectives('posttest');
+      expect(read.objectives).toEqual([{ id: 'mastery', success_status: 'passed' }]);
+
+      // Persisted state round-trips into a fresh service
+      const saved = snService.getGlobalObjectivesState();
+      expect(saved.global_mastery).toEqual({ satisfied: true, measure: 0.8 });
+
+      const nextService = new ScormSNService(mockErrorHandler, mockLogger);
+      await nextService.initialize(manifest);
+      expect(nextService.restoreGlobalObjectivesState(saved).restored).toBe(2);
+      expect(nextService.readMappedObjectives('posttest').objectives[0].success_status).toBe('passed');
+    });
   });
 
   // ============================================================================
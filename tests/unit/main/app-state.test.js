@@ -0,0 +1,84 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AppStateService = require('../../../src/main/services/app-state');
+
+describe('AppStateService launch presets', () => {
+  const mockErrorHandler = { setError: jest.fn(), getError: jest.fn() };
+  const mockLogger = { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() };
+  let settingsPath;
+
+  const createService = async (options = {}) => {
+    const service = new AppStateService(mockErrorHandler, mockLogger, options);
+    await service.initialize(new Map());
+    return service;
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    settingsPath = path.join(os.tmpdir(), `scorm-tester-app-state-${process.pid}.json`);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(settingsPath, { force: true });
+  });
+
+  test('stores launch presets per course and null removes them', async () => {
+    const appState = await createService();
+    const preset = { learnerName: 'Ana', preferences: { language: 'fr-CA', audio_level: '' }, mode: 'review' };
+
+    let res = await appState.setSettings({ launchPresets: { 'course-a': preset } });
+    expect(res.success).toBe(true);
+    expect(res.settings.launchPresets['course-a']).toEqual({ learnerName: 'Ana', preferences: { language: 'fr-CA' }, mode: 'review' });
+    expect(appState.getLaunchPreset('course-a').mode).toBe('review');
+
+    res = await appState.setSettings({ launchPresets: { 'course-a': null } });
+    expect(res.settings.launchPresets).toEqual({});
+    expect(appState.getLaunchPreset('course-a')).toBeNull();
+  });
+
+  test('rejects invalid launch presets without applying any', async () => {
+    const appState = await createService();
+
+    const res = await appState.setSettings({
+      launchPresets: { 'course-a': { mode: 'review' }, 'course-b': { preferences: { language: 'not a code' } } }
+    });
+
+    expect(res.success).toBe(false);
+    expect(res.error).toBe('invalid_launch_preset');
+    expect(res.message).toContain('course-b: language "not a code"');
+    expect(appState.getLaunchPreset('course-a')).toBeNull();
+  });
+
+  test('launch presets survive a restart when a settings file is configured', async () => {
+    const first = await createService({ settingsPath });
+    await first.setSettings({ launchPresets: { 'course-a': { launchData: 'level=2' } } });
+
+    const second = await createService({ settingsPath });
+    expect(second.getLaunchPreset('course-a')).toEqual({ launchData: 'level=2' });
+  });
+
+  test('writes the settings file in order so the latest presets win', async () => {
+    const appState = await createService({ settingsPath });
+    const writeFile = fs.promises.writeFile.bind(fs.promises);
+    let firstWrite = true;
+    // The first write finishes after the second one has been requested
+    jest.spyOn(fs.promises, 'writeFile').mockImplementation(async (...args) => {
+      if (firstWrite) {
+        firstWrite = false;
+        await new Promise(resolve => setTimeout(resolve, 20));
+      }
+      return writeFile(...args);
+    });
+
+    const saves = [
+      appState.setSettings({ launchPresets: { 'course-a': { launchData: 'first' } } }),
+      appState.setSettings({ launchPresets: { 'course-a': { launchData: 'second' } } })
+    ];
+    await appState.shutdown();
+    await Promise.all(saves);
+
+    expect(JSON.parse(fs.readFileSync(settingsPath, 'utf8')).launchPresets['course-a']).toEqual({ launchData: 'second' });
+  });
+});
@@ -0,0 +1,84 @@
+/**
+ * ScormService Launch Options Tests
+ *
+ * Covers the learner identity, learner preferences, launch data and mode a
+ * launch reports to the content (GUI launch presets and MCP launch_options).
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ScormService = require('../../../src/main/services/scorm-service');
+
+const USER_DATA = path.join(os.tmpdir(), 'scorm-tester-launch-options-test');
+
+jest.mock('electron', () => ({
+  app: {
+    getPath: jest.fn(() => require('path').join(require('os').tmpdir(), 'scorm-tester-launch-options-test'))
+  }
+}));
+
+describe('ScormService launch options', () => {
+  let service;
+
+  beforeEach(async () => {
+    fs.rmSync(USER_DATA, { recursive: true, force: true });
+    const mockLogger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+    service = new ScormService({ setError: jest.fn() }, mockLogger);
+    await service.initialize(new Map([['windowManager', { getWindow: () => null }]]));
+  });
+
+  afterEach(async () => {
+    await service.shutdown();
+  });
+
+  afterAll(() => {
+    fs.rmSync(USER_DATA, { recursive: true, force: true });
+  });
+
+  const value = async (sessionId, element) => (await service.getValue(sessionId, element)).value;
+
+  test('reports the configured learner, preferences, launch data and mode', async () => {
+    const result = await service.initializeSession('session', {
+      courseId: 'course-a',
+      launchOptions: {
+        learnerId: 'lms-4711',
+        learnerName: 'Doe, Jane',
+        preferences: { language: 'de-CH', audio_captioning: 1 },
+        launchData: 'chapter=3',
+        mode: 'browse'
+      }
+    });
+
+    expect(result).toEqual(expect.objectContaining({ success: true, launchMode: 'browse' }));
+    expect(await value('session', 'cmi.learner_id')).toBe('lms-4711');
+    expect(await value('session', 'cmi.learner_name')).toBe('Doe, Jane');
+    expect(await value('session', 'cmi.learner_preference.language')).toBe('de-CH');
+    expect(await value('session', 'cmi.learner_preference.audio_captioning')).toBe('1');
+    expect(await value('session', 'cmi.launch_data')).toBe('chapter=3');
+    expect(await value('session', 'cmi.mode')).toBe('browse');
+    await service.terminate('session');
+  });
+
+  test('applies preferences when an attempt resumes', async () => {
+    await service.initializeSession('first', { courseId: 'course-b' });
+    await service.setValue('first', 'cmi.location', 'page-2');
+    await service.setValue('first', 'cmi.learner_preference.language', 'en');
+    await service.setValue('first', 'cmi.exit', 'suspend');
+    await service.terminate('first');
+
+    await service.initializeSession('second', { courseId: 'course-b', launchOptions: { preferences: { language: 'fr' } } });
+
+    expect(await value('second', 'cmi.entry')).toBe('resume');
+    expect(await value('second', 'cmi.learner_preference.language')).toBe('fr');
+    await service.terminate('second');
+  });
+
+  test('refuses invalid launch options', async () => {
+    const result = await service.initializeSession('session', { courseId: 'course-c', launchOptions: { mode: 'preview' } });
+
+    expect(result.success).toBe(false);
+    expect(result.reason).toBe('mode must be one of normal, review, browse, got "preview"');
+    expect(service.sessions.has('session')).toBe(false);
+  });
+});
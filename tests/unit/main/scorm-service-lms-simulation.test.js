@@ -0,0 +1,149 @@
+/**
+ * ScormService LMS Simulation and Session Export Tests
+ *
+ * Covers the SCORM → Simulate menu transitions (suspend, complete,
+ * disconnect) performed on the main-process RTE and the File → Export
+ * Session Data bundle.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ScormService = require('../../../src/main/services/scorm-service');
+const ScormInspectorTelemetryStore = require('../../../src/main/services/scorm-inspector/scorm-inspector-telemetry-store');
+
+const USER_DATA = path.join(os.tmpdir(), 'scorm-tester-lms-simulation-test');
+
+jest.mock('electron', () => ({
+  app: {
+    getPath: jest.fn(() => require('path').join(require('os').tmpdir(), 'scorm-tester-lms-simulation-test'))
+  }
+}));
+
+describe('ScormService LMS simulation', () => {
+  let service;
+  let telemetryStore;
+  let mockLogger;
+
+  const simulatedCalls = () => telemetryStore.getHistory({ methodFilter: 'Simulate' }).history;
+
+  beforeEach(async () => {
+    fs.rmSync(USER_DATA, { recursive: true, force: true });
+    mockLogger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+    telemetryStore = new ScormInspectorTelemetryStore({ logger: mockLogger, enableBroadcast: false });
+    service = new ScormService({ setError: jest.fn() }, mockLogger);
+    await service.initialize(new Map([
+      ['windowManager', { getWindow: () => null }],
+      ['telemetryStore', telemetryStore]
+    ]));
+  });
+
+  afterEach(async () => {
+    await service.shutdown();
+  });
+
+  afterAll(() => {
+    fs.rmSync(USER_DATA, { recursive: true, force: true });
+  });
+
+  test('suspend ends the session so the next launch resumes it', async () => {
+    await service.initializeSession('first');
+    await service.setValue('first', 'cmi.location', 'page-4');
+
+    const result = await service.simulateLmsBehavior('suspend');
+
+    expect(result).toEqual(expect.objectContaining({ success: true, behavior: 'suspend', sessionId: 'first' }));
+    expect(service.sessions.has('first')).toBe(false);
+    expect(simulatedCalls()).toHaveLength(1);
+
+    await service.initializeSession('second');
+    expect((await service.getValue('second', 'cmi.entry')).value).toBe('resume');
+    expect((await service.getValue('second', 'cmi.location')).value).toBe('page-4');
+    await service.terminate('second');
+  });
+
+  test('complete records completion and commits it', async () => {
+    await service.initializeSession('session');
+    jest.spyOn(service.sessionStore, 'saveSession');
+
+    const result = await service.simulateLmsBehavior('complete', 'session');
+
+    expect(result.success).toBe(true);
+    expect((await service.getValue('session', 'cmi.completion_status')).value).toBe('completed');
+    expect(service.sessionStore.saveSession).toHaveBeenCalled();
+    expect(simulatedCalls()[0]).toEqual(expect.objectContaining({ parameter: 'complete', sessionId: 'session' }));
+    await service.terminate('session');
+  });
+
+  test('commits save to the course the session was opened for', async () => {
+    service.snService = { sequencingSession: { manifest: { identifier: 'manifest-id' } } };
+    await service.initializeSession('session', { courseId: 'course-a' });
+    await service.setValue('session', 'cmi.location', 'page-3');
+
+    expect((await service.commit('session')).success).toBe(true);
+
+    const saved = await service.sessionStore.loadSession('course-a', service.config.sessionNamespace, { learnerId: 'default', attempt: 1 });
+    expect(saved.coreData['cmi.location']).toBe('page-3');
+    expect(await service.sessionStore.loadSession('manifest-id', service.config.sessionNamespace)).toBeNull();
+    await service.terminate('session');
+  });
+
+  test('disconnect makes later commits fail', async () => {
+    await service.initializeSession('session');
+
+    expect((await service.simulateLmsBehavior('disconnect')).success).toBe(true);
+
+    const commit = await service.commit('session');
+    expect(commit).toEqual({ success: false, errorCode: '391' });
+    await service.terminate('session');
+  });
+
+  test('rejects unknown behaviors and missing sessions', async () => {
+    expect(await service.simulateLmsBehavior('complete')).toEqual({ success: false, error: 'No active session' });
+
+    await service.initializeSession('session');
+    expect(await service.simulateLmsBehavior('explode')).toEqual({ success: false, error: 'Unknown LMS behavior: explode' });
+    await service.terminate('session');
+  });
+
+  test('exports the data model, a chronological API timeline and sequencing state', async () => {
+    await service.initializeSession('session');
+    await service.setValue('session', 'cmi.location', 'page-1');
+    await service.setValue('session', 'cmi.location', 'page-2');
+
+    const result = service.exportSessionData();
+
+    expect(result.success).toBe(true);
+    const { bundle } = result;
+    expect(bundle).toEqual(expect.objectContaining({
+      format: 'scorm-tester-session',
+      version: 1,
+      session: expect.objectContaining({ id: 'session', learnerId: 'default', attempt: 1 }),
+      globalObjectives: {}
+    }));
+    expect(bundle.dataModel.coreData['cmi.location']).toBe('page-2');
+    expect(bundle.apiTimeline.filter(e => e.parameter === 'cmi.location').map(e => e.value)).toEqual(['page-1', 'page-2']);
+    expect(bundle.activityTree).toEqual({ currentActivity: null, suspendedActivity: null, activities: {} });
+    await service.terminate('session');
+  });
+
+  test('exports only the API calls and data model changes of the exported session', async () => {
+    await service.initializeSession('first');
+    await service.setValue('first', 'cmi.location', 'first-page');
+    await service.initializeSession('second');
+    await service.setValue('second', 'cmi.location', 'second-page');
+
+    const { bundle } = service.exportSessionData('first');
+
+    expect(bundle.apiTimeline.length).toBeGreaterThan(0);
+    expect(bundle.apiTimeline.every(e => e.sessionId === 'first')).toBe(true);
+    expect(bundle.apiTimeline.filter(e => e.parameter === 'cmi.location').map(e => e.value)).toEqual(['first-page']);
+    expect(bundle.dataModelChanges.every(e => e.sessionId === 'first')).toBe(true);
+    await service.terminate('first');
+    await service.terminate('second');
+  });
+
+  test('export reports when no session is running', () => {
+    expect(service.exportSessionData()).toEqual({ success: false, error: 'No active session to export' });
+  });
+});
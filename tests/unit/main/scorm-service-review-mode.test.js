@@ -0,0 +1,125 @@
+/**
+ * ScormService Review Mode Tests
+ *
+ * Covers launches with cmi.mode=review: the data model is hydrated from the
+ * learner's last completed attempt, reported as no-credit, and whatever the
+ * content writes is accepted but never saved.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ScormService = require('../../../src/main/services/scorm-service');
+
+const USER_DATA = path.join(os.tmpdir(), 'scorm-tester-review-mode-test');
+
+jest.mock('electron', () => ({
+  app: {
+    getPath: jest.fn(() => require('path').join(require('os').tmpdir(), 'scorm-tester-review-mode-test'))
+  }
+}));
+
+describe('ScormService review mode', () => {
+  let service;
+
+  beforeEach(async () => {
+    fs.rmSync(USER_DATA, { recursive: true, force: true });
+    const mockLogger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+    service = new ScormService({ setError: jest.fn() }, mockLogger);
+    await service.initialize(new Map([['windowManager', { getWindow: () => null }]]));
+  });
+
+  afterEach(async () => {
+    await service.shutdown();
+  });
+
+  afterAll(() => {
+    fs.rmSync(USER_DATA, { recursive: true, force: true });
+  });
+
+  const value = async (sessionId, element) => (await service.getValue(sessionId, element)).value;
+
+  // Attempt 1 completed with a score, attempt 2 suspended part-way
+  const seedAttempts = async () => {
+    await service.initializeSession('first', { courseId: 'course-a' });
+    await service.setValue('first', 'cmi.location', 'summary');
+    await service.setValue('first', 'cmi.score.scaled', '0.9');
+    await service.setValue('first', 'cmi.interactions.0.id', 'q1');
+    await service.setValue('first', 'cmi.interactions.0.type', 'true-false');
+    await service.setValue('first', 'cmi.interactions.0.learner_response', 'true');
+    await service.setValue('first', 'cmi.completion_status', 'completed');
+    await service.setValue('first', 'cmi.exit', 'normal');
+    await service.terminate('first');
+
+    await service.initializeSession('second', { courseId: 'course-a', attempt: 'new' });
+    await service.setValue('second', 'cmi.location', 'page-2');
+    await service.setValue('second', 'cmi.exit', 'suspend');
+    await service.terminate('second');
+  };
+
+  test('hydrates the last completed attempt as no-credit review', async () => {
+    await seedAttempts();
+
+    const result = await service.initializeSession('review', { courseId: 'course-a', launchMode: 'review' });
+
+    expect(result).toEqual(expect.objectContaining({ success: true, launchMode: 'review', attempt: 1 }));
+    expect(await value('review', 'cmi.mode')).toBe('review');
+    expect(await value('review', 'cmi.credit')).toBe('no-credit');
+    expect(await value('review', 'cmi.entry')).toBe('');
+    expect(await value('review', 'cmi.location')).toBe('summary');
+    expect(await value('review', 'cmi.completion_status')).toBe('completed');
+    expect(await value('review', 'cmi.interactions.0.learner_response')).toBe('true');
+    await service.terminate('review');
+  });
+
+  test('accepts writes but never persists them', async () => {
+    await seedAttempts();
+    const before = await service.sessionStore.loadSession('course-a', service.config.sessionNamespace, { learnerId: 'default', attempt: 1 });
+
+    await service.initializeSession('review', { courseId: 'course-a', launchMode: 'review' });
+    expect((await service.setValue('review', 'cmi.location', 'intro')).success).toBe(true);
+    expect((await service.setValue('review', 'cmi.completion_status', 'incomplete')).success).toBe(true);
+    expect(await value('review', 'cmi.location')).toBe('intro');
+    expect((await service.commit('review')).success).toBe(true);
+    await service.terminate('review');
+
+    const after = await service.sessionStore.loadSession('course-a', service.config.sessionNamespace, { learnerId: 'default', attempt: 1 });
+    expect(after.coreData).toEqual(before.coreData);
+    expect(await service.sessionStore.getLatestAttempt('course-a', service.config.sessionNamespace, 'default')).toBe(2);
+
+    // The next normal launch still resumes the suspended attempt
+    const resumed = await service.initializeSession('next', { courseId: 'course-a' });
+    expect(resumed.attempt).toBe(2);
+    expect(await value('next', 'cmi.location')).toBe('page-2');
+    await service.terminate('next');
+  });
+
+  test('refuses to review when no attempt was completed', async () => {
+    await service.initializeSession('first', { courseId: 'course-b' });
+    await service.setValue('first', 'cmi.location', 'page-1');
+    await service.setValue('first', 'cmi.exit', 'suspend');
+    await service.terminate('first');
+
+    const result = await service.initializeSession('review', { courseId: 'course-b', launchOptions: { mode: 'review' } });
+
+    expect(result.success).toBe(false);
+    expect(result.reason).toBe('No completed attempt to review for learner default');
+    expect(result.launchMode).toBe('review');
+    expect(service.errorHandler.setError).not.toHaveBeenCalled();
+  });
+
+  test('reviews an attempt that only saved a passed or failed success status', async () => {
+    await service.initializeSession('first', { courseId: 'course-c' });
+    await service.setValue('first', 'cmi.location', 'quiz');
+    await service.setValue('first', 'cmi.success_status', 'failed');
+    await service.setValue('first', 'cmi.exit', 'normal');
+    await service.terminate('first');
+
+    const result = await service.initializeSession('review', { courseId: 'course-c', launchMode: 'review' });
+
+    expect(result).toEqual(expect.objectContaining({ success: true, attempt: 1 }));
+    expect(await value('review', 'cmi.success_status')).toBe('failed');
+    expect(await value('review', 'cmi.location')).toBe('quiz');
+    await service.terminate('review');
+  });
+});
@@ -0,0 +1,124 @@
+/**
+ * ScormService Session Import Tests
+ *
+ * Covers File → Import Session State: export bundles, saved session files
+ * and hand-written cmi.* maps are saved as a new attempt that the next
+ * launch resumes.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ScormService = require('../../../src/main/services/scorm-service');
+const { normalizeSessionImport } = require('../../../src/main/services/session-bundle');
+
+const USER_DATA = path.join(os.tmpdir(), 'scorm-tester-session-import-test');
+
+jest.mock('electron', () => ({
+  app: {
+    getPath: jest.fn(() => require('path').join(require('os').tmpdir(), 'scorm-tester-session-import-test'))
+  }
+}));
+
+describe('normalizeSessionImport', () => {
+  test('marks imported state as suspended', () => {
+    const { data, scormVersion } = normalizeSessionImport(JSON.stringify({
+      coreData: { 'cmi.location': 'page-2', 'cmi.exit': 'normal' }
+    }));
+
+    expect(scormVersion).toBe('2004');
+    expect(data.coreData['cmi.exit']).toBe('suspend');
+    expect(data.imported).toBe(true);
+    expect(data.interactions).toEqual([]);
+  });
+
+  test('applies cmi.* maps through the data model and reports rejected values', () => {
+    const { data, rejected } = normalizeSessionImport({
+      'cmi.suspend_data': 'state',
+      'cmi.interactions.0.id': 'q1',
+      'cmi.interactions.0.type': 'true-false',
+      'cmi.completion_status': 'finished',
+      'cmi.interactions._count': '1'
+    });
+
+    expect(data.coreData['cmi.suspend_data']).toBe('state');
+    expect(data.interactions[0]).toEqual(expect.objectContaining({ id: 'q1', type: 'true-false' }));
+    expect(rejected.map(r => r.element)).toEqual(['cmi.completion_status', 'cmi.interactions._count']);
+  });
+
+  test('detects SCORM 1.2 maps', () => {
+    const { data, scormVersion } = normalizeSessionImport({ 'cmi.core.lesson_location': 'p3' });
+
+    expect(scormVersion).toBe('1.2');
+    expect(data.coreData['cmi.core.exit']).toBe('suspend');
+  });
+
+  test('rejects input that is not session state', () => {
+    expect(() => normalizeSessionImport('{not json')).toThrow('not valid JSON');
+    expect(() => normalizeSessionImport({ location: 'p1' })).toThrow('map of cmi.* values');
+    expect(() => normalizeSessionImport({ 'cmi.nonsense': 'x' })).toThrow('None of the cmi.* values');
+    expect(() => normalizeSessionImport({ format: 'scorm-tester-session', version: 2, dataModel: { coreData: {} } }))
+      .toThrow('Unsupported session bundle version: 2');
+    expect(() => normalizeSessionImport({ 'cmi.core.lesson_location': 'p3' }, { scormVersion: '2004' }))
+      .toThrow('SCORM 1.2 but the course is SCORM 2004');
+  });
+});
+
+describe('ScormService session import', () => {
+  let service;
+  let mockLogger;
+
+  beforeEach(async () => {
+    fs.rmSync(USER_DATA, { recursive: true, force: true });
+    mockLogger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+    service = new ScormService({ setError: jest.fn() }, mockLogger);
+    await service.initialize(new Map([['windowManager', { getWindow: () => null }]]));
+  });
+
+  afterEach(async () => {
+    await service.shutdown();
+  });
+
+  afterAll(() => {
+    fs.rmSync(USER_DATA, { recursive: true, force: true });
+  });
+
+  const value = async (sessionId, element) => (await service.getValue(sessionId, element)).value;
+
+  test('an exported bundle resumes as a new attempt', async () => {
+    await service.initializeSession('source', { courseId: 'course-a' });
+    await service.setValue('source', 'cmi.location', 'page-7');
+    await service.setValue('source', 'cmi.suspend_data', 'bookmark');
+    const { bundle } = service.exportSessionData('source');
+    await service.terminate('source');
+
+    const result = await service.importSessionState(bundle, { courseId: 'course-a' });
+
+    expect(result).toEqual(expect.objectContaining({ success: true, courseId: 'course-a', learnerId: 'default', attempt: 2 }));
+    await service.initializeSession('imported', { courseId: 'course-a' });
+    expect(service.sessions.get('imported').attempt).toBe(2);
+    expect(await value('imported', 'cmi.entry')).toBe('resume');
+    expect(await value('imported', 'cmi.location')).toBe('page-7');
+    expect(await value('imported', 'cmi.suspend_data')).toBe('bookmark');
+    await service.terminate('imported');
+  });
+
+  test('a cmi.* map resumes even without a location', async () => {
+    const result = await service.importSessionState({ 'cmi.suspend_data': 'chapter=2' }, { courseId: 'course-b' });
+
+    expect(result.success).toBe(true);
+    expect(result.attempt).toBe(1);
+    await service.initializeSession('imported', { courseId: 'course-b' });
+    expect(await value('imported', 'cmi.entry')).toBe('resume');
+    expect(await value('imported', 'cmi.suspend_data')).toBe('chapter=2');
+    await service.terminate('imported');
+  });
+
+  test('reports invalid input and a missing course', async () => {
+    expect(await service.importSessionState({ 'cmi.suspend_data': 'x' })).toEqual({
+      success: false,
+      error: 'No course loaded to import session state into'
+    });
+    expect((await service.importSessionState([], { courseId: 'course-c' })).error).toBe('Session state must be a JSON object');
+  });
+});
@@ -160,6 +160,94 @@ describe('SessionStore', () => {
     });
   });
 
+  describe('learners and attempts', () => {
+    it('should keep the legacy file for the default learner\'s first attempt', () => {
+      expect(sessionStore.getFilePath('course-1', 'gui', { learnerId: 'default', attempt: 1 }))
+        .toMatch(/gui_course_1\.json$/);
+      expect(sessionStore.getFilePath('course-1', 'gui', { learnerId: 'alice', attempt: 3 }))
+        .toMatch(/gui_course_1__learner_alice__attempt_3\.json$/);
+    });
+
+    it('should keep learners apart whose ids differ only in case or separators', () => {
+      const files = ['QA-1', 'qa_1', 'qa-1', 'qa1'].map(learnerId =>
+        path.basename(sessionStore.getFilePath('course-1', 'gui', { learnerId, attempt: 1 })));
+
+      expect(new Set(files).size).toBe(4);
+      expect(files[2]).toBe('gui_course_1__learner_qa-2d1.json');
+      expect(files[3]).toBe('gui_course_1__learner_qa1.json');
+      // No learner's file can pass for another learner's later attempt
+      expect(sessionStore.getFilePath('course-1', 'gui', { learnerId: 'a__attempt_2', attempt: 1 }))
+        .not.toBe(sessionStore.getFilePath('course-1', 'gui', { learnerId: 'a', attempt: 2 }));
+    });
+
+    it('should list attempts from matching files only', async () => {
+      fs.promises.readdir.mockResolvedValue([
+        'gui_course_1__learner_alice__attempt_2.json',
+        'gui_course_1__learner_alice.json',
+        'gui_course_1.json',
+        'gui_course_10__learner_alice.json'
+      ]);
+      fs.promises.readFile.mockImplementation(async (filePath) => JSON.stringify({
+        coreData: filePath.includes('attempt_2')
+          ? { 'cmi.exit': 'suspend', 'cmi.completion_status': 'incomplete' }
+          : { 'cmi.completion_status': 'completed', 'cmi.success_status': 'passed' }
+      }));
+
+      const attempts = await sessionStore.listAttempts('course-1', 'gui', 'alice');
+
+      expect(attempts.map(a => a.attempt)).toEqual([1, 2]);
+      expect(attempts[0]).toEqual(expect.objectContaining({ completionStatus: 'completed', successStatus: 'passed', suspended: false }));
+      expect(attempts[1]).toEqual(expect.objectContaining({ completionStatus: 'incomplete', suspended: true }));
+      expect(await sessionStore.getLatestAttempt('course-1', 'gui', 'alice')).toBe(2);
+    });
+
+    it('should report no attempts when nothing is stored', async () => {
+      fs.promises.readdir.mockResolvedValue([]);
+      expect(await sessionStore.getLatestAttempt('course-1', 'gui', 'alice')).toBe(0);
+    });
+
+    it('should delete every attempt of a learner unless one is given', async () => {
+      fs.existsSync.mockImplementation(filePath => filePath.includes('course_1'));
+      fs.promises.readdir.mockResolvedValue([
+        'gui_course_1__learner_alice.json',
+        'gui_course_1__learner_alice__attempt_2.json',
+        'gui_course_1.json'
+      ]);
+
+      await sessionStore.deleteSession('course-1', 'gui', { learnerId: 'alice' });
+
+      expect(fs.promises.unlink).toHaveBeenCalledTimes(2);
+      expect(fs.promises.unlink).not.toHaveBeenCalledWith(expect.stringMatching(/gui_course_1\.json$/));
+    });
+
+    it('should reject invalid learner ids and drop unknown preferences', async () => {
+      fs.existsSync.mockReturnValue(false);
+      await expect(sessionStore.saveLearner({ id: '../alice' })).rejects.toThrow('Invalid learner id');
+
+      const learner = await sessionStore.saveLearner({ id: 'alice', preferences: { language: 'fr', volume: 3 } });
+
+      expect(learner).toEqual({ id: 'alice', name: 'alice', preferences: { language: 'fr' } });
+      expect(fs.promises.writeFile).toHaveBeenCalledWith(
+        expect.stringContaining('learner-profiles.json'),
+        expect.stringContaining('"alice"'),
+        'utf8'
+      );
+    });
+
+    it('should list the default learner first and track the active learner per namespace', async () => {
+      fs.existsSync.mockReturnValue(true);
+      fs.promises.readFile.mockResolvedValue(JSON.stringify({
+        learners: [{ id: 'alice', name: 'Alice', preferences: {} }],
+        active: { gui: 'alice', mcp: 'removed' }
+      }));
+
+      expect((await sessionStore.listLearners()).map(l => l.id)).toEqual(['default', 'alice']);
+      expect(await sessionStore.getActiveLearnerId('gui')).toBe('alice');
+      expect(await sessionStore.getActiveLearnerId('mcp')).toBe('default');
+      await expect(sessionStore.setActiveLearner('bob')).rejects.toThrow('Unknown learner');
+    });
+  });
+
   describe('getStorePath', () => {
     it('should return the store path', () => {
       const storePath = sessionStore.getStorePath();
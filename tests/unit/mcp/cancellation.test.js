@@ -0,0 +1,118 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../../../src/mcp/runtime-manager', () => ({
+  RuntimeManager: {
+    openPersistent: jest.fn(),
+    closePersistent: jest.fn(),
+    getRuntimeStatus: jest.fn(),
+    getCapturedCalls: jest.fn(),
+    callAPI: jest.fn()
+  },
+  resolveEntryPathFromManifest: jest.fn(async (dir) => require('path').join(dir, 'index.html')),
+  getManifestIdentifier: jest.fn(async () => 'course-1'),
+  getManifestSchemaVersion: jest.fn(async () => '2004 4th Edition')
+}));
+
+const { RuntimeManager } = require('../../../src/mcp/runtime-manager');
+const sessions = require('../../../src/mcp/session');
+const { withCancellation, sleep, throwIfCancelled } = require('../../../src/mcp/cancellation');
+const { scorm_open_course } = require('../../../src/mcp/tools/session');
+const { scorm_wait_for_api_call } = require('../../../src/mcp/tools/runtime');
+
+describe('MCP request cancellation', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('helpers', () => {
+    test('withCancellation rejects as soon as the signal aborts', async () => {
+      const controller = new AbortController();
+      const pending = withCancellation(new Promise(() => {}), controller.signal);
+
+      controller.abort('client gave up');
+
+      await expect(pending).rejects.toMatchObject({ code: 'MCP_CANCELLED', message: 'Request cancelled: client gave up' });
+    });
+
+    test('withCancellation passes results through when not aborted', async () => {
+      await expect(withCancellation(Promise.resolve(42), new AbortController().signal)).resolves.toBe(42);
+    });
+
+    test('sleep ends early and throwIfCancelled throws once aborted', async () => {
+      const controller = new AbortController();
+      const started = Date.now();
+      const waiting = sleep(10000, controller.signal);
+
+      controller.abort();
+
+      await expect(waiting).rejects.toMatchObject({ code: 'MCP_CANCELLED', message: 'Request cancelled' });
+      expect(Date.now() - started).toBeLessThan(1000);
+      expect(() => throwIfCancelled(controller.signal)).toThrow('Request cancelled');
+    });
+  });
+
+  describe('scorm_open_course', () => {
+    let courseDir;
+
+    beforeAll(() => {
+      courseDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp_cancel_'));
+      fs.writeFileSync(path.join(courseDir, 'imsmanifest.xml'), '<manifest identifier="course-1"/>');
+    });
+
+    afterAll(() => {
+      fs.rmSync(courseDir, { recursive: true, force: true });
+    });
+
+    test('reports each launch stage', async () => {
+      RuntimeManager.openPersistent.mockResolvedValue({ success: true });
+      RuntimeManager.getRuntimeStatus.mockResolvedValue({ open: true, attempt: 1 });
+      const progress = jest.fn();
+
+      const result = await scorm_open_course({ package_path: courseDir }, { progress });
+
+      expect(progress.mock.calls).toEqual([
+        [1, 'Preparing course workspace', 4],
+        [2, 'Parsing manifest', 4],
+        [3, 'Launching course runtime', 4],
+        [4, 'Course initialized', 4]
+      ]);
+      sessions.sessions.delete(result.session_id);
+    });
+
+    test('closes the half-opened session when cancelled during launch', async () => {
+      const controller = new AbortController();
+      RuntimeManager.openPersistent.mockImplementation(async () => {
+        controller.abort();
+        return { success: true };
+      });
+      RuntimeManager.getRuntimeStatus.mockResolvedValue({ open: false });
+      const before = new Set(sessions.sessions.keys());
+
+      await expect(scorm_open_course({ package_path: courseDir }, { signal: controller.signal }))
+        .rejects.toMatchObject({ code: 'MCP_CANCELLED' });
+
+      expect(RuntimeManager.closePersistent).toHaveBeenCalledTimes(1);
+      expect([...sessions.sessions.keys()].filter(id => !before.has(id))).toEqual([]);
+    });
+  });
+
+  describe('scorm_wait_for_api_call', () => {
+    test('stops polling once cancelled', async () => {
+      const controller = new AbortController();
+      RuntimeManager.getRuntimeStatus.mockResolvedValue({ open: true });
+      RuntimeManager.getCapturedCalls.mockResolvedValue([]);
+
+      const waiting = scorm_wait_for_api_call({ session_id: 's1', method: 'Terminate', timeout_ms: 10000 }, { signal: controller.signal });
+      setTimeout(() => controller.abort(), 250);
+
+      await expect(waiting).rejects.toMatchObject({ code: 'MCP_CANCELLED' });
+      const polls = RuntimeManager.getCapturedCalls.mock.calls.length;
+      expect(RuntimeManager.getCapturedCalls).toHaveBeenCalledWith(null, 's1', { signal: controller.signal });
+
+      await new Promise(resolve => setTimeout(resolve, 300));
+      expect(RuntimeManager.getCapturedCalls.mock.calls.length).toBe(polls);
+    });
+  });
+});
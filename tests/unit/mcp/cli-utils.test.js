@@ -1,4 +1,4 @@
-const { parseCliArgs } = require('../../../src/mcp/cli-utils');
+const { parseCliArgs, getHttpOptions } = require('../../../src/mcp/cli-utils');
 
 describe('CLI Utils - parseCliArgs', () => {
   test('returns flags with defaults', () => {
@@ -13,5 +13,23 @@ describe('CLI Utils - parseCliArgs', () => {
     expect(flags.timeout_ms).toBe('5000');
     expect(flags.debug).toBe(true);
   });
+
+  test('collects positional arguments in order', () => {
+    const flags = parseCliArgs(['run', 'a.yaml', '--junit=out.xml', 'b.json']);
+    expect(flags._).toEqual(['run', 'a.yaml', 'b.json']);
+    expect(flags.junit).toBe('out.xml');
+  });
 });
 
+
+describe('CLI Utils - getHttpOptions', () => {
+  test('is null without --http flags', () => {
+    expect(getHttpOptions(parseCliArgs(['--allow-network']))).toBeNull();
+  });
+
+  test('uses a free port for --http and the given port for --http-port', () => {
+    expect(getHttpOptions(parseCliArgs(['--http']))).toEqual({ port: 0 });
+    expect(getHttpOptions(parseCliArgs(['--http-port=4100']))).toEqual({ port: 4100 });
+    expect(() => getHttpOptions(parseCliArgs(['--http-port=abc']))).toThrow('Invalid --http-port: abc');
+  });
+});
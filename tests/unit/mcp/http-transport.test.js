@@ -0,0 +1,87 @@
+const { startHttpTransport } = require('../../../src/mcp/http-transport');
+
+describe('MCP Streamable HTTP transport', () => {
+  let listener;
+  let opened;
+  let closed;
+
+  // Stand-in for the server's JSON-RPC handler: reports progress, then echoes the method
+  const handleMessage = async (msg, transport) => {
+    if (msg.id === undefined) return;
+    transport.send({ jsonrpc: '2.0', method: 'notifications/progress', params: { progressToken: msg.id, progress: 1 } });
+    transport.send({ jsonrpc: '2.0', id: msg.id, result: { method: msg.method, transport: transport.id } });
+  };
+
+  const post = (body, headers = {}) => fetch(listener.url, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${listener.token}`, 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body)
+  });
+
+  const initialize = async () => {
+    const res = await post({ jsonrpc: '2.0', id: 1, method: 'initialize' });
+    return res.headers.get('mcp-session-id');
+  };
+
+  beforeEach(async () => {
+    opened = [];
+    closed = [];
+    listener = await startHttpTransport({
+      handleMessage,
+      onSessionOpen: (session) => opened.push(session.id),
+      onSessionClose: (session) => closed.push(session.id)
+    });
+  });
+
+  afterEach(async () => {
+    await listener.close();
+  });
+
+  test('listens on localhost with a generated bearer token', async () => {
+    expect(listener.url).toMatch(/^http:\/\/127\.0\.0\.1:\d+\/mcp$/);
+    expect(listener.token).toMatch(/^[0-9a-f]{64}$/);
+
+    const res = await fetch(listener.url, { method: 'POST', body: '{}' });
+    expect(res.status).toBe(401);
+    expect(await res.json()).toEqual(expect.objectContaining({ success: false, error_code: 'MCP_HTTP_UNAUTHORIZED' }));
+  });
+
+  test('rejects non-local origins', async () => {
+    const res = await post({ jsonrpc: '2.0', id: 1, method: 'initialize' }, { Origin: 'https://evil.example' });
+    expect(res.status).toBe(403);
+  });
+
+  test('assigns a session on initialize and requires it afterwards', async () => {
+    const res = await post({ jsonrpc: '2.0', id: 1, method: 'initialize' });
+    const sessionId = res.headers.get('mcp-session-id');
+
+    expect(res.status).toBe(200);
+    expect(await res.json()).toEqual({ jsonrpc: '2.0', id: 1, result: { method: 'initialize', transport: sessionId } });
+    expect(opened).toEqual([sessionId]);
+
+    expect((await post({ jsonrpc: '2.0', id: 2, method: 'tools/list' })).status).toBe(400);
+    expect((await post({ jsonrpc: '2.0', id: 2, method: 'tools/list' }, { 'Mcp-Session-Id': 'unknown' })).status).toBe(404);
+    const ok = await post({ jsonrpc: '2.0', id: 2, method: 'tools/list' }, { 'Mcp-Session-Id': sessionId });
+    expect((await ok.json()).result.method).toBe('tools/list');
+  });
+
+  test('streams notifications and the response as SSE when accepted', async () => {
+    const sessionId = await initialize();
+
+    const res = await post({ jsonrpc: '2.0', id: 7, method: 'tools/call' }, { 'Mcp-Session-Id': sessionId, Accept: 'application/json, text/event-stream' });
+    const events = (await res.text()).split('\n\n').filter(Boolean).map(e => JSON.parse(e.split('data: ')[1]));
+
+    expect(res.headers.get('content-type')).toBe('text/event-stream');
+    expect(events.map(e => e.method || e.id)).toEqual(['notifications/progress', 7]);
+  });
+
+  test('accepts notifications with 202 and ends the session on DELETE', async () => {
+    const sessionId = await initialize();
+    const headers = { Authorization: `Bearer ${listener.token}`, 'Mcp-Session-Id': sessionId };
+
+    expect((await post({ jsonrpc: '2.0', method: 'notifications/initialized' }, { 'Mcp-Session-Id': sessionId })).status).toBe(202);
+    expect((await fetch(listener.url, { method: 'DELETE', headers })).status).toBe(204);
+    expect(closed).toEqual([sessionId]);
+    expect((await post({ jsonrpc: '2.0', id: 3, method: 'tools/list' }, { 'Mcp-Session-Id': sessionId })).status).toBe(404);
+  });
+});
@@ -0,0 +1,66 @@
+const { createNetworkPolicy, parseAllowlist } = require('../../../src/mcp/network-policy');
+
+describe('MCP network policy', () => {
+  const originalEnv = process.env.MCP_ALLOW_NETWORK;
+
+  afterEach(() => {
+    if (originalEnv === undefined) delete process.env.MCP_ALLOW_NETWORK;
+    else process.env.MCP_ALLOW_NETWORK = originalEnv;
+  });
+
+  test('blocks HTTP(S) and WebSocket requests by default', () => {
+    delete process.env.MCP_ALLOW_NETWORK;
+    const policy = createNetworkPolicy();
+
+    expect(policy.allowNetwork).toBe(false);
+    expect(policy.check('https://cdn.example.com/lib.js').blocked).toBe(true);
+    expect(policy.check('http://localhost:3000/api').blocked).toBe(true);
+    expect(policy.check('wss://socket.example.com/').blocked).toBe(true);
+  });
+
+  test('never blocks package-local schemes', () => {
+    const policy = createNetworkPolicy({ allowNetwork: false });
+
+    expect(policy.check('file:///tmp/course/index.html').blocked).toBe(false);
+    expect(policy.check('data:image/png;base64,AAAA').blocked).toBe(false);
+    expect(policy.check('blob:file:///1234').blocked).toBe(false);
+    expect(policy.check('devtools://devtools/bundled/inspector.html').blocked).toBe(false);
+  });
+
+  test('MCP_ALLOW_NETWORK=1 lifts the block', () => {
+    process.env.MCP_ALLOW_NETWORK = '1';
+    const policy = createNetworkPolicy();
+
+    expect(policy.allowNetwork).toBe(true);
+    expect(policy.check('https://cdn.example.com/lib.js').blocked).toBe(false);
+  });
+
+  test('allows origins, hosts and wildcard hosts from the allowlist', () => {
+    const policy = createNetworkPolicy({
+      allowNetwork: false,
+      allowlist: ['http://localhost:3000', '127.0.0.1', '*.mock.test']
+    });
+
+    expect(policy.check('http://localhost:3000/xapi/statements').blocked).toBe(false);
+    expect(policy.check('https://localhost:3000/').blocked).toBe(true);
+    expect(policy.check('http://localhost:4000/').blocked).toBe(true);
+    expect(policy.check('ws://127.0.0.1:9222/socket').blocked).toBe(false);
+    expect(policy.check('https://api.mock.test/v1').blocked).toBe(false);
+    expect(policy.check('https://mock.test/').blocked).toBe(false);
+    expect(policy.check('https://evilmock.test/').blocked).toBe(true);
+  });
+
+  test('matches default ports for origins without an explicit port', () => {
+    const policy = createNetworkPolicy({ allowNetwork: false, allowlist: ['https://lrs.example.com'] });
+
+    expect(policy.check('https://lrs.example.com/statements').blocked).toBe(false);
+    expect(policy.check('https://lrs.example.com:8443/statements').blocked).toBe(true);
+  });
+
+  test('rejects malformed allowlists', () => {
+    expect(() => parseAllowlist('localhost')).toThrow('must be an array');
+    expect(() => parseAllowlist([''])).toThrow('empty allowlist entry');
+    expect(() => parseAllowlist(['ftp://files.example.com'])).toThrow('http, https, ws or wss');
+    expect(parseAllowlist(undefined)).toEqual([]);
+  });
+});
@@ -171,5 +171,24 @@ describe('scorm_get_network_requests', () => {
     expect(result.requests[0]).toHaveProperty('error');
     expect(result.requests[0].error).toBe('net::ERR_NAME_NOT_RESOLVED');
   });
+
+  test('supports filtering by blocked state', async () => {
+    RuntimeManager.getRuntimeStatus.mockResolvedValue({ open: true });
+    const blocked = [{ id: 3, url: 'https://tracker.example.com/pixel', resourceType: 'image', blocked: true }];
+    RuntimeManager.getNetworkRequests.mockResolvedValue(blocked);
+
+    const result = await scorm_get_network_requests({
+      session_id: 'test-session',
+      options: { blocked: true }
+    });
+
+    expect(RuntimeManager.getNetworkRequests).toHaveBeenCalledWith('test-session', {
+      resource_types: null,
+      since_ts: null,
+      max_count: null,
+      blocked: true
+    });
+    expect(result.requests[0].blocked).toBe(true);
+  });
 });
 
@@ -0,0 +1,45 @@
+const { listPrompts, getPrompt } = require('../../../src/mcp/prompts');
+const { router } = require('../../../src/mcp/server');
+
+describe('MCP prompts', () => {
+  const textOf = (result) => result.messages.map(m => m.content.text).join('\n');
+
+  test('lists the QA workflows with their arguments', () => {
+    const { prompts } = listPrompts();
+
+    expect(prompts.map(p => p.name)).toEqual(expect.arrayContaining([
+      'course_smoke_test', 'assessment_answer_key_audit', 'resume_suspend_round_trip',
+      'interaction_test', 'audio_gating_test', 'navigation_flow_test'
+    ]));
+    for (const prompt of prompts) {
+      expect(prompt.description).toEqual(expect.any(String));
+      expect(prompt.arguments).toContainEqual(expect.objectContaining({ name: 'package_path', required: true }));
+    }
+  });
+
+  test('references only registered tools', () => {
+    for (const { name, arguments: args } of listPrompts().prompts) {
+      const values = Object.fromEntries(args.map(a => [a.name, 'x']));
+      const tools = textOf(getPrompt(name, values)).match(/\b(scorm|system)_[a-z_]+/g) || [];
+
+      expect(tools.length).toBeGreaterThan(0);
+      expect(tools.filter(t => !router.has(t))).toEqual([]);
+    }
+  });
+
+  test('fills arguments into the workflow', () => {
+    const result = getPrompt('resume_suspend_round_trip', { package_path: '/courses/demo', learner_id: 'alice' });
+
+    expect(result.messages).toHaveLength(1);
+    expect(result.messages[0].role).toBe('user');
+    expect(textOf(result)).toContain('package_path "/courses/demo", learner_id "alice"');
+    expect(textOf(result)).toContain('cmi.entry must be "resume"');
+    expect(textOf(getPrompt('resume_suspend_round_trip', { package_path: '/courses/demo' }))).not.toContain('learner_id "');
+  });
+
+  test('rejects unknown prompts and missing required arguments', () => {
+    expect(() => getPrompt('nope', {})).toThrow(expect.objectContaining({ code: 'MCP_INVALID_PARAMS' }));
+    expect(() => getPrompt('toString', {})).toThrow('Unknown prompt: toString');
+    expect(() => getPrompt('interaction_test', { package_path: '/courses/demo' })).toThrow('Missing required argument: interaction_id');
+  });
+});
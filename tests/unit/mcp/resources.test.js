@@ -0,0 +1,108 @@
+jest.mock('../../../src/mcp/runtime-manager', () => ({
+  RuntimeManager: {
+    getDataModel: jest.fn(),
+    getApiCallHistory: jest.fn(),
+    getConsoleMessagesViaIPC: jest.fn(),
+    snInvoke: jest.fn()
+  }
+}));
+
+const { RuntimeManager } = require('../../../src/mcp/runtime-manager');
+const sessions = require('../../../src/mcp/session');
+const resources = require('../../../src/mcp/resources');
+
+describe('MCP resources', () => {
+  const uri = (kind) => `scorm://sessions/s1/${kind}`;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    sessions.sessions.set('s1', { id: 's1', package_path: '/courses/demo-course' });
+  });
+
+  afterEach(() => {
+    sessions.sessions.delete('s1');
+    resources.events.removeAllListeners();
+    for (const kind of ['data-model', 'activity-tree', 'api-calls', 'console-errors']) resources.unsubscribe(uri(kind));
+  });
+
+  test('lists four resources per open session', () => {
+    const { resources: list } = resources.listResources();
+
+    expect(list.map(r => r.uri)).toEqual([uri('data-model'), uri('activity-tree'), uri('api-calls'), uri('console-errors')]);
+    expect(list[0]).toEqual(expect.objectContaining({ mimeType: 'application/json', name: 'demo-course data model (s1)' }));
+  });
+
+  test('reads the data model as JSON text', async () => {
+    RuntimeManager.getDataModel.mockResolvedValue({ coreData: { 'cmi.location': 'p2' }, interactions: [] });
+
+    const { contents } = await resources.readResource(uri('data-model'));
+
+    expect(RuntimeManager.getDataModel).toHaveBeenCalledWith('s1');
+    expect(contents[0].uri).toBe(uri('data-model'));
+    expect(JSON.parse(contents[0].text)).toEqual({ session_id: 's1', coreData: { 'cmi.location': 'p2' }, interactions: [] });
+  });
+
+  test('reports the activity tree as unavailable for single-SCO sessions', async () => {
+    RuntimeManager.snInvoke.mockResolvedValue({ success: false, error: 'SN_NOT_INITIALIZED' });
+
+    const { contents } = await resources.readResource(uri('activity-tree'));
+
+    expect(RuntimeManager.snInvoke).toHaveBeenCalledWith(null, 'tree', undefined, 's1');
+    expect(JSON.parse(contents[0].text)).toEqual({ session_id: 's1', sn_available: false, reason: 'SN_NOT_INITIALIZED' });
+  });
+
+  test('reads only console errors', async () => {
+    RuntimeManager.getConsoleMessagesViaIPC.mockResolvedValue([{ level: 'error', message: 'boom' }]);
+
+    const { contents } = await resources.readResource(uri('console-errors'));
+
+    expect(RuntimeManager.getConsoleMessagesViaIPC).toHaveBeenCalledWith('s1', { severity: ['error'] });
+    expect(JSON.parse(contents[0].text).error_count).toBe(1);
+  });
+
+  test('rejects unknown resources and sessions', async () => {
+    await expect(resources.readResource('scorm://sessions/s1/screenshots')).rejects.toMatchObject({ code: 'MCP_INVALID_PARAMS' });
+    await expect(resources.readResource('scorm://sessions/nope/data-model')).rejects.toMatchObject({ code: 'MCP_UNKNOWN_SESSION' });
+    expect(() => resources.subscribe('scorm://sessions/nope/api-calls')).toThrow('Unknown session: nope');
+  });
+
+  test('emits updates only for subscribed resources', () => {
+    const updated = jest.fn();
+    resources.events.on('updated', updated);
+    resources.subscribe(uri('api-calls'));
+
+    resources.notifyChanged('s1', ['api-calls', 'activity-tree']);
+    expect(updated).toHaveBeenCalledTimes(1);
+    expect(updated).toHaveBeenCalledWith(uri('api-calls'), 'stdio');
+
+    resources.unsubscribe(uri('api-calls'));
+    resources.notifyChanged('s1', ['api-calls']);
+    expect(updated).toHaveBeenCalledTimes(1);
+  });
+
+  test('notifies each subscriber separately', () => {
+    const updated = jest.fn();
+    resources.events.on('updated', updated);
+    resources.subscribe(uri('data-model'), 'http-a');
+    resources.subscribe(uri('data-model'), 'http-b');
+    resources.removeSubscriber('http-a');
+
+    resources.notifyChanged('s1', ['data-model']);
+
+    expect(updated.mock.calls).toEqual([[uri('data-model'), 'http-b']]);
+    resources.unsubscribe(uri('data-model'), 'http-b');
+  });
+
+  test('drops subscriptions once the session is closed', () => {
+    const updated = jest.fn();
+    resources.events.on('updated', updated);
+    resources.subscribe(uri('data-model'));
+    sessions.sessions.delete('s1');
+
+    resources.notifyChanged('s1', ['data-model']);
+    sessions.sessions.set('s1', { id: 's1', package_path: '/courses/demo-course' });
+    resources.notifyChanged('s1', ['data-model']);
+
+    expect(updated).not.toHaveBeenCalled();
+  });
+});
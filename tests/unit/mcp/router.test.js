@@ -8,6 +8,19 @@ describe('ToolRouter', () => {
     expect(result).toEqual({ msg: 'hi world' });
   });
 
+  test('passes the call context to the handler', async () => {
+    const router = new ToolRouter();
+    const handler = jest.fn(async () => ({}));
+    router.register('ctx', handler);
+    const context = { signal: new AbortController().signal, progress: jest.fn() };
+
+    await router.dispatch('ctx', { a: 1 }, context);
+    await router.dispatch('ctx');
+
+    expect(handler).toHaveBeenNthCalledWith(1, { a: 1 }, context);
+    expect(handler).toHaveBeenNthCalledWith(2, {}, {});
+  });
+
   test('unknown tool throws', async () => {
     const router = new ToolRouter();
     await expect(router.dispatch('nope', {})).rejects.toBeInstanceOf(Error);
@@ -0,0 +1,211 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../../../src/mcp/tools/session', () => ({
+  scorm_open_course: jest.fn(),
+  scorm_close_course: jest.fn(),
+  scorm_reload_course: jest.fn()
+}));
+jest.mock('../../../src/mcp/tools/runtime', () => ({
+  scorm_data_model_get: jest.fn(),
+  scorm_nav_get_state: jest.fn(),
+  scorm_nav_next: jest.fn(),
+  scorm_nav_previous: jest.fn(),
+  scorm_nav_choice: jest.fn(),
+  scorm_navigate_to_slide: jest.fn()
+}));
+jest.mock('../../../src/mcp/tools/dom', () => ({
+  scorm_dom_click: jest.fn(),
+  scorm_dom_click_by_text: jest.fn()
+}));
+jest.mock('../../../src/mcp/tools/automation', () => ({
+  scorm_automation_set_response: jest.fn(),
+  scorm_automation_check_answer: jest.fn()
+}));
+
+const sessionTools = require('../../../src/mcp/tools/session');
+const runtimeTools = require('../../../src/mcp/tools/runtime');
+const domTools = require('../../../src/mcp/tools/dom');
+const automationTools = require('../../../src/mcp/tools/automation');
+const { loadScenario, parseScenario, runScenario, toJUnitXml, runScenarioCommand } = require('../../../src/mcp/scenario');
+
+describe('Course test scenarios', () => {
+  let tmpDir;
+  let dataModel;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp_scenario_'));
+    dataModel = { 'cmi.location': 'slide-3', 'cmi.suspend_data': '{"v":1}', 'cmi.entry': 'ab-initio', 'cmi.completion_status': 'incomplete' };
+    let opened = 0;
+    sessionTools.scorm_open_course.mockImplementation(async () => ({ session_id: `s${++opened}`, attempt: 1 }));
+    sessionTools.scorm_close_course.mockResolvedValue({ success: true });
+    runtimeTools.scorm_data_model_get.mockImplementation(async ({ elements }) => ({
+      data: Object.fromEntries(elements.filter(e => e in dataModel).map(e => [e, dataModel[e]]))
+    }));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describe('loading', () => {
+    test('reads YAML, resolves the package next to the file and normalises steps', () => {
+      const file = path.join(tmpDir, 'resume.yaml');
+      fs.writeFileSync(file, [
+        'name: Resume works',
+        'package_path: ./course',
+        'learner_id: qa',
+        'steps:',
+        '  - open',
+        '  - navigate: next',
+        '  - name: Answer q1',
+        '    set_response: { id: q1, response: b }',
+        '  - assert_data_model: { cmi.score.raw: 80 }'
+      ].join('\n'));
+
+      const scenario = loadScenario(file);
+
+      expect(scenario.name).toBe('Resume works');
+      expect(scenario.package_path).toBe(path.join(tmpDir, 'course'));
+      expect(scenario.openOptions).toEqual({ learner_id: 'qa' });
+      expect(scenario.steps.map(s => [s.type, s.name])).toEqual([
+        ['open', 'open'],
+        ['navigate', 'navigate next'],
+        ['set_response', 'Answer q1'],
+        ['assert_data_model', 'assert_data_model {"cmi.score.raw":80}']
+      ]);
+    });
+
+    test('rejects unknown actions and steps with several actions', () => {
+      expect(() => parseScenario({ package_path: 'c', steps: ['fly'] })).toThrow('Step 1: unknown action "fly"');
+      expect(() => parseScenario({ package_path: 'c', steps: ['open', { open: {}, suspend: null }] }))
+        .toThrow(expect.objectContaining({ code: 'SCENARIO_INVALID', message: 'Step 2: expected exactly one action, got open, suspend' }));
+      expect(() => parseScenario({ steps: ['open'] })).toThrow('Scenario needs a package_path');
+    });
+  });
+
+  describe('running', () => {
+    const run = (steps, extra = {}) => runScenario(parseScenario({ name: 'demo', package_path: '/courses/demo', steps, ...extra }, '/'));
+
+    test('drives the MCP tools and round-trips a suspend', async () => {
+      automationTools.scorm_automation_check_answer.mockResolvedValue({ result: { correct: true } });
+      runtimeTools.scorm_nav_get_state.mockResolvedValue({ sn_available: true, currentActivity: { id: 'sco-2', title: 'Two' } });
+
+      const result = await run([
+        { open: { launch_options: { mode: 'normal' } } },
+        { navigate: 'slide-3' },
+        { click_text: 'Submit' },
+        { set_response: { id: 'q1', response: 'b', correct: true } },
+        { assert_nav_state: { currentActivity: { id: 'sco-2' } } },
+        'suspend',
+        'reload',
+        { assert_data_model: { 'cmi.location': 'slide-3' } }
+      ], { learner_id: 'qa' });
+
+      expect(result.steps.filter(s => s.status !== 'passed')).toEqual([]);
+      expect(result.passed).toBe(true);
+      expect(sessionTools.scorm_open_course).toHaveBeenNthCalledWith(1, { learner_id: 'qa', attempt: 'new', launch_options: { mode: 'normal' }, package_path: '/courses/demo' });
+      expect(runtimeTools.scorm_navigate_to_slide).toHaveBeenCalledWith({ session_id: 's1', slide_identifier: 'slide-3' });
+      expect(domTools.scorm_dom_click_by_text).toHaveBeenCalledWith({ session_id: 's1', text: 'Submit', options: {} });
+      expect(sessionTools.scorm_close_course).toHaveBeenNthCalledWith(1, { session_id: 's1' });
+      // Reopening after suspend resumes the latest attempt as the same learner
+      expect(sessionTools.scorm_open_course).toHaveBeenNthCalledWith(2, { learner_id: 'qa', package_path: '/courses/demo' });
+      // The reopened course is closed at the end
+      expect(sessionTools.scorm_close_course).toHaveBeenLastCalledWith({ session_id: 's2' });
+    });
+
+    test('assert_resume checks cmi.entry and the values saved at suspend', async () => {
+      sessionTools.scorm_open_course.mockImplementation(async () => {
+        const id = `s${sessionTools.scorm_open_course.mock.calls.length}`;
+        if (id === 's2') dataModel = { ...dataModel, 'cmi.entry': 'resume', 'cmi.location': 'slide-1' };
+        return { session_id: id };
+      });
+
+      const result = await run(['open', 'suspend', 'reload', 'assert_resume']);
+
+      expect(result.passed).toBe(false);
+      expect(result.steps[3]).toEqual(expect.objectContaining({
+        status: 'failed',
+        error: { code: 'SCENARIO_ASSERTION_FAILED', message: 'cmi.location: expected "slide-3", got "slide-1"' }
+      }));
+    });
+
+    test('suspend and assert_resume use the SCORM 1.2 element names on 1.2 courses', async () => {
+      dataModel = { 'cmi.core.lesson_location': 'page-4', 'cmi.suspend_data': 'q1=b', 'cmi.core.entry': 'ab-initio' };
+      sessionTools.scorm_open_course.mockImplementation(async () => {
+        const id = `s${sessionTools.scorm_open_course.mock.calls.length}`;
+        if (id === 's2') dataModel = { ...dataModel, 'cmi.core.entry': 'resume' };
+        return { session_id: id, scorm_version: '1.2' };
+      });
+
+      const result = await run(['open', 'suspend', 'reload', 'assert_resume']);
+
+      expect(result.steps.filter(s => s.status !== 'passed')).toEqual([]);
+      expect(runtimeTools.scorm_data_model_get).toHaveBeenNthCalledWith(1, { session_id: 's1', elements: ['cmi.core.lesson_location', 'cmi.suspend_data'] });
+      expect(runtimeTools.scorm_data_model_get).toHaveBeenLastCalledWith({
+        session_id: 's2',
+        elements: ['cmi.core.entry', 'cmi.core.lesson_location', 'cmi.suspend_data']
+      });
+    });
+
+    test('stops at the first failure, skips the rest and closes the course', async () => {
+      runtimeTools.scorm_nav_next.mockResolvedValue({ success: false, reason: 'No next activity' });
+
+      const result = await run(['open', { navigate: 'next' }, { assert_data_model: { 'cmi.completion_status': 'completed' } }]);
+
+      expect(result.steps.map(s => s.status)).toEqual(['passed', 'failed', 'skipped']);
+      expect(result.steps[1].error.message).toBe('Navigation refused: No next activity');
+      expect(runtimeTools.scorm_data_model_get).not.toHaveBeenCalled();
+      expect(sessionTools.scorm_close_course).toHaveBeenCalledWith({ session_id: 's1' });
+    });
+
+    test('compares data model values as strings', async () => {
+      dataModel['cmi.score.raw'] = '80';
+
+      const result = await run(['open', { assert_data_model: { 'cmi.score.raw': 80, 'cmi.completion_status': 'completed' } }]);
+
+      expect(result.steps[1].error.message).toBe('cmi.completion_status: expected "completed", got "incomplete"');
+    });
+  });
+
+  describe('reporting', () => {
+    test('writes one testsuite per scenario and one testcase per step', () => {
+      const xml = toJUnitXml([{
+        name: 'A & B',
+        file: '/s/a.yaml',
+        passed: false,
+        duration_ms: 1500,
+        steps: [
+          { name: 'open', status: 'passed', duration_ms: 1000 },
+          { name: 'assert <x>', status: 'failed', duration_ms: 500, error: { code: 'SCENARIO_ASSERTION_FAILED', message: 'expected "a"' } },
+          { name: 'suspend', status: 'skipped', duration_ms: 0 }
+        ]
+      }]);
+
+      expect(xml).toContain('<testsuites name="scorm-tester" tests="3" failures="1" skipped="1" time="1.500">');
+      expect(xml).toContain('<testsuite name="A &amp; B" tests="3" failures="1" errors="0" skipped="1" time="1.500" file="/s/a.yaml">');
+      expect(xml).toContain('<testcase classname="A &amp; B" name="01 open" time="1.000"/>');
+      expect(xml).toContain('<failure type="SCENARIO_ASSERTION_FAILED" message="expected &quot;a&quot;">');
+      expect(xml).toContain('name="02 assert &lt;x&gt;"');
+      expect(xml).toContain('<skipped/>');
+    });
+
+    test('run command exits non-zero on failure and writes the report', async () => {
+      fs.writeFileSync(path.join(tmpDir, 'fail.json'), JSON.stringify({
+        package_path: '.', steps: ['open', { assert_data_model: { 'cmi.completion_status': 'completed' } }]
+      }));
+      const junit = path.join(tmpDir, 'out', 'junit.xml');
+      const output = [];
+
+      const code = await runScenarioCommand([path.join(tmpDir, 'fail.json')], { junit }, { write: (t) => output.push(t) });
+
+      expect(code).toBe(1);
+      expect(fs.readFileSync(junit, 'utf8')).toContain('failures="1"');
+      expect(output.join('')).toContain('FAIL assert_data_model');
+      expect(await runScenarioCommand([path.join(tmpDir, 'missing.yaml')], {}, { write: () => {} })).toBe(2);
+      expect(await runScenarioCommand([], {}, { write: () => {} })).toBe(2);
+    });
+  });
+});
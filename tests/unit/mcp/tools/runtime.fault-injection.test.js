@@ -0,0 +1,75 @@
+/**
+ * MCP Runtime Tools - Fault Injection Tests
+ *
+ * Tests for the scorm_fault_injection MCP tool.
+ */
+
+const { scorm_fault_injection } = require('../../../../src/mcp/tools/runtime');
+const { RuntimeManager } = require('../../../../src/mcp/runtime-manager');
+
+// Mock RuntimeManager
+jest.mock('../../../../src/mcp/runtime-manager');
+
+describe('MCP Tool: scorm_fault_injection', () => {
+  const state = (overrides = {}) => ({
+    success: true,
+    faults: {
+      s1: {
+        commitFailure: false,
+        latencyMs: 0,
+        failSetValueAt: null,
+        dropPersistence: false,
+        active: false,
+        setValueCount: 0,
+        injectedCount: 0,
+        ...overrides
+      }
+    }
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('should throw MCP_INVALID_PARAMS when session_id is missing', async () => {
+    await expect(scorm_fault_injection({})).rejects.toMatchObject({ code: 'MCP_INVALID_PARAMS' });
+  });
+
+  test('should reject unknown presets', async () => {
+    await expect(scorm_fault_injection({ session_id: 's1', preset: 'meteor' }))
+      .rejects.toMatchObject({ code: 'MCP_INVALID_PARAMS' });
+    expect(RuntimeManager.faultInjection).not.toHaveBeenCalled();
+  });
+
+  test('should read the current state without arguments', async () => {
+    RuntimeManager.faultInjection.mockResolvedValue(state());
+
+    const result = await scorm_fault_injection({ session_id: 's1' });
+
+    expect(RuntimeManager.faultInjection).toHaveBeenCalledWith('s1', {});
+    expect(result.faults.active).toBe(false);
+  });
+
+  test('should merge presets with explicit faults', async () => {
+    RuntimeManager.faultInjection.mockResolvedValue(state({ commitFailure: true, latencyMs: 500, active: true }));
+
+    const result = await scorm_fault_injection({
+      session_id: 's1',
+      preset: 'commit-failure',
+      faults: { latency_ms: 500 }
+    });
+
+    expect(RuntimeManager.faultInjection).toHaveBeenCalledWith('s1', {
+      faults: { commitFailure: true, latencyMs: 500 }
+    });
+    expect(result.faults).toEqual(expect.objectContaining({ commit_failure: true, latency_ms: 500 }));
+  });
+
+  test('should clear faults', async () => {
+    RuntimeManager.faultInjection.mockResolvedValue(state());
+
+    await scorm_fault_injection({ session_id: 's1', clear: true, preset: 'slow-lms' });
+
+    expect(RuntimeManager.faultInjection).toHaveBeenCalledWith('s1', { clear: true });
+  });
+});
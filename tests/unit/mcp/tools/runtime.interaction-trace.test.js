@@ -0,0 +1,64 @@
+/**
+ * MCP Runtime Tools - Assessment Interaction Trace Tests
+ *
+ * Tests how scorm_assessment_interaction_trace scores the interactions the
+ * content recorded and flags results that disagree.
+ */
+
+const { scorm_assessment_interaction_trace } = require('../../../../src/mcp/tools/runtime');
+const { RuntimeManager } = require('../../../../src/mcp/runtime-manager');
+
+// Mock RuntimeManager
+jest.mock('../../../../src/mcp/runtime-manager');
+
+describe('MCP Tool: scorm_assessment_interaction_trace', () => {
+  const runtimeValues = (values) => {
+    RuntimeManager.callAPI.mockImplementation(async (_win, method, args) => (method === 'GetValue' ? values[args[0]] ?? '' : 'true'));
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    RuntimeManager.getRuntimeStatus.mockResolvedValue({ open: true });
+    RuntimeManager.getCapturedCalls.mockResolvedValue([]);
+  });
+
+  test('should flag results that contradict the correct responses', async () => {
+    runtimeValues({
+      'cmi.interactions._count': '2',
+      'cmi.interactions.0.id': 'q1',
+      'cmi.interactions.0.type': 'numeric',
+      'cmi.interactions.0.correct_responses._count': '1',
+      'cmi.interactions.0.correct_responses.0.pattern': '1[:]5',
+      'cmi.interactions.0.learner_response': '9',
+      'cmi.interactions.0.result': 'correct',
+      'cmi.interactions.1.id': 'q2',
+      'cmi.interactions.1.type': 'matching',
+      'cmi.interactions.1.correct_responses._count': '1',
+      'cmi.interactions.1.correct_responses.0.pattern': 'a[.]1[,]b[.]2',
+      'cmi.interactions.1.learner_response': 'b[.]2[,]a[.]1',
+      'cmi.interactions.1.result': 'correct'
+    });
+
+    const result = await scorm_assessment_interaction_trace({ session_id: 's1', actions: [{ type: 'wait', ms: 1 }] });
+
+    expect(result.interaction_evaluations).toEqual([
+      expect.objectContaining({ index: 0, id: 'q1', status: 'incorrect', expected_result: 'incorrect', result_mismatch: true }),
+      expect.objectContaining({ index: 1, id: 'q2', status: 'correct', matched_pattern: 0, result_mismatch: false })
+    ]);
+    expect(result.issues_detected).toEqual([expect.objectContaining({
+      type: 'result_mismatch',
+      interaction_index: 0,
+      description: 'Interaction 0 (q1) reported result "correct" but learner_response "9" is incorrect'
+    })]);
+    expect(result.summary).toEqual(expect.objectContaining({ interactions_evaluated: 2, result_mismatches: 1 }));
+  });
+
+  test('should still return the trace when interactions cannot be read', async () => {
+    RuntimeManager.callAPI.mockRejectedValue(new Error('bridge closed'));
+
+    const result = await scorm_assessment_interaction_trace({ session_id: 's1', actions: [{ type: 'wait', ms: 1 }] });
+
+    expect(result.steps).toHaveLength(1);
+    expect(result.interaction_evaluations).toEqual([]);
+  });
+});
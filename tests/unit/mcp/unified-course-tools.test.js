@@ -50,12 +50,48 @@ describe('MCP unified course tools - Unit Tests (no Electron)', () => {
   });
 
   describe('Parameter validation', () => {
-    const { scorm_open_course, scorm_close_course, scorm_reload_course, scorm_clear_saved_data } = require('../../../src/mcp/tools/session');
+    const { scorm_open_course, scorm_close_course, scorm_reload_course, scorm_clear_saved_data, scorm_import_session_state } = require('../../../src/mcp/tools/session');
 
     test('scorm_open_course throws error for missing package_path', async () => {
       await expect(scorm_open_course({})).rejects.toThrow('package_path is required');
     });
 
+    test('scorm_open_course rejects an invalid network_allowlist', async () => {
+      await expect(scorm_open_course({
+        package_path: tempCourseDir,
+        network_allowlist: 'http://localhost:3000'
+      })).rejects.toMatchObject({ code: 'MCP_INVALID_PARAMS' });
+    });
+
+    test('scorm_open_course rejects an invalid learner_id or attempt', async () => {
+      await expect(scorm_open_course({
+        package_path: tempCourseDir,
+        learner_id: '../alice'
+      })).rejects.toMatchObject({ code: 'MCP_INVALID_PARAMS' });
+      await expect(scorm_open_course({
+        package_path: tempCourseDir,
+        attempt: 0
+      })).rejects.toMatchObject({ code: 'MCP_INVALID_PARAMS' });
+    });
+
+    test('scorm_open_course rejects invalid launch_options', async () => {
+      await expect(scorm_open_course({
+        package_path: tempCourseDir,
+        launch_options: { mode: 'preview' }
+      })).rejects.toThrow('Invalid launch_options: mode must be one of normal, review, browse');
+      await expect(scorm_open_course({
+        package_path: tempCourseDir,
+        launch_options: { learner_preference: { audio_captioning: 2 } }
+      })).rejects.toMatchObject({ code: 'MCP_INVALID_PARAMS' });
+    });
+
+    test('scorm_open_course rejects a non-string lms_profile', async () => {
+      await expect(scorm_open_course({
+        package_path: tempCourseDir,
+        lms_profile: { id: 'moodle' }
+      })).rejects.toThrow('lms_profile must be a profile id');
+    });
+
     test('scorm_open_course throws error for non-existent package', async () => {
       await expect(scorm_open_course({ 
         package_path: '/nonexistent/path' 
@@ -96,6 +132,15 @@ describe('MCP unified course tools - Unit Tests (no Electron)', () => {
         fs.rmSync(badDir, { recursive: true, force: true });
       }
     });
+
+    test('scorm_import_session_state requires a session and exactly one source', async () => {
+      await expect(scorm_import_session_state({ bundle: {} })).rejects.toMatchObject({ code: 'MCP_INVALID_PARAMS' });
+      await expect(scorm_import_session_state({ session_id: 's1' })).rejects.toThrow('exactly one of bundle or bundle_path');
+      await expect(scorm_import_session_state({ session_id: 's1', bundle: {}, bundle_path: 'state.json' }))
+        .rejects.toThrow('exactly one of bundle or bundle_path');
+      await expect(scorm_import_session_state({ session_id: 'unknown', bundle: {} }))
+        .rejects.toMatchObject({ code: 'MCP_UNKNOWN_SESSION' });
+    });
   });
 
   describe('Session lifecycle (legacy tools)', () => {
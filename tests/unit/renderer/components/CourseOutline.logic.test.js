@@ -131,4 +131,25 @@ describe('CourseOutline Component Logic', () => {
     // It should emit a denied event instead
     expect(eventBus.emit).toHaveBeenCalledWith('navigationDenied', { itemId: 'item-1', reason: 'Sequencing rules forbid it' });
   });
+
+  test('tooltip names the choice constraint that blocks an item', () => {
+    const tooltip = courseOutline.buildRestrictionTooltip('item-2-1', { allowed: true, reason: '' }, {
+      isVisible: true,
+      attemptCount: 0,
+      activityState: 'inactive',
+      choiceConstraint: {
+        constraint: 'preventActivation',
+        activityId: 'item-2',
+        reason: 'Prevent activation: item-2 cannot be started by choice until it is active'
+      }
+    });
+
+    expect(tooltip).toContain('Restrictions: Prevent activation: item-2 cannot be started by choice until it is active');
+
+    const bare = courseOutline.buildRestrictionTooltip('item-1', { allowed: true, reason: '' }, {
+      isVisible: true,
+      choiceConstraint: { constraint: 'constrainChoice', activityId: 'item-2' }
+    });
+    expect(bare).toBe('Restrictions: Constrained choice');
+  });
 });
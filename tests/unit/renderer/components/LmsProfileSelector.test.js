@@ -0,0 +1,93 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import { LmsProfileSelector } from '../../../../src/renderer/components/lms-profile-selector.js';
+
+jest.mock('../../../../src/renderer/utils/renderer-logger.js', () => ({
+  rendererLogger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+const mockInvoke = jest.fn();
+jest.mock('../../../../src/renderer/services/ipc-client.js', () => ({
+  ipcClient: { invoke: (...args) => mockInvoke(...args) }
+}));
+
+describe('LmsProfileSelector Component', () => {
+  let selector;
+  let rootElement;
+  let state;
+
+  beforeEach(async () => {
+    rootElement = document.createElement('div');
+    rootElement.id = 'lms-profile-root';
+    document.body.appendChild(rootElement);
+
+    state = { lmsProfile: null };
+    mockInvoke.mockImplementation(async (channel) => {
+      if (channel === 'get-lms-profiles') {
+        return [{ id: 'generic', name: 'Generic LMS' }, { id: 'moodle', name: 'Moodle' }];
+      }
+      if (channel === 'apply-lms-profile') {
+        return { success: true, profile: 'Moodle', profileId: 'moodle' };
+      }
+      return { success: false, cancelled: true };
+    });
+
+    selector = new LmsProfileSelector('#lms-profile-root');
+    selector.uiState = {
+      getState: (key) => state[key],
+      setState: jest.fn((key, value) => { state[key] = value; }),
+      showNotification: jest.fn()
+    };
+    await selector.refreshProfiles();
+    await selector.render();
+  });
+
+  afterEach(() => {
+    document.body.innerHTML = '';
+    jest.clearAllMocks();
+  });
+
+  test('lists the main process profiles after "No LMS profile"', () => {
+    const options = Array.from(rootElement.querySelectorAll('#lps-profile option'));
+    expect(options.map(o => o.value)).toEqual(['', 'generic', 'moodle']);
+    expect(options[0].selected).toBe(true);
+  });
+
+  test('remembers the profile for later launches and applies it to the running session', async () => {
+    selector.sessionId = 'session_1';
+
+    await selector.selectProfile('moodle');
+
+    expect(state.lmsProfile).toBe('moodle');
+    expect(mockInvoke).toHaveBeenCalledWith('apply-lms-profile', { sessionId: 'session_1', profileId: 'moodle' });
+    expect(selector.uiState.showNotification).toHaveBeenCalledWith(expect.objectContaining({ type: 'success' }));
+  });
+
+  test('only remembers the profile when no course is running', async () => {
+    await selector.selectProfile('generic');
+
+    expect(state.lmsProfile).toBe('generic');
+    expect(mockInvoke).not.toHaveBeenCalledWith('apply-lms-profile', expect.anything());
+  });
+
+  test('imports through the main process file picker and lists the new profiles', async () => {
+    mockInvoke.mockImplementation(async (channel) => {
+      if (channel === 'import-lms-profiles') return { success: true, profiles: ['acme'] };
+      if (channel === 'get-lms-profiles') return [{ id: 'generic', name: 'Generic LMS' }, { id: 'acme', name: 'Acme LMS' }];
+      return null;
+    });
+
+    await selector.importProfiles();
+
+    // No path is sent: the main process opens the dialog
+    expect(mockInvoke).toHaveBeenCalledWith('import-lms-profiles', {});
+    expect(Array.from(rootElement.querySelectorAll('#lps-profile option')).map(o => o.value)).toContain('acme');
+  });
+});
@@ -0,0 +1,32 @@
+import * as rendererResponses from '../../../src/renderer/utils/interaction-responses.js';
+
+const sharedResponses = require('../../../src/shared/utils/interaction-responses');
+
+/**
+ * The renderer keeps an ES module copy of the shared response grammars; both
+ * must read every value the same way.
+ */
+
+describe('Interaction response grammars (renderer copy)', () => {
+  const samples = {
+    'true-false': ['true', 'false', 'yes', ''],
+    choice: ['a[,]b[,]c', 'a[,]a', '', 'a b', '{lang=en}a'],
+    'fill-in': ['{case_matters=true}{order_matters=false}{lang=en}red[,]blue', '{case_matters=maybe}red', '{lang=e n}x', 'plain'],
+    'long-fill-in': ['{case_matters=false}{lang=de-CH}Ein langer Text', '{order_matters=true}text'],
+    likert: ['agree', 'strongly agree', ''],
+    matching: ['q1[.]a[,]q2[.]b', 'q1[.]a[,]q1[.]a', 'q1', '[.]a'],
+    performance: ['{order_matters=false}step1[.]5[:]10[,][.]answer', '[.]', 'step[.]10[:]1', 'a[.]b[.]c'],
+    sequencing: ['first[,]second[,]first', 'first[,][,]third'],
+    numeric: ['1.5[:]', '10[:]1', '[:]', '2.5', 'abc', '1[:]2[:]3'],
+    other: ['anything at all', ''],
+    unknown: ['x']
+  };
+
+  test.each(Object.entries(samples))('%s', (type, values) => {
+    for (const value of values) {
+      for (const name of ['parseCorrectResponse', 'parseLearnerResponse']) {
+        expect([name, value, rendererResponses[name](type, value)]).toEqual([name, value, sharedResponses[name](type, value)]);
+      }
+    }
+  });
+});
@@ -0,0 +1,71 @@
+import { ScormClient } from '../../../src/renderer/services/scorm-client.js';
+
+/**
+ * LMS faults injected from the GUI menu reach the content through the
+ * renderer's synchronous SCORM API (mirrored from the main process).
+ */
+
+describe('ScormClient fault injection', () => {
+  let client;
+
+  beforeEach(() => {
+    global.window = {
+      electronAPI: {
+        scormSetValuesBatch: jest.fn().mockResolvedValue({ success: true }),
+        scormCommit: jest.fn().mockResolvedValue({ success: true })
+      }
+    };
+    client = new ScormClient();
+    client.sessionId = 'session_gui';
+    client.isInitialized = true;
+  });
+
+  afterEach(async () => {
+    // Let the batch and commit timers finish before the window goes away
+    await new Promise((r) => setTimeout(r, 300));
+    delete global.window;
+  });
+
+  test('a GUI-injected commit failure shows up as 391', () => {
+    // Payload broadcast on 'scorm:fault-injection' for the "Fail Commits (391)" menu item
+    client.setFaultInjection({ commitFailure: true, latencyMs: 0, failSetValueAt: null, dropPersistence: false, active: true });
+
+    expect(client.Commit('')).toBe('false');
+    expect(client.GetLastError()).toBe('391');
+
+    client.setFaultInjection(null);
+    expect(client.Commit('')).toBe('true');
+    expect(client.GetLastError()).toBe('0');
+  });
+
+  test('fails only the Nth SetValue and still forwards it to the main process', async () => {
+    client.setFaultInjection({ failSetValueAt: 3, active: true });
+
+    expect(client.SetValue('cmi.objectives.0.id', 'a')).toBe('true');
+    expect(client.SetValue('cmi.objectives.1.id', 'b')).toBe('true');
+    expect(client.SetValue('cmi.objectives.2.id', 'c')).toBe('false');
+    expect(client.GetLastError()).toBe('351');
+    expect(client.getCachedValue('cmi.objectives.2.id')).toBe('');
+    expect(client.SetValue('cmi.objectives.3.id', 'd')).toBe('true');
+
+    await new Promise((r) => setTimeout(r, 60));
+    const forwarded = window.electronAPI.scormSetValuesBatch.mock.calls.flatMap(([, batch]) => batch.map(op => op.element));
+    expect(forwarded).toEqual(['cmi.objectives.0.id', 'cmi.objectives.1.id', 'cmi.objectives.2.id', 'cmi.objectives.3.id']);
+  });
+
+  test('session faults (simulated disconnect) end with that session', () => {
+    client.setFaultInjection({ commitFailure: true, dropPersistence: true, active: true }, 'session_gui');
+    expect(client.Commit('')).toBe('false');
+
+    client.sessionId = 'session_next';
+    expect(client.Commit('')).toBe('true');
+  });
+
+  test('SCORM 1.2 sessions report injected failures as general exceptions', () => {
+    client.setScormVersion('1.2');
+    client.setFaultInjection({ commitFailure: true, active: true });
+
+    expect(client.Commit('')).toBe('false');
+    expect(client.GetLastError()).toBe('101');
+  });
+});
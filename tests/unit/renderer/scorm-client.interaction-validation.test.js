@@ -0,0 +1,52 @@
+import { ScormClient } from '../../../src/renderer/services/scorm-client.js';
+
+/**
+ * The renderer answers SetValue synchronously, so malformed interaction
+ * responses must be rejected here (the main process 409 never reaches the content).
+ */
+
+describe('ScormClient interaction response validation', () => {
+  let client;
+
+  beforeEach(async () => {
+    global.window = {
+      electronAPI: {
+        scormSetValuesBatch: jest.fn().mockResolvedValue({ success: true })
+      }
+    };
+    client = new ScormClient();
+    await client.loadValidator();
+    client.sessionId = 's1';
+    client.isInitialized = true;
+  });
+
+  afterEach(async () => {
+    await new Promise((r) => setTimeout(r, 40));
+    delete global.window;
+  });
+
+  test('checks learner_response against the interaction type', () => {
+    expect(client.SetValue('cmi.interactions.0.id', 'q1')).toBe('true');
+    expect(client.SetValue('cmi.interactions.0.type', 'choice')).toBe('true');
+
+    expect(client.SetValue('cmi.interactions.0.learner_response', 'a[,]a')).toBe('false');
+    expect(client.GetLastError()).toBe('409');
+    expect(client.getCachedValue('cmi.interactions.0.learner_response')).toBe('');
+
+    expect(client.SetValue('cmi.interactions.0.learner_response', 'a[,]b')).toBe('true');
+    expect(client.GetLastError()).toBe('0');
+  });
+
+  test('checks correct response patterns against the interaction type', () => {
+    client.SetValue('cmi.interactions.1.id', 'q2');
+    client.SetValue('cmi.interactions.1.type', 'numeric');
+
+    expect(client.SetValue('cmi.interactions.1.correct_responses.0.pattern', '10[:]1')).toBe('false');
+    expect(client.GetLastError()).toBe('409');
+    expect(client.SetValue('cmi.interactions.1.correct_responses.0.pattern', '1[:]10')).toBe('true');
+  });
+
+  test('leaves responses of an interaction without a known type to the main process', () => {
+    expect(client.SetValue('cmi.interactions.2.learner_response', 'a[,]a')).toBe('true');
+  });
+});
@@ -0,0 +1,58 @@
+/**
+ * ScormInspectorTelemetryStore - Change Listener Tests
+ *
+ * Listeners registered with onChange drive MCP resource update notifications.
+ */
+
+const ScormInspectorTelemetryStore = require('../../../src/main/services/scorm-inspector/scorm-inspector-telemetry-store');
+
+describe('ScormInspectorTelemetryStore - Change Listeners', () => {
+  let store;
+  let mockLogger;
+
+  beforeEach(() => {
+    mockLogger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+    store = new ScormInspectorTelemetryStore({ logger: mockLogger, enableBroadcast: false });
+  });
+
+  test('notifies listeners of API calls, data model changes and clears', () => {
+    const listener = jest.fn();
+    store.onChange(listener);
+
+    store.storeApiCall({ method: 'SetValue', sessionId: 's1', errorCode: '0' });
+    store.storeDataModelChange({ sessionId: 's1', element: 'cmi.location', newValue: 'p2' });
+    store.clear();
+
+    expect(listener.mock.calls.map(([type]) => type)).toEqual(['api-call', 'data-model-change', 'data-model-cleared', 'cleared']);
+    expect(listener.mock.calls[0][1]).toEqual(expect.objectContaining({ method: 'SetValue', sessionId: 's1' }));
+  });
+
+  test('stops notifying after unsubscribe', () => {
+    const listener = jest.fn();
+    const unsubscribe = store.onChange(listener);
+    unsubscribe();
+
+    store.storeApiCall({ method: 'Commit', sessionId: 's1' });
+
+    expect(listener).not.toHaveBeenCalled();
+  });
+
+  test('keeps recording when a listener throws', () => {
+    store.onChange(() => { throw new Error('listener failed'); });
+
+    store.storeApiCall({ method: 'GetValue', sessionId: 's1' });
+
+    expect(store.getHistory().history).toHaveLength(1);
+    expect(mockLogger.warn).toHaveBeenCalledWith('[ScormInspectorTelemetryStore] Change listener failed', 'listener failed');
+  });
+
+  test('filters API call history by session', () => {
+    store.storeApiCall({ method: 'GetValue', sessionId: 's1' });
+    store.storeApiCall({ method: 'GetValue', sessionId: 's2' });
+
+    const { history } = store.getHistory({ sessionId: 's2' });
+
+    expect(history).toHaveLength(1);
+    expect(history[0].sessionId).toBe('s2');
+  });
+});
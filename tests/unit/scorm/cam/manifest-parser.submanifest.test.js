@@ -0,0 +1,154 @@
+'use strict';
+
+const ManifestParser = require('../../../../src/main/services/scorm/cam/manifest-parser');
+const { ScormCAMService } = require('../../../../src/main/services/scorm/cam');
+const { ActivityTreeManager } = require('../../../../src/main/services/scorm/sn/activity-tree');
+
+describe('ManifestParser nested sub-manifests', () => {
+  let parser;
+  let errorHandler;
+  const basePath = '/pkg';
+
+  beforeEach(() => {
+    errorHandler = {
+      setError: jest.fn(),
+      getLastError: jest.fn(() => '0'),
+      clearError: jest.fn()
+    };
+    parser = new ManifestParser(errorHandler);
+  });
+
+  const wrap = (orgItems, subManifests, rootResources = '') => `<?xml version="1.0" encoding="UTF-8"?>
+<manifest identifier="ROOT" version="1.0"
+          xmlns="http://www.imsglobal.org/xsd/imscp_v1p1"
+          xmlns:adlcp="http://www.adlnet.org/xsd/adlcp_v1p3"
+          xmlns:imsss="http://www.imsglobal.org/xsd/imsss">
+  <organizations default="ORG">
+    <organization identifier="ORG">
+      <title>Aggregated Course</title>
+      ${orgItems}
+    </organization>
+  </organizations>
+  <resources>${rootResources}</resources>
+  ${subManifests}
+</manifest>`;
+
+  const moduleManifest = (id, base, itemId, resId, nested = '') => `
+  <manifest identifier="${id}" xml:base="${base}">
+    <organizations default="${id}-ORG">
+      <organization identifier="${id}-ORG">
+        <title>${id}</title>
+        <item identifier="${itemId}" identifierref="${resId}"><title>${itemId}</title></item>
+        <imsss:sequencing><imsss:controlMode choice="false" flow="true"/></imsss:sequencing>
+      </organization>
+    </organizations>
+    <resources>
+      <resource identifier="${resId}" type="webcontent" adlcp:scormType="sco" href="index.html">
+        <file href="index.html"/>
+      </resource>
+    </resources>
+    ${nested}
+  </manifest>`;
+
+  test('parses sub-manifests and resolves items that reference them', () => {
+    const xml = wrap(
+      '<item identifier="MODULE-1" identifierref="SUB-1"><title>Module 1</title></item>',
+      moduleManifest('SUB-1', 'module1/', 'LESSON-1', 'RES-L1'),
+      '<resource identifier="RES-INTRO" type="webcontent" adlcp:scormType="asset" href="intro.html"/>'
+    );
+
+    const result = parser.parseManifestXML(xml, basePath);
+
+    expect(result.manifest).toHaveLength(1);
+    expect(result.manifest[0]).toEqual(expect.objectContaining({ identifier: 'SUB-1', xmlBase: 'module1/' }));
+
+    const moduleItem = result.organizations.organization[0].items[0];
+    expect(moduleItem.identifierref).toBeNull();
+    expect(moduleItem.subManifest).toBe('SUB-1');
+    expect(moduleItem.title).toBe('Module 1');
+    expect(moduleItem.children.map(c => c.identifier)).toEqual(['LESSON-1']);
+    expect(moduleItem.sequencing.controlMode.flow).toBe(true);
+
+    const lessonResource = result.resources.find(r => r.identifier === 'RES-L1');
+    expect(lessonResource).toEqual(expect.objectContaining({ xmlBase: 'module1/', subManifest: 'SUB-1' }));
+    expect(lessonResource.files[0].resolvedPath.replace(/\\/g, '/')).toContain('module1/index.html');
+  });
+
+  test('resolves items referencing resources of a sub-manifest and nested sub-manifests', () => {
+    const xml = wrap(
+      `<item identifier="DIRECT" identifierref="RES-L1"><title>Direct</title></item>
+       <item identifier="OUTER" identifierref="SUB-OUTER"><title>Outer</title></item>`,
+      moduleManifest('SUB-OUTER', 'outer/', 'OUTER-ITEM', 'RES-L1',
+        `<manifest identifier="SUB-INNER" xml:base="inner/">
+           <organizations/>
+           <resources>
+             <resource identifier="RES-INNER" type="webcontent" adlcp:scormType="sco" href="a.html"/>
+           </resources>
+         </manifest>`)
+    );
+
+    const result = parser.parseManifestXML(xml, basePath);
+
+    expect(result.organizations.organization[0].items[0].identifierref).toBe('RES-L1');
+    expect(result.manifest[0].manifest[0].identifier).toBe('SUB-INNER');
+    expect(result.resources.find(r => r.identifier === 'RES-INNER').xmlBase).toBe('outer/inner/');
+  });
+
+  test('qualifies item identifiers of a sub-manifest aggregated twice', () => {
+    const xml = wrap(
+      `<item identifier="MODULE-1" identifierref="SUB-1"><title>Module 1</title></item>
+       <item identifier="MODULE-2" identifierref="SUB-1"><title>Module 2</title></item>`,
+      moduleManifest('SUB-1', 'module1/', 'LESSON-1', 'RES-L1')
+    );
+
+    const parsed = parser.parseManifestXML(xml, basePath);
+    const [first, second] = parsed.organizations.organization[0].items;
+
+    expect(first.children.map(c => c.identifier)).toEqual(['LESSON-1']);
+    expect(second.children.map(c => c.identifier)).toEqual(['MODULE-2/LESSON-1']);
+    expect(second.children[0].identifierref).toBe('RES-L1');
+
+    const tree = new ActivityTreeManager(errorHandler, { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() });
+    expect(tree.buildTree(new ScormCAMService(errorHandler).cleanManifestForSerialization(parsed))).toBe(true);
+    expect(tree.getActivity('LESSON-1').parent.identifier).toBe('MODULE-1');
+    expect(tree.getActivity('MODULE-2/LESSON-1').parent.identifier).toBe('MODULE-2');
+  });
+
+  test('rejects references to unknown identifiers and circular sub-manifests', () => {
+    expect(() => parser.parseManifestXML(wrap(
+      '<item identifier="M" identifierref="SUB-MISSING"><title>M</title></item>',
+      moduleManifest('SUB-1', 'm/', 'L', 'RES-L')
+    ), basePath)).toThrow('does not resolve to a resource: SUB-MISSING');
+
+    const circular = `
+      <manifest identifier="SUB-A">
+        <organizations default="A-ORG">
+          <organization identifier="A-ORG"><title>A</title>
+            <item identifier="A-ITEM" identifierref="SUB-A"><title>A</title></item>
+          </organization>
+        </organizations>
+        <resources/>
+      </manifest>`;
+    expect(() => parser.parseManifestXML(wrap(
+      '<item identifier="M" identifierref="SUB-A"><title>M</title></item>',
+      circular
+    ), basePath)).toThrow('Circular sub-manifest reference: SUB-A -> SUB-A');
+  });
+
+  test('aggregated content is launchable through the activity tree', () => {
+    const xml = wrap(
+      '<item identifier="MODULE-1" identifierref="SUB-1"><title>Module 1</title></item>',
+      moduleManifest('SUB-1', 'module1/', 'LESSON-1', 'RES-L1')
+    );
+    const parsed = parser.parseManifestXML(xml, basePath);
+    const manifest = new ScormCAMService(errorHandler).cleanManifestForSerialization(parsed);
+
+    const tree = new ActivityTreeManager(errorHandler, { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() });
+    expect(tree.buildTree(manifest)).toBe(true);
+
+    const lesson = tree.getActivity('LESSON-1');
+    expect(lesson.parent.identifier).toBe('MODULE-1');
+    expect(lesson.isLaunchable()).toBe(true);
+    expect(lesson.resource.xmlBase).toBe('module1/');
+  });
+});
@@ -650,4 +650,234 @@ describe('ManifestParser', () => {
       ]);
     });
   });
-});
\ No newline at end of file
+
+  describe('Rollup Rules Parsing', () => {
+    test('should parse rollup rules, conditions and considerations', () => {
+      const manifestWithRollup = `<?xml version="1.0" encoding="UTF-8"?>
+        <manifest xmlns="http://www.imsglobal.org/xsd/imscp_v1p1"
+                  xmlns:imsss="http://www.imsglobal.org/xsd/imsss"
+                  xmlns:adlseq="http://www.adlnet.org/xsd/adlseq_v1p3"
+                  identifier="TEST-MANIFEST" version="1.0">
+          <organizations default="ORG-1">
+            <organization identifier="ORG-1">
+              <title>Test Organization</title>
+              <item identifier="ITEM-1" identifierref="RES-1">
+                <title>Test Item</title>
+                <imsss:sequencing>
+                  <imsss:rollupRules objectiveMeasureWeight="0.5">
+                    <imsss:rollupRule childActivitySet="atLeastCount" minimumCount="2">
+                      <imsss:rollupConditions>
+                        <imsss:rollupCondition condition="satisfied"/>
+                      </imsss:rollupConditions>
+                      <imsss:rollupAction action="satisfied"/>
+                    </imsss:rollupRule>
+                  </imsss:rollupRules>
+                  <adlseq:rollupConsiderations requiredForSatisfied="ifAttempted"/>
+                </imsss:sequencing>
+              </item>
+            </organization>
+          </organizations>
+          <resources>
+            <resource identifier="RES-1" type="webcontent" href="index.html">
+              <file href="index.html"/>
+            </resource>
+          </resources>
+        </manifest>`;
+
+      const result = manifestParser.parseManifestXML(manifestWithRollup);
+
+      const rollup = result.organizations.organizations[0].items[0].sequencing.rollupRules;
+      expect(rollup.rollupObjectiveSatisfied).toBe(true);
+      expect(rollup.rollupProgressCompletion).toBe(true);
+      expect(rollup.objectiveMeasureWeight).toBe(0.5);
+      expect(rollup.rollupConsiderations.requiredForSatisfied).toBe('ifAttempted');
+      expect(rollup.rollupConsiderations.requiredForCompleted).toBe('always');
+      expect(rollup.rollupRules).toEqual([{
+        childActivitySet: 'atLeastCount',
+        minimumCount: 2,
+        minimumPercent: 0,
+        conditions: {
+          conditionCombination: 'any',
+          conditions: [{ condition: 'satisfied', operator: 'noOp' }]
+        },
+        action: 'satisfied'
+      }]);
+    });
+  });
+
+  describe('Shared Data Parsing', () => {
+    test('should parse adlcp:data maps and sharedDataGlobalToSystem', () => {
+      const manifestWithData = `<?xml version="1.0" encoding="UTF-8"?>
+        <manifest xmlns="http://www.imsglobal.org/xsd/imscp_v1p1"
+                  xmlns:adlcp="http://www.adlnet.org/xsd/adlcp_v1p3"
+                  identifier="TEST-MANIFEST" version="1.0">
+          <organizations default="ORG-1">
+            <organization identifier="ORG-1">
+              <title>Test Organization</title>
+              <item identifier="ITEM-1" identifierref="RES-1">
+                <title>Test Item</title>
+                <adlcp:data>
+                  <adlcp:map targetID="notes"/>
+                  <adlcp:map targetID="scores" readSharedData="false" writeSharedData="true"/>
+                  <adlcp:map targetID="notes" writeSharedData="false"/>
+                </adlcp:data>
+              </item>
+            </organization>
+          </organizations>
+          <resources>
+            <resource identifier="RES-1" type="webcontent" href="index.html">
+              <file href="index.html"/>
+            </resource>
+          </resources>
+        </manifest>`;
+
+      const result = manifestParser.parseManifestXML(manifestWithData);
+
+      const organization = result.organizations.organizations[0];
+      expect(organization.sharedDataGlobalToSystem).toBe(true);
+      expect(organization.items[0].dataMaps).toEqual([
+        { targetID: 'notes', readSharedData: true, writeSharedData: true },
+        { targetID: 'scores', readSharedData: false, writeSharedData: true }
+      ]);
+    });
+  });
+
+  describe('Objective Map Parsing', () => {
+    test('should apply schema defaults to mapInfo and objectivesGlobalToSystem', () => {
+      const manifestWithObjectives = `<?xml version="1.0" encoding="UTF-8"?>
+        <manifest xmlns="http://www.imsglobal.org/xsd/imscp_v1p1"
+                  xmlns:imsss="http://www.imsglobal.org/xsd/imsss"
+                  identifier="TEST-MANIFEST" version="1.0">
+          <organizations default="ORG-1">
+            <organization identifier="ORG-1">
+              <title>Test Organization</title>
+              <item identifier="ITEM-1" identifierref="RES-1">
+                <title>Test Item</title>
+                <imsss:sequencing>
+                  <imsss:objectives>
+                    <imsss:primaryObjective objectiveID="primary">
+                      <imsss:mapInfo targetObjectiveID="global-1" writeSatisfiedStatus="true"/>
+                    </imsss:primaryObjective>
+                  </imsss:objectives>
+                </imsss:sequencing>
+              </item>
+            </organization>
+          </organizations>
+          <resources>
+            <resource identifier="RES-1" type="webcontent" href="index.html">
+              <file href="index.html"/>
+            </resource>
+          </resources>
+        </manifest>`;
+
+      const result = manifestParser.parseManifestXML(manifestWithObjectives);
+
+      const organization = result.organizations.organizations[0];
+      expect(organization.objectivesGlobalToSystem).toBe(true);
+      expect(organization.items[0].sequencing.objectives.primaryObjective.mapInfo).toEqual({
+        targetObjectiveID: 'global-1',
+        readSatisfiedStatus: true,
+        readNormalizedMeasure: true,
+        writeSatisfiedStatus: true,
+        writeNormalizedMeasure: false
+      });
+    });
+  });
+
+  describe('Delivery Controls and Completion Threshold Parsing', () => {
+    const buildManifest = (itemBody) => `<?xml version="1.0" encoding="UTF-8"?>
+        <manifest xmlns="http://www.imsglobal.org/xsd/imscp_v1p1"
+                  xmlns:adlcp="http://www.adlnet.org/xsd/adlcp_v1p3"
+                  xmlns:imsss="http://www.imsglobal.org/xsd/imsss"
+                  identifier="TEST-MANIFEST" version="1.0">
+          <organizations default="ORG-1">
+            <organization identifier="ORG-1">
+              <title>Test Organization</title>
+              <item identifier="ITEM-1" identifierref="RES-1">
+                <title>Test Item</title>
+                ${itemBody}
+              </item>
+            </organization>
+          </organizations>
+          <resources>
+            <resource identifier="RES-1" type="webcontent" adlcp:scormType="sco" href="index.html"/>
+          </resources>
+        </manifest>`;
+
+    test('should default tracked to true and the SetByContent flags to false', () => {
+      const result = manifestParser.parseManifestXML(buildManifest(`
+        <imsss:sequencing>
+          <imsss:deliveryControls objectiveSetByContent="true"/>
+        </imsss:sequencing>`));
+
+      expect(result.organizations.organizations[0].items[0].sequencing.deliveryControls).toEqual({
+        tracked: true,
+        completionSetByContent: false,
+        objectiveSetByContent: true
+      });
+    });
+
+    test('should parse 4th Edition completionThreshold attributes', () => {
+      const result = manifestParser.parseManifestXML(buildManifest(
+        '<adlcp:completionThreshold completedByMeasure="true" minProgressMeasure="0.75" progressWeight="2"/>'
+      ));
+
+      expect(result.organizations.organizations[0].items[0].completionThreshold).toEqual({
+        completedByMeasure: true,
+        minProgressMeasure: 0.75,
+        progressWeight: 2
+      });
+    });
+
+    test('should treat a 3rd Edition text threshold as completed by measure', () => {
+      const result = manifestParser.parseManifestXML(buildManifest(
+        '<adlcp:completionThreshold>0.6</adlcp:completionThreshold>'
+      ));
+
+      expect(result.organizations.organizations[0].items[0].completionThreshold).toEqual({
+        completedByMeasure: true,
+        minProgressMeasure: 0.6,
+        progressWeight: 1
+      });
+    });
+  });
+
+  describe('Constrained Choice Considerations Parsing', () => {
+    test('should parse adlseq:constrainedChoiceConsiderations with false defaults', () => {
+      const xml = `<?xml version="1.0" encoding="UTF-8"?>
+        <manifest xmlns="http://www.imsglobal.org/xsd/imscp_v1p1"
+                  xmlns:adlcp="http://www.adlnet.org/xsd/adlcp_v1p3"
+                  xmlns:adlseq="http://www.adlnet.org/xsd/adlseq_v1p3"
+                  xmlns:imsss="http://www.imsglobal.org/xsd/imsss"
+                  identifier="TEST-MANIFEST" version="1.0">
+          <organizations default="ORG-1">
+            <organization identifier="ORG-1">
+              <title>Test Organization</title>
+              <item identifier="MODULE-1">
+                <title>Module</title>
+                <item identifier="ITEM-1" identifierref="RES-1">
+                  <title>Test Item</title>
+                  <imsss:sequencing>
+                    <adlseq:constrainedChoiceConsiderations constrainChoice="true"/>
+                  </imsss:sequencing>
+                </item>
+                <imsss:sequencing>
+                  <imsss:controlMode choice="true" flow="true"/>
+                  <adlseq:constrainedChoiceConsiderations preventActivation="true" constrainChoice="false"/>
+                </imsss:sequencing>
+              </item>
+            </organization>
+          </organizations>
+          <resources>
+            <resource identifier="RES-1" type="webcontent" adlcp:scormType="sco" href="index.html"/>
+          </resources>
+        </manifest>`;
+
+      const module = manifestParser.parseManifestXML(xml).organizations.organizations[0].items[0];
+
+      expect(module.sequencing.constrainedChoiceConsiderations).toEqual({ preventActivation: true, constrainChoice: false });
+      expect(module.children[0].sequencing.constrainedChoiceConsiderations).toEqual({ preventActivation: false, constrainChoice: true });
+      expect(module.sequencing.controlMode.choice).toBe(true);
+    });
+  });
+});
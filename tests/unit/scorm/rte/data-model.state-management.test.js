@@ -566,4 +566,35 @@ describe('SCORM Data Model State Management Tests', () => {
       expect(dataModel.getValue('cmi.learner_id')).toBe('learner_456'); // Should remain unchanged
     });
   });
-});
\ No newline at end of file
+
+  // ============================================================================
+  // Mapped Objective Seeding Tests
+  // ============================================================================
+
+  describe('Mapped Objective Seeding', () => {
+    test('should create objectives read from global objectives', () => {
+      dataModel.seedObjectives([
+        { id: 'mastery', success_status: 'passed', scaled: '0.8' },
+        { id: 'unread' }
+      ]);
+
+      expect(dataModel.getValue('cmi.objectives._count')).toBe('2');
+      expect(dataModel.getValue('cmi.objectives.0.id')).toBe('mastery');
+      expect(dataModel.getValue('cmi.objectives.0.success_status')).toBe('passed');
+      expect(dataModel.getValue('cmi.objectives.0.score.scaled')).toBe('0.8');
+      expect(dataModel.getValue('cmi.objectives.1.success_status')).toBe('');
+    });
+
+    test('should update restored objectives in place by id', () => {
+      dataModel.setValue('cmi.objectives.0.id', 'mastery');
+      dataModel.setValue('cmi.objectives.0.success_status', 'failed');
+      dataModel.setValue('cmi.objectives.0.completion_status', 'completed');
+
+      dataModel.seedObjectives([{ id: 'mastery', success_status: 'passed' }]);
+
+      expect(dataModel.getValue('cmi.objectives._count')).toBe('1');
+      expect(dataModel.getValue('cmi.objectives.0.success_status')).toBe('passed');
+      expect(dataModel.getValue('cmi.objectives.0.completion_status')).toBe('completed');
+    });
+  });
+});
@@ -0,0 +1,212 @@
+/**
+ * Delivery Controls Tests
+ *
+ * Covers the manifest-driven parts of an attempt: cmi.completion_threshold
+ * and cmi.scaled_passing_score evaluation (RTE 4.2.4.1 / 4.2.22.1), the
+ * statuses the LMS sets on Terminate when the content is not required to
+ * (completionSetByContent/objectiveSetByContent) and tracked="false"
+ * activities being left out of tracking.
+ */
+
+const ScormApiHandler = require('../../../../src/main/services/scorm/rte/api-handler');
+const { ScormSNService } = require('../../../../src/main/services/scorm/sn');
+const { NAVIGATION_REQUESTS } = require('../../../../src/shared/constants/sn-constants');
+
+describe('Delivery controls and thresholds', () => {
+  let mockLogger;
+  let mockSessionManager;
+
+  const createHandler = (settings, options = {}) => {
+    const handler = new ScormApiHandler(mockSessionManager, mockLogger, options);
+    handler.Initialize('');
+    if (settings) {
+      handler.applyDeliverySettings({
+        activityId: 'sco-1',
+        tracked: true,
+        completionSetByContent: false,
+        objectiveSetByContent: false,
+        completionThreshold: null,
+        scaledPassingScore: null,
+        ...settings
+      });
+    }
+    return handler;
+  };
+
+  beforeEach(() => {
+    mockLogger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+    mockSessionManager = {
+      registerSession: jest.fn(),
+      unregisterSession: jest.fn(),
+      persistSessionData: jest.fn().mockReturnValue(true),
+      getLearnerInfo: jest.fn().mockReturnValue({ id: 'learner', name: 'Learner' })
+    };
+  });
+
+  // ============================================================================
+  // Threshold Evaluation
+  // ============================================================================
+
+  describe('threshold evaluation', () => {
+    test('populates cmi.completion_threshold and cmi.scaled_passing_score', () => {
+      const handler = createHandler({ completionThreshold: 0.8, scaledPassingScore: 0.7 });
+
+      expect(handler.GetValue('cmi.completion_threshold')).toBe('0.8');
+      expect(handler.GetValue('cmi.scaled_passing_score')).toBe('0.7');
+    });
+
+    test('evaluates completion_status against progress_measure', () => {
+      const handler = createHandler({ completionThreshold: 0.8 });
+
+      handler.SetValue('cmi.completion_status', 'completed');
+      expect(handler.GetValue('cmi.completion_status')).toBe('completed');
+
+      handler.SetValue('cmi.progress_measure', '0.5');
+      expect(handler.GetValue('cmi.completion_status')).toBe('incomplete');
+
+      handler.SetValue('cmi.progress_measure', '0.8');
+      expect(handler.GetValue('cmi.completion_status')).toBe('completed');
+    });
+
+    test('evaluates success_status against score.scaled', () => {
+      const handler = createHandler({ scaledPassingScore: 0.6 });
+
+      handler.SetValue('cmi.success_status', 'passed');
+      expect(handler.GetValue('cmi.success_status')).toBe('unknown');
+
+      handler.SetValue('cmi.score.scaled', '0.4');
+      expect(handler.GetValue('cmi.success_status')).toBe('failed');
+
+      handler.SetValue('cmi.score.scaled', '0.9');
+      expect(handler.GetValue('cmi.success_status')).toBe('passed');
+    });
+
+    test('reports the SCO values when no thresholds are defined', () => {
+      const handler = createHandler(null);
+
+      handler.SetValue('cmi.progress_measure', '0.1');
+      handler.SetValue('cmi.completion_status', 'completed');
+      expect(handler.GetValue('cmi.completion_status')).toBe('completed');
+      expect(handler.GetValue('cmi.completion_threshold')).toBe('');
+    });
+  });
+
+  // ============================================================================
+  // Terminate
+  // ============================================================================
+
+  describe('Terminate', () => {
+    test('LMS sets completion and success when the content is not required to', () => {
+      const handler = createHandler({});
+
+      handler.Terminate('');
+
+      expect(handler.dataModel.getCompletionStatus()).toBe('completed');
+      expect(handler.dataModel.getSuccessStatus()).toBe('passed');
+    });
+
+    test('leaves unknown statuses alone when set by content', () => {
+      const handler = createHandler({ completionSetByContent: true, objectiveSetByContent: true });
+
+      handler.Terminate('');
+
+      expect(handler.dataModel.getCompletionStatus()).toBe('unknown');
+      expect(handler.dataModel.getSuccessStatus()).toBe('unknown');
+    });
+
+    test('stores the evaluated statuses', () => {
+      const handler = createHandler({ completionThreshold: 0.5, completionSetByContent: true, objectiveSetByContent: true });
+      handler.SetValue('cmi.progress_measure', '0.75');
+
+      handler.Terminate('');
+
+      expect(handler.dataModel.data.get('cmi.completion_status')).toBe('completed');
+    });
+
+    test('does not touch statuses of untracked activities or without delivery settings', () => {
+      const untracked = createHandler({ tracked: false });
+      untracked.Terminate('');
+      expect(untracked.dataModel.getCompletionStatus()).toBe('unknown');
+
+      const plain = createHandler(null);
+      plain.Terminate('');
+      expect(plain.dataModel.getCompletionStatus()).toBe('unknown');
+    });
+  });
+
+  // ============================================================================
+  // Sequencing
+  // ============================================================================
+
+  describe('ScormSNService', () => {
+    let snService;
+
+    const buildManifest = () => ({
+      organizations: {
+        default: 'org1',
+        organization: [{
+          identifier: 'org1',
+          title: 'Course',
+          item: [{
+            identifier: 'lesson1',
+            title: 'Lesson 1',
+            identifierref: 'res1',
+            completionThreshold: { completedByMeasure: true, minProgressMeasure: 0.8, progressWeight: 1 },
+            sequencing: {
+              objectives: { primaryObjective: { objectiveID: 'obj1', satisfiedByMeasure: true, minNormalizedMeasure: '0.6' } }
+            }
+          }, {
+            identifier: 'survey',
+            title: 'Survey',
+            identifierref: 'res2',
+            sequencing: { deliveryControls: { tracked: false, completionSetByContent: false, objectiveSetByContent: false } }
+          }]
+        }]
+      },
+      resources: {
+        resource: [
+          { identifier: 'res1', scormType: 'sco', href: 'lesson1.html' },
+          { identifier: 'res2', scormType: 'sco', href: 'survey.html' }
+        ]
+      }
+    });
+
+    beforeEach(async () => {
+      const errorHandler = { setError: jest.fn(), getLastError: jest.fn().mockReturnValue('0'), clearError: jest.fn() };
+      snService = new ScormSNService(errorHandler, mockLogger);
+      await snService.initialize(buildManifest());
+      await snService.processNavigation(NAVIGATION_REQUESTS.START);
+    });
+
+    test('exposes the delivery settings of the current activity', () => {
+      expect(snService.getActivityDeliverySettings()).toEqual({
+        activityId: 'lesson1',
+        tracked: true,
+        completionSetByContent: false,
+        objectiveSetByContent: false,
+        completionThreshold: 0.8,
+        scaledPassingScore: 0.6
+      });
+      expect(snService.getActivityDeliverySettings('survey').tracked).toBe(false);
+    });
+
+    test('decides completion and satisfaction by measure', () => {
+      const lesson = snService.activityTreeManager.getActivity('lesson1');
+
+      snService.updateActivityProgress('lesson1', { completed: true, progressMeasure: 0.5, measure: 0.7 });
+
+      expect(lesson.attemptState).toBe('incomplete');
+      expect(lesson.primaryObjective.satisfied).toBe(true);
+    });
+
+    test('ignores progress on untracked activities', () => {
+      const survey = snService.activityTreeManager.getActivity('survey');
+      const before = survey.attemptState;
+
+      const result = snService.updateActivityProgress('survey', { completed: true });
+
+      expect(result).toEqual(expect.objectContaining({ success: true, tracked: false }));
+      expect(survey.attemptState).toBe(before);
+    });
+  });
+});
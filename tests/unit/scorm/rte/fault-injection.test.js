@@ -0,0 +1,195 @@
+/**
+ * LMS Fault Injection Tests
+ *
+ * Covers the FaultInjector, the faults it imposes on ScormApiHandler
+ * (failed commits, failing Nth SetValue, dropped persistence) and the
+ * ScormService wiring (latency, defaults for new sessions, skipped saves).
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ScormApiHandler = require('../../../../src/main/services/scorm/rte/api-handler');
+const { FaultInjector, FAULT_PRESETS } = require('../../../../src/main/services/scorm/rte/fault-injector');
+
+jest.mock('electron', () => ({
+  app: {
+    getPath: jest.fn(() => require('path').join(require('os').tmpdir(), 'scorm-tester-fault-injection-test'))
+  }
+}));
+
+describe('LMS fault injection', () => {
+  let mockLogger;
+  let mockSessionManager;
+
+  const createHandler = (options = {}) => {
+    const handler = new ScormApiHandler(mockSessionManager, mockLogger, options);
+    handler.Initialize('');
+    return handler;
+  };
+
+  beforeEach(() => {
+    mockLogger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+    mockSessionManager = {
+      registerSession: jest.fn(),
+      unregisterSession: jest.fn(),
+      persistSessionData: jest.fn().mockReturnValue(true),
+      getLearnerInfo: jest.fn().mockReturnValue({ id: 'learner', name: 'Learner' })
+    };
+  });
+
+  // ============================================================================
+  // FaultInjector
+  // ============================================================================
+
+  describe('FaultInjector', () => {
+    test('configures presets and sanitizes explicit settings', () => {
+      const injector = new FaultInjector(mockLogger);
+      expect(injector.isActive()).toBe(false);
+
+      expect(injector.configure('connection-lost')).toEqual(expect.objectContaining({
+        commitFailure: true,
+        dropPersistence: true,
+        active: true
+      }));
+
+      expect(injector.configure({ latencyMs: -5, failSetValueAt: 'two' })).toEqual(expect.objectContaining({
+        latencyMs: 0,
+        failSetValueAt: null,
+        active: false
+      }));
+    });
+
+    test('rejects unknown presets', () => {
+      expect(() => new FaultInjector().configure('meteor-strike')).toThrow('Unknown fault preset');
+      expect(Object.keys(FAULT_PRESETS)).toContain('slow-lms');
+    });
+  });
+
+  // ============================================================================
+  // ScormApiHandler
+  // ============================================================================
+
+  describe('ScormApiHandler', () => {
+    test('Commit returns false with 391 while commit failures are injected', () => {
+      const handler = createHandler();
+      handler.setFaultInjection({ commitFailure: true });
+
+      expect(handler.Commit('')).toBe('false');
+      expect(handler.GetLastError()).toBe('391');
+
+      handler.setFaultInjection({});
+      expect(handler.Commit('')).toBe('true');
+    });
+
+    test('SCORM 1.2 reports injected failures as general exceptions', () => {
+      const handler = createHandler({ scormVersion: '1.2' });
+      handler.setFaultInjection('commit-failure');
+
+      expect(handler.LMSCommit('')).toBe('false');
+      expect(handler.LMSGetLastError()).toBe('101');
+    });
+
+    test('fails only the Nth SetValue after configuring', () => {
+      const handler = createHandler();
+      handler.setFaultInjection({ failSetValueAt: 2 });
+
+      expect(handler.SetValue('cmi.location', 'a')).toBe('true');
+      expect(handler.SetValue('cmi.location', 'b')).toBe('false');
+      expect(handler.GetLastError()).toBe('351');
+      expect(handler.SetValue('cmi.location', 'c')).toBe('true');
+      expect(handler.getFaultInjection()).toEqual(expect.objectContaining({
+        setValueCount: 3,
+        injectedCount: 1
+      }));
+    });
+
+    test('acknowledges commits without persisting when persistence is dropped', () => {
+      const handler = createHandler();
+      handler.setFaultInjection('drop-persistence');
+
+      expect(handler.Commit('')).toBe('true');
+      expect(mockSessionManager.persistSessionData).not.toHaveBeenCalled();
+    });
+
+    test('exposes injected latency and reports faults in the API state', () => {
+      const handler = createHandler();
+      handler.setFaultInjection('slow-lms');
+
+      expect(handler.getFaultLatencyMs()).toBe(2000);
+      expect(handler.getApiState().faults.latencyMs).toBe(2000);
+    });
+  });
+
+  // ============================================================================
+  // ScormService
+  // ============================================================================
+
+  describe('ScormService', () => {
+    let service;
+
+    beforeEach(async () => {
+      const ScormService = require('../../../../src/main/services/scorm-service');
+      service = new ScormService({ setError: jest.fn() }, mockLogger);
+      await service.initialize(new Map([['windowManager', { getWindow: () => null }]]));
+      jest.spyOn(service.sessionStore, 'saveSession');
+    });
+
+    afterEach(async () => {
+      await service.shutdown();
+    });
+
+    afterAll(() => {
+      fs.rmSync(path.join(os.tmpdir(), 'scorm-tester-fault-injection-test'), { recursive: true, force: true });
+    });
+
+    test('applies menu faults to open sessions and sessions started later', async () => {
+      await service.initializeSession('open-session', { forceNew: true });
+
+      const result = service.setFaultInjection('connection-lost');
+      expect(result.faults['open-session'].commitFailure).toBe(true);
+
+      await service.initializeSession('later-session', { forceNew: true });
+      expect(service.getFaultInjection('later-session').faults['later-session'].dropPersistence).toBe(true);
+
+      service.setFaultInjection(null);
+      expect(service.getFaultInjection().faults['later-session'].active).toBe(false);
+
+      await service.terminate('open-session');
+      await service.terminate('later-session');
+    });
+
+    test('skips disk writes and delays responses for a faulty session', async () => {
+      await service.initializeSession('faulty', { forceNew: true });
+      service.setFaultInjection({ dropPersistence: true, latencyMs: 40 }, 'faulty');
+
+      const started = Date.now();
+      const commit = await service.commit('faulty');
+      expect(Date.now() - started).toBeGreaterThanOrEqual(35);
+      expect(commit.success).toBe(true);
+
+      await service.terminate('faulty');
+      expect(service.sessionStore.saveSession).not.toHaveBeenCalled();
+    });
+
+    test('reports unknown sessions', () => {
+      expect(service.setFaultInjection('slow-lms', 'missing')).toEqual({ success: false, error: 'Session not found' });
+    });
+
+    test('sends the fault state to the GUI renderer', () => {
+      const windowManager = { getWindow: () => null, broadcastToAllWindows: jest.fn() };
+      service.dependencies.set('windowManager', windowManager);
+
+      service.setFaultInjection('commit-failure');
+      expect(windowManager.broadcastToAllWindows).toHaveBeenCalledWith('scorm:fault-injection', {
+        sessionId: null,
+        faults: expect.objectContaining({ commitFailure: true, active: true })
+      });
+
+      service.setFaultInjection(null);
+      expect(windowManager.broadcastToAllWindows).toHaveBeenLastCalledWith('scorm:fault-injection', { sessionId: null, faults: null });
+
+      expect(service.setFaultInjection('no-such-preset')).toEqual({ success: false, error: 'Unknown fault preset: no-such-preset' });
+    });
+  });
+});
@@ -0,0 +1,160 @@
+/**
+ * SCORM 2004 Interaction Response Validation Tests
+ *
+ * Covers the characterstring grammars of correct_responses.n.pattern and
+ * learner_response for the ten interaction types (RTE 4.2.9), including the
+ * {case_matters=}, {order_matters=} and {lang=} delimiters, and how the data
+ * model reports violations.
+ */
+
+const ScormDataModel = require('../../../../src/main/services/scorm/rte/data-model');
+const ScormErrorHandler = require('../../../../src/main/services/scorm/rte/error-handler');
+const { COMMON_ERRORS } = require('../../../../src/shared/constants/error-codes');
+const { parseCorrectResponse, parseLearnerResponse } = require('../../../../src/shared/utils/interaction-responses');
+
+describe('Interaction response grammars', () => {
+  const valid = (parse, type, value) => parse(type, value).valid;
+
+  test.each([
+    ['true-false', 'true', 'yes'],
+    ['choice', 'a[,]b[,]c', 'a[,]a'],
+    ['fill-in', '{case_matters=true}{order_matters=false}{lang=en}red[,]blue', '{case_matters=maybe}red'],
+    ['long-fill-in', '{case_matters=false}{lang=de-CH}Ein langer Text', '{order_matters=true}text'],
+    ['likert', 'agree', 'strongly agree'],
+    ['matching', 'q1[.]a[,]q2[.]b', 'q1[.]a[,]q1[.]a'],
+    ['performance', '{order_matters=false}step1[.]5[:]10[,][.]answer', '[.]'],
+    ['sequencing', 'first[,]second[,]first', 'first[,][,]third'],
+    ['numeric', '1.5[:]', '10[:]1'],
+    ['other', 'anything at all', null]
+  ])('%s correct response patterns', (type, good, bad) => {
+    expect(valid(parseCorrectResponse, type, good)).toBe(true);
+    if (bad !== null) {
+      expect(valid(parseCorrectResponse, type, bad)).toBe(false);
+    }
+  });
+
+  test.each([
+    ['true-false', 'false', ''],
+    ['choice', '', 'a b'],
+    ['fill-in', '{lang=fr}rouge[,]bleu', '{case_matters=true}red'],
+    ['long-fill-in', 'An essay', '{lang=not a code}text'],
+    ['likert', 'neutral', ''],
+    ['matching', 'q1[.]a', 'q1-a'],
+    ['performance', 'step1[.]7', '{order_matters=true}step1[.]7'],
+    ['sequencing', 'b[,]a', ''],
+    ['numeric', '-3.25', '1[:]2']
+  ])('%s learner responses', (type, good, bad) => {
+    expect(valid(parseLearnerResponse, type, good)).toBe(true);
+    expect(valid(parseLearnerResponse, type, bad)).toBe(false);
+  });
+
+  test('parses delimiters with their defaults', () => {
+    expect(parseCorrectResponse('fill-in', '{lang=en}Paris').value).toEqual({
+      caseMatters: false,
+      orderMatters: true,
+      strings: [{ lang: 'en', text: 'Paris' }]
+    });
+    expect(parseCorrectResponse('numeric', '[:]100').value).toEqual({ min: null, max: 100 });
+  });
+
+  test('explains why a value is invalid', () => {
+    expect(parseCorrectResponse('choice', '{case_matters=true}a').reason).toBe('{case_matters=} is not allowed in a choice identifier');
+    expect(parseLearnerResponse('fill-in', '{order_matters=false}x').reason)
+      .toBe('{order_matters=} is not allowed in a fill-in learner_response');
+    expect(parseCorrectResponse('matching', 'q1[.]a[,]q2').reason).toBe('"q2" is not a source[.]target pair');
+    expect(parseCorrectResponse('hotspot', 'x').reason).toBe('unknown interaction type "hotspot"');
+  });
+});
+
+describe('Data model interaction response validation', () => {
+  let errorHandler;
+  let dataModel;
+
+  const interaction = (type) => {
+    expect(dataModel.setValue('cmi.interactions.0.id', 'q1')).toBe(true);
+    expect(dataModel.setValue('cmi.interactions.0.type', type)).toBe(true);
+  };
+
+  beforeEach(() => {
+    const mockLogger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+    errorHandler = new ScormErrorHandler(mockLogger);
+    dataModel = new ScormDataModel(errorHandler, mockLogger);
+  });
+
+  test('stores correct responses as a collection', () => {
+    interaction('choice');
+
+    expect(dataModel.setValue('cmi.interactions.0.correct_responses.0.pattern', 'a[,]b')).toBe(true);
+    expect(dataModel.setValue('cmi.interactions.0.correct_responses.1.pattern', 'c')).toBe(true);
+    expect(dataModel.setValue('cmi.interactions.0.objectives.0.id', 'obj-1')).toBe(true);
+
+    expect(dataModel.getValue('cmi.interactions.0.correct_responses._count')).toBe('2');
+    expect(dataModel.getValue('cmi.interactions.0.correct_responses.0.pattern')).toBe('a[,]b');
+    expect(dataModel.getValue('cmi.interactions.0.objectives.0.id')).toBe('obj-1');
+    expect(dataModel.getValue('cmi.interactions.0.id')).toBe('q1');
+  });
+
+  test('rejects values that break the type grammar with a type mismatch', () => {
+    interaction('numeric');
+
+    expect(dataModel.setValue('cmi.interactions.0.learner_response', 'ten')).toBe(false);
+    expect(errorHandler.getLastError()).toBe(COMMON_ERRORS.TYPE_MISMATCH);
+    expect(errorHandler.getDiagnostic(COMMON_ERRORS.TYPE_MISMATCH))
+      .toBe('Invalid numeric learner_response for cmi.interactions.0.learner_response: "ten" is not a real number');
+  });
+
+  test('requires the interaction type first', () => {
+    expect(dataModel.setValue('cmi.interactions.0.id', 'q1')).toBe(true);
+
+    expect(dataModel.setValue('cmi.interactions.0.correct_responses.0.pattern', 'true')).toBe(false);
+    expect(errorHandler.getLastError()).toBe(COMMON_ERRORS.DEPENDENCY_NOT_ESTABLISHED);
+  });
+
+  test('enforces single and unique correct responses', () => {
+    interaction('true-false');
+    expect(dataModel.setValue('cmi.interactions.0.correct_responses.0.pattern', 'true')).toBe(true);
+    expect(dataModel.setValue('cmi.interactions.0.correct_responses.1.pattern', 'false')).toBe(false);
+    expect(errorHandler.getLastError()).toBe(COMMON_ERRORS.GENERAL_SET_FAILURE);
+
+    expect(dataModel.setValue('cmi.interactions.1.id', 'q2')).toBe(true);
+    expect(dataModel.setValue('cmi.interactions.1.type', 'sequencing')).toBe(true);
+    expect(dataModel.setValue('cmi.interactions.1.correct_responses.0.pattern', 'a[,]b')).toBe(true);
+    expect(dataModel.setValue('cmi.interactions.1.correct_responses.1.pattern', 'a[,]b')).toBe(false);
+    expect(errorHandler.getLastError()).toBe(COMMON_ERRORS.GENERAL_SET_FAILURE);
+    expect(dataModel.setValue('cmi.interactions.1.correct_responses.3.pattern', 'b[,]a')).toBe(false);
+  });
+
+  test('lenient validation accepts malformed responses', () => {
+    interaction('choice');
+    dataModel.setStrictValidation(false);
+
+    expect(dataModel.setValue('cmi.interactions.0.learner_response', 'a, b')).toBe(true);
+    expect(dataModel.getValue('cmi.interactions.0.learner_response')).toBe('a, b');
+  });
+
+  test('restores sessions saved before correct responses were nested', () => {
+    // getAllData() output of the earlier data model: nested values were kept
+    // under their last path segment
+    const snapshot = {
+      coreData: { 'cmi.exit': 'suspend', 'cmi.location': 'page-2' },
+      interactions: [
+        { id: 'q1', type: 'choice', pattern: 'b', learner_response: 'a' },
+        { id: 'q2', type: 'fill-in', 'correct_responses.0.pattern': 'red', 'objectives.0.id': 'obj-1', 'correct_responses._count': '1' }
+      ],
+      objectives: []
+    };
+
+    dataModel.restoreData(snapshot);
+
+    expect(dataModel.getValue('cmi.interactions._count')).toBe('2');
+    expect(dataModel.getValue('cmi.interactions.0.correct_responses._count')).toBe('1');
+    expect(dataModel.getValue('cmi.interactions.0.correct_responses.0.pattern')).toBe('b');
+    expect(dataModel.getValue('cmi.interactions.0.learner_response')).toBe('a');
+    expect(dataModel.getValue('cmi.interactions.1.correct_responses.0.pattern')).toBe('red');
+    expect(dataModel.getValue('cmi.interactions.1.objectives.0.id')).toBe('obj-1');
+    expect(dataModel.getAllData().interactions[0]).not.toHaveProperty('pattern');
+    // The migrated list keeps taking new patterns in sequence
+    expect(dataModel.setValue('cmi.interactions.0.correct_responses.1.pattern', 'c')).toBe(true);
+    expect(snapshot.interactions[0]).not.toHaveProperty('correct_responses');
+  });
+});
@@ -0,0 +1,68 @@
+/**
+ * SCORM 2004 Interaction Scoring Tests
+ *
+ * Covers the independent evaluation of learner_response against
+ * correct_responses (RTE 4.2.9.1) and the flagging of results the content
+ * reported that contradict it.
+ */
+
+const { evaluateInteraction } = require('../../../../src/shared/utils/interaction-scoring');
+
+describe('evaluateInteraction', () => {
+  const status = (type, learnerResponse, correctResponses) =>
+    evaluateInteraction({ type, learnerResponse, correctResponses }).status;
+
+  test.each([
+    ['true-false', 'true', ['true'], 'false'],
+    ['choice', 'c[,]a', ['a[,]c'], 'a'],
+    ['fill-in', 'PARIS', ['paris'], 'Lyon'],
+    ['fill-in', 'blue[,]red', ['{order_matters=false}red[,]blue'], 'red'],
+    ['long-fill-in', '{lang=en}An essay', ['an essay'], 'another essay'],
+    ['likert', 'agree', ['agree'], 'disagree'],
+    ['matching', 'q2[.]b[,]q1[.]a', ['q1[.]a[,]q2[.]b'], 'q1[.]b[,]q2[.]a'],
+    ['performance', 'step2[.]7[,]step1[.]x', ['{order_matters=false}step1[.]x[,]step2[.]5[:]10'], 'step1[.]x[,]step2[.]11'],
+    ['sequencing', 'a[,]b[,]c', ['a[,]b[,]c'], 'c[,]b[,]a'],
+    ['numeric', '10', ['5[:]10'], '10.5'],
+    ['numeric', '-1000', ['[:]0'], '0.1'],
+    ['other', 'free text', ['free text'], 'Free text']
+  ])('%s: %s matches %j', (type, right, patterns, wrong) => {
+    expect(status(type, right, patterns)).toBe('correct');
+    expect(status(type, wrong, patterns)).toBe('incorrect');
+  });
+
+  test('honours {case_matters=} and ordered performance steps', () => {
+    expect(status('fill-in', 'PARIS', ['{case_matters=true}Paris'])).toBe('incorrect');
+    expect(status('long-fill-in', 'Essay', ['{case_matters=true}Essay'])).toBe('correct');
+    expect(status('performance', 'b[.]2[,]a[.]1', ['a[.]1[,]b[.]2'])).toBe('incorrect');
+    expect(status('performance', 'a[.]1[,]b[.]2', ['a[.]1[,]b[.]2'])).toBe('correct');
+  });
+
+  test('matches any of several correct responses', () => {
+    const evaluation = evaluateInteraction({ type: 'choice', learnerResponse: 'b', correctResponses: ['a', 'b'] });
+
+    expect(evaluation).toEqual(expect.objectContaining({ status: 'correct', matchedPattern: 1, expectedResult: 'correct' }));
+  });
+
+  test('flags results that contradict the evaluation', () => {
+    const flagged = (learnerResponse, result) =>
+      evaluateInteraction({ type: 'true-false', learnerResponse, correctResponses: ['true'], result }).resultMismatch;
+
+    expect(flagged('false', 'correct')).toBe(true);
+    expect(flagged('true', 'incorrect')).toBe(true);
+    expect(flagged('true', 'unanticipated')).toBe(true);
+    expect(flagged('true', 'correct')).toBe(false);
+    expect(flagged('false', 'neutral')).toBe(false);
+    expect(flagged('false', '0.5')).toBe(false);
+    expect(flagged('false', undefined)).toBe(false);
+  });
+
+  test('reports interactions that cannot be scored', () => {
+    expect(evaluateInteraction({ type: 'choice', learnerResponse: 'a', result: 'correct' }))
+      .toEqual(expect.objectContaining({ status: 'unscorable', resultMismatch: false, reason: 'no correct_responses to compare against' }));
+    expect(status('choice', '', ['a'])).toBe('unscorable');
+    expect(status(undefined, 'a', ['a'])).toBe('unscorable');
+    expect(evaluateInteraction({ type: 'numeric', learnerResponse: 'ten', correctResponses: ['1[:]2'] }).reason)
+      .toBe('learner_response: "ten" is not a real number');
+    expect(status('numeric', '3', ['3[:]1'])).toBe('invalid');
+  });
+});
@@ -0,0 +1,232 @@
+/**
+ * LMS Profile Tests
+ *
+ * Covers profile normalization and JSON loading, and the runtime behaviour a
+ * profile imposes on ScormApiHandler: suspend data limits, lenient type
+ * validation, learner injection and auto-commit.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ScormApiHandler = require('../../../../src/main/services/scorm/rte/api-handler');
+const {
+  normalizeLmsProfile,
+  getBuiltInLmsProfiles,
+  loadLmsProfilesFromDirectory
+} = require('../../../../src/main/services/scorm/rte/lms-profiles');
+
+jest.mock('electron', () => ({
+  app: {
+    getPath: jest.fn(() => require('path').join(require('os').tmpdir(), 'scorm-tester-lms-profiles-test'))
+  }
+}));
+
+describe('LMS profiles', () => {
+  let mockLogger;
+  let mockSessionManager;
+
+  const createHandler = (settings, options = {}) => {
+    const handler = new ScormApiHandler(mockSessionManager, mockLogger, {
+      ...options,
+      lmsProfile: normalizeLmsProfile('customer', { name: 'Customer LMS', settings })
+    });
+    handler.Initialize('');
+    return handler;
+  };
+
+  beforeEach(() => {
+    mockLogger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+    mockSessionManager = {
+      registerSession: jest.fn(),
+      unregisterSession: jest.fn(),
+      persistSessionData: jest.fn().mockReturnValue(true),
+      getLearnerInfo: jest.fn().mockReturnValue({ id: 'session-learner', name: 'Session Learner' })
+    };
+  });
+
+  // ============================================================================
+  // Definitions
+  // ============================================================================
+
+  describe('normalization and loading', () => {
+    test('built-in profiles use version-neutral learner settings', () => {
+      const { litmos } = getBuiltInLmsProfiles();
+      expect(litmos.settings).toEqual(expect.objectContaining({
+        learnerId: 'learner123',
+        learnerName: 'Test Learner',
+        maxSuspendDataLength: 4096,
+        suspendDataOverflow: 'truncate',
+        commitOnEverySet: true
+      }));
+      expect(litmos.settings['cmi.core.student_name']).toBeUndefined();
+    });
+
+    test('maps legacy element keys and fills defaults', () => {
+      const profile = normalizeLmsProfile('old', {
+        settings: {
+          'cmi.core.student_name': 'Legacy Name',
+          'cmi.core.student_id': 'legacy-id',
+          suspendDataOverflow: 'explode',
+          commitLatencyMs: '250'
+        }
+      });
+
+      expect(profile.name).toBe('old');
+      expect(profile.settings).toEqual({
+        learnerId: 'legacy-id',
+        learnerName: 'Legacy Name',
+        maxSuspendDataLength: 64000,
+        suspendDataOverflow: 'reject',
+        strictValidation: true,
+        commitOnEverySet: false,
+        commitLatencyMs: 250
+      });
+    });
+
+    test('loads user profile files and reports invalid ones', () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lms-profiles-'));
+      try {
+        fs.writeFileSync(path.join(dir, 'acme.json'), JSON.stringify({
+          name: 'Acme LMS',
+          settings: { maxSuspendDataLength: 1024, strictValidation: false }
+        }));
+        fs.writeFileSync(path.join(dir, 'broken.json'), '{ not json');
+
+        const { profiles, errors } = loadLmsProfilesFromDirectory(dir, mockLogger);
+
+        expect(profiles.map(p => p.id)).toEqual(['acme']);
+        expect(profiles[0].settings.maxSuspendDataLength).toBe(1024);
+        expect(profiles[0].source).toBe(path.join(dir, 'acme.json'));
+        expect(errors).toEqual([expect.objectContaining({ file: path.join(dir, 'broken.json') })]);
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+  });
+
+  // ============================================================================
+  // Runtime Behaviour
+  // ============================================================================
+
+  describe('runtime behaviour', () => {
+    test('truncates oversized suspend data when the profile truncates', () => {
+      const handler = createHandler({ maxSuspendDataLength: 10, suspendDataOverflow: 'truncate' });
+
+      expect(handler.SetValue('cmi.suspend_data', 'abcdefghijKLMN')).toBe('true');
+      expect(handler.GetValue('cmi.suspend_data')).toBe('abcdefghij');
+    });
+
+    test('rejects oversized suspend data when the profile rejects', () => {
+      const handler = createHandler({ maxSuspendDataLength: 10 });
+
+      expect(handler.SetValue('cmi.suspend_data', 'abcdefghijKLMN')).toBe('false');
+      expect(handler.GetLastError()).toBe('351');
+      expect(handler.SetValue('cmi.suspend_data', 'abcdefghij')).toBe('true');
+    });
+
+    test('applies the limit to SCORM 1.2 suspend data', () => {
+      const handler = createHandler({ maxSuspendDataLength: 4 }, { scormVersion: '1.2' });
+
+      expect(handler.LMSSetValue('cmi.suspend_data', 'too long')).toBe('false');
+      expect(handler.LMSGetLastError()).toBe('101');
+    });
+
+    test('lenient validation stores mistyped values that strict validation rejects', () => {
+      const strict = createHandler({ strictValidation: true });
+      expect(strict.SetValue('cmi.completion_status', 'done')).toBe('false');
+
+      const lenient = createHandler({ strictValidation: false });
+      expect(lenient.SetValue('cmi.completion_status', 'done')).toBe('true');
+      expect(lenient.GetValue('cmi.completion_status')).toBe('done');
+      // Length limits still apply in lenient mode
+      expect(lenient.SetValue('cmi.location', 'x'.repeat(1001))).toBe('false');
+    });
+
+    test('injects the learner configured on the profile', () => {
+      const handler = createHandler({ learnerId: 'acme-42', learnerName: 'Acme Learner' });
+
+      expect(handler.GetValue('cmi.learner_id')).toBe('acme-42');
+      expect(handler.GetValue('cmi.learner_name')).toBe('Acme Learner');
+    });
+
+    test('applying a profile mid-session switches learner and limits', () => {
+      const handler = new ScormApiHandler(mockSessionManager, mockLogger);
+      handler.Initialize('');
+      expect(handler.GetValue('cmi.learner_id')).toBe('session-learner');
+
+      handler.applyLmsProfile(normalizeLmsProfile('late', {
+        settings: { learnerId: 'late-id', maxSuspendDataLength: 2 }
+      }));
+
+      expect(handler.GetValue('cmi.learner_id')).toBe('late-id');
+      expect(handler.SetValue('cmi.suspend_data', 'abc')).toBe('false');
+      expect(handler.getApiState().lmsProfile).toBe('late');
+    });
+
+    test('commits after every successful SetValue when configured', () => {
+      const handler = createHandler({ commitOnEverySet: true });
+
+      handler.SetValue('cmi.location', 'page-1');
+      handler.SetValue('cmi.location', 'page-2');
+      handler.SetValue('cmi.completion_status', 'bogus');
+
+      expect(mockSessionManager.persistSessionData).toHaveBeenCalledTimes(2);
+      expect(handler.commitCount).toBe(2);
+    });
+  });
+
+  // ============================================================================
+  // ScormService Integration
+  // ============================================================================
+
+  describe('ScormService', () => {
+    let dir;
+    let service;
+
+    beforeEach(async () => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lms-profiles-'));
+      fs.writeFileSync(path.join(dir, 'acme.json'), JSON.stringify({
+        name: 'Acme LMS',
+        settings: { learnerId: 'acme-7', learnerName: 'Acme Seven', commitLatencyMs: 40 }
+      }));
+      const ScormService = require('../../../../src/main/services/scorm-service');
+      service = new ScormService({ setError: jest.fn() }, mockLogger, { lmsProfilesDir: dir });
+      await service.initialize(new Map([['windowManager', { getWindow: () => null }]]));
+    });
+
+    afterEach(async () => {
+      await service.shutdown();
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    afterAll(() => {
+      fs.rmSync(path.join(os.tmpdir(), 'scorm-tester-lms-profiles-test'), { recursive: true, force: true });
+    });
+
+    test('offers user profiles next to the built-in ones', () => {
+      const acme = service.getLmsProfiles().find(p => p.id === 'acme');
+      expect(acme).toEqual(expect.objectContaining({ name: 'Acme LMS', source: path.join(dir, 'acme.json') }));
+    });
+
+    test('starts sessions with the profile learner and commit latency', async () => {
+      await service.initializeSession('profile-session', { lmsProfile: 'acme', forceNew: true });
+
+      expect((await service.getValue('profile-session', 'cmi.learner_id')).value).toBe('acme-7');
+
+      const started = Date.now();
+      const result = await service.commit('profile-session');
+      expect(result.success).toBe(true);
+      expect(Date.now() - started).toBeGreaterThanOrEqual(35);
+
+      await service.terminate('profile-session');
+    });
+
+    test('refuses to start a session with an unknown profile', async () => {
+      const result = await service.initializeSession('unknown-profile-session', { lmsProfile: 'nope', forceNew: true });
+
+      expect(result).toEqual(expect.objectContaining({ success: false, reason: 'Unknown LMS profile: nope' }));
+      expect(service.getAllSessions()).toEqual([]);
+    });
+  });
+});
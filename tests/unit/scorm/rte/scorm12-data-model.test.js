@@ -0,0 +1,225 @@
+/**
+ * SCORM 1.2 Runtime Tests
+ *
+ * Covers the SCORM 1.2 data model (cmi.core.*), its error vocabulary
+ * (101-405) and the API handler's version selection.
+ */
+
+const Scorm12DataModel = require('../../../../src/main/services/scorm/rte/scorm12-data-model');
+const ScormErrorHandler = require('../../../../src/main/services/scorm/rte/error-handler');
+const ScormApiHandler = require('../../../../src/main/services/scorm/rte/api-handler');
+
+describe('SCORM 1.2 runtime', () => {
+  let mockLogger;
+
+  beforeEach(() => {
+    mockLogger = {
+      debug: jest.fn(),
+      info: jest.fn(),
+      warn: jest.fn(),
+      error: jest.fn()
+    };
+  });
+
+  describe('Scorm12DataModel', () => {
+    let errorHandler;
+    let dataModel;
+
+    beforeEach(() => {
+      errorHandler = new ScormErrorHandler(mockLogger, { scormVersion: '1.2' });
+      dataModel = new Scorm12DataModel(errorHandler, mockLogger);
+    });
+
+    test('initializes cmi.core defaults', () => {
+      expect(dataModel.getValue('cmi._version')).toBe('3.4');
+      expect(dataModel.getValue('cmi.core.lesson_status')).toBe('not attempted');
+      expect(dataModel.getValue('cmi.core.entry')).toBe('ab-initio');
+      expect(dataModel.getValue('cmi.core.lesson_mode')).toBe('normal');
+      expect(dataModel.getValue('cmi.core.total_time')).toBe('0000:00:00');
+      expect(errorHandler.getLastError()).toBe('0');
+    });
+
+    test('reads and writes read-write elements', () => {
+      expect(dataModel.setValue('cmi.core.lesson_location', 'page-3')).toBe(true);
+      expect(dataModel.setValue('cmi.core.score.raw', '85')).toBe(true);
+      expect(dataModel.setValue('cmi.suspend_data', 'abc')).toBe(true);
+
+      expect(dataModel.getValue('cmi.core.lesson_location')).toBe('page-3');
+      expect(dataModel.getValue('cmi.core.score.raw')).toBe('85');
+      expect(dataModel.getValue('cmi.suspend_data')).toBe('abc');
+    });
+
+    test('rejects SCORM 2004 elements with 401', () => {
+      expect(dataModel.getValue('cmi.completion_status')).toBe('');
+      expect(errorHandler.getLastError()).toBe('401');
+      expect(dataModel.setValue('cmi.location', 'x')).toBe(false);
+      expect(errorHandler.getLastError()).toBe('401');
+    });
+
+    test('enforces read-only (403) and write-only (404)', () => {
+      expect(dataModel.setValue('cmi.core.student_id', 'x')).toBe(false);
+      expect(errorHandler.getLastError()).toBe('403');
+
+      expect(dataModel.setValue('cmi.core.exit', 'suspend')).toBe(true);
+      expect(dataModel.getValue('cmi.core.exit')).toBe('');
+      expect(errorHandler.getLastError()).toBe('404');
+    });
+
+    test('reports keyword errors 202, 203 and 402', () => {
+      expect(dataModel.getValue('cmi.core.lesson_status._children')).toBe('');
+      expect(errorHandler.getLastError()).toBe('202');
+
+      expect(dataModel.getValue('cmi.core.score._count')).toBe('');
+      expect(errorHandler.getLastError()).toBe('203');
+
+      expect(dataModel.setValue('cmi.core._children', 'x')).toBe(false);
+      expect(errorHandler.getLastError()).toBe('402');
+    });
+
+    test('rejects malformed values with 405', () => {
+      expect(dataModel.setValue('cmi.core.lesson_status', 'finished')).toBe(false);
+      expect(errorHandler.getLastError()).toBe('405');
+
+      expect(dataModel.setValue('cmi.core.lesson_status', 'not attempted')).toBe(false);
+      expect(errorHandler.getLastError()).toBe('405');
+
+      expect(dataModel.setValue('cmi.core.score.raw', '101')).toBe(false);
+      expect(errorHandler.getLastError()).toBe('405');
+
+      expect(dataModel.setValue('cmi.core.session_time', 'PT1M')).toBe(false);
+      expect(errorHandler.getLastError()).toBe('405');
+
+      expect(dataModel.setValue('cmi.core.session_time', '0001:02:03.5')).toBe(true);
+    });
+
+    test('appends to cmi.comments', () => {
+      dataModel.setValue('cmi.comments', 'first.');
+      dataModel.setValue('cmi.comments', 'second.');
+      expect(dataModel.getValue('cmi.comments')).toBe('first.second.');
+    });
+
+    test('manages objectives and interactions collections', () => {
+      expect(dataModel.setValue('cmi.objectives.0.id', 'obj-1')).toBe(true);
+      expect(dataModel.setValue('cmi.objectives.0.score.raw', '50')).toBe(true);
+      expect(dataModel.setValue('cmi.objectives.0.status', 'passed')).toBe(true);
+      expect(dataModel.getValue('cmi.objectives._count')).toBe('1');
+      expect(dataModel.getValue('cmi.objectives.0.score.raw')).toBe('50');
+      expect(dataModel.getValue('cmi.objectives.0.score._children')).toBe('raw,min,max');
+
+      expect(dataModel.setValue('cmi.interactions.0.id', 'q1')).toBe(true);
+      expect(dataModel.setValue('cmi.interactions.0.type', 'choice')).toBe(true);
+      expect(dataModel.setValue('cmi.interactions.0.objectives.0.id', 'obj-1')).toBe(true);
+      expect(dataModel.setValue('cmi.interactions.0.correct_responses.0.pattern', 'a')).toBe(true);
+      expect(dataModel.setValue('cmi.interactions.0.result', 'wrong')).toBe(true);
+      expect(dataModel.setValue('cmi.interactions.0.time', '13:05:00')).toBe(true);
+      expect(dataModel.getValue('cmi.interactions._count')).toBe('1');
+      expect(dataModel.getValue('cmi.interactions.0.objectives._count')).toBe('1');
+      expect(dataModel.getValue('cmi.interactions.0.correct_responses._count')).toBe('1');
+
+      // interaction data is write-only
+      expect(dataModel.getValue('cmi.interactions.0.id')).toBe('');
+      expect(errorHandler.getLastError()).toBe('404');
+
+      // indices must be sequential
+      expect(dataModel.setValue('cmi.objectives.5.id', 'gap')).toBe(false);
+      expect(errorHandler.getLastError()).toBe('201');
+    });
+
+    test('applies mastery score at finish', () => {
+      dataModel.setMasteryScore(80);
+      dataModel.setValue('cmi.core.score.raw', '75');
+      dataModel.setValue('cmi.core.lesson_status', 'completed');
+
+      dataModel.finalizeLessonStatus();
+
+      expect(dataModel.getValue('cmi.core.lesson_status')).toBe('failed');
+      expect(dataModel.getSuccessStatus()).toBe('failed');
+      expect(dataModel.getCompletionStatus()).toBe('completed');
+    });
+
+    test('accumulates session time into total time', () => {
+      dataModel._setInternalValue('cmi.core.total_time', '0001:00:00');
+      dataModel.setValue('cmi.core.session_time', '0000:30:15');
+
+      dataModel.accumulateTotalTime();
+
+      expect(dataModel.getValue('cmi.core.total_time')).toBe('0001:30:15');
+    });
+
+    test('restores into cmi.core.entry only', () => {
+      dataModel.restoreData({ coreData: { 'cmi.core.lesson_location': 'p2' } });
+      expect(dataModel.getValue('cmi.core.entry')).toBe('resume');
+      expect(dataModel.getAllData().coreData['cmi.entry']).toBeUndefined();
+    });
+  });
+
+  describe('ScormApiHandler version selection', () => {
+    let mockSessionManager;
+
+    beforeEach(() => {
+      mockSessionManager = {
+        registerSession: jest.fn(),
+        unregisterSession: jest.fn(),
+        persistSessionData: jest.fn().mockReturnValue(true),
+        getLearnerInfo: jest.fn().mockReturnValue({ id: 'learner-1', name: 'Doe, Jane' })
+      };
+    });
+
+    test('resolves runtime version from manifest schemaversion', () => {
+      expect(ScormApiHandler.resolveScormVersion('1.2')).toBe('1.2');
+      expect(ScormApiHandler.resolveScormVersion('2004 4th Edition')).toBe('2004');
+      expect(ScormApiHandler.resolveScormVersion('CAM 1.3')).toBe('2004');
+      expect(ScormApiHandler.resolveScormVersion(undefined)).toBe('2004');
+    });
+
+    test('uses the SCORM 1.2 data model for schemaversion 1.2', () => {
+      const api = new ScormApiHandler(mockSessionManager, mockLogger, { schemaVersion: '1.2' });
+
+      expect(api.dataModel).toBeInstanceOf(Scorm12DataModel);
+      expect(api.LMSInitialize('')).toBe('true');
+      expect(api.LMSGetValue('cmi.core.student_id')).toBe('learner-1');
+      expect(api.LMSGetValue('cmi.core.student_name')).toBe('Doe, Jane');
+      expect(api.LMSGetValue('cmi.core.entry')).toBe('ab-initio');
+      expect(api.LMSGetValue('cmi.core.credit')).toBe('credit');
+    });
+
+    test('reports SCORM 1.2 lifecycle errors', () => {
+      const api = new ScormApiHandler(mockSessionManager, mockLogger, { scormVersion: '1.2' });
+
+      expect(api.LMSGetValue('cmi.core.lesson_status')).toBe('');
+      expect(api.LMSGetLastError()).toBe('301');
+      expect(api.LMSGetErrorString('301')).toBe('Not initialized');
+
+      expect(api.LMSInitialize('x')).toBe('false');
+      expect(api.LMSGetLastError()).toBe('201');
+
+      api.LMSInitialize('');
+      expect(api.LMSInitialize('')).toBe('false');
+      expect(api.LMSGetLastError()).toBe('101');
+
+      api.LMSFinish('');
+      expect(api.LMSSetValue('cmi.core.lesson_status', 'completed')).toBe('false');
+      expect(api.LMSGetLastError()).toBe('101');
+    });
+
+    test('fills session time and clears entry on finish', () => {
+      const api = new ScormApiHandler(mockSessionManager, mockLogger, { scormVersion: '1.2' });
+      api.LMSInitialize('');
+      api.LMSSetValue('cmi.core.session_time', '0000:05:00');
+      api.LMSFinish('');
+
+      const coreData = api.dataModel.getAllData().coreData;
+      expect(coreData['cmi.core.session_time']).toBe('0000:05:00');
+      expect(coreData['cmi.core.total_time']).toBe('0000:05:00');
+      expect(coreData['cmi.core.entry']).toBe('');
+    });
+
+    test('keeps SCORM 2004 behaviour by default', () => {
+      const api = new ScormApiHandler(mockSessionManager, mockLogger);
+      expect(api.scormVersion).toBe('2004');
+      api.Initialize('');
+      expect(api.GetValue('cmi.core.lesson_status')).toBe('');
+      expect(api.GetLastError()).toBe('404');
+    });
+  });
+});
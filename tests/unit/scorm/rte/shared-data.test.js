@@ -0,0 +1,138 @@
+/**
+ * SCORM 2004 Shared Data (adl.data) Tests
+ *
+ * Covers the adl.data collection in the data model (read/write permissions,
+ * uninitialized stores, size limits) and the cross-SCO SharedDataStore.
+ */
+
+const ScormDataModel = require('../../../../src/main/services/scorm/rte/data-model');
+const ScormErrorHandler = require('../../../../src/main/services/scorm/rte/error-handler');
+const SharedDataStore = require('../../../../src/main/services/scorm/rte/shared-data-store');
+
+describe('SCORM 2004 shared data', () => {
+  let mockLogger;
+
+  beforeEach(() => {
+    mockLogger = {
+      debug: jest.fn(),
+      info: jest.fn(),
+      warn: jest.fn(),
+      error: jest.fn()
+    };
+  });
+
+  // ============================================================================
+  // Data Model
+  // ============================================================================
+
+  describe('adl.data collection', () => {
+    let errorHandler;
+    let dataModel;
+
+    beforeEach(() => {
+      errorHandler = new ScormErrorHandler(mockLogger);
+      dataModel = new ScormDataModel(errorHandler, mockLogger);
+      dataModel.setSharedData([
+        { id: 'shared-notes', store: null, readSharedData: true, writeSharedData: true },
+        { id: 'shared-score', store: '42', readSharedData: false, writeSharedData: false }
+      ]);
+    });
+
+    test('reports _children and _count', () => {
+      expect(dataModel.getValue('adl.data._children')).toBe('id,store');
+      expect(dataModel.getValue('adl.data._count')).toBe('2');
+      expect(dataModel.getValue('adl.data.0.id')).toBe('shared-notes');
+    });
+
+    test('returns 406 for a store that has never been written', () => {
+      expect(dataModel.getValue('adl.data.0.store')).toBe('');
+      expect(errorHandler.getLastError()).toBe('406');
+
+      expect(dataModel.setValue('adl.data.0.store', 'hello')).toBe(true);
+      expect(dataModel.getValue('adl.data.0.store')).toBe('hello');
+    });
+
+    test('enforces readSharedData and writeSharedData', () => {
+      expect(dataModel.getValue('adl.data.1.store')).toBe('');
+      expect(errorHandler.getLastError()).toBe('408');
+
+      expect(dataModel.setValue('adl.data.1.store', 'x')).toBe(false);
+      expect(errorHandler.getLastError()).toBe('407');
+
+      expect(dataModel.setValue('adl.data.0.id', 'renamed')).toBe(false);
+      expect(errorHandler.getLastError()).toBe('407');
+    });
+
+    test('rejects unmapped indices and oversized stores', () => {
+      expect(dataModel.setValue('adl.data.2.store', 'x')).toBe(false);
+      expect(errorHandler.getLastError()).toBe('351');
+
+      expect(dataModel.getValue('adl.data.2.id')).toBe('');
+      expect(errorHandler.getLastError()).toBe('404');
+
+      expect(dataModel.setValue('adl.data.0.store', 'x'.repeat(64001))).toBe(false);
+      expect(errorHandler.getLastError()).toBe('410');
+    });
+
+    test('marks written buckets as modified', () => {
+      dataModel.setValue('adl.data.0.store', 'note');
+      const [notes, score] = dataModel.getSharedData();
+      expect(notes).toEqual(expect.objectContaining({ id: 'shared-notes', store: 'note', modified: true }));
+      expect(score.modified).toBe(false);
+    });
+  });
+
+  // ============================================================================
+  // SharedDataStore
+  // ============================================================================
+
+  describe('SharedDataStore', () => {
+    let sessionStore;
+    let store;
+
+    beforeEach(() => {
+      const files = new Map();
+      sessionStore = {
+        loadSession: jest.fn(async (key) => files.get(key) || null),
+        saveSession: jest.fn(async (key, data) => { files.set(key, data); return true; })
+      };
+      store = new SharedDataStore(sessionStore, mockLogger);
+    });
+
+    test('scopes buckets globally or per course', () => {
+      expect(SharedDataStore.getScopeKey('course-a', true)).toBe('shared-data');
+      expect(SharedDataStore.getScopeKey('course-a', false)).toBe('shared-data_course-a');
+    });
+
+    test('shares written buckets between SCOs and sessions', async () => {
+      const maps = [{ targetID: 'notes', readSharedData: true, writeSharedData: true }];
+      await store.load('shared-data', 'gui');
+
+      const firstSco = new ScormDataModel(new ScormErrorHandler(mockLogger), mockLogger);
+      firstSco.setSharedData(store.getBuckets('shared-data', maps));
+      firstSco.setValue('adl.data.0.store', 'from-sco-1');
+      expect(store.update('shared-data', firstSco.getSharedData())).toBe(true);
+      await store.persist('shared-data', 'gui');
+
+      // A fresh store simulates a later session reading from disk
+      const nextSession = new SharedDataStore(sessionStore, mockLogger);
+      await nextSession.load('shared-data', 'gui');
+      const secondSco = new ScormDataModel(new ScormErrorHandler(mockLogger), mockLogger);
+      secondSco.setSharedData(nextSession.getBuckets('shared-data', maps));
+
+      expect(secondSco.getValue('adl.data.0.store')).toBe('from-sco-1');
+      expect(nextSession.list()).toEqual([
+        { id: 'notes', store: 'from-sco-1', persistence: 'global', scope: 'shared-data' }
+      ]);
+    });
+
+    test('ignores writes from buckets without write permission', async () => {
+      await store.load('shared-data_course-a', 'gui');
+      const changed = store.update('shared-data_course-a', [
+        { id: 'locked', store: 'x', readSharedData: true, writeSharedData: false, modified: true }
+      ]);
+      expect(changed).toBe(false);
+      expect(store.list()).toEqual([]);
+    });
+  });
+});
@@ -282,6 +282,29 @@ describe('ActivityTreeManager', () => {
       expect(visitedActivities).toContain('item2');
       expect(visitedActivities).toHaveLength(3);
     });
+
+    test('should restore tracking data without changing activity states', () => {
+      const restored = activityTreeManager.restoreTrackingState({
+        item1: {
+          activityState: ACTIVITY_STATES.ACTIVE,
+          attemptState: ATTEMPT_STATES.COMPLETED,
+          attemptCount: 2,
+          location: 'page-3',
+          attemptDuration: 120
+        },
+        item2: { attemptCount: 'many' },
+        missing: { attemptCount: 1 }
+      });
+
+      const item1 = activityTreeManager.getActivity('item1');
+      expect(restored).toBe(2);
+      expect(item1.attemptState).toBe(ATTEMPT_STATES.COMPLETED);
+      expect(item1.attemptCount).toBe(2);
+      expect(item1.location).toBe('page-3');
+      expect(item1.attemptDuration).toBe(120);
+      expect(item1.activityState).toBe(ACTIVITY_STATES.INACTIVE);
+      expect(activityTreeManager.getActivity('item2').attemptCount).toBe(0);
+    });
   });
 
   // ============================================================================
@@ -510,4 +533,133 @@ describe('ActivityTreeManager', () => {
       expect(activity.resource).toBeNull();
     });
   });
-});
\ No newline at end of file
+
+  // ============================================================================
+  // Selection and Randomization Tests
+  // ============================================================================
+
+  describe('Selection and Randomization', () => {
+    const buildBankManifest = (randomizationControls) => ({
+      organizations: {
+        organization: [{
+          identifier: 'org1',
+          title: 'Question Bank',
+          item: [{
+            identifier: 'bank',
+            title: 'Bank',
+            sequencing: { randomizationControls },
+            item: ['q1', 'q2', 'q3', 'q4', 'q5'].map(id => ({ identifier: id, identifierref: 'res1' }))
+          }]
+        }]
+      },
+      resources: { resource: [{ identifier: 'res1', scormType: 'sco' }] }
+    });
+
+    const childIds = (manager, id) => manager.getActivity(id).children.map(child => child.identifier);
+
+    test('should keep manifest order without randomization controls', () => {
+      activityTreeManager.buildTree(buildBankManifest(undefined));
+
+      expect(childIds(activityTreeManager, 'bank')).toEqual(['q1', 'q2', 'q3', 'q4', 'q5']);
+    });
+
+    test('should select a subset in manifest order and drop unselected activities', () => {
+      const manager = new ActivityTreeManager(mockErrorHandler, mockLogger, { randomSeed: 7 });
+      manager.buildTree(buildBankManifest({ selectCount: 2, selectionTiming: 'once' }));
+
+      const selected = childIds(manager, 'bank');
+      expect(selected).toHaveLength(2);
+      expect([...selected].sort()).toEqual(selected);
+
+      const dropped = ['q1', 'q2', 'q3', 'q4', 'q5'].filter(id => !selected.includes(id));
+      dropped.forEach(id => expect(manager.getActivity(id)).toBeNull());
+      expect(manager.getActivity('bank').allChildren).toHaveLength(5);
+    });
+
+    test('should produce the same order for the same seed', () => {
+      const controls = { reorderChildren: true, randomizationTiming: 'once' };
+      const first = new ActivityTreeManager(mockErrorHandler, mockLogger, { randomSeed: 'seed-a' });
+      const second = new ActivityTreeManager(mockErrorHandler, mockLogger, { randomSeed: 'seed-a' });
+      first.buildTree(buildBankManifest(controls));
+      second.buildTree(buildBankManifest(controls));
+
+      expect(childIds(first, 'bank')).toEqual(childIds(second, 'bank'));
+      expect([...childIds(first, 'bank')].sort()).toEqual(['q1', 'q2', 'q3', 'q4', 'q5']);
+    });
+
+    test('should re-randomize only onEachNewAttempt clusters', () => {
+      const manager = new ActivityTreeManager(mockErrorHandler, mockLogger, { randomSeed: 3 });
+      manager.random = jest.fn().mockReturnValue(0);
+      manager.buildTree(buildBankManifest({ reorderChildren: true, randomizationTiming: 'once' }));
+      const afterBuild = childIds(manager, 'bank');
+
+      manager.startNewAttempt(manager.getActivity('bank'));
+      expect(childIds(manager, 'bank')).toEqual(afterBuild);
+
+      manager.reset();
+      manager.random = jest.fn().mockReturnValue(0);
+      manager.buildTree(buildBankManifest({ reorderChildren: true, randomizationTiming: 'onEachNewAttempt' }));
+      const firstAttempt = childIds(manager, 'bank');
+
+      manager.startNewAttempt(manager.getActivity('bank'));
+      expect(childIds(manager, 'bank')).not.toEqual(firstAttempt);
+    });
+
+    test('should start a later attempt delivered normally from fresh progress and a new order', () => {
+      const manager = new ActivityTreeManager(mockErrorHandler, mockLogger, { randomSeed: 3 });
+      manager.random = jest.fn().mockReturnValue(0);
+      manager.buildTree(buildBankManifest({ reorderChildren: true, randomizationTiming: 'onEachNewAttempt' }));
+      const bank = manager.getActivity('bank');
+      const firstAttempt = childIds(manager, 'bank');
+
+      const first = manager.getActivity(firstAttempt[0]);
+      manager.beginAttempt(first);
+      expect(childIds(manager, 'bank')).toEqual(firstAttempt);
+      bank.attemptState = ATTEMPT_STATES.COMPLETED;
+      bank.location = 'q3';
+      manager.endAttempt(first);
+      manager.endAttempt(bank);
+
+      manager.beginAttempt(manager.getActivity(firstAttempt[0]));
+
+      expect(bank.attemptCount).toBe(2);
+      expect(bank.attemptState).toBe(ATTEMPT_STATES.NOT_ATTEMPTED);
+      expect(bank.location).toBe('');
+      expect(childIds(manager, 'bank')).not.toEqual(firstAttempt);
+      // Abandoning the new attempt brings back the previous attempt's progress
+      expect(bank.attemptSnapshot.attemptState).toBe(ATTEMPT_STATES.COMPLETED);
+    });
+
+    test('should not shuffle a retried cluster again when its child is delivered', () => {
+      const manager = new ActivityTreeManager(mockErrorHandler, mockLogger, { randomSeed: 3 });
+      manager.random = jest.fn().mockReturnValue(0);
+      manager.buildTree(buildBankManifest({ reorderChildren: true, randomizationTiming: 'onEachNewAttempt' }));
+      const bank = manager.getActivity('bank');
+      manager.beginAttempt(bank.children[0]);
+      manager.endAttempt(bank.children[0]);
+      manager.endAttempt(bank);
+
+      manager.resetAttemptData(bank);
+      manager.startNewAttempt(bank);
+      const retryOrder = childIds(manager, 'bank');
+      manager.beginAttempt(bank.children[0]);
+
+      expect(childIds(manager, 'bank')).toEqual(retryOrder);
+      expect(bank.attemptCount).toBe(2);
+    });
+
+    test('should restore a persisted child order', () => {
+      const controls = { selectCount: 3, selectionTiming: 'once', reorderChildren: true, randomizationTiming: 'once' };
+      const original = new ActivityTreeManager(mockErrorHandler, mockLogger, { randomSeed: 11 });
+      original.buildTree(buildBankManifest(controls));
+      const state = original.getChildOrderState();
+
+      const resumed = new ActivityTreeManager(mockErrorHandler, mockLogger, { randomSeed: 99 });
+      resumed.buildTree(buildBankManifest(controls));
+      expect(resumed.restoreChildOrderState(JSON.parse(JSON.stringify(state)))).toBe(1);
+
+      expect(childIds(resumed, 'bank')).toEqual(state.bank);
+      state.bank.forEach(id => expect(resumed.getActivity(id)).not.toBeNull());
+    });
+  });
+});
@@ -0,0 +1,170 @@
+/**
+ * Intentional internal import justification:
+ * This test suite validates choice requests through the SN service and its
+ * navigation handler, which owns the authoritative choice validation.
+ * Per dev_docs/architecture/testing-architecture.md, unit tests MAY deep-import
+ * internal modules to verify low-level behavior.
+ *
+ * SN Choice Constraint Unit Tests
+ *
+ * Covers the traversal checks of the Choice Sequencing Request Process
+ * (SN Book SB.2.9): stopForwardTraversal and forwardOnly (SB.2.4),
+ * adlseq:preventActivation and adlseq:constrainChoice.
+ *
+ * @fileoverview SN choice constraint unit tests
+ */
+
+const { ScormSNService } = require('../../../../src/main/services/scorm/sn');
+const { NAVIGATION_REQUESTS } = require('../../../../src/shared/constants/sn-constants');
+
+describe('SN choice constraints', () => {
+  let snService;
+  let mockLogger;
+
+  const lesson = (identifier, sequencing = {}) => ({
+    identifier,
+    title: identifier,
+    identifierref: `res-${identifier}`,
+    sequencing
+  });
+
+  const buildManifest = (sequencing = {}) => {
+    const seq = (id) => sequencing[id] || {};
+    const modules = [
+      ['module1', ['lesson1', 'lesson2', 'lesson3']],
+      ['module2', ['lesson4', 'lesson5']],
+      ['module3', ['lesson6']]
+    ];
+    return {
+      organizations: {
+        default: 'org1',
+        organization: [{
+          identifier: 'org1',
+          title: 'Course',
+          item: modules.map(([id, lessons]) => ({
+            identifier: id,
+            title: id,
+            sequencing: seq(id),
+            item: lessons.map(l => lesson(l, seq(l)))
+          }))
+        }]
+      },
+      resources: {
+        resource: modules.flatMap(([, lessons]) => lessons).map(l => ({
+          identifier: `res-${l}`, scormType: 'sco', href: `${l}.html`
+        }))
+      }
+    };
+  };
+
+  const start = async (sequencing) => {
+    await snService.initialize(buildManifest(sequencing));
+    const result = await snService.processNavigation(NAVIGATION_REQUESTS.START);
+    expect(result.success).toBe(true);
+  };
+
+  const validate = (targetId) => snService.navigationHandler.validateChoiceRequest(targetId);
+
+  beforeEach(() => {
+    mockLogger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+    const errorHandler = { setError: jest.fn(), getLastError: jest.fn().mockReturnValue('0'), clearError: jest.fn() };
+    snService = new ScormSNService(errorHandler, mockLogger);
+  });
+
+  test('unconstrained trees allow any choice', async () => {
+    await start();
+
+    expect(validate('lesson6').valid).toBe(true);
+    expect(validate('lesson3').valid).toBe(true);
+  });
+
+  // ============================================================================
+  // Constrain Choice
+  // ============================================================================
+
+  test('constrainChoice on the current activity admits only the logically next or previous activity', async () => {
+    await start({ lesson1: { constrainedChoiceConsiderations: { constrainChoice: true, preventActivation: false } } });
+
+    expect(validate('lesson2').valid).toBe(true);
+    expect(validate('lesson3')).toEqual(expect.objectContaining({
+      valid: false,
+      constraint: 'constrainChoice',
+      activityId: 'lesson1'
+    }));
+  });
+
+  test('constrainChoice on a cluster applies when leaving it', async () => {
+    await start({ module1: { constrainedChoiceConsiderations: { constrainChoice: true, preventActivation: false } } });
+
+    expect(validate('lesson3').valid).toBe(true);
+    expect(validate('lesson5').valid).toBe(true);
+    expect(validate('lesson6')).toEqual(expect.objectContaining({
+      valid: false,
+      constraint: 'constrainChoice',
+      activityId: 'module1'
+    }));
+  });
+
+  test('refused choices fail the navigation request with the constraint reason', async () => {
+    await start({ lesson1: { constrainedChoiceConsiderations: { constrainChoice: true, preventActivation: false } } });
+
+    const result = await snService.processNavigation(NAVIGATION_REQUESTS.CHOICE, 'lesson3');
+
+    expect(result.success).toBe(false);
+    expect(result.reason).toContain('Constrained choice');
+    expect(snService.activityTreeManager.currentActivity.identifier).toBe('lesson1');
+  });
+
+  // ============================================================================
+  // Prevent Activation
+  // ============================================================================
+
+  test('preventActivation blocks choosing into an inactive cluster', async () => {
+    await start({ module2: { constrainedChoiceConsiderations: { constrainChoice: false, preventActivation: true } } });
+
+    expect(validate('lesson4')).toEqual(expect.objectContaining({
+      valid: false,
+      constraint: 'preventActivation',
+      activityId: 'module2'
+    }));
+    expect(validate('lesson6').valid).toBe(true);
+  });
+
+  test('preventActivation does not block choices within an active cluster', async () => {
+    await start({ module1: { constrainedChoiceConsiderations: { constrainChoice: false, preventActivation: true } } });
+
+    expect(validate('lesson3').valid).toBe(true);
+  });
+
+  // ============================================================================
+  // Choice Activity Traversal
+  // ============================================================================
+
+  test('stopForwardTraversal rules stop choices beyond the activity', async () => {
+    await start({
+      lesson2: {
+        sequencingRules: {
+          preConditionRules: [{ conditions: [{ condition: 'always' }], action: 'stopForwardTraversal' }]
+        }
+      }
+    });
+
+    expect(validate('lesson3')).toEqual(expect.objectContaining({
+      valid: false,
+      constraint: 'stopForwardTraversal',
+      activityId: 'lesson2'
+    }));
+  });
+
+  test('forwardOnly refuses choosing backward', async () => {
+    await start({ module1: { controlMode: { forwardOnly: true } } });
+    await snService.processNavigation(NAVIGATION_REQUESTS.CONTINUE);
+
+    expect(validate('lesson3').valid).toBe(true);
+    expect(validate('lesson1')).toEqual(expect.objectContaining({
+      valid: false,
+      constraint: 'forwardOnly',
+      activityId: 'module1'
+    }));
+  });
+});
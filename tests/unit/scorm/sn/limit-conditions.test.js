@@ -0,0 +1,209 @@
+/**
+ * Intentional internal import justification:
+ * This test suite drives delivery requests through the SN service and
+ * inspects activity tree internals (attempt counts, accumulated durations).
+ * Per dev_docs/architecture/testing-architecture.md, unit tests MAY deep-import
+ * internal modules to verify low-level behavior.
+ *
+ * SN Limit Conditions Unit Tests
+ *
+ * Covers the Limit Conditions Check Process (SN Book UP.1) applied to every
+ * delivery request: attempt limits, attempt/activity duration limits built
+ * from reported session times, and the 'limit-exceeded' sequencing event.
+ *
+ * @fileoverview SN limit conditions unit tests
+ */
+
+const { ScormSNService } = require('../../../../src/main/services/scorm/sn');
+const { durationToSeconds } = require('../../../../src/shared/utils/duration');
+const {
+  NAVIGATION_REQUESTS,
+  SN_ERROR_CODES
+} = require('../../../../src/shared/constants/sn-constants');
+
+describe('SN limit conditions', () => {
+  let snService;
+  let mockErrorHandler;
+  let mockLogger;
+
+  const buildManifest = ({ moduleSequencing = {}, lessonSequencing = {} } = {}) => ({
+    organizations: {
+      default: 'org1',
+      organization: [{
+        identifier: 'org1',
+        title: 'Course',
+        item: [{
+          identifier: 'module1',
+          title: 'Module 1',
+          sequencing: moduleSequencing,
+          item: [{
+            identifier: 'lesson1',
+            title: 'Lesson 1',
+            identifierref: 'res1',
+            sequencing: lessonSequencing
+          }, {
+            identifier: 'lesson2',
+            title: 'Lesson 2',
+            identifierref: 'res2'
+          }]
+        }]
+      }]
+    },
+    resources: {
+      resource: [
+        { identifier: 'res1', scormType: 'sco', href: 'lesson1.html' },
+        { identifier: 'res2', scormType: 'sco', href: 'lesson2.html' }
+      ]
+    }
+  });
+
+  const start = async (options) => {
+    await snService.initialize(buildManifest(options));
+    const result = await snService.processNavigation(NAVIGATION_REQUESTS.START);
+    expect(result.success).toBe(true);
+    return snService.activityTreeManager;
+  };
+
+  const exitAndChoose = async (activityId) => {
+    await snService.processNavigation(NAVIGATION_REQUESTS.EXIT);
+    return snService.processNavigation(NAVIGATION_REQUESTS.CHOICE, activityId);
+  };
+
+  beforeEach(() => {
+    mockLogger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+    mockErrorHandler = {
+      setError: jest.fn(),
+      getLastError: jest.fn().mockReturnValue('0'),
+      clearError: jest.fn()
+    };
+    snService = new ScormSNService(mockErrorHandler, mockLogger);
+  });
+
+  // ============================================================================
+  // Durations
+  // ============================================================================
+
+  test('converts ISO 8601 durations to seconds', () => {
+    expect(durationToSeconds('PT1H30M')).toBe(5400);
+    expect(durationToSeconds('P1DT2.5S')).toBe(86402.5);
+    expect(durationToSeconds('PT0H0M0S')).toBe(0);
+    expect(durationToSeconds('P')).toBeNull();
+    expect(durationToSeconds('PT')).toBeNull();
+    expect(durationToSeconds('01:30:00')).toBeNull();
+    expect(durationToSeconds(null)).toBeNull();
+  });
+
+  test('session times accumulate on the activity and its ancestors', async () => {
+    const tree = await start();
+
+    snService.updateActivityProgress('lesson1', { sessionTime: 'PT10M' });
+    snService.updateActivityProgress('lesson1', { sessionTime: 'PT5M30S' });
+
+    expect(tree.getActivity('lesson1').attemptDuration).toBe(930);
+    expect(tree.getActivity('module1').activityDuration).toBe(930);
+    expect(snService.getSequencingState().currentActivity.attemptDuration).toBe(930);
+  });
+
+  // ============================================================================
+  // Attempt Limit
+  // ============================================================================
+
+  test('refuses delivery once the attempt limit is used up', async () => {
+    await start({ lessonSequencing: { limitConditions: { attemptLimit: '1' } } });
+
+    const result = await exitAndChoose('lesson1');
+
+    expect(result.success).toBe(false);
+    expect(result.limitExceeded).toEqual({
+      activityId: 'lesson1',
+      limit: 'attemptLimit',
+      limitValue: 1,
+      value: 1
+    });
+    expect(mockErrorHandler.setError).toHaveBeenCalledWith(
+      SN_ERROR_CODES.LIMIT_CONDITION_EXCEEDED, expect.stringContaining('Attempt limit exceeded'), 'processNavigationRequest');
+    expect(snService.activityTreeManager.getActivity('lesson1').attemptCount).toBe(1);
+  });
+
+  test('allows delivery while attempts remain', async () => {
+    const tree = await start({ lessonSequencing: { limitConditions: { attemptLimit: '2' } } });
+
+    const result = await exitAndChoose('lesson1');
+
+    expect(result.success).toBe(true);
+    expect(tree.getActivity('lesson1').attemptCount).toBe(2);
+  });
+
+  test('untracked activities are never limited', async () => {
+    await start({
+      lessonSequencing: {
+        limitConditions: { attemptLimit: '1' },
+        deliveryControls: { tracked: false, completionSetByContent: false, objectiveSetByContent: false }
+      }
+    });
+
+    const result = await exitAndChoose('lesson1');
+
+    expect(result.success).toBe(true);
+  });
+
+  // ============================================================================
+  // Duration Limits
+  // ============================================================================
+
+  test('refuses delivery once the activity duration limit is reached', async () => {
+    await start({ lessonSequencing: { limitConditions: { activityExperiencedDurationLimit: 'PT1H' } } });
+
+    snService.updateActivityProgress('lesson1', { sessionTime: 'PT45M' });
+    expect((await exitAndChoose('lesson1')).success).toBe(true);
+
+    snService.updateActivityProgress('lesson1', { sessionTime: 'PT20M' });
+    const result = await exitAndChoose('lesson1');
+
+    expect(result.success).toBe(false);
+    expect(result.limitExceeded).toEqual(expect.objectContaining({
+      limit: 'activityExperiencedDurationLimit',
+      limitValue: 'PT1H',
+      value: 3900
+    }));
+  });
+
+  test('refuses delivery after an attempt that ran past its absolute duration limit', async () => {
+    await start({ lessonSequencing: { limitConditions: { attemptAbsoluteDurationLimit: 'PT30M' } } });
+
+    snService.updateActivityProgress('lesson1', { sessionTime: 'PT31M' });
+    const result = await exitAndChoose('lesson1');
+
+    expect(result.success).toBe(false);
+    expect(result.limitExceeded.limit).toBe('attemptAbsoluteDurationLimit');
+  });
+
+  test('limits of an active ancestor do not apply within its attempt', async () => {
+    await start({ moduleSequencing: { limitConditions: { attemptAbsoluteDurationLimit: 'PT10M' } } });
+
+    snService.updateActivityProgress('lesson1', { sessionTime: 'PT15M' });
+    const result = await snService.processNavigation(NAVIGATION_REQUESTS.CONTINUE);
+
+    expect(result.success).toBe(true);
+    expect(result.targetActivity.identifier).toBe('lesson2');
+  });
+
+  // ============================================================================
+  // Events
+  // ============================================================================
+
+  test('refused launches appear in the sequencing state', async () => {
+    await start({ lessonSequencing: { limitConditions: { attemptLimit: '1' } } });
+
+    await exitAndChoose('lesson1');
+
+    const event = snService.getSequencingState().sequencingEvents.find(e => e.type === 'limit-exceeded');
+    expect(event).toEqual(expect.objectContaining({
+      activityId: 'lesson1',
+      deliveryActivityId: 'lesson1',
+      navigationRequest: 'choice',
+      limit: 'attemptLimit'
+    }));
+    expect(event.reason).toContain('1 of 1 attempts used');
+  });
+});
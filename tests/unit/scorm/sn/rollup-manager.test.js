@@ -0,0 +1,230 @@
+/**
+ * Intentional internal import justification:
+ * This test suite validates the SN Rollup Manager internals in isolation.
+ * Per dev_docs/architecture/testing-architecture.md, unit tests MAY deep-import
+ * internal modules to verify low-level behavior.
+ *
+ * Rollup Manager Unit Tests
+ *
+ * Covers SN Book RB.1.2/RB.1.3 rollup rule evaluation: default rules,
+ * child activity sets, rollup conditions and rollup considerations.
+ *
+ * @fileoverview Rollup Manager unit tests
+ */
+
+const { ActivityTreeManager } = require('../../../../src/main/services/scorm/sn/activity-tree');
+const RollupManager = require('../../../../src/main/services/scorm/sn/rollup-manager');
+const { ATTEMPT_STATES } = require('../../../../src/shared/constants/sn-constants');
+
+describe('RollupManager', () => {
+  let treeManager;
+  let rollupManager;
+  let mockErrorHandler;
+  let mockLogger;
+
+  const rule = (childActivitySet, condition, action, extra = {}) => ({
+    childActivitySet,
+    conditions: {
+      conditionCombination: 'any',
+      conditions: [{ condition, operator: extra.operator || 'noOp' }]
+    },
+    action,
+    ...extra
+  });
+
+  const buildTree = (parentRollup, childSequencing = {}) => {
+    const child = (id) => ({
+      identifier: id,
+      identifierref: 'res',
+      sequencing: {
+        objectives: { primaryObjective: { objectiveID: `${id}-obj` } },
+        ...(childSequencing[id] || {})
+      }
+    });
+
+    treeManager.buildTree({
+      organizations: {
+        default: 'org',
+        organization: [{
+          identifier: 'org',
+          sequencing: { rollupRules: parentRollup },
+          item: [child('a'), child('b'), child('c')]
+        }]
+      },
+      resources: { resource: [{ identifier: 'res', scormType: 'sco' }] }
+    });
+  };
+
+  const setChild = (id, { satisfied, completed }) => {
+    const activity = treeManager.getActivity(id);
+    activity.attemptCount = 1;
+    if (satisfied !== undefined) activity.primaryObjective.satisfied = satisfied;
+    if (completed !== undefined) {
+      activity.attemptState = completed ? ATTEMPT_STATES.COMPLETED : ATTEMPT_STATES.INCOMPLETE;
+    }
+    return activity;
+  };
+
+  beforeEach(() => {
+    mockLogger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+    mockErrorHandler = { setError: jest.fn(), getLastError: jest.fn().mockReturnValue('0') };
+    treeManager = new ActivityTreeManager(mockErrorHandler, mockLogger);
+    rollupManager = new RollupManager(treeManager, mockErrorHandler, mockLogger);
+  });
+
+  describe('default rules', () => {
+    test('satisfies and completes the parent only when all children do', () => {
+      buildTree(null);
+      setChild('a', { satisfied: true, completed: true });
+      setChild('b', { satisfied: true, completed: true });
+      const last = setChild('c', { satisfied: false, completed: true });
+
+      rollupManager.processRollup(last);
+      const root = treeManager.getActivity('org');
+      expect(root.primaryObjective.satisfied).toBe(false);
+      expect(root.attemptState).toBe(ATTEMPT_STATES.COMPLETED);
+
+      last.primaryObjective.satisfied = true;
+      rollupManager.processRollup(last);
+      expect(root.primaryObjective.satisfied).toBe(true);
+    });
+
+    test('leaves parent status unknown until all children are known', () => {
+      buildTree(null);
+      const a = setChild('a', { satisfied: false, completed: false });
+
+      const result = rollupManager.processRollup(a);
+
+      expect(result.results.org.objectiveRollup.satisfied).toBeNull();
+      expect(result.results.org.completionRollup.completed).toBeNull();
+      expect(treeManager.getActivity('org').attemptState).toBe(ATTEMPT_STATES.NOT_ATTEMPTED);
+    });
+  });
+
+  describe('child activity sets', () => {
+    test('any: one satisfied child satisfies the parent', () => {
+      buildTree({ rollupRules: [rule('any', 'satisfied', 'satisfied')] });
+      const a = setChild('a', { satisfied: true });
+
+      rollupManager.processRollup(a);
+
+      expect(treeManager.getActivity('org').primaryObjective.satisfied).toBe(true);
+    });
+
+    test('atLeastCount: requires minimumCount children', () => {
+      buildTree({ rollupRules: [rule('atLeastCount', 'satisfied', 'satisfied', { minimumCount: 2 })] });
+      const a = setChild('a', { satisfied: true });
+      rollupManager.processRollup(a);
+      expect(rollupManager.rollupResults.get('org').objectiveRollup.satisfied).toBeNull();
+
+      const b = setChild('b', { satisfied: true });
+      rollupManager.processRollup(b);
+      expect(treeManager.getActivity('org').primaryObjective.satisfied).toBe(true);
+    });
+
+    test('atLeastPercent: compares against contributing children', () => {
+      buildTree({ rollupRules: [rule('atLeastPercent', 'completed', 'completed', { minimumPercent: 0.6 })] });
+      const a = setChild('a', { completed: true });
+      rollupManager.processRollup(a);
+      expect(treeManager.getActivity('org').attemptState).not.toBe(ATTEMPT_STATES.COMPLETED);
+
+      const b = setChild('b', { completed: true });
+      rollupManager.processRollup(b);
+      expect(treeManager.getActivity('org').attemptState).toBe(ATTEMPT_STATES.COMPLETED);
+    });
+
+    test('none: no satisfied child marks the parent not satisfied', () => {
+      buildTree({ rollupRules: [rule('none', 'satisfied', 'notSatisfied')] });
+      setChild('a', { satisfied: false });
+      setChild('b', { satisfied: false });
+      const c = setChild('c', { satisfied: false });
+
+      rollupManager.processRollup(c);
+
+      expect(treeManager.getActivity('org').primaryObjective.satisfied).toBe(false);
+    });
+
+    test('satisfied rules take precedence over not-satisfied rules', () => {
+      buildTree({
+        rollupRules: [
+          rule('any', 'satisfied', 'satisfied'),
+          rule('any', 'satisfied', 'notSatisfied', { operator: 'not' })
+        ]
+      });
+      setChild('a', { satisfied: false });
+      const b = setChild('b', { satisfied: true });
+
+      rollupManager.processRollup(b);
+
+      expect(treeManager.getActivity('org').primaryObjective.satisfied).toBe(true);
+    });
+  });
+
+  describe('rollup considerations', () => {
+    test('excludes children that do not contribute to objective rollup', () => {
+      buildTree(null, {
+        c: { rollupRules: { rollupObjectiveSatisfied: false } }
+      });
+      setChild('a', { satisfied: true });
+      const b = setChild('b', { satisfied: true });
+
+      rollupManager.processRollup(b);
+
+      expect(treeManager.getActivity('org').primaryObjective.satisfied).toBe(true);
+    });
+
+    test('ifAttempted ignores children that were never attempted', () => {
+      const ifAttempted = {
+        rollupConsiderations: { requiredForSatisfied: 'ifAttempted', requiredForNotSatisfied: 'ifAttempted' }
+      };
+      buildTree(null, {
+        a: { rollupRules: ifAttempted },
+        b: { rollupRules: ifAttempted },
+        c: { rollupRules: ifAttempted }
+      });
+      const a = setChild('a', { satisfied: true });
+
+      rollupManager.processRollup(a);
+
+      expect(treeManager.getActivity('org').primaryObjective.satisfied).toBe(true);
+    });
+
+    test('ifNotSuspended ignores suspended children', () => {
+      const ifNotSuspended = {
+        rollupConsiderations: { requiredForCompleted: 'ifNotSuspended' }
+      };
+      buildTree(null, {
+        a: { rollupRules: ifNotSuspended },
+        b: { rollupRules: ifNotSuspended },
+        c: { rollupRules: ifNotSuspended }
+      });
+      setChild('a', { completed: true });
+      setChild('b', { completed: true });
+      const c = setChild('c', { completed: false });
+      c.suspended = true;
+
+      rollupManager.processRollup(c);
+
+      expect(treeManager.getActivity('org').attemptState).toBe(ATTEMPT_STATES.COMPLETED);
+    });
+
+    test('ifNotSkipped ignores children whose skip rule applies', () => {
+      const alwaysSkipped = {
+        rollupRules: { rollupConsiderations: { requiredForSatisfied: 'ifNotSkipped' } },
+        sequencingRules: {
+          preConditionRules: [{
+            conditions: { conditionCombination: 'all', conditions: [{ condition: 'always' }] },
+            action: 'skip'
+          }]
+        }
+      };
+      buildTree(null, { c: alwaysSkipped });
+      setChild('a', { satisfied: true });
+      const b = setChild('b', { satisfied: true });
+
+      rollupManager.processRollup(b);
+
+      expect(treeManager.getActivity('org').primaryObjective.satisfied).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,257 @@
+/**
+ * Intentional internal import justification:
+ * This test suite drives the SN termination request process through the SN
+ * service and inspects activity tree internals (attempt data, snapshots).
+ * Per dev_docs/architecture/testing-architecture.md, unit tests MAY deep-import
+ * internal modules to verify low-level behavior.
+ *
+ * SN Termination Unit Tests
+ *
+ * Covers SN Book TB.2.3 termination requests (exit, exitAll, suspendAll,
+ * abandon, abandonAll), exit action rules, post-condition exitParent/retry/retryAll
+ * and the sequencing events surfaced in the sequencing state.
+ *
+ * @fileoverview SN termination behaviour unit tests
+ */
+
+const { ScormSNService } = require('../../../../src/main/services/scorm/sn');
+const {
+  NAVIGATION_REQUESTS,
+  ACTIVITY_STATES,
+  ATTEMPT_STATES,
+  SEQUENCING_SESSION_STATES
+} = require('../../../../src/shared/constants/sn-constants');
+
+describe('SN termination behaviour', () => {
+  let snService;
+  let mockErrorHandler;
+  let mockLogger;
+
+  const postRule = (condition, action) => ({
+    conditions: [{ condition }],
+    action
+  });
+
+  const buildManifest = ({ lessonRules = {}, moduleRules = {} } = {}) => ({
+    organizations: {
+      default: 'org1',
+      organization: [{
+        identifier: 'org1',
+        title: 'Course',
+        item: [{
+          identifier: 'module1',
+          title: 'Module 1',
+          sequencing: { sequencingRules: moduleRules },
+          item: [{
+            identifier: 'lesson1',
+            title: 'Lesson 1',
+            identifierref: 'res1',
+            sequencing: {
+              sequencingRules: lessonRules,
+              objectives: { primaryObjective: { objectiveID: 'lesson1_obj' } }
+            }
+          }, {
+            identifier: 'lesson2',
+            title: 'Lesson 2',
+            identifierref: 'res2'
+          }]
+        }]
+      }]
+    },
+    resources: {
+      resource: [
+        { identifier: 'res1', scormType: 'sco', href: 'lesson1.html' },
+        { identifier: 'res2', scormType: 'sco', href: 'lesson2.html' }
+      ]
+    }
+  });
+
+  const start = async (options) => {
+    await snService.initialize(buildManifest(options));
+    const result = await snService.processNavigation(NAVIGATION_REQUESTS.START);
+    expect(result.success).toBe(true);
+    return snService.activityTreeManager;
+  };
+
+  beforeEach(() => {
+    mockLogger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+    mockErrorHandler = {
+      setError: jest.fn(),
+      getLastError: jest.fn().mockReturnValue('0'),
+      clearError: jest.fn()
+    };
+    snService = new ScormSNService(mockErrorHandler, mockLogger);
+  });
+
+  // ============================================================================
+  // Attempts
+  // ============================================================================
+
+  test('delivery begins attempts on the activity and its ancestors', async () => {
+    const tree = await start();
+    const lesson1 = tree.getActivity('lesson1');
+
+    expect(lesson1.attemptCount).toBe(1);
+    expect(tree.getActivity('module1').attemptCount).toBe(1);
+    expect(lesson1.activityState).toBe(ACTIVITY_STATES.ACTIVE);
+  });
+
+  // ============================================================================
+  // Exit
+  // ============================================================================
+
+  test('exit ends the attempt without ending the session when no rules apply', async () => {
+    const tree = await start();
+
+    const result = await snService.processNavigation(NAVIGATION_REQUESTS.EXIT);
+
+    expect(result.success).toBe(true);
+    expect(result.exitedActivities).toEqual(['lesson1']);
+    expect(tree.getActivity('lesson1').activityState).toBe(ACTIVITY_STATES.INACTIVE);
+    expect(tree.getActivity('lesson1').attemptState).toBe(ATTEMPT_STATES.INCOMPLETE);
+    expect(snService.sessionState).toBe(SEQUENCING_SESSION_STATES.ACTIVE);
+  });
+
+  test('exitParent post-condition also ends the attempt on the enclosing cluster', async () => {
+    const tree = await start({
+      lessonRules: { postConditionRules: [postRule('always', 'exitParent')] }
+    });
+
+    const result = await snService.processNavigation(NAVIGATION_REQUESTS.EXIT);
+
+    expect(result.exitedActivities).toEqual(['lesson1', 'module1']);
+    expect(tree.currentActivity.identifier).toBe('module1');
+    expect(tree.getActivity('module1').activityState).toBe(ACTIVITY_STATES.INACTIVE);
+  });
+
+  test('exit condition rules on an ancestor exit up to that ancestor', async () => {
+    const tree = await start({
+      moduleRules: { exitConditionRules: [postRule('always', 'exit')] }
+    });
+
+    const result = await snService.processNavigation(NAVIGATION_REQUESTS.EXIT);
+
+    expect(result.exitedActivities).toEqual(['lesson1', 'module1']);
+    expect(tree.currentActivity.identifier).toBe('module1');
+  });
+
+  test('exitAll post-condition ends every attempt and the session', async () => {
+    const tree = await start({
+      lessonRules: { postConditionRules: [postRule('always', 'exitAll')] }
+    });
+
+    const result = await snService.processNavigation(NAVIGATION_REQUESTS.EXIT);
+
+    expect(result.endSession).toBe(true);
+    expect(tree.currentActivity).toBe(tree.root);
+    expect(snService.sessionState).toBe(SEQUENCING_SESSION_STATES.ENDED);
+  });
+
+  // ============================================================================
+  // Retry
+  // ============================================================================
+
+  test('retry post-condition starts a new attempt with cleared tracking data', async () => {
+    const tree = await start({
+      lessonRules: { postConditionRules: [postRule('satisfied', 'retry')] }
+    });
+    snService.updateActivityProgress('lesson1', { completed: true, satisfied: true, measure: 0.9 });
+    tree.getActivity('lesson1').location = 'page-5';
+
+    const result = await snService.processNavigation(NAVIGATION_REQUESTS.EXIT);
+
+    const lesson1 = tree.getActivity('lesson1');
+    expect(result.success).toBe(true);
+    expect(result.targetActivity.identifier).toBe('lesson1');
+    expect(lesson1.attemptCount).toBe(2);
+    expect(lesson1.attemptState).toBe(ATTEMPT_STATES.NOT_ATTEMPTED);
+    expect(lesson1.primaryObjective.satisfied).toBe(false);
+    expect(lesson1.primaryObjective.measure).toBeNull();
+    expect(lesson1.location).toBe('');
+    expect(tree.currentActivity.identifier).toBe('lesson1');
+  });
+
+  test('retryAll post-condition retries the whole tree from the first activity', async () => {
+    const tree = await start({
+      lessonRules: { postConditionRules: [postRule('always', 'retryAll')] }
+    });
+    snService.updateActivityProgress('lesson1', { completed: true });
+
+    const result = await snService.processNavigation(NAVIGATION_REQUESTS.EXIT);
+
+    expect(result.targetActivity.identifier).toBe('lesson1');
+    expect(tree.root.attemptCount).toBe(2);
+    expect(tree.getActivity('module1').attemptCount).toBe(2);
+    expect(tree.getActivity('lesson1').attemptState).toBe(ATTEMPT_STATES.NOT_ATTEMPTED);
+  });
+
+  // ============================================================================
+  // Abandon and Suspend
+  // ============================================================================
+
+  test('abandon discards the tracking data of the current attempt', async () => {
+    const tree = await start();
+    snService.updateActivityProgress('lesson1', { completed: true, satisfied: true });
+
+    const result = await snService.processNavigation(NAVIGATION_REQUESTS.ABANDON);
+
+    const lesson1 = tree.getActivity('lesson1');
+    expect(result.success).toBe(true);
+    expect(lesson1.attemptState).toBe(ATTEMPT_STATES.NOT_ATTEMPTED);
+    expect(lesson1.primaryObjective.satisfied).toBe(false);
+    expect(lesson1.activityState).toBe(ACTIVITY_STATES.INACTIVE);
+    expect(snService.sessionState).toBe(SEQUENCING_SESSION_STATES.ACTIVE);
+  });
+
+  test('abandonAll abandons every attempt and ends the session', async () => {
+    const tree = await start();
+
+    const result = await snService.processNavigation(NAVIGATION_REQUESTS.ABANDON_ALL);
+
+    expect(result.exitedActivities).toEqual(['lesson1', 'module1', 'org1']);
+    expect(tree.getActivity('module1').activityState).toBe(ACTIVITY_STATES.INACTIVE);
+    expect(snService.sessionState).toBe(SEQUENCING_SESSION_STATES.ENDED);
+  });
+
+  test('suspendAll suspends the active path and records the suspended activity', async () => {
+    const tree = await start();
+
+    const result = await snService.processNavigation(NAVIGATION_REQUESTS.SUSPEND_ALL);
+
+    expect(result.action).toBe('suspend');
+    expect(tree.getActivity('lesson1').suspended).toBe(true);
+    expect(tree.getActivity('module1').activityState).toBe(ACTIVITY_STATES.SUSPENDED);
+    expect(snService.getSequencingState().suspendedActivity).toBe('lesson1');
+  });
+
+  test('cmi.exit is recorded without terminating the running SCO', async () => {
+    const tree = await start();
+
+    const result = snService.handleActivityExit('lesson1', 'suspend');
+
+    expect(result).toEqual(expect.objectContaining({ success: true, suspended: true }));
+    expect(tree.currentActivity.identifier).toBe('lesson1');
+    expect(tree.getActivity('lesson1').activityState).toBe(ACTIVITY_STATES.ACTIVE);
+  });
+
+  // ============================================================================
+  // Events
+  // ============================================================================
+
+  test('termination and retry events appear in the sequencing state', async () => {
+    await start({
+      lessonRules: { postConditionRules: [postRule('always', 'retry')] }
+    });
+
+    await snService.processNavigation(NAVIGATION_REQUESTS.EXIT);
+
+    const events = snService.getSequencingState().sequencingEvents;
+    expect(events.map(e => e.type)).toEqual(['termination', 'retry']);
+    expect(events[0]).toEqual(expect.objectContaining({
+      terminationRequest: 'exit',
+      activityId: 'lesson1',
+      sequencingRequest: 'retry'
+    }));
+    expect(events[1].deliveryActivityId).toBe('lesson1');
+  });
+});